@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// One JSON file per entry under CACHE_DIR, so entries survive restarts on a single host.
+// Expired entries are removed when they are next read.
+function createFileCacheBackend() {
+    const directory = path.resolve(process.env.CACHE_DIR || path.join('data', 'cache'));
+
+    function entryPath(key) {
+        const hash = crypto.createHash('sha1').update(key).digest('hex');
+        return path.join(directory, hash.slice(0, 2), `${hash}.json`);
+    }
+
+    return {
+        name: 'file',
+
+        async get(key) {
+            const filePath = entryPath(key);
+            let entry;
+            try {
+                entry = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return undefined;
+                throw error;
+            }
+
+            if (entry.key !== key) return undefined;
+            if (entry.expires_at && entry.expires_at < Date.now()) {
+                await fs.promises.rm(filePath, { force: true });
+                return undefined;
+            }
+            return entry.value;
+        },
+
+        async set(key, value, ttlSeconds) {
+            const filePath = entryPath(key);
+            const entry = { key, value, expires_at: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null };
+
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify(entry));
+            await fs.promises.rename(tempPath, filePath);
+        },
+
+        async del(key) {
+            await fs.promises.rm(entryPath(key), { force: true });
+        }
+    };
+}
+
+module.exports = { createFileCacheBackend };
@@ -0,0 +1,132 @@
+const { createMemoryCacheBackend } = require('./memory');
+const { createFileCacheBackend } = require('./file');
+const { createRedisCacheBackend } = require('./redis');
+const { metrics, timeStage } = require('../utils/metrics');
+const { logger } = require('../utils/logger');
+
+// Cache layers share one backend (CACHE_BACKEND: memory, file or redis) but keep their own
+// key space, TTL and statistics. TTLs are in seconds and can be overridden with
+// CACHE_TTL_<LAYER>, e.g. CACHE_TTL_DIRECTIONS=120.
+const LAYERS = {
+    // Parsed LLM output for extraction and classification; independent of traffic
+    extraction: { ttl: 24 * 3600 },
+    // Place name -> coordinates rarely changes
+    geocode: { ttl: 7 * 24 * 3600 },
+    // Routes keyed on trip and time bucket; short because traffic moves
+    directions: { ttl: 300 },
+    // Final formatted answers
+    formatted: { ttl: 300 }
+};
+
+const factories = {
+    memory: createMemoryCacheBackend,
+    file: createFileCacheBackend,
+    redis: createRedisCacheBackend
+};
+
+let backend = null;
+const layers = new Map();
+
+function getCacheBackendName() {
+    return (process.env.CACHE_BACKEND || 'memory').toLowerCase();
+}
+
+function getBackend() {
+    const name = getCacheBackendName();
+    if (backend && backend.name === name) {
+        return backend;
+    }
+
+    const factory = factories[name];
+    if (!factory) {
+        throw new Error(`Unknown CACHE_BACKEND "${name}". Expected one of: ${Object.keys(factories).join(', ')}`);
+    }
+
+    backend = factory();
+    return backend;
+}
+
+function getLayerTtl(name) {
+    const override = Number(process.env[`CACHE_TTL_${name.toUpperCase()}`]);
+    return Number.isFinite(override) && override >= 0 ? override : LAYERS[name].ttl;
+}
+
+function createLayer(name) {
+    const stats = { hits: 0, misses: 0, sets: 0, errors: 0 };
+    const fullKey = key => `${name}:${key}`;
+
+    // A broken cache must never break a request, so failures count as misses
+    async function get(key) {
+        try {
+            const value = await timeStage('cache', () => getBackend().get(fullKey(key)));
+            if (value === undefined) {
+                stats.misses++;
+            } else {
+                stats.hits++;
+            }
+            metrics.cacheLookups.inc({ layer: name, result: value === undefined ? 'miss' : 'hit' });
+            return value;
+        } catch (error) {
+            stats.errors++;
+            stats.misses++;
+            metrics.cacheLookups.inc({ layer: name, result: 'error' });
+            logger.error('Cache get failed', { layer: name, error: error.message });
+            return undefined;
+        }
+    }
+
+    async function set(key, value) {
+        const ttl = getLayerTtl(name);
+        if (ttl === 0) return;
+
+        try {
+            await timeStage('cache', () => getBackend().set(fullKey(key), value, ttl));
+            stats.sets++;
+        } catch (error) {
+            stats.errors++;
+            logger.error('Cache set failed', { layer: name, error: error.message });
+        }
+    }
+
+    // Returns the cached value, or computes, stores and returns it
+    async function wrap(key, compute) {
+        const cached = await get(key);
+        if (cached !== undefined) return cached;
+
+        const value = await compute();
+        if (value !== undefined) await set(key, value);
+        return value;
+    }
+
+    return { name, get, set, wrap, stats };
+}
+
+function getCacheLayer(name) {
+    if (!LAYERS[name]) {
+        throw new Error(`Unknown cache layer "${name}"`);
+    }
+    if (!layers.has(name)) {
+        layers.set(name, createLayer(name));
+    }
+    return layers.get(name);
+}
+
+function getCacheStats() {
+    return {
+        backend: getCacheBackendName(),
+        layers: Object.fromEntries(Object.keys(LAYERS).map(name => {
+            const { stats } = getCacheLayer(name);
+            const lookups = stats.hits + stats.misses;
+            return [name, {
+                ...stats,
+                hit_rate: lookups ? Number((stats.hits / lookups).toFixed(3)) : null,
+                ttl_seconds: getLayerTtl(name)
+            }];
+        }))
+    };
+}
+
+module.exports = {
+    getCacheLayer,
+    getCacheStats
+};
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+// Trips at explicit times share cache entries within the same 15 minutes
+const TIME_BUCKET_MS = 15 * 60 * 1000;
+
+// "How do I get to Yaba? " and "how do i get to yaba" are the same question
+function normaliseText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .replace(/[?.!\s]+$/, '')
+        .trim();
+}
+
+function digest(value) {
+    return crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex').slice(0, 16);
+}
+
+function timeBucket(date) {
+    return Math.floor(date.getTime() / TIME_BUCKET_MS);
+}
+
+// "now", "depart:<bucket>" or "arrive:<bucket>"
+function timeKey({ departureTime, arrivalTime } = {}) {
+    if (arrivalTime) return `arrive:${timeBucket(arrivalTime)}`;
+    if (departureTime) return `depart:${timeBucket(departureTime)}`;
+    return 'now';
+}
+
+// The parts of a trip that decide which route comes back
+function tripKey({ origin, destination, waypoints = [], optimizeWaypoints = false, mode, avoid = [] }) {
+    return [
+        normaliseText(origin),
+        normaliseText(destination),
+        waypoints.map(normaliseText).join(';'),
+        optimizeWaypoints ? 'optimize' : 'ordered',
+        mode || 'car',
+        [...avoid].sort().join(',')
+    ].join('|');
+}
+
+module.exports = {
+    normaliseText,
+    digest,
+    timeBucket,
+    timeKey,
+    tripKey
+};
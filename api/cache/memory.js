@@ -0,0 +1,24 @@
+const NodeCache = require('node-cache');
+
+// In-process cache; fastest, but empty again after every restart or serverless cold start
+function createMemoryCacheBackend() {
+    const cache = new NodeCache({ checkperiod: 120 });
+
+    return {
+        name: 'memory',
+
+        async get(key) {
+            return cache.get(key);
+        },
+
+        async set(key, value, ttlSeconds) {
+            cache.set(key, value, ttlSeconds);
+        },
+
+        async del(key) {
+            cache.del(key);
+        }
+    };
+}
+
+module.exports = { createMemoryCacheBackend };
@@ -0,0 +1,34 @@
+const { createRespClient } = require('./resp');
+
+// Shared cache for several instances or serverless deployments. REDIS_URL is
+// redis://[user:password@]host:port[/db], or rediss:// for TLS.
+function createRedisCacheBackend() {
+    const url = process.env.REDIS_URL;
+    if (!url) {
+        throw new Error('CACHE_BACKEND=redis needs REDIS_URL');
+    }
+
+    const client = createRespClient(url, { timeoutMs: Number(process.env.REDIS_TIMEOUT_MS) || 2000 });
+    const prefix = process.env.CACHE_KEY_PREFIX || 'routegpt:';
+
+    return {
+        name: 'redis',
+
+        async get(key) {
+            const raw = await client.command(['GET', prefix + key]);
+            return raw === null ? undefined : JSON.parse(raw);
+        },
+
+        async set(key, value, ttlSeconds) {
+            const args = ['SET', prefix + key, JSON.stringify(value)];
+            if (ttlSeconds) args.push('EX', Math.ceil(ttlSeconds));
+            await client.command(args);
+        },
+
+        async del(key) {
+            await client.command(['DEL', prefix + key]);
+        }
+    };
+}
+
+module.exports = { createRedisCacheBackend };
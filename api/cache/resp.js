@@ -0,0 +1,165 @@
+const net = require('net');
+const tls = require('tls');
+const { logger } = require('../utils/logger');
+
+// Minimal client for the Redis protocol (RESP2), enough for GET/SET/DEL. Works with Redis,
+// Valkey, KeyDB, Dragonfly and hosted services that speak the same protocol.
+
+function encodeCommand(args) {
+    const parts = [`*${args.length}\r\n`];
+    for (const arg of args) {
+        const value = String(arg);
+        parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+    }
+    return parts.join('');
+}
+
+// Parses one reply starting at `offset`; returns null when the buffer does not hold all of it yet
+function parseReply(buffer, offset = 0) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+':
+            return { value: line, offset: next };
+        case '-':
+            return { value: new Error(line), offset: next };
+        case ':':
+            return { value: Number(line), offset: next };
+        case '$': {
+            const length = Number(line);
+            if (length === -1) return { value: null, offset: next };
+            if (buffer.length < next + length + 2) return null;
+            return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+        }
+        case '*': {
+            const count = Number(line);
+            if (count === -1) return { value: null, offset: next };
+
+            const items = [];
+            let position = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, position);
+                if (!item) return null;
+                items.push(item.value);
+                position = item.offset;
+            }
+            return { value: items, offset: position };
+        }
+        default:
+            throw new Error(`Unexpected Redis reply type "${type}"`);
+    }
+}
+
+/**
+ * Connects lazily on the first command and reconnects after a failure. Commands are
+ * pipelined over one connection and answered in order.
+ */
+function createRespClient(url, { timeoutMs = 2000 } = {}) {
+    const target = new URL(url);
+    const database = target.pathname.replace(/^\//, '');
+    let socket = null;
+    let buffer = Buffer.alloc(0);
+    let pending = [];
+
+    function failAll(error) {
+        const waiting = pending;
+        pending = [];
+        waiting.forEach(entry => entry.reject(error));
+    }
+
+    function onData(chunk) {
+        buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+
+        let reply;
+        while (pending.length > 0 && (reply = parseReply(buffer))) {
+            buffer = buffer.subarray(reply.offset);
+            const entry = pending.shift();
+            if (reply.value instanceof Error) {
+                entry.reject(reply.value);
+            } else {
+                entry.resolve(reply.value);
+            }
+        }
+    }
+
+    // Replies are matched to commands by order, so once a connection fails or falls out of step
+    // everything waiting on it fails and the next command opens a new one. Events from a
+    // connection that has already been replaced are ignored.
+    function dropConnection(connection, error) {
+        if (socket !== connection) return;
+        socket = null;
+        failAll(error);
+        connection.destroy();
+    }
+
+    function connect() {
+        const options = { host: target.hostname, port: Number(target.port) || 6379 };
+        const connection = target.protocol === 'rediss:'
+            ? tls.connect({ ...options, servername: target.hostname })
+            : net.createConnection(options);
+        socket = connection;
+        buffer = Buffer.alloc(0);
+
+        connection.on('data', chunk => {
+            if (socket !== connection) return;
+            try {
+                onData(chunk);
+            } catch (error) {
+                logger.error('Unreadable Redis reply', { error: error.message });
+                dropConnection(connection, error);
+            }
+        });
+        connection.on('error', error => dropConnection(connection, error));
+        connection.on('close', () => dropConnection(connection, new Error('Redis connection closed')));
+
+        // Sent ahead of the first real command; their replies are consumed in order
+        const password = decodeURIComponent(target.password || '');
+        const username = decodeURIComponent(target.username || '');
+        if (password) {
+            send(username ? ['AUTH', username, password] : ['AUTH', password])
+                .catch(error => logger.error('Redis AUTH failed', { error: error.message }));
+        }
+        if (database) {
+            send(['SELECT', database]).catch(error => logger.error('Redis SELECT failed', { error: error.message }));
+        }
+    }
+
+    function send(args) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                // A stuck connection poisons every later reply, so start over
+                const error = new Error(`Redis command ${args[0]} timed out after ${timeoutMs}ms`);
+                reject(error);
+                if (socket) dropConnection(socket, error);
+            }, timeoutMs);
+
+            pending.push({
+                resolve: value => { clearTimeout(timer); resolve(value); },
+                reject: error => { clearTimeout(timer); reject(error); }
+            });
+            socket.write(encodeCommand(args));
+        });
+    }
+
+    return {
+        command(args) {
+            if (!socket) connect();
+            return send(args);
+        },
+
+        close() {
+            if (socket) socket.end();
+        }
+    };
+}
+
+module.exports = {
+    createRespClient,
+    encodeCommand,
+    parseReply
+};
@@ -0,0 +1,63 @@
+// LLM provider and per call-site generation settings.
+// Every setting can be overridden with environment variables, e.g.
+// LLM_PROVIDER=openai, LLM_MODEL=gpt-4o-mini, LLM_CLASSIFY_TIMEOUT_MS=5000.
+
+const DEFAULT_MODELS = {
+    gemini: 'gemini-pro',
+    openai: 'gpt-4o-mini',
+    ollama: 'llama3',
+    fake: 'fake-deterministic'
+};
+
+const callSites = {
+    extract: { temperature: 0, timeoutMs: 10000 },
+    classify: { temperature: 0, timeoutMs: 8000 },
+    formatDirections: { temperature: 0.7, topP: 0.8, topK: 40, timeoutMs: 20000 },
+    formatTrafficCheck: { temperature: 0.7, timeoutMs: 20000 },
+    formatDurationCheck: { temperature: 0.7, timeoutMs: 20000 },
+    formatRouteStatus: { temperature: 0.7, timeoutMs: 20000 },
+    formatDeparturePlanning: { temperature: 0.5, timeoutMs: 20000 },
+    formatModeComparison: { temperature: 0.5, timeoutMs: 20000 },
+    formatCostCheck: { temperature: 0.5, timeoutMs: 20000 }
+};
+
+function getProviderName() {
+    return (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+}
+
+// formatTrafficCheck -> FORMAT_TRAFFIC_CHECK
+function toEnvName(callSite) {
+    return callSite.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+function readNumber(name) {
+    const value = process.env[name];
+    if (value === undefined || value === '') return undefined;
+
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : undefined;
+}
+
+function getCallSiteSettings(callSite) {
+    const defaults = callSites[callSite];
+    if (!defaults) {
+        throw new Error(`Unknown LLM call site: ${callSite}`);
+    }
+
+    const prefix = `LLM_${toEnvName(callSite)}`;
+    const provider = getProviderName();
+
+    return {
+        ...defaults,
+        callSite,
+        model: process.env[`${prefix}_MODEL`] || process.env.LLM_MODEL || DEFAULT_MODELS[provider],
+        temperature: readNumber(`${prefix}_TEMPERATURE`) ?? defaults.temperature,
+        timeoutMs: readNumber(`${prefix}_TIMEOUT_MS`) ?? readNumber('LLM_TIMEOUT_MS') ?? defaults.timeoutMs
+    };
+}
+
+module.exports = {
+    callSites,
+    getProviderName,
+    getCallSiteSettings
+};
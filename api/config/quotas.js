@@ -0,0 +1,45 @@
+// Default limits for API keys. Keys can carry their own limits; these apply otherwise.
+// Override with RATE_LIMIT_PER_MINUTE and DAILY_QUOTA_UNITS.
+
+// Daily quotas are counted in cost units rather than requests, because one request can
+// make anywhere from a cached zero to several LLM and Maps calls
+const UPSTREAM_COSTS = {
+    llm: 1,
+    routing: 2,
+    geocode: 1,
+    sms: 1
+};
+
+// Charged for every request so cached answers are not entirely free
+const BASE_REQUEST_COST = 1;
+
+// Held against the quota while a request runs, until its real cost is known: an uncached
+// directions answer (extraction, classification and formatting, plus one route)
+const ESTIMATED_REQUEST_COST = BASE_REQUEST_COST + 3 * UPSTREAM_COSTS.llm + UPSTREAM_COSTS.routing;
+
+function readLimit(name, fallback) {
+    const parsed = Number(process.env[name]);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function getDefaultLimits() {
+    return {
+        rate_limit_per_minute: readLimit('RATE_LIMIT_PER_MINUTE', 30),
+        daily_quota: readLimit('DAILY_QUOTA_UNITS', 1000)
+    };
+}
+
+// Cost of a finished request given its upstream call counts, e.g. { llm: 3, routing: 1 }
+function getRequestCost(upstreamCalls = {}) {
+    return Object.entries(upstreamCalls).reduce(
+        (total, [kind, count]) => total + (UPSTREAM_COSTS[kind] || 0) * count,
+        BASE_REQUEST_COST
+    );
+}
+
+module.exports = {
+    UPSTREAM_COSTS,
+    ESTIMATED_REQUEST_COST,
+    getDefaultLimits,
+    getRequestCost
+};
@@ -0,0 +1,42 @@
+// Timeout, retry and circuit breaker policy for each kind of upstream call.
+// Override with UPSTREAM_<NAME>_TIMEOUT_MS, UPSTREAM_<NAME>_RETRIES,
+// UPSTREAM_<NAME>_FAILURE_THRESHOLD and UPSTREAM_<NAME>_RESET_SECONDS, e.g. UPSTREAM_ROUTING_RETRIES=0.
+
+// LLM timeouts are set per call site in config/llm.js, so the llm policy has none of its own.
+// Retries back off exponentially from backoffMs with jitter, capped at maxBackoffMs. SMS sends
+// are not retried: a send that timed out may still have gone out, and a retry would send it twice.
+const policies = {
+    llm: { retries: 1, backoffMs: 500, maxBackoffMs: 2000, failureThreshold: 5, resetSeconds: 30 },
+    routing: { timeoutMs: 10000, retries: 2, backoffMs: 250, maxBackoffMs: 2000, failureThreshold: 5, resetSeconds: 30 },
+    geocode: { timeoutMs: 5000, retries: 2, backoffMs: 250, maxBackoffMs: 2000, failureThreshold: 5, resetSeconds: 30 },
+    sms: { timeoutMs: 10000, retries: 0, backoffMs: 500, maxBackoffMs: 2000, failureThreshold: 5, resetSeconds: 30 }
+};
+
+function readSetting(name, fallback) {
+    const value = process.env[name];
+    if (value === undefined || value === '') return fallback;
+
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+function getUpstreamPolicy(upstream) {
+    const defaults = policies[upstream];
+    if (!defaults) {
+        throw new Error(`Unknown upstream: ${upstream}`);
+    }
+
+    const prefix = `UPSTREAM_${upstream.toUpperCase()}`;
+    return {
+        ...defaults,
+        timeoutMs: readSetting(`${prefix}_TIMEOUT_MS`, defaults.timeoutMs),
+        retries: readSetting(`${prefix}_RETRIES`, defaults.retries),
+        failureThreshold: readSetting(`${prefix}_FAILURE_THRESHOLD`, defaults.failureThreshold),
+        resetSeconds: readSetting(`${prefix}_RESET_SECONDS`, defaults.resetSeconds)
+    };
+}
+
+module.exports = {
+    policies,
+    getUpstreamPolicy
+};
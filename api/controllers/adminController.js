@@ -0,0 +1,95 @@
+const { issueKey, listKeys, revokeKey } = require('../services/apiKeys');
+const { getCacheStats } = require('../cache');
+const { getPricing, updatePricing, resetPricing } = require('../services/pricing');
+const { runWatchTick } = require('../services/watchScheduler');
+const { deleteIncident } = require('../services/incidents');
+const { sendError } = require('../utils/errors');
+
+async function createApiKey(req, res) {
+    try {
+        const { name, rate_limit_per_minute, daily_quota } = req.body || {};
+        const issued = await issueKey({ name, rate_limit_per_minute, daily_quota });
+        res.status(201).json(issued);
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function getApiKeys(req, res) {
+    try {
+        res.json({ keys: await listKeys() });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function deleteApiKey(req, res) {
+    try {
+        const revoked = await revokeKey(req.params.keyId);
+        if (!revoked) {
+            return res.status(404).json({ error: 'API key not found', code: 'API_KEY_NOT_FOUND' });
+        }
+        res.json(revoked);
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+function getCacheStatistics(req, res) {
+    res.json(getCacheStats());
+}
+
+async function getCurrentPricing(req, res) {
+    try {
+        res.json(await getPricing());
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function putPricing(req, res) {
+    try {
+        res.json(await updatePricing(req.body));
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function deletePricing(req, res) {
+    try {
+        res.json(await resetPricing());
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function runWatches(req, res) {
+    try {
+        res.json(await runWatchTick());
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function removeIncident(req, res) {
+    try {
+        if (!await deleteIncident(req.params.incidentId)) {
+            return res.status(404).json({ error: 'Incident not found', code: 'INCIDENT_NOT_FOUND' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+module.exports = {
+    createApiKey,
+    getApiKeys,
+    deleteApiKey,
+    getCacheStatistics,
+    getCurrentPricing,
+    putPricing,
+    deletePricing,
+    runWatches,
+    removeIncident
+};
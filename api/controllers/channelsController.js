@@ -0,0 +1,108 @@
+const NodeCache = require('node-cache');
+const { handleChannelMessage } = require('../services/channelConversation');
+const { isGsm, countSegments } = require('../services/channelText');
+const { sendSms } = require('../providers/sms');
+const { getDefaultLanguageCode, translate } = require('../utils/languages');
+const { sendError } = require('../utils/errors');
+const { logger, logRequestError } = require('../utils/logger');
+const { runAfterResponse } = require('../utils/requestContext');
+
+const CHANNELS = ['sms', 'ussd'];
+
+// The gateway retries an SMS webhook that did not answer in time, so each message is only answered once
+const seenMessages = new NodeCache({ stdTTL: 3600 });
+
+// The simulator answers like a real phone would but sends nothing, so it stays off in
+// production unless CHANNEL_SIMULATOR=true
+function isSimulatorEnabled() {
+    if (process.env.CHANNEL_SIMULATOR) {
+        return process.env.CHANNEL_SIMULATOR.toLowerCase() === 'true';
+    }
+    return process.env.NODE_ENV !== 'production';
+}
+
+// Aggregators send the whole USSD dialogue joined with "*"; only the last input is new
+function latestUssdInput(text = '') {
+    return String(text).split('*').pop();
+}
+
+// Africa's Talking posts from, to, text, id and date for each incoming SMS. The reply goes
+// out as a new message, so the webhook acknowledges receipt straight away and answers after.
+// Failures are only logged: the sender has nothing to retry.
+function receiveSms(req, res) {
+    const { from, text, id } = req.body || {};
+    if (!from) {
+        return res.status(400).json({ error: 'from is required', code: 'INVALID_REQUEST' });
+    }
+
+    if (id && seenMessages.get(id)) {
+        return res.status(200).end();
+    }
+    if (id) seenMessages.set(id, true);
+
+    runAfterResponse(async () => {
+        const reply = await handleChannelMessage({ channel: 'sms', subscriber: from, text });
+        await sendSms(from, reply.text);
+    }).catch(error => logger.error('Error answering SMS', { message_id: id || null, error }));
+
+    res.status(200).end();
+}
+
+// Africa's Talking posts sessionId, serviceCode, phoneNumber and text, and shows whatever
+// comes back: "CON ..." keeps the session open for input, "END ..." closes it
+async function handleUssd(req, res) {
+    const { sessionId, text } = req.body || {};
+    res.type('text/plain');
+
+    if (!sessionId) {
+        return res.status(400).send('END sessionId is required');
+    }
+
+    try {
+        const reply = await handleChannelMessage({ channel: 'ussd', subscriber: sessionId, text: latestUssdInput(text) });
+        res.send(`${reply.end ? 'END' : 'CON'} ${reply.text}`);
+    } catch (error) {
+        logRequestError(error);
+        res.send(`END ${translate(getDefaultLanguageCode(), 'errors.SERVER_ERROR')}`);
+    }
+}
+
+async function simulateChannel(req, res) {
+    if (!isSimulatorEnabled()) {
+        return res.status(404).json({ error: 'Channel simulator is disabled', code: 'SIMULATOR_DISABLED' });
+    }
+
+    const { channel, phone_number: phoneNumber, text = '' } = req.body || {};
+    if (!CHANNELS.includes(channel)) {
+        return res.status(400).json({ error: `channel must be one of: ${CHANNELS.join(', ')}`, code: 'INVALID_REQUEST' });
+    }
+    if (!phoneNumber || typeof phoneNumber !== 'string') {
+        return res.status(400).json({ error: 'phone_number is required', code: 'INVALID_REQUEST' });
+    }
+    if (typeof text !== 'string') {
+        return res.status(400).json({ error: 'text must be a string', code: 'INVALID_REQUEST' });
+    }
+
+    try {
+        // Simulated phones are kept apart from real ones; an empty USSD text is a new dial
+        const reply = await handleChannelMessage({ channel, subscriber: `simulator:${phoneNumber}`, text });
+        const shown = channel === 'ussd' ? `${reply.end ? 'END' : 'CON'} ${reply.text}` : reply.text;
+
+        res.json({
+            channel,
+            reply: shown,
+            end: reply.end,
+            characters: [...shown].length,
+            encoding: isGsm(shown) ? 'gsm' : 'ucs2',
+            ...(channel === 'sms' && { segments: countSegments(shown) })
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+module.exports = {
+    receiveSms,
+    handleUssd,
+    simulateChannel
+};
@@ -0,0 +1,71 @@
+const { parseWhatsAppWebhook, parseTelegramUpdate } = require('../services/chatUpdates');
+const { handleChatMessage } = require('../services/chatConversation');
+const { MESSAGING_PLATFORMS, getSenderName, sendChatReply, getOutbox, clearOutbox } = require('../providers/messaging');
+const { logger } = require('../utils/logger');
+const { runAfterResponse } = require('../utils/requestContext');
+
+// Failures are logged rather than returned: a non-2xx response makes the platform retry a
+// message that has already been answered or cannot be
+async function answerMessages(platform, messages) {
+    for (const message of messages) {
+        try {
+            const reply = await handleChatMessage(platform, message);
+            if (reply) {
+                await sendChatReply(platform, message.chatId, reply);
+            }
+        } catch (error) {
+            logger.error('Error answering chat message', { platform, chat_id: message.chatId, error });
+        }
+    }
+}
+
+// Meta checks the callback URL once with hub.mode=subscribe and the token set in the app
+function verifyWhatsAppWebhook(req, res) {
+    const verifyToken = process.env.WHATSAPP_VERIFY_TOKEN;
+    if (verifyToken && req.query['hub.mode'] === 'subscribe' && req.query['hub.verify_token'] === verifyToken) {
+        return res.type('text/plain').send(String(req.query['hub.challenge'] || ''));
+    }
+    res.status(403).json({ error: 'Verification failed', code: 'INVALID_VERIFY_TOKEN' });
+}
+
+// Platforms retry a webhook that does not answer within a few seconds, so receipt is
+// acknowledged straight away and the replies go out after
+function acknowledgeMessages(res, platform, messages) {
+    runAfterResponse(() => answerMessages(platform, messages));
+    res.status(200).end();
+}
+
+function receiveWhatsApp(req, res) {
+    acknowledgeMessages(res, 'whatsapp', parseWhatsAppWebhook(req.body));
+}
+
+function receiveTelegram(req, res) {
+    acknowledgeMessages(res, 'telegram', parseTelegramUpdate(req.body));
+}
+
+// Only the mock sender keeps what it sends
+function getChatOutbox(req, res) {
+    if (getSenderName() !== 'mock') {
+        return res.status(404).json({ error: 'The outbox is only kept with MESSAGING_SENDER=mock', code: 'OUTBOX_DISABLED' });
+    }
+
+    const { platform, chat_id: chatId } = req.query;
+    if (platform !== undefined && !MESSAGING_PLATFORMS.includes(platform)) {
+        return res.status(400).json({ error: `platform must be one of: ${MESSAGING_PLATFORMS.join(', ')}`, code: 'INVALID_REQUEST' });
+    }
+
+    res.json({ messages: getOutbox({ platform, chatId }) });
+}
+
+function deleteChatOutbox(req, res) {
+    clearOutbox();
+    res.status(204).end();
+}
+
+module.exports = {
+    verifyWhatsAppWebhook,
+    receiveWhatsApp,
+    receiveTelegram,
+    getChatOutbox,
+    deleteChatOutbox
+};
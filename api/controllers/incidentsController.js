@@ -0,0 +1,65 @@
+const { ApiError, sendError } = require('../utils/errors');
+const {
+    reportIncident,
+    confirmIncident,
+    clearIncident,
+    getIncident,
+    listIncidents
+} = require('../services/incidents');
+
+// Longest search radius for GET /api/incidents, in meters
+const MAX_RADIUS_METERS = 50000;
+
+async function postIncident(req, res) {
+    try {
+        const { incident, merged } = await reportIncident(req.body);
+        res.status(merged ? 200 : 201).json({ ...incident, merged });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function getIncidents(req, res) {
+    try {
+        const { type, near, radius } = req.query;
+        const radiusMeters = radius === undefined ? undefined : Number(radius);
+        if (radiusMeters !== undefined && !(radiusMeters > 0 && radiusMeters <= MAX_RADIUS_METERS)) {
+            throw new ApiError(400, 'INVALID_INCIDENT', `radius must be a number of meters up to ${MAX_RADIUS_METERS}`);
+        }
+        res.json({ incidents: await listIncidents({ type, near, radiusMeters }) });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function getIncidentById(req, res) {
+    try {
+        res.json(await getIncident(req.params.incidentId));
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function postConfirmation(req, res) {
+    try {
+        res.json(await confirmIncident(req.params.incidentId, req.body));
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function postClearance(req, res) {
+    try {
+        res.json(await clearIncident(req.params.incidentId, req.body));
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+module.exports = {
+    postIncident,
+    getIncidents,
+    getIncidentById,
+    postConfirmation,
+    postClearance
+};
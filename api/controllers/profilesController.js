@@ -0,0 +1,97 @@
+const {
+    getProfile,
+    requireProfile,
+    saveProfile,
+    updateProfile,
+    listProfiles,
+    deleteProfile,
+    savePlace,
+    deletePlace
+} = require('../services/profiles');
+const { sendError } = require('../utils/errors');
+
+async function getProfiles(req, res) {
+    try {
+        res.json({ profiles: await listProfiles() });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function getProfileById(req, res) {
+    try {
+        const profile = await getProfile(req.params.profileId);
+        if (!profile) {
+            return res.status(404).json({ error: 'Profile not found', code: 'PROFILE_NOT_FOUND' });
+        }
+        res.json(profile);
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function putProfile(req, res) {
+    try {
+        res.json(await saveProfile(req.params.profileId, req.body));
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function patchProfile(req, res) {
+    try {
+        res.json(await updateProfile(req.params.profileId, req.body));
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function removeProfile(req, res) {
+    try {
+        if (!await deleteProfile(req.params.profileId)) {
+            return res.status(404).json({ error: 'Profile not found', code: 'PROFILE_NOT_FOUND' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function getPlaces(req, res) {
+    try {
+        const { places } = await requireProfile(req.params.profileId);
+        res.json({ places });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function putPlace(req, res) {
+    try {
+        res.json(await savePlace(req.params.profileId, req.params.placeName, req.body));
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function removePlace(req, res) {
+    try {
+        if (!await deletePlace(req.params.profileId, req.params.placeName)) {
+            return res.status(404).json({ error: 'Place not found', code: 'PLACE_NOT_FOUND' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+module.exports = {
+    getProfiles,
+    getProfileById,
+    putProfile,
+    patchProfile,
+    removeProfile,
+    getPlaces,
+    putPlace,
+    removePlace
+};
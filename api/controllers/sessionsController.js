@@ -0,0 +1,35 @@
+const { isValidSessionId, getSession, clearSession } = require('../utils/sessions');
+
+function getSessionHistory(req, res) {
+    const { sessionId } = req.params;
+
+    if (!isValidSessionId(sessionId)) {
+        return res.status(400).json({ error: 'Invalid session_id', code: 'INVALID_SESSION_ID' });
+    }
+
+    const session = getSession(sessionId);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found', code: 'SESSION_NOT_FOUND' });
+    }
+
+    res.json(session);
+}
+
+function deleteSession(req, res) {
+    const { sessionId } = req.params;
+
+    if (!isValidSessionId(sessionId)) {
+        return res.status(400).json({ error: 'Invalid session_id', code: 'INVALID_SESSION_ID' });
+    }
+
+    if (!clearSession(sessionId)) {
+        return res.status(404).json({ error: 'Session not found', code: 'SESSION_NOT_FOUND' });
+    }
+
+    res.status(204).end();
+}
+
+module.exports = {
+    getSessionHistory,
+    deleteSession
+};
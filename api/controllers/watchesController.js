@@ -0,0 +1,92 @@
+const {
+    createWatch,
+    listWatches,
+    getWatch,
+    setWatchStatus,
+    deleteWatch,
+    getWatchDeliveries,
+    checkWatchNow
+} = require('../services/watches');
+const { sendError } = require('../utils/errors');
+
+async function postWatch(req, res) {
+    try {
+        res.status(201).json(await createWatch(req.body));
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function getWatches(req, res) {
+    try {
+        res.json({ watches: await listWatches() });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function getWatchById(req, res) {
+    try {
+        const watch = await getWatch(req.params.watchId);
+        if (!watch) {
+            return res.status(404).json({ error: 'Watch not found', code: 'WATCH_NOT_FOUND' });
+        }
+        res.json(watch);
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function pauseWatch(req, res) {
+    try {
+        res.json(await setWatchStatus(req.params.watchId, 'paused'));
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function resumeWatch(req, res) {
+    try {
+        res.json(await setWatchStatus(req.params.watchId, 'active'));
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function removeWatch(req, res) {
+    try {
+        if (!await deleteWatch(req.params.watchId)) {
+            return res.status(404).json({ error: 'Watch not found', code: 'WATCH_NOT_FOUND' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function getDeliveries(req, res) {
+    try {
+        res.json({ deliveries: await getWatchDeliveries(req.params.watchId) });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function checkWatch(req, res) {
+    try {
+        res.json(await checkWatchNow(req.params.watchId));
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+module.exports = {
+    postWatch,
+    getWatches,
+    getWatchById,
+    pauseWatch,
+    resumeWatch,
+    removeWatch,
+    getDeliveries,
+    checkWatch
+};
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { findActiveKey } = require('../services/apiKeys');
+const { describeServerError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+// Keys are required unless REQUIRE_API_KEY=false (handy for local development)
+function isApiKeyRequired() {
+    return (process.env.REQUIRE_API_KEY || 'true').toLowerCase() !== 'false';
+}
+
+// Accepts "X-API-Key: <key>" or "Authorization: Bearer <key>"
+function readPresentedKey(req, headerName) {
+    const header = req.get(headerName);
+    if (header) return header.trim();
+
+    const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+// Constant-time comparison, hashed first so the lengths always match
+function safeEqual(a, b) {
+    const hash = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+async function authenticate(key, req, res, next) {
+    if (!key) {
+        return res.status(401).json({ error: 'An API key is required', code: 'API_KEY_REQUIRED' });
+    }
+
+    try {
+        const record = await findActiveKey(key);
+        if (!record) {
+            return res.status(401).json({ error: 'Invalid or revoked API key', code: 'INVALID_API_KEY' });
+        }
+
+        req.apiKey = record;
+        next();
+    } catch (error) {
+        logger.error('Error checking API key', { error });
+        const { status, body } = describeServerError(error);
+        res.status(status).json(body);
+    }
+}
+
+function requireApiKey(req, res, next) {
+    if (!isApiKeyRequired()) return next();
+    return authenticate(readPresentedKey(req, 'X-API-Key'), req, res, next);
+}
+
+// SMS and USSD aggregators only let us configure a callback URL, so channel webhooks also
+// accept the key as ?api_key=
+function requireChannelKey(req, res, next) {
+    if (!isApiKeyRequired()) return next();
+    const key = readPresentedKey(req, 'X-API-Key') || (typeof req.query.api_key === 'string' ? req.query.api_key.trim() : null);
+    return authenticate(key, req, res, next);
+}
+
+// Admin routes are only available when ADMIN_API_KEY is set
+function requireAdmin(req, res, next) {
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (!adminKey) {
+        return res.status(404).json({ error: 'Admin API is disabled', code: 'ADMIN_DISABLED' });
+    }
+
+    const presented = readPresentedKey(req, 'X-Admin-Key');
+    if (!presented || !safeEqual(presented, adminKey)) {
+        return res.status(401).json({ error: 'Invalid admin key', code: 'INVALID_ADMIN_KEY' });
+    }
+    next();
+}
+
+// /metrics is open unless METRICS_TOKEN is set; Prometheus then sends it as a bearer token
+function requireMetricsToken(req, res, next) {
+    const token = process.env.METRICS_TOKEN;
+    if (!token) return next();
+
+    const presented = readPresentedKey(req, 'X-Metrics-Token');
+    if (!presented || !safeEqual(presented, token)) {
+        return res.status(401).json({ error: 'Invalid metrics token', code: 'INVALID_METRICS_TOKEN' });
+    }
+    next();
+}
+
+// WhatsApp signs each webhook body with the app secret: "X-Hub-Signature-256: sha256=<hex>"
+function verifyWhatsAppSignature(req, res, next) {
+    const secret = process.env.WHATSAPP_APP_SECRET;
+    if (!secret) {
+        return res.status(404).json({ error: 'WhatsApp webhook is disabled', code: 'CHAT_DISABLED' });
+    }
+
+    const expected = `sha256=${crypto.createHmac('sha256', secret).update(req.rawBody || '').digest('hex')}`;
+    if (!safeEqual(req.get('X-Hub-Signature-256') || '', expected)) {
+        return res.status(401).json({ error: 'Invalid webhook signature', code: 'INVALID_SIGNATURE' });
+    }
+    next();
+}
+
+// Telegram sends back the secret_token given to setWebhook in every update
+function verifyTelegramSecret(req, res, next) {
+    const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+    if (!secret) {
+        return res.status(404).json({ error: 'Telegram webhook is disabled', code: 'CHAT_DISABLED' });
+    }
+
+    if (!safeEqual(req.get('X-Telegram-Bot-Api-Secret-Token') || '', secret)) {
+        return res.status(401).json({ error: 'Invalid webhook secret', code: 'INVALID_SIGNATURE' });
+    }
+    next();
+}
+
+module.exports = {
+    requireApiKey,
+    requireChannelKey,
+    requireAdmin,
+    requireMetricsToken,
+    verifyWhatsAppSignature,
+    verifyTelegramSecret
+};
@@ -0,0 +1,31 @@
+// CORS_ORIGINS is a comma-separated allow list, e.g. "https://app.example.com,http://localhost:5173".
+// Unset or "*" keeps the API open to every origin.
+function getAllowedOrigins() {
+    return (process.env.CORS_ORIGINS || '*')
+        .split(',')
+        .map(origin => origin.trim().replace(/\/$/, ''))
+        .filter(Boolean);
+}
+
+function cors(req, res, next) {
+    const allowed = getAllowedOrigins();
+    const origin = req.headers.origin;
+
+    if (allowed.includes('*')) {
+        res.header('Access-Control-Allow-Origin', '*');
+    } else if (origin && allowed.includes(origin)) {
+        res.header('Access-Control-Allow-Origin', origin);
+    }
+    res.header('Vary', 'Origin');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, X-Request-Id');
+    res.header('Access-Control-Expose-Headers', 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-Quota-Limit, X-Quota-Remaining, X-Request-Id');
+
+    // Preflight requests never reach the routes (and carry no API key)
+    if (req.method === 'OPTIONS') {
+        return res.sendStatus(204);
+    }
+    next();
+}
+
+module.exports = { cors };
@@ -0,0 +1,86 @@
+const { getLimits, reserveUsage, settleUsage } = require('../services/apiKeys');
+const { ESTIMATED_REQUEST_COST, getRequestCost } = require('../config/quotas');
+const { getRequestContext } = require('../utils/requestContext');
+const { describeServerError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+const { getLagosParts, fromLagosParts } = require('../utils/time');
+
+// Token bucket per key, refilled continuously at rate_limit_per_minute. Buckets live in
+// memory, so with several instances each one enforces the limit separately.
+const buckets = new Map();
+
+function takeToken(keyId, perMinute) {
+    const now = Date.now();
+    const refillPerMs = perMinute / 60000;
+    const bucket = buckets.get(keyId) || { tokens: perMinute, updatedAt: now };
+
+    bucket.tokens = Math.min(perMinute, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens < 1) {
+        buckets.set(keyId, bucket);
+        return { allowed: false, remaining: 0, retryAfter: Math.ceil((1 - bucket.tokens) / refillPerMs / 1000) };
+    }
+
+    bucket.tokens -= 1;
+    buckets.set(keyId, bucket);
+    return { allowed: true, remaining: Math.floor(bucket.tokens) };
+}
+
+function secondsUntilLagosMidnight(now = new Date()) {
+    const parts = getLagosParts(now);
+    const midnight = fromLagosParts({ ...parts, day: parts.day + 1, hour: 0, minute: 0 });
+    return Math.ceil((midnight - now) / 1000);
+}
+
+/**
+ * Applies the key's per-minute rate limit and daily cost quota, and ties the request's
+ * context, which counts its upstream LLM and Maps calls, to the key. An estimated cost is
+ * held against the quota up front and settled to the real cost once the response has been
+ * sent and any work left running after it has finished, so the request that crosses the
+ * quota still completes.
+ */
+async function enforceLimits(req, res, next) {
+    if (!req.apiKey) return next();
+
+    const keyId = req.apiKey.id;
+    const limits = getLimits(req.apiKey);
+    let reservation;
+
+    try {
+        const rate = takeToken(keyId, limits.rate_limit_per_minute);
+        res.set('X-RateLimit-Limit', String(limits.rate_limit_per_minute));
+        res.set('X-RateLimit-Remaining', String(rate.remaining));
+        if (!rate.allowed) {
+            res.set('Retry-After', String(rate.retryAfter));
+            return res.status(429).json({ error: 'Rate limit exceeded', code: 'RATE_LIMITED' });
+        }
+
+        reservation = await reserveUsage(keyId, ESTIMATED_REQUEST_COST, limits.daily_quota);
+        const { allowed, usage } = reservation;
+        const used = allowed ? usage.units - ESTIMATED_REQUEST_COST : usage.units;
+        res.set('X-Quota-Limit', String(limits.daily_quota));
+        res.set('X-Quota-Remaining', String(Math.max(0, limits.daily_quota - used)));
+        if (!allowed) {
+            res.set('Retry-After', String(secondsUntilLagosMidnight()));
+            return res.status(429).json({ error: 'Daily quota exceeded', code: 'QUOTA_EXCEEDED' });
+        }
+    } catch (error) {
+        logger.error('Error checking limits', { error });
+        const { status, body } = describeServerError(error);
+        return res.status(status).json(body);
+    }
+
+    // The request context was opened by requestLogging; from here on it belongs to this key
+    const context = getRequestContext();
+    context.apiKeyId = keyId;
+    res.once('close', () => {
+        Promise.allSettled(context.backgroundWork || [])
+            .then(() => settleUsage(keyId, reservation.day, ESTIMATED_REQUEST_COST, getRequestCost(context.upstreamCalls)))
+            .catch(error => logger.error('Error recording usage', { error, api_key_id: keyId }));
+    });
+
+    next();
+}
+
+module.exports = { enforceLimits };
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const { runWithRequestContext } = require('../utils/requestContext');
+const { metrics, elapsedSeconds } = require('../utils/metrics');
+const { logger } = require('../utils/logger');
+
+// Ids from a proxy or the caller are reused when they look like one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// The matched route pattern ("/api/watches/:watchId"), so metrics do not get a series per id
+function getRouteLabel(req) {
+    return req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+}
+
+function roundStages(stages) {
+    return Object.fromEntries(Object.entries(stages).map(([stage, ms]) => [stage, Math.round(ms)]));
+}
+
+/**
+ * Gives every request a correlation id, returned in X-Request-Id and attached to every log
+ * line written while handling it, and logs one summary line per request with its status,
+ * latency, time per pipeline stage and upstream calls.
+ */
+function requestLogging(req, res, next) {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const start = process.hrtime.bigint();
+    const context = { requestId, apiKeyId: null, upstreamCalls: {}, stages: {} };
+
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    // close also fires when the caller hangs up mid-stream, which finish does not
+    res.once('close', () => {
+        const seconds = elapsedSeconds(start);
+        const route = getRouteLabel(req);
+        metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        metrics.httpDuration.observe({ method: req.method, route }, seconds);
+
+        runWithRequestContext(context, () => logger.info('Request completed', {
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            route,
+            status: res.statusCode,
+            duration_ms: Math.round(seconds * 1000),
+            stages_ms: roundStages(context.stages),
+            upstream_calls: context.upstreamCalls,
+            ...(context.apiKeyId && { api_key_id: context.apiKeyId }),
+            ...(context.errorCode && { error_code: context.errorCode }),
+            ...(!res.writableFinished && { aborted: true })
+        }));
+    });
+
+    runWithRequestContext(context, next);
+}
+
+module.exports = { requestLogging };
@@ -0,0 +1,143 @@
+// Deterministic offline provider for tests and CI. It never calls the network and
+// answers each call site with simple keyword rules, so the same prompt always
+// produces the same text.
+
+const { findModesInText } = require('../../utils/travelModes');
+const { detectLanguage } = require('../../utils/languages');
+
+const CLOCK = '\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)?|noon|midnight';
+const DAY = 'today|tomorrow|tonight|(?:next\\s+)?(?:mon|tues|wednes|thurs|fri|satur|sun)day';
+const ARRIVAL_TIME = new RegExp(`\\b(?:by|before)\\s+((?:${CLOCK})(?:\\s+(?:on\\s+)?(?:${DAY}))?)`, 'i');
+const DEPARTURE_TIME = new RegExp(`\\b(?:at|leave at|leaving at)\\s+((?:${CLOCK})(?:\\s+(?:on\\s+)?(?:${DAY}))?)|\\b((?:${DAY})\\s+(?:at\\s+)?(?:${CLOCK}))|\\b(in\\s+(?:an?|\\d+)\\s*(?:minutes?|mins?|hours?|hrs?))\\b|\\b(${DAY})\\b`, 'i');
+
+function getQuery(prompt) {
+    const match = prompt.match(/Query: "([\s\S]*)"\s*$/);
+    return match ? match[1] : prompt;
+}
+
+function cleanPlace(place) {
+    return place
+        .replace(/\s+(by|via|using|with|on|in)\s+(an?\s+)?\S+.*$/i, tail => (findModesInText(tail).length > 0 ? '' : tail))
+        .replace(/\s+in (any|the best) order$/i, '')
+        .replace(/\s+(near me|nearby|around here)$/i, '')
+        .replace(new RegExp(`\\s+(?:at|by|before|in|on)?\\s*(?:${CLOCK}|${DAY}|an? hour|\\d+\\s*(?:minutes?|mins?|hours?))\\b.*$`, 'i'), '')
+        .replace(/[?.!]+$/, '')
+        .trim();
+}
+
+// "..., stopping at Maryland Mall and then Ojota" -> ['Maryland Mall', 'Ojota']
+function splitStops(place) {
+    const match = place.match(/^(.*?),?\s+(?:stopping at|stopping by|via|through)\s+(.+)$/i);
+    if (!match) return { place, stops: [] };
+
+    return {
+        place: match[1],
+        stops: match[2].split(/\s*,\s*(?:and\s+)?(?:then\s+)?|\s+and then\s+|\s+then\s+|\s+and\s+/i).map(cleanPlace).filter(Boolean)
+    };
+}
+
+function extractTime(text) {
+    const arriving = /\b(arriv\w*|reach\w*|get there|be there|be at)\b/i.test(text) && text.match(ARRIVAL_TIME);
+    if (arriving) {
+        return { time_type: 'arrival', time_expression: arriving[1] };
+    }
+
+    const leaving = text.match(DEPARTURE_TIME);
+    if (leaving) {
+        return { time_type: 'departure', time_expression: leaving.slice(1).find(Boolean) };
+    }
+
+    return { time_type: null, time_expression: null };
+}
+
+function extract(query) {
+    const text = query.trim();
+    let origin = null;
+    let destination = null;
+
+    const leaveFor = text.match(/\bleav(?:e|ing)\s+(.+?)\s+(?:to|for)\s+(?:reach|get to|arrive at|be at)?\s*(.+)$/i);
+    const fromTo = text.match(/from\s+(.+?)\s+to\s+(.+)$/i);
+    const toFrom = text.match(/(?:to|reach)\s+(.+?)\s+from\s+(.+)$/i);
+    // "Lekki to VI", but not "and if I need to arrive by 9"
+    const bareTo = !/\b(i|if|need|want|what|how|when|should|and|take|me|get|go|directions)\b/i.test(text.split(/\s+to\s+/i)[0]) &&
+        text.match(/^(.+?)\s+to\s+(.+)$/i);
+    // "how do I get to Yaba?" names no origin at all
+    const onlyTo = text.match(/\b(?:get|go|drive|ride|walk|head|take me|directions|route)\s+to\s+(.+)$/i);
+
+    if (leaveFor) {
+        [origin, destination] = [leaveFor[1], leaveFor[2]];
+    } else if (fromTo) {
+        [origin, destination] = [fromTo[1], fromTo[2]];
+    } else if (toFrom) {
+        [destination, origin] = [toFrom[1], toFrom[2]];
+    } else if (bareTo) {
+        [origin, destination] = [bareTo[1], bareTo[2]];
+    } else if (onlyTo) {
+        destination = onlyTo[1];
+    }
+
+    let waypoints = [];
+    if (destination) {
+        ({ place: destination, stops: waypoints } = splitStops(destination));
+    }
+
+    const lower = text.toLowerCase();
+    const modes = findModesInText(lower);
+
+    return JSON.stringify({
+        origin: origin && cleanPlace(origin),
+        destination: destination && cleanPlace(destination),
+        waypoints,
+        optimize_waypoints: /any order|best order/.test(lower),
+        mode: modes[0] || null,
+        modes,
+        ...extractTime(text),
+        language: detectLanguage(text)
+    });
+}
+
+function classify(query) {
+    const lower = query.toLowerCase();
+
+    if (/when should i (leave|go|set out)|best time|what time should/.test(lower)) return 'departure_planning';
+    if (findModesInText(lower).length > 1 || /best way to (get|go|travel)|cheapest way|compare/.test(lower)) return 'mode_comparison';
+    if (/how much (will|does|is|would|for)|\b(cost|fare|price|toll)s?\b/.test(lower)) return 'cost_check';
+    if (/traffic|congest|go-slow|hold ?up/.test(lower)) return 'traffic_check';
+    if (/how long|how much time|duration|eta\b/.test(lower)) return 'duration_check';
+    if (/avoid|closed|closure|road condition|construction/.test(lower)) return 'route_status';
+    return 'directions';
+}
+
+function summarise(callSite, prompt) {
+    const body = prompt.replace(/\s+/g, ' ').trim();
+    return `[${callSite}] ${body}`;
+}
+
+// Words with their trailing whitespace, so joined tokens reproduce the text exactly
+function splitIntoTokens(text) {
+    return text.match(/\S+\s*|\s+/g) || [];
+}
+
+function createFakeProvider() {
+    return {
+        name: 'fake',
+
+        async generate(prompt, settings) {
+            switch (settings.callSite) {
+                case 'extract':
+                    return extract(getQuery(prompt));
+                case 'classify':
+                    return classify(getQuery(prompt));
+                default:
+                    return summarise(settings.callSite, prompt);
+            }
+        },
+
+        async *stream(prompt, settings, options) {
+            const text = await this.generate(prompt, settings, options);
+            yield* splitIntoTokens(text);
+        }
+    };
+}
+
+module.exports = { createFakeProvider, splitIntoTokens };
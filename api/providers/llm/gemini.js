@@ -0,0 +1,52 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { UpstreamError } = require('../../utils/errors');
+
+// The SDK reports a failed request as "Error fetching from <url>: <reason>", where the reason
+// starts with "[<status> <text>]" when the API answered. Other errors, such as a blocked
+// answer, come from reading the response.
+function fromSdkError(error) {
+    if (!/^Error fetching from/.test(error.message)) return error;
+
+    const status = error.message.match(/: \[(\d{3}) /);
+    return new UpstreamError(error.message, status ? Number(status[1]) : null);
+}
+
+function createGeminiProvider() {
+    if (!process.env.GEMINI_API_KEY) {
+        throw new Error('GEMINI_API_KEY is required for the gemini LLM provider');
+    }
+
+    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+
+    function getModel(settings) {
+        return genAI.getGenerativeModel({
+            model: settings.model,
+            generationConfig: {
+                temperature: settings.temperature,
+                topP: settings.topP,
+                topK: settings.topK
+            }
+        }, { timeout: settings.timeoutMs });
+    }
+
+    // This SDK version takes a timeout but no abort signal, so a call that lost to the caller's
+    // timeout runs on in the background; a stream stops at its next chunk
+    return {
+        name: 'gemini',
+
+        async generate(prompt, settings) {
+            const result = await getModel(settings).generateContent(prompt).catch(error => { throw fromSdkError(error); });
+            return result.response.text();
+        },
+
+        async *stream(prompt, settings, { signal } = {}) {
+            const result = await getModel(settings).generateContentStream(prompt).catch(error => { throw fromSdkError(error); });
+            for await (const chunk of result.stream) {
+                signal?.throwIfAborted();
+                yield chunk.text();
+            }
+        }
+    };
+}
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,76 @@
+const { getProviderName, getCallSiteSettings } = require('../../config/llm');
+const { recordUpstreamCall } = require('../../utils/requestContext');
+const { callUpstream } = require('../../utils/resilience');
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAIProvider } = require('./openai');
+const { createOllamaProvider } = require('./ollama');
+const { createFakeProvider } = require('./fake');
+
+const factories = {
+    gemini: createGeminiProvider,
+    openai: createOpenAIProvider,
+    ollama: createOllamaProvider,
+    fake: createFakeProvider
+};
+
+let provider = null;
+
+function getLLMProvider() {
+    const name = getProviderName();
+    if (provider && provider.name === name) {
+        return provider;
+    }
+
+    const factory = factories[name];
+    if (!factory) {
+        throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(factories).join(', ')}`);
+    }
+
+    provider = factory();
+    return provider;
+}
+
+// A stream whose attempt timed out stops here, so its late tokens never reach the caller
+async function collectStream(llm, prompt, settings, onToken, signal) {
+    if (!llm.stream) {
+        const text = await llm.generate(prompt, settings, { signal });
+        signal.throwIfAborted();
+        onToken(text);
+        return text;
+    }
+
+    let text = '';
+    for await (const token of llm.stream(prompt, settings, { signal })) {
+        signal.throwIfAborted();
+        text += token;
+        onToken(token);
+    }
+    return text;
+}
+
+// Generates text for a named call site using that site's configured model, temperature and timeout,
+// retried under the llm policy in config/upstreams.js. When onToken is given the completion is
+// streamed and each chunk is passed to it as it arrives; a stream is not retried once it has started.
+async function generateText(callSite, prompt, { onToken } = {}) {
+    const settings = getCallSiteSettings(callSite);
+    const llm = getLLMProvider();
+    recordUpstreamCall('llm');
+
+    let streamed = false;
+    const forward = token => {
+        streamed = true;
+        onToken(token);
+    };
+
+    const text = await callUpstream(
+        { upstream: 'llm', provider: llm.name, operation: callSite, timeoutMs: settings.timeoutMs },
+        signal => (onToken ? collectStream(llm, prompt, settings, forward, signal) : llm.generate(prompt, settings, { signal })),
+        { canRetry: () => !streamed }
+    );
+    return text.trim();
+}
+
+module.exports = {
+    getLLMProvider,
+    generateText
+};
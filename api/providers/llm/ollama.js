@@ -0,0 +1,60 @@
+const { UpstreamError } = require('../../utils/errors');
+const { timeoutSignal } = require('../../utils/resilience');
+
+// Local Ollama-style server exposing POST /api/generate
+function createOllamaProvider() {
+    const baseUrl = (process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/$/, '');
+
+    async function request(prompt, settings, stream, signal) {
+        const response = await fetch(`${baseUrl}/api/generate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                model: settings.model,
+                prompt,
+                stream,
+                options: {
+                    temperature: settings.temperature,
+                    top_p: settings.topP,
+                    top_k: settings.topK
+                }
+            }),
+            signal: timeoutSignal(settings.timeoutMs, signal)
+        });
+
+        if (!response.ok) {
+            throw new UpstreamError(`Ollama server returned ${response.status}`, response.status);
+        }
+        return response;
+    }
+
+    return {
+        name: 'ollama',
+
+        async generate(prompt, settings, { signal } = {}) {
+            const response = await request(prompt, settings, false, signal);
+            const data = await response.json();
+            return data.response || '';
+        },
+
+        // Streamed responses are newline-delimited JSON objects
+        async *stream(prompt, settings, { signal } = {}) {
+            const response = await request(prompt, settings, true, signal);
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            for await (const bytes of response.body) {
+                buffer += decoder.decode(bytes, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines.filter(Boolean)) {
+                    const token = JSON.parse(line).response;
+                    if (token) yield token;
+                }
+            }
+        }
+    };
+}
+
+module.exports = { createOllamaProvider };
@@ -0,0 +1,64 @@
+const { UpstreamError } = require('../../utils/errors');
+const { timeoutSignal } = require('../../utils/resilience');
+
+// Works with any OpenAI-compatible chat completions endpoint (OpenAI, Azure proxies, vLLM, LM Studio...)
+function createOpenAIProvider() {
+    const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+    const apiKey = process.env.OPENAI_API_KEY;
+
+    async function complete(prompt, settings, stream, signal) {
+        const response = await fetch(`${baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+            },
+            body: JSON.stringify({
+                model: settings.model,
+                messages: [{ role: 'user', content: prompt }],
+                temperature: settings.temperature,
+                top_p: settings.topP,
+                stream
+            }),
+            signal: timeoutSignal(settings.timeoutMs, signal)
+        });
+
+        if (!response.ok) {
+            throw new UpstreamError(`OpenAI-compatible endpoint returned ${response.status}`, response.status);
+        }
+        return response;
+    }
+
+    return {
+        name: 'openai',
+
+        async generate(prompt, settings, { signal } = {}) {
+            const response = await complete(prompt, settings, false, signal);
+            const data = await response.json();
+            return data.choices?.[0]?.message?.content || '';
+        },
+
+        // Parses the server-sent "data: {...}" chunks of a streamed completion
+        async *stream(prompt, settings, { signal } = {}) {
+            const response = await complete(prompt, settings, true, signal);
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            for await (const bytes of response.body) {
+                buffer += decoder.decode(bytes, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    const payload = line.replace(/^data:\s*/, '').trim();
+                    if (!line.startsWith('data:') || !payload || payload === '[DONE]') continue;
+
+                    const token = JSON.parse(payload).choices?.[0]?.delta?.content;
+                    if (token) yield token;
+                }
+            }
+        }
+    };
+}
+
+module.exports = { createOpenAIProvider };
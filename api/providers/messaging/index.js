@@ -0,0 +1,60 @@
+const { buildWhatsAppMessages, createWhatsAppMessenger } = require('./whatsapp');
+const { buildTelegramMessages, createTelegramMessenger } = require('./telegram');
+const { createMockMessenger, getOutbox, clearOutbox } = require('./mock');
+const { paginate } = require('../../services/channelText');
+
+// Each platform turns a chat reply into its own message bodies and sends them.
+// MESSAGING_SENDER=live sends through the platform APIs; "mock" keeps them in an outbox.
+const platforms = {
+    whatsapp: { build: buildWhatsAppMessages, create: createWhatsAppMessenger },
+    telegram: { build: buildTelegramMessages, create: createTelegramMessenger }
+};
+
+const senders = ['live', 'mock'];
+const messengers = new Map();
+
+function getSenderName() {
+    const name = (process.env.MESSAGING_SENDER || 'mock').toLowerCase();
+    if (!senders.includes(name)) {
+        throw new Error(`Unknown MESSAGING_SENDER "${name}". Expected one of: ${senders.join(', ')}`);
+    }
+    return name;
+}
+
+function getMessenger(platform) {
+    const sender = getSenderName();
+    const key = `${sender}:${platform}`;
+    if (!messengers.has(key)) {
+        messengers.set(key, sender === 'mock' ? createMockMessenger(platform) : platforms[platform].create());
+    }
+    return messengers.get(key);
+}
+
+function splitText(text, maxChars) {
+    return paginate(text, { maxChars });
+}
+
+/**
+ * Sends a chat reply ({ text, options?, optionsLabel?, requestLocation?, locationLabel? })
+ * to one chat in the platform's message format, one message after another.
+ */
+async function sendChatReply(platform, chatId, reply) {
+    if (!platforms[platform]) {
+        throw new Error(`Unknown messaging platform "${platform}"`);
+    }
+
+    const messenger = getMessenger(platform);
+    const results = [];
+    for (const message of platforms[platform].build(reply, { splitText })) {
+        results.push(await messenger.send(chatId, message));
+    }
+    return results;
+}
+
+module.exports = {
+    MESSAGING_PLATFORMS: Object.keys(platforms),
+    getSenderName,
+    sendChatReply,
+    getOutbox,
+    clearOutbox
+};
@@ -0,0 +1,31 @@
+// Keeps outgoing chat messages in memory instead of sending them, so webhooks can be tried
+// locally and the exact platform payloads inspected
+const MAX_OUTBOX = 200;
+const outbox = [];
+let sent = 0;
+
+function createMockMessenger(platform) {
+    return {
+        name: 'mock',
+
+        async send(chatId, message) {
+            sent += 1;
+            const id = `mock-${sent}`;
+            outbox.push({ id, platform, chat_id: String(chatId), message, sent_at: new Date().toISOString() });
+            if (outbox.length > MAX_OUTBOX) outbox.shift();
+            return { id };
+        }
+    };
+}
+
+// Oldest first, optionally only one platform's or one chat's messages
+function getOutbox({ platform, chatId } = {}) {
+    return outbox.filter(entry => (!platform || entry.platform === platform) &&
+        (!chatId || entry.chat_id === String(chatId)));
+}
+
+function clearOutbox() {
+    outbox.length = 0;
+}
+
+module.exports = { createMockMessenger, getOutbox, clearOutbox };
@@ -0,0 +1,63 @@
+// Telegram Bot API, sending as the bot in TELEGRAM_BOT_TOKEN
+const MAX_TEXT_CHARS = 4096;
+
+// Sent without parse_mode, so markdown would show as literal characters
+function toTelegramText(text) {
+    return text
+        .replace(/\*\*(.+?)\*\*/g, '$1')
+        .replace(/^\s*#+\s*/gm, '');
+}
+
+/**
+ * Turns a chat reply ({ text, options, requestLocation, locationLabel }) into sendMessage
+ * bodies. Options become a one-time keyboard whose buttons send "1. Ikeja GRA" back, and
+ * asking for a location adds a button that shares it.
+ */
+function buildTelegramMessages(reply, { splitText }) {
+    const pieces = splitText(toTelegramText(reply.text), MAX_TEXT_CHARS);
+    let keyboard = null;
+
+    if (reply.options?.length) {
+        keyboard = reply.options.map((label, index) => [{ text: `${index + 1}. ${label}` }]);
+    } else if (reply.requestLocation) {
+        keyboard = [[{ text: reply.locationLabel, request_location: true }]];
+    }
+
+    const replyMarkup = keyboard
+        ? { keyboard, one_time_keyboard: true, resize_keyboard: true }
+        : { remove_keyboard: true };
+
+    // Only the last piece carries the keyboard, so it sits under the whole answer
+    return pieces.map((text, index) => ({
+        text,
+        ...(index === pieces.length - 1 && { reply_markup: replyMarkup })
+    }));
+}
+
+function createTelegramMessenger() {
+    const token = process.env.TELEGRAM_BOT_TOKEN;
+    if (!token) {
+        throw new Error('TELEGRAM_BOT_TOKEN is required to send Telegram messages');
+    }
+
+    return {
+        name: 'telegram',
+
+        async send(chatId, message) {
+            const response = await fetch(`https://api.telegram.org/bot${token}/sendMessage`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ chat_id: chatId, ...message }),
+                signal: AbortSignal.timeout(10000)
+            });
+
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok || !data.ok) {
+                throw new Error(`Telegram returned ${response.status}: ${data.description || 'no details'}`);
+            }
+            return { id: data.result?.message_id };
+        }
+    };
+}
+
+module.exports = { buildTelegramMessages, createTelegramMessenger };
@@ -0,0 +1,91 @@
+// WhatsApp Cloud API. Messages go to the recipient's wa_id from the business number in
+// WHATSAPP_PHONE_NUMBER_ID.
+const MAX_TEXT_CHARS = 4096;
+const MAX_LIST_ROWS = 10;
+
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+// WhatsApp bold is *single asterisks*; headings have no equivalent
+function toWhatsAppText(text) {
+    return text
+        .replace(/\*\*(.+?)\*\*/g, '*$1*')
+        .replace(/^\s*#+\s*(.+)$/gm, '*$1*');
+}
+
+/**
+ * Turns a chat reply ({ text, options, optionsLabel, requestLocation, locationLabel }) into
+ * Cloud API message bodies. Options become a list the user taps; asking for a location
+ * shows the "Send location" button.
+ */
+function buildWhatsAppMessages(reply, { splitText }) {
+    const text = toWhatsAppText(reply.text);
+
+    if (reply.options?.length && reply.options.length <= MAX_LIST_ROWS && text.length <= 1024) {
+        return [{
+            type: 'interactive',
+            interactive: {
+                type: 'list',
+                body: { text },
+                action: {
+                    button: truncate(reply.optionsLabel, 20),
+                    sections: [{
+                        rows: reply.options.map((label, index) => ({
+                            id: String(index + 1),
+                            title: truncate(label, 24),
+                            description: truncate(label, 72)
+                        }))
+                    }]
+                }
+            }
+        }];
+    }
+
+    if (reply.requestLocation && text.length <= 1024) {
+        return [{
+            type: 'interactive',
+            interactive: {
+                type: 'location_request_message',
+                body: { text },
+                action: { name: 'send_location' }
+            }
+        }];
+    }
+
+    return splitText(text, MAX_TEXT_CHARS).map(body => ({ type: 'text', text: { body, preview_url: false } }));
+}
+
+function createWhatsAppMessenger() {
+    const accessToken = process.env.WHATSAPP_ACCESS_TOKEN;
+    const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+    const version = process.env.WHATSAPP_API_VERSION || 'v20.0';
+
+    if (!accessToken || !phoneNumberId) {
+        throw new Error('WHATSAPP_ACCESS_TOKEN and WHATSAPP_PHONE_NUMBER_ID are required to send WhatsApp messages');
+    }
+
+    return {
+        name: 'whatsapp',
+
+        async send(to, message) {
+            const response = await fetch(`https://graph.facebook.com/${version}/${phoneNumberId}/messages`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ messaging_product: 'whatsapp', recipient_type: 'individual', to, ...message }),
+                signal: AbortSignal.timeout(10000)
+            });
+
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(`WhatsApp returned ${response.status}: ${data.error?.message || 'no details'}`);
+            }
+            return { id: data.messages?.[0]?.id };
+        }
+    };
+}
+
+module.exports = { buildWhatsAppMessages, createWhatsAppMessenger };
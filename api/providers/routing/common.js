@@ -0,0 +1,45 @@
+const { ApiError } = require('../../utils/errors');
+
+const LAT_LNG_PATTERN = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+// What a route can be asked to stay off; each backend maps these to its own options
+const ROUTE_AVOIDANCES = ['tolls', 'highways', 'ferries'];
+
+// Accepts "6.45,3.39", { lat, lng } or anything else (returns null)
+function parseLatLng(location) {
+    if (location && typeof location === 'object' && Number.isFinite(location.lat) && Number.isFinite(location.lng)) {
+        return { lat: location.lat, lng: location.lng };
+    }
+
+    const match = typeof location === 'string' && location.match(LAT_LNG_PATTERN);
+    return match ? { lat: Number(match[1]), lng: Number(match[2]) } : null;
+}
+
+function stripHtml(html) {
+    return (html || '')
+        .replace(/<div[^>]*>/g, '. ')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Resolves free-text locations to coordinates for backends that only route between points
+async function resolveCoordinates(location, geocode) {
+    const coords = parseLatLng(location);
+    if (coords) return coords;
+
+    const [best] = await geocode(location);
+    if (!best) {
+        throw new ApiError(404, 'LOCATION_NOT_FOUND', `Could not find location: ${location}`);
+    }
+    return best.location;
+}
+
+module.exports = {
+    ROUTE_AVOIDANCES,
+    parseLatLng,
+    stripHtml,
+    resolveCoordinates
+};
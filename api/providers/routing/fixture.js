@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const { ApiError } = require('../../utils/errors');
+const { distanceValue, durationValue } = require('../../utils/units');
+const { encodePolyline } = require('../../utils/polyline');
+const { haversineDistance } = require('../../utils/geo');
+const { parseLatLng } = require('./common');
+
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, '../../fixtures/routes.json');
+
+// Used when no recorded route matches but both ends are known places
+const SYNTHETIC_DETOUR_FACTOR = 1.3;
+const SYNTHETIC_SPEED_KMH = { car: 30, bike: 35, bus: 20, train: 40, walk: 5 };
+
+function normalise(text) {
+    return String(text).toLowerCase();
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function containsWord(text, word) {
+    return new RegExp(`\\b${escapeRegExp(normalise(word))}\\b`).test(normalise(text));
+}
+
+// Offline backend that serves recorded routes from a JSON file (ROUTING_FIXTURES_PATH)
+function createFixtureRoutingProvider() {
+    const fixturesPath = process.env.ROUTING_FIXTURES_PATH || DEFAULT_FIXTURES_PATH;
+    const fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+    const places = fixtures.places || [];
+
+    // Places whose matching alias is longest; several when the address is ambiguous ("GRA")
+    function findPlaces(address) {
+        const scored = places
+            .map(place => ({
+                place,
+                score: Math.max(0, ...place.aliases.filter(alias => containsWord(address, alias)).map(alias => alias.length))
+            }))
+            .filter(({ score }) => score > 0);
+        const best = Math.max(0, ...scored.map(({ score }) => score));
+
+        return scored.filter(({ score }) => score === best).map(({ place }) => place);
+    }
+
+    function resolvePoint(location) {
+        const coords = parseLatLng(location);
+        if (coords) {
+            return { label: `${coords.lat},${coords.lng}`, location: coords };
+        }
+
+        const [place] = findPlaces(location);
+        if (!place) {
+            throw new ApiError(404, 'LOCATION_NOT_FOUND', `Could not find location: ${location}`);
+        }
+        return place;
+    }
+
+    function matchesRecording(recording, origin, destination, waypoints, mode) {
+        const recordedStops = recording.waypoints || [];
+
+        return containsWord(origin, recording.origin) &&
+            containsWord(destination, recording.destination) &&
+            recordedStops.length === waypoints.length &&
+            recordedStops.every((stop, index) => containsWord(waypoints[index], stop)) &&
+            (!recording.mode || recording.mode === mode);
+    }
+
+    // Greedy nearest-neighbour ordering, good enough for a handful of stops
+    function orderStops(start, stops) {
+        const remaining = stops.map((stop, index) => ({ stop, index }));
+        const order = [];
+        let current = start;
+
+        while (remaining.length > 0) {
+            remaining.sort((a, b) => haversineDistance(current.location, a.stop.location) - haversineDistance(current.location, b.stop.location));
+            const next = remaining.shift();
+            order.push(next.index);
+            current = next.stop;
+        }
+        return order;
+    }
+
+    function synthesiseLeg(from, to, mode) {
+        const meters = haversineDistance(from.location, to.location) * SYNTHETIC_DETOUR_FACTOR;
+        const speed = SYNTHETIC_SPEED_KMH[mode] || SYNTHETIC_SPEED_KMH.car;
+        const seconds = (meters / 1000) / speed * 3600;
+
+        return {
+            start_address: from.label,
+            end_address: to.label,
+            start_location: from.location,
+            end_location: to.location,
+            distance: distanceValue(meters),
+            duration: durationValue(seconds),
+            steps: [{
+                instructions: `Head to ${to.label}`,
+                distance: distanceValue(meters),
+                duration: durationValue(seconds),
+                start_location: from.location,
+                end_location: to.location,
+                polyline: encodePolyline([from.location, to.location])
+            }]
+        };
+    }
+
+    function synthesiseRoute(points, mode, waypointOrder) {
+        const legs = points.slice(1).map((to, index) => synthesiseLeg(points[index], to, mode));
+
+        return {
+            summary: points.map(point => point.label.split(',')[0]).join(' - '),
+            polyline: encodePolyline(points.map(point => point.location)),
+            warnings: ['Synthetic fixture route: straight-line estimate'],
+            waypoint_order: waypointOrder,
+            legs
+        };
+    }
+
+    return {
+        name: 'fixture',
+
+        async getRoutes({ origin, destination, waypoints = [], optimizeWaypoints = false, mode }) {
+            const recording = (fixtures.routes || []).find(entry => matchesRecording(entry, origin, destination, waypoints, mode));
+            if (recording) {
+                return { routes: recording.routes.map(route => ({ waypoint_order: [], ...route })) };
+            }
+
+            const from = resolvePoint(origin);
+            const to = resolvePoint(destination);
+            const stops = waypoints.map(resolvePoint);
+            const waypointOrder = optimizeWaypoints
+                ? orderStops(from, stops)
+                : stops.map((_, index) => index);
+
+            const points = [from, ...waypointOrder.map(index => stops[index]), to];
+            return { routes: [synthesiseRoute(points, mode, waypointOrder)] };
+        },
+
+        async geocode(address) {
+            return findPlaces(address).map(place => ({
+                id: place.id,
+                label: place.label,
+                location: place.location,
+                types: place.types || ['locality'],
+                partial_match: false
+            }));
+        }
+    };
+}
+
+module.exports = { createFixtureRoutingProvider };
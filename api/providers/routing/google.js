@@ -0,0 +1,144 @@
+const { Client } = require('@googlemaps/google-maps-services-js');
+const { ApiError } = require('../../utils/errors');
+const { stripHtml } = require('./common');
+const { boundsAround } = require('../../utils/geo');
+const { getUpstreamPolicy } = require('../../config/upstreams');
+
+const GEOCODE_BIAS_METERS = 20000;
+
+// A refused key or a used-up quota is not the backend failing, and asking again would get the
+// same answer, so these are not retried or counted by the circuit breaker
+function refusalError(status) {
+    if (status === 'REQUEST_DENIED' || status === 'OVER_DAILY_LIMIT') {
+        return new ApiError(403, 'ROUTING_ACCESS_DENIED', `The routing service refused the request: ${status}`);
+    }
+    if (status === 'OVER_QUERY_LIMIT') {
+        return new ApiError(429, 'ROUTING_QUOTA_EXCEEDED', 'The routing service quota is used up; try again later');
+    }
+    return null;
+}
+
+function createGoogleRoutingProvider() {
+    const mapsClient = new Client({});
+    const key = process.env.GOOGLE_MAPS_API_KEY;
+
+    function normaliseStep(step) {
+        return {
+            instructions: stripHtml(step.html_instructions),
+            distance: step.distance,
+            duration: step.duration,
+            maneuver: step.maneuver,
+            start_location: step.start_location,
+            end_location: step.end_location,
+            polyline: step.polyline?.points,
+            travel_mode: step.travel_mode,
+            transit: step.transit_details && {
+                line: step.transit_details.line?.short_name || step.transit_details.line?.name,
+                vehicle: step.transit_details.line?.vehicle?.type,
+                departure_stop: step.transit_details.departure_stop?.name,
+                arrival_stop: step.transit_details.arrival_stop?.name,
+                num_stops: step.transit_details.num_stops
+            }
+        };
+    }
+
+    function normaliseRoute(route) {
+        return {
+            summary: route.summary,
+            polyline: route.overview_polyline?.points,
+            warnings: route.warnings || [],
+            waypoint_order: route.waypoint_order || [],
+            legs: route.legs.map(leg => ({
+                start_address: leg.start_address,
+                end_address: leg.end_address,
+                start_location: leg.start_location,
+                end_location: leg.end_location,
+                distance: leg.distance,
+                duration: leg.duration,
+                duration_in_traffic: leg.duration_in_traffic,
+                steps: leg.steps.map(normaliseStep)
+            }))
+        };
+    }
+
+    return {
+        name: 'google',
+
+        // Traffic durations depend on the departure time
+        timeDependent: true,
+
+        // Google only accepts arrival_time for transit requests
+        supportsArrivalTime({ modeConfig }) {
+            return modeConfig?.mode === 'TRANSIT';
+        },
+
+        async getRoutes({
+            origin,
+            destination,
+            waypoints = [],
+            optimizeWaypoints = false,
+            modeConfig,
+            departureTime,
+            arrivalTime,
+            alternatives = true,
+            avoid = []
+        }, { signal } = {}) {
+            const params = {
+                origin,
+                destination,
+                key,
+                ...modeConfig,
+                ...(waypoints.length > 0 && { waypoints, optimize: optimizeWaypoints }),
+                ...(arrivalTime
+                    ? { arrival_time: Math.floor(arrivalTime.getTime() / 1000) }
+                    : {
+                        departure_time: departureTime ? Math.floor(departureTime.getTime() / 1000) : 'now',
+                        traffic_model: 'best_guess'
+                    }),
+                alternatives,
+                ...(avoid.length > 0 && { avoid: avoid.join('|') })
+            };
+
+            const response = await mapsClient.directions({ params, timeout: getUpstreamPolicy('routing').timeoutMs, signal });
+            const status = response.data?.status;
+
+            if (status === 'NOT_FOUND') {
+                throw new ApiError(404, 'LOCATION_NOT_FOUND', 'Origin or destination could not be found');
+            }
+            if (status === 'ZERO_RESULTS') {
+                throw new ApiError(404, 'ROUTE_NOT_FOUND', 'No route found between these locations');
+            }
+            const refused = refusalError(status);
+            if (refused) throw refused;
+            if (status !== 'OK') {
+                throw new ApiError(502, 'ROUTING_UPSTREAM_ERROR', `Invalid response: ${status}`);
+            }
+
+            return { routes: response.data.routes.map(normaliseRoute) };
+        },
+
+        // `near` biases results toward the user without excluding places further away
+        async geocode(address, { near, signal } = {}) {
+            const params = { address, key, ...(near && { bounds: boundsAround(near, GEOCODE_BIAS_METERS) }) };
+            const response = await mapsClient.geocode({ params, timeout: getUpstreamPolicy('geocode').timeoutMs, signal });
+            const status = response.data?.status;
+
+            // A denied key or exceeded quota also comes back without results, and must not read as "no such place"
+            const refused = refusalError(status);
+            if (refused) throw refused;
+            if (status !== 'OK' && status !== 'ZERO_RESULTS') {
+                throw new ApiError(502, 'ROUTING_UPSTREAM_ERROR', `Invalid geocoding response: ${status}`);
+            }
+
+            return (response.data.results || []).map(result => ({
+                id: result.place_id,
+                label: result.formatted_address,
+                location: result.geometry.location,
+                types: result.types,
+                partial_match: Boolean(result.partial_match)
+            }));
+        }
+    };
+}
+
+module.exports = { createGoogleRoutingProvider };
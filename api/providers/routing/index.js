@@ -0,0 +1,100 @@
+const { createGoogleRoutingProvider } = require('./google');
+const { createOsrmRoutingProvider } = require('./osrm');
+const { createOpenRouteServiceProvider } = require('./openrouteservice');
+const { createFixtureRoutingProvider } = require('./fixture');
+const { withTravelModes } = require('./modes');
+const { recordUpstreamCall } = require('../../utils/requestContext');
+const { callUpstream } = require('../../utils/resilience');
+const { getCacheLayer } = require('../../cache');
+const { normaliseText, digest, timeKey, tripKey } = require('../../cache/keys');
+
+// getRoutes({ origin, destination, waypoints, optimizeWaypoints, mode, modeConfig, departureTime,
+// arrivalTime, alternatives, avoid }) resolves to the same normalised shape on every backend. Backends
+// see `mode` as a routing profile (car, bus, train, walk) and `modeConfig` as Google parameters;
+// withTravelModes translates the travel modes in config/modes.json into those. avoid lists
+// ROUTE_AVOIDANCES the route should stay off where the backend supports it.
+// Backends set timeDependent when durations vary with departure time, and may implement
+// supportsArrivalTime(request) when they can route "arrive by" natively.
+// { routes: [{ summary, polyline, warnings, waypoint_order, legs: [{ start_address, end_address, start_location,
+//   end_location, distance, duration, duration_in_traffic?, steps: [{ instructions, distance,
+//   duration, maneuver, start_location, end_location, polyline }] }] }] }
+// geocode(address, { near }) resolves to [{ id, label, location, types, partial_match }],
+// preferring results around `near` ({ lat, lng }) when the backend supports a bias.
+// Both also take a `signal` (getRoutes as a second { signal } argument) that aborts the
+// backend's requests once callUpstream has given up on them.
+const factories = {
+    google: createGoogleRoutingProvider,
+    osrm: createOsrmRoutingProvider,
+    openrouteservice: createOpenRouteServiceProvider,
+    fixture: createFixtureRoutingProvider
+};
+
+let provider = null;
+
+// Counts each backend call against the current request's quota and makes it under the routing
+// or geocode policy in config/upstreams.js: timed out, retried and behind a circuit breaker
+function withUsageTracking(backend) {
+    const labels = (policy, operation) => ({ policy, upstream: 'routing', provider: backend.name, operation });
+
+    return {
+        ...backend,
+        async getRoutes(request) {
+            recordUpstreamCall('routing');
+            return callUpstream(labels('routing', 'routes'), signal => backend.getRoutes(request, { signal }));
+        },
+        ...(backend.geocode && {
+            async geocode(address, options) {
+                recordUpstreamCall('geocode');
+                return callUpstream(labels('geocode', 'geocode'), signal => backend.geocode(address, { ...options, signal }));
+            }
+        })
+    };
+}
+
+// Serves repeated route and geocode lookups from the cache; only misses reach the backend
+function withCaching(backend) {
+    return {
+        ...backend,
+        async getRoutes(request) {
+            const key = [
+                backend.name,
+                tripKey(request),
+                timeKey(request),
+                digest({ modeConfig: request.modeConfig, alternatives: request.alternatives, avoid: request.avoid })
+            ].join('|');
+            return getCacheLayer('directions').wrap(key, () => backend.getRoutes(request));
+        },
+        ...(backend.geocode && {
+            async geocode(address, options = {}) {
+                // ~1 km grid, so nearby callers share results
+                const near = options.near ? `${options.near.lat.toFixed(2)},${options.near.lng.toFixed(2)}` : '';
+                const key = `${backend.name}|${normaliseText(address)}|${near}`;
+                return getCacheLayer('geocode').wrap(key, () => backend.geocode(address, options));
+            }
+        })
+    };
+}
+
+function getRoutingProviderName() {
+    return (process.env.ROUTING_PROVIDER || 'google').toLowerCase();
+}
+
+function getRoutingProvider() {
+    const name = getRoutingProviderName();
+    if (provider && provider.name === name) {
+        return provider;
+    }
+
+    const factory = factories[name];
+    if (!factory) {
+        throw new Error(`Unknown ROUTING_PROVIDER "${name}". Expected one of: ${Object.keys(factories).join(', ')}`);
+    }
+
+    provider = withTravelModes(withCaching(withUsageTracking(factory())));
+    return provider;
+}
+
+module.exports = {
+    getRoutingProviderName,
+    getRoutingProvider
+};
@@ -0,0 +1,172 @@
+const { ApiError } = require('../../utils/errors');
+const { distanceValue, durationValue } = require('../../utils/units');
+const { decodePolyline, encodePolyline } = require('../../utils/polyline');
+const { haversineDistance } = require('../../utils/geo');
+const { getTravelMode, getFerryConfig, findRestrictions } = require('../../utils/travelModes');
+const { resolveCoordinates } = require('./common');
+
+// Access legs are skipped when the trip already starts or ends at the jetty
+const AT_TERMINAL_METERS = 300;
+
+// Backends only know a few road and transit profiles, so travel modes are routed as one of
+// those (see config/modes.json) and the result is adjusted for the mode afterwards
+function toBackendRequest(request, travelMode) {
+    return { ...request, mode: travelMode.routing.profile, modeConfig: travelMode.routing.google };
+}
+
+function adjustLeg(leg, { cruise_factor: cruise, traffic_factor: traffic }) {
+    const duration = leg.duration.value * cruise;
+    const delay = leg.duration_in_traffic
+        ? Math.max(0, leg.duration_in_traffic.value - leg.duration.value) * traffic
+        : null;
+
+    return {
+        ...leg,
+        duration: durationValue(duration),
+        ...(leg.duration_in_traffic && { duration_in_traffic: durationValue(duration + delay) }),
+        steps: leg.steps.map(step => ({ ...step, ...(step.duration && { duration: durationValue(step.duration.value * cruise) }) }))
+    };
+}
+
+function describeRestriction({ reason, areas, roads }) {
+    const places = [
+        ...areas,
+        ...roads.map(road => `on ${road}`)
+    ];
+    const list = places.length > 1 ? `${places.slice(0, -1).join(', ')} and ${places[places.length - 1]}` : places[0];
+    return `${reason}; this route passes through ${list}`;
+}
+
+// Road modes move at their own pace relative to a car; transit and ferry times are used as routed
+function applyTravelMode(route, travelMode) {
+    const { cruise_factor: cruise, traffic_factor: traffic } = travelMode.speed;
+    const legs = travelMode.routing.behaviour === 'road' && (cruise !== 1 || traffic !== 1)
+        ? route.legs.map(leg => adjustLeg(leg, travelMode.speed))
+        : route.legs;
+    const adjusted = { ...route, legs };
+    const restrictions = findRestrictions(travelMode.name, adjusted);
+
+    return {
+        ...adjusted,
+        warnings: [...(route.warnings || []), ...restrictions.map(describeRestriction)],
+        restrictions
+    };
+}
+
+function nearestTerminal(point, terminals) {
+    return terminals
+        .map(terminal => ({ ...terminal, meters: haversineDistance(point, terminal.location) }))
+        .sort((a, b) => a.meters - b.meters)[0];
+}
+
+async function routeToPoint(backend, request, from, to) {
+    const { routes } = await backend.getRoutes({ ...request, origin: from, destination: `${to.lat},${to.lng}`, waypoints: [] });
+    return routes[0];
+}
+
+/**
+ * Ferry trips are a road leg to the jetty nearest the origin, the crossing, and a road leg
+ * from the jetty nearest the destination, returned as one leg so stops stay aligned.
+ */
+async function routeByFerry(backend, request, travelMode) {
+    const { origin, destination, waypoints = [] } = request;
+    if (waypoints.length > 0) {
+        throw new ApiError(400, 'UNSUPPORTED_MODE', 'Ferry trips cannot include stops');
+    }
+
+    const ferry = getFerryConfig();
+    const geocode = address => backend.geocode(address);
+    const [from, to] = await Promise.all([resolveCoordinates(origin, geocode), resolveCoordinates(destination, geocode)]);
+    const departure = nearestTerminal(from, ferry.terminals);
+    const arrival = nearestTerminal(to, ferry.terminals);
+    const maxAccessMeters = ferry.max_access_km * 1000;
+
+    if (!departure || !arrival || departure.id === arrival.id ||
+        departure.meters > maxAccessMeters || arrival.meters > maxAccessMeters) {
+        throw new ApiError(404, 'ROUTE_NOT_FOUND', 'No ferry service connects these locations');
+    }
+
+    const access = toBackendRequest({ ...request, alternatives: false }, travelMode);
+    const [toJetty, fromJetty] = await Promise.all([
+        departure.meters > AT_TERMINAL_METERS ? routeToPoint(backend, access, origin, departure.location) : null,
+        arrival.meters > AT_TERMINAL_METERS ? routeToPoint(backend, access, `${arrival.location.lat},${arrival.location.lng}`, to) : null
+    ]);
+
+    const crossingMeters = haversineDistance(departure.location, arrival.location) * ferry.detour_factor;
+    const crossingSeconds = crossingMeters / 1000 / ferry.speed_kmh * 3600 + ferry.boarding_minutes * 60;
+    const crossing = {
+        instructions: `Take the ferry from ${departure.name} to ${arrival.name}`,
+        distance: distanceValue(crossingMeters),
+        duration: durationValue(crossingSeconds),
+        maneuver: 'ferry',
+        start_location: departure.location,
+        end_location: arrival.location,
+        polyline: encodePolyline([departure.location, arrival.location]),
+        transit: {
+            line: 'Ferry',
+            vehicle: 'FERRY',
+            departure_stop: departure.name,
+            arrival_stop: arrival.name,
+            num_stops: 1
+        }
+    };
+
+    const roadLegs = [toJetty, fromJetty].filter(Boolean).map(route => route.legs[0]);
+    const sum = field => roadLegs.reduce((total, leg) => total + (leg[field] || leg.duration).value, 0);
+    const hasTraffic = roadLegs.some(leg => leg.duration_in_traffic);
+
+    const leg = {
+        start_address: toJetty ? toJetty.legs[0].start_address : departure.name,
+        end_address: fromJetty ? fromJetty.legs[0].end_address : arrival.name,
+        start_location: from,
+        end_location: to,
+        distance: distanceValue(crossingMeters + roadLegs.reduce((total, road) => total + road.distance.value, 0)),
+        duration: durationValue(crossingSeconds + sum('duration')),
+        ...(hasTraffic && { duration_in_traffic: durationValue(crossingSeconds + sum('duration_in_traffic')) }),
+        steps: [...(toJetty ? toJetty.legs[0].steps : []), crossing, ...(fromJetty ? fromJetty.legs[0].steps : [])]
+    };
+
+    const points = [
+        ...(toJetty?.polyline ? decodePolyline(toJetty.polyline) : [from]),
+        departure.location,
+        arrival.location,
+        ...(fromJetty?.polyline ? decodePolyline(fromJetty.polyline) : [to])
+    ];
+
+    return {
+        routes: [{
+            summary: `${departure.name} - ${arrival.name}`,
+            polyline: encodePolyline(points),
+            warnings: [
+                ...[toJetty, fromJetty].filter(Boolean).flatMap(route => route.warnings || []),
+                'Ferry crossing times are estimates from typical boat speeds; check the next sailing'
+            ],
+            waypoint_order: [],
+            legs: [leg]
+        }]
+    };
+}
+
+// Lets every backend route the configured travel modes
+function withTravelModes(backend) {
+    return {
+        ...backend,
+
+        supportsArrivalTime(request) {
+            const travelMode = getTravelMode(request.mode);
+            return travelMode.routing.behaviour !== 'ferry' &&
+                Boolean(backend.supportsArrivalTime?.(toBackendRequest(request, travelMode)));
+        },
+
+        async getRoutes(request) {
+            const travelMode = getTravelMode(request.mode);
+            const result = travelMode.routing.behaviour === 'ferry'
+                ? await routeByFerry(backend, request, travelMode)
+                : await backend.getRoutes(toBackendRequest(request, travelMode));
+
+            return { ...result, routes: result.routes.map(route => applyTravelMode(route, travelMode)) };
+        }
+    };
+}
+
+module.exports = { withTravelModes };
@@ -0,0 +1,44 @@
+const { boundsAround } = require('../../utils/geo');
+const { getUpstreamPolicy } = require('../../config/upstreams');
+const { UpstreamError } = require('../../utils/errors');
+const { timeoutSignal } = require('../../utils/resilience');
+
+const GEOCODE_BIAS_METERS = 20000;
+
+// Nominatim-compatible geocoder for backends that have no geocoding of their own (OSRM)
+function createNominatimGeocoder() {
+    const baseUrl = (process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org').replace(/\/$/, '');
+    const countryCodes = process.env.GEOCODER_COUNTRY_CODES || '';
+
+    return async function geocode(address, { near, signal } = {}) {
+        const url = new URL(`${baseUrl}/search`);
+        url.searchParams.set('q', address);
+        url.searchParams.set('format', 'jsonv2');
+        url.searchParams.set('limit', '5');
+        if (countryCodes) url.searchParams.set('countrycodes', countryCodes);
+        if (near) {
+            // Without bounded=1 the viewbox only prefers nearby results
+            const { southwest, northeast } = boundsAround(near, GEOCODE_BIAS_METERS);
+            url.searchParams.set('viewbox', [southwest.lng, northeast.lat, northeast.lng, southwest.lat].join(','));
+        }
+
+        const response = await fetch(url, {
+            headers: { 'User-Agent': process.env.GEOCODER_USER_AGENT || 'RouteGPT/1.0' },
+            signal: timeoutSignal(getUpstreamPolicy('geocode').timeoutMs, signal)
+        });
+        if (!response.ok) {
+            throw new UpstreamError(`Geocoder returned ${response.status}`, response.status);
+        }
+
+        const results = await response.json();
+        return results.map(result => ({
+            id: String(result.place_id),
+            label: result.display_name,
+            location: { lat: Number(result.lat), lng: Number(result.lon) },
+            types: [result.type],
+            partial_match: false
+        }));
+    };
+}
+
+module.exports = { createNominatimGeocoder };
@@ -0,0 +1,163 @@
+const { ApiError, UpstreamError } = require('../../utils/errors');
+const { distanceValue, durationValue } = require('../../utils/units');
+const { decodePolyline, encodePolyline } = require('../../utils/polyline');
+const { resolveCoordinates } = require('./common');
+const { getUpstreamPolicy } = require('../../config/upstreams');
+const { timeoutSignal } = require('../../utils/resilience');
+
+// OpenRouteService has no public transit profile, so transit requests fall back to driving
+const PROFILES = {
+    car: 'driving-car',
+    bike: 'driving-car',
+    walk: 'foot-walking'
+};
+
+const AVOID_FEATURES = {
+    tolls: 'tollways',
+    highways: 'highways',
+    ferries: 'ferries'
+};
+
+// https://giscience.github.io/openrouteservice/api-reference/endpoints/directions/instruction-types
+const MANEUVERS = {
+    0: 'turn-left',
+    1: 'turn-right',
+    2: 'turn-sharp-left',
+    3: 'turn-sharp-right',
+    4: 'turn-slight-left',
+    5: 'turn-slight-right',
+    6: 'straight',
+    7: 'roundabout-right',
+    8: 'roundabout-right',
+    9: 'uturn-left',
+    12: 'keep-left',
+    13: 'keep-right'
+};
+
+function createOpenRouteServiceProvider() {
+    const baseUrl = (process.env.ORS_URL || 'https://api.openrouteservice.org').replace(/\/$/, '');
+    const apiKey = process.env.ORS_API_KEY;
+
+    async function request(path, { signal, ...options } = {}, timeoutMs = getUpstreamPolicy('routing').timeoutMs) {
+        const response = await fetch(`${baseUrl}${path}`, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey && { Authorization: apiKey }),
+                ...options.headers
+            },
+            signal: timeoutSignal(timeoutMs, signal)
+        });
+        const data = await response.json().catch(() => null);
+        return { response, data };
+    }
+
+    async function geocode(address, { near, signal } = {}) {
+        const params = new URLSearchParams({ text: address, size: '5' });
+        if (apiKey) params.set('api_key', apiKey);
+        if (process.env.GEOCODER_COUNTRY_CODES) params.set('boundary.country', process.env.GEOCODER_COUNTRY_CODES);
+        if (near) {
+            params.set('focus.point.lat', String(near.lat));
+            params.set('focus.point.lon', String(near.lng));
+        }
+
+        const { response, data } = await request(`/geocode/search?${params}`, { signal }, getUpstreamPolicy('geocode').timeoutMs);
+        if (!response.ok) {
+            throw new UpstreamError(`Geocoder returned ${response.status}`, response.status);
+        }
+
+        return (data.features || []).map(feature => ({
+            id: feature.properties.gid || feature.properties.id,
+            label: feature.properties.label,
+            location: { lat: feature.geometry.coordinates[1], lng: feature.geometry.coordinates[0] },
+            types: [feature.properties.layer],
+            partial_match: feature.properties.match_type !== 'exact'
+        }));
+    }
+
+    function normaliseRoute(route, points, waypoints) {
+        const path = decodePolyline(route.geometry);
+
+        return {
+            summary: route.segments
+                .flatMap(segment => segment.steps.map(step => step.name))
+                .filter(name => name && name !== '-')
+                .slice(0, 2)
+                .join(', '),
+            polyline: route.geometry,
+            warnings: (route.warnings || []).map(warning => warning.message),
+            waypoint_order: waypoints.map((_, index) => index),
+            legs: route.segments.map((segment, index) => ({
+                start_address: points[index].label,
+                end_address: points[index + 1].label,
+                start_location: points[index].location,
+                end_location: points[index + 1].location,
+                distance: distanceValue(segment.distance),
+                duration: durationValue(segment.duration),
+                steps: segment.steps.map(step => {
+                    const [from, to] = step.way_points;
+                    return {
+                        instructions: step.instruction,
+                        distance: distanceValue(step.distance),
+                        duration: durationValue(step.duration),
+                        maneuver: MANEUVERS[step.type],
+                        start_location: path[from],
+                        end_location: path[to],
+                        polyline: encodePolyline(path.slice(from, to + 1))
+                    };
+                })
+            }))
+        };
+    }
+
+    return {
+        name: 'openrouteservice',
+
+        async getRoutes({ origin, destination, waypoints = [], optimizeWaypoints = false, mode, alternatives = true, avoid = [] }, { signal } = {}) {
+            const locations = [origin, ...waypoints, destination];
+            const coordinates = await Promise.all(locations.map(location => resolveCoordinates(location, address => geocode(address, { signal }))));
+            const points = locations.map((location, index) => ({
+                label: typeof location === 'string' ? location : `${coordinates[index].lat},${coordinates[index].lng}`,
+                location: coordinates[index]
+            }));
+
+            const profile = PROFILES[mode] || 'driving-car';
+            // Walking profiles can only avoid ferries
+            const avoidFeatures = avoid
+                .filter(feature => profile.startsWith('driving') || feature === 'ferries')
+                .map(feature => AVOID_FEATURES[feature]);
+            const { response, data } = await request(`/v2/directions/${profile}`, {
+                method: 'POST',
+                signal,
+                body: JSON.stringify({
+                    coordinates: coordinates.map(({ lat, lng }) => [lng, lat]),
+                    instructions: true,
+                    ...(avoidFeatures.length > 0 && { options: { avoid_features: avoidFeatures } }),
+                    // Alternatives are only supported between two points
+                    ...(alternatives && waypoints.length === 0 && { alternative_routes: { target_count: 3 } })
+                })
+            });
+
+            // 2009/2010: route or point not found
+            if ([2009, 2010].includes(data?.error?.code)) {
+                throw new ApiError(404, 'ROUTE_NOT_FOUND', 'No route found between these locations');
+            }
+            if (!response.ok || !data?.routes) {
+                throw new ApiError(502, 'ROUTING_UPSTREAM_ERROR', `Invalid response: ${data?.error?.message || response.status}`);
+            }
+
+            const routes = data.routes.map(route => normaliseRoute(route, points, waypoints));
+            if (!PROFILES[mode]) {
+                routes.forEach(route => route.warnings.push(`${mode} routing is not available from OpenRouteService; showing a driving route`));
+            }
+            if (optimizeWaypoints && waypoints.length > 1) {
+                routes.forEach(route => route.warnings.push('Stop order optimisation is not available from OpenRouteService; stops are visited in the order given'));
+            }
+            return { routes };
+        },
+
+        geocode
+    };
+}
+
+module.exports = { createOpenRouteServiceProvider };
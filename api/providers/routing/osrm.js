@@ -0,0 +1,140 @@
+const { ApiError } = require('../../utils/errors');
+const { distanceValue, durationValue } = require('../../utils/units');
+const { decodePolyline } = require('../../utils/polyline');
+const { resolveCoordinates } = require('./common');
+const { createNominatimGeocoder } = require('./nominatim');
+const { getUpstreamPolicy } = require('../../config/upstreams');
+const { timeoutSignal } = require('../../utils/resilience');
+
+// OSRM only ships road profiles, so transit requests fall back to driving
+const PROFILES = {
+    car: 'driving',
+    bike: 'driving',
+    walk: 'foot'
+};
+
+const EXCLUDE_CLASSES = {
+    tolls: 'toll',
+    highways: 'motorway',
+    ferries: 'ferry'
+};
+
+function describeManeuver(step) {
+    const { type, modifier } = step.maneuver;
+    const road = step.name ? ` onto ${step.name}` : '';
+
+    switch (type) {
+        case 'depart':
+            return `Head ${modifier || 'out'}${step.name ? ` on ${step.name}` : ''}`;
+        case 'arrive':
+            return 'Arrive at your destination';
+        case 'roundabout':
+        case 'rotary':
+            return `At the roundabout, take exit ${step.maneuver.exit || 1}${road}`;
+        case 'merge':
+            return `Merge ${modifier || ''}${road}`.replace(/\s+/g, ' ');
+        case 'fork':
+            return `Keep ${modifier || 'straight'} at the fork${road}`;
+        default:
+            return modifier === 'straight' || !modifier
+                ? `Continue straight${road}`
+                : `Turn ${modifier}${road}`;
+    }
+}
+
+function toManeuver({ type, modifier }) {
+    if (type === 'roundabout' || type === 'rotary') return 'roundabout-right';
+    if (!modifier || modifier === 'straight') return type === 'depart' || type === 'arrive' ? undefined : 'straight';
+    if (type === 'fork' || type === 'merge') return `${type}-${modifier.replace(/^slight /, '')}`;
+    return `turn-${modifier.replace(/ /g, '-')}`;
+}
+
+function toLatLng([lng, lat]) {
+    return { lat, lng };
+}
+
+function createOsrmRoutingProvider() {
+    const baseUrl = (process.env.OSRM_URL || 'http://localhost:5000').replace(/\/$/, '');
+    const geocode = createNominatimGeocoder();
+
+    function normaliseRoute(route, points, waypointOrder) {
+        return {
+            summary: route.legs.map(leg => leg.summary).filter(Boolean).join(', '),
+            polyline: route.geometry,
+            warnings: [],
+            waypoint_order: waypointOrder,
+            legs: route.legs.map((leg, index) => ({
+                start_address: points[index].label,
+                end_address: points[index + 1].label,
+                start_location: points[index].location,
+                end_location: points[index + 1].location,
+                distance: distanceValue(leg.distance),
+                duration: durationValue(leg.duration),
+                steps: leg.steps.map(step => {
+                    const path = decodePolyline(step.geometry);
+                    return {
+                        instructions: describeManeuver(step),
+                        distance: distanceValue(step.distance),
+                        duration: durationValue(step.duration),
+                        maneuver: toManeuver(step.maneuver),
+                        start_location: toLatLng(step.maneuver.location),
+                        end_location: path[path.length - 1],
+                        polyline: step.geometry
+                    };
+                })
+            }))
+        };
+    }
+
+    return {
+        name: 'osrm',
+
+        async getRoutes({ origin, destination, waypoints = [], optimizeWaypoints = false, mode, alternatives = true, avoid = [] }, { signal } = {}) {
+            const locations = [origin, ...waypoints, destination];
+            const coordinates = await Promise.all(locations.map(location => resolveCoordinates(location, address => geocode(address, { signal }))));
+            let points = locations.map((location, index) => ({
+                label: typeof location === 'string' ? location : `${coordinates[index].lat},${coordinates[index].lng}`,
+                location: coordinates[index]
+            }));
+
+            const profile = PROFILES[mode] || 'driving';
+            const path = coordinates.map(({ lat, lng }) => `${lng},${lat}`).join(';');
+            // Only the car profile has excludable road classes
+            const exclude = profile === 'driving' ? avoid.map(feature => EXCLUDE_CLASSES[feature]) : [];
+            const excludeParam = exclude.length > 0 ? `&exclude=${exclude.join(',')}` : '';
+
+            // The trip service solves the visiting order with fixed start and end points
+            const optimise = optimizeWaypoints && waypoints.length > 1;
+            const url = optimise
+                ? `${baseUrl}/trip/v1/${profile}/${path}?source=first&destination=last&roundtrip=false&steps=true&overview=full&geometries=polyline${excludeParam}`
+                : `${baseUrl}/route/v1/${profile}/${path}?alternatives=${alternatives && waypoints.length === 0}&steps=true&overview=full&geometries=polyline${excludeParam}`;
+
+            const response = await fetch(url, { signal: timeoutSignal(getUpstreamPolicy('routing').timeoutMs, signal) });
+            const data = await response.json().catch(() => null);
+
+            if (data?.code === 'NoRoute' || data?.code === 'NoTrips') {
+                throw new ApiError(404, 'ROUTE_NOT_FOUND', 'No route found between these locations');
+            }
+            if (!response.ok || data?.code !== 'Ok') {
+                throw new ApiError(502, 'ROUTING_UPSTREAM_ERROR', `Invalid response: ${data?.code || response.status}`);
+            }
+
+            let waypointOrder = waypoints.map((_, index) => index);
+            if (optimise) {
+                // data.waypoints[i].waypoint_index is the position of input i in the trip
+                waypointOrder = waypointOrder.sort((a, b) => data.waypoints[a + 1].waypoint_index - data.waypoints[b + 1].waypoint_index);
+                points = [points[0], ...waypointOrder.map(index => points[index + 1]), points[points.length - 1]];
+            }
+
+            const routes = (optimise ? data.trips : data.routes).map(route => normaliseRoute(route, points, waypointOrder));
+            if (!PROFILES[mode]) {
+                routes.forEach(route => route.warnings.push(`${mode} routing is not available from OSRM; showing a driving route`));
+            }
+            return { routes };
+        },
+
+        geocode
+    };
+}
+
+module.exports = { createOsrmRoutingProvider };
@@ -0,0 +1,53 @@
+const { getUpstreamPolicy } = require('../../config/upstreams');
+const { UpstreamError } = require('../../utils/errors');
+const { timeoutSignal } = require('../../utils/resilience');
+
+// Sends SMS through Africa's Talking. The "sandbox" username uses their sandbox endpoint,
+// which delivers to the simulator in their dashboard instead of real phones.
+function createAfricasTalkingSmsProvider() {
+    const username = process.env.AFRICASTALKING_USERNAME;
+    const apiKey = process.env.AFRICASTALKING_API_KEY;
+    const senderId = process.env.AFRICASTALKING_SENDER_ID;
+    const baseUrl = username === 'sandbox'
+        ? 'https://api.sandbox.africastalking.com'
+        : 'https://api.africastalking.com';
+
+    if (!username || !apiKey) {
+        throw new Error('AFRICASTALKING_USERNAME and AFRICASTALKING_API_KEY are required for SMS_PROVIDER=africastalking');
+    }
+
+    return {
+        name: 'africastalking',
+
+        async send(to, message, { signal } = {}) {
+            const response = await fetch(`${baseUrl}/version1/messaging`, {
+                method: 'POST',
+                headers: {
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'apiKey': apiKey
+                },
+                body: new URLSearchParams({
+                    username,
+                    to,
+                    message,
+                    ...(senderId && { from: senderId })
+                }),
+                signal: timeoutSignal(getUpstreamPolicy('sms').timeoutMs, signal)
+            });
+
+            if (!response.ok) {
+                throw new UpstreamError(`Africa's Talking returned ${response.status}`, response.status);
+            }
+
+            const data = await response.json();
+            const [recipient] = data.SMSMessageData?.Recipients || [];
+            if (!recipient || recipient.statusCode >= 400) {
+                throw new Error(`Africa's Talking did not accept the message: ${recipient?.status || data.SMSMessageData?.Message}`);
+            }
+            return { id: recipient.messageId, cost: recipient.cost };
+        }
+    };
+}
+
+module.exports = { createAfricasTalkingSmsProvider };
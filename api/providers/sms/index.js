@@ -0,0 +1,41 @@
+const { createAfricasTalkingSmsProvider } = require('./africasTalking');
+const { createLogSmsProvider } = require('./log');
+const { recordUpstreamCall } = require('../../utils/requestContext');
+const { callUpstream } = require('../../utils/resilience');
+
+// send(to, message, { signal }) resolves to { id, cost } once the gateway has accepted the message.
+// SMS_PROVIDER picks the gateway; "log" only prints messages.
+const factories = {
+    africastalking: createAfricasTalkingSmsProvider,
+    log: createLogSmsProvider
+};
+
+let provider = null;
+
+function getSmsProviderName() {
+    return (process.env.SMS_PROVIDER || 'log').toLowerCase();
+}
+
+function getSmsProvider() {
+    const name = getSmsProviderName();
+    if (provider && provider.name === name) {
+        return provider;
+    }
+
+    const factory = factories[name];
+    if (!factory) {
+        throw new Error(`Unknown SMS_PROVIDER "${name}". Expected one of: ${Object.keys(factories).join(', ')}`);
+    }
+
+    provider = factory();
+    return provider;
+}
+
+// Every message sent is paid for, so it counts against the current request's quota
+async function sendSms(to, message) {
+    const sms = getSmsProvider();
+    recordUpstreamCall('sms');
+    return callUpstream({ upstream: 'sms', provider: sms.name, operation: 'send' }, signal => sms.send(to, message, { signal }));
+}
+
+module.exports = { getSmsProvider, sendSms };
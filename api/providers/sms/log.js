@@ -0,0 +1,18 @@
+const { logger } = require('../../utils/logger');
+
+// Prints messages instead of sending them, for development and the channel simulator
+function createLogSmsProvider() {
+    let sent = 0;
+
+    return {
+        name: 'log',
+
+        async send(to, message) {
+            sent += 1;
+            logger.info('SMS sent', { provider: 'log', to, message });
+            return { id: `log-${sent}`, cost: null };
+        }
+    };
+}
+
+module.exports = { createLogSmsProvider };
@@ -0,0 +1,377 @@
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auth');
+const {
+    createApiKey,
+    getApiKeys,
+    deleteApiKey,
+    getCacheStatistics,
+    getCurrentPricing,
+    putPricing,
+    deletePricing,
+    runWatches,
+    removeIncident
+} = require('../controllers/adminController');
+
+router.use(requireAdmin);
+
+/**
+ * @swagger
+ * components:
+ *   securitySchemes:
+ *     ApiKeyAuth:
+ *       type: apiKey
+ *       in: header
+ *       name: X-API-Key
+ *     AdminKeyAuth:
+ *       type: apiKey
+ *       in: header
+ *       name: X-Admin-Key
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "key_3fa85f6457c1"
+ *         name:
+ *           type: string
+ *           nullable: true
+ *         key_preview:
+ *           type: string
+ *           example: "rgpt_Ab3d..."
+ *         rate_limit_per_minute:
+ *           type: integer
+ *           nullable: true
+ *           description: Per-key override; null uses RATE_LIMIT_PER_MINUTE
+ *         daily_quota:
+ *           type: integer
+ *           nullable: true
+ *           description: Per-key override in cost units; null uses DAILY_QUOTA_UNITS
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         revoked_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     Pricing:
+ *       type: object
+ *       description: Same shape as config/pricing.json. Amounts are in naira.
+ *       properties:
+ *         updated_at:
+ *           type: string
+ *           example: "2026-10-01"
+ *         fuel_prices:
+ *           type: object
+ *           description: Price per litre by fuel
+ *           additionalProperties:
+ *             type: number
+ *           example: { "petrol": 1050, "diesel": 1350 }
+ *         vehicles:
+ *           type: object
+ *           properties:
+ *             default:
+ *               type: string
+ *               example: "saloon"
+ *             profiles:
+ *               type: object
+ *               description: Keyed by vehicle name; fuel, litres_per_100km, idle_litres_per_hour and toll_class
+ *               additionalProperties:
+ *                 type: object
+ *         fares:
+ *           type: object
+ *           description: Keyed by fare name; either flat per ride, or base, per_km, per_minute and minimum
+ *           additionalProperties:
+ *             type: object
+ *         modes:
+ *           type: object
+ *           description: How each travel mode is priced, by fuel (with an alternative fare) or by a fare
+ *           additionalProperties:
+ *             type: object
+ *         tolls:
+ *           type: array
+ *           description: Toll points, found on a route by location or by name in the instructions, with fees by toll class
+ *           items:
+ *             type: object
+ *         source:
+ *           type: string
+ *           enum: [file, admin]
+ *           readOnly: true
+ */
+
+/**
+ * @swagger
+ * /api/admin/keys:
+ *   post:
+ *     summary: Issue an API key
+ *     description: The key is only returned in this response; store it safely. Requires ADMIN_API_KEY.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - AdminKeyAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Mobile app"
+ *               rate_limit_per_minute:
+ *                 type: integer
+ *                 example: 60
+ *               daily_quota:
+ *                 type: integer
+ *                 description: Cost units per day. Each request costs 1 plus 1 per LLM call, 2 per routing call, 1 per geocode and 1 per SMS sent.
+ *                 example: 2000
+ *     responses:
+ *       201:
+ *         description: The new key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiKey'
+ *                 - type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       example: "rgpt_Ab3dEf..."
+ *       400:
+ *         description: Invalid limits
+ *       401:
+ *         description: Missing or wrong admin key
+ *   get:
+ *     summary: List API keys
+ *     description: Every issued key (without the secret), its effective limits and today's usage
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - AdminKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Keys, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/ApiKey'
+ *                       - type: object
+ *                         properties:
+ *                           limits:
+ *                             type: object
+ *                             properties:
+ *                               rate_limit_per_minute:
+ *                                 type: integer
+ *                               daily_quota:
+ *                                 type: integer
+ *                           usage_today:
+ *                             type: object
+ *                             properties:
+ *                               day:
+ *                                 type: string
+ *                                 example: "2026-10-19"
+ *                               units:
+ *                                 type: integer
+ *                               requests:
+ *                                 type: integer
+ */
+router.post('/keys', createApiKey);
+router.get('/keys', getApiKeys);
+
+/**
+ * @swagger
+ * /api/admin/keys/{keyId}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: Requests with a revoked key are rejected from then on. The record is kept for auditing.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - AdminKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The revoked key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKey'
+ *       404:
+ *         description: No key with this id (API_KEY_NOT_FOUND)
+ */
+router.delete('/keys/:keyId', deleteApiKey);
+
+/**
+ * @swagger
+ * /api/admin/cache/stats:
+ *   get:
+ *     summary: Cache statistics
+ *     description: Hits, misses and writes per cache layer since this instance started
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - AdminKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: The cache backend and per-layer counters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 backend:
+ *                   type: string
+ *                   enum: [memory, file, redis]
+ *                 layers:
+ *                   type: object
+ *                   description: Keyed by layer (extraction, geocode, directions, formatted)
+ *                   additionalProperties:
+ *                     type: object
+ *                     properties:
+ *                       hits:
+ *                         type: integer
+ *                       misses:
+ *                         type: integer
+ *                       sets:
+ *                         type: integer
+ *                       errors:
+ *                         type: integer
+ *                       hit_rate:
+ *                         type: number
+ *                         nullable: true
+ *                       ttl_seconds:
+ *                         type: integer
+ */
+router.get('/cache/stats', getCacheStatistics);
+
+/**
+ * @swagger
+ * /api/admin/pricing:
+ *   get:
+ *     summary: Prices in effect
+ *     description: Fuel prices, vehicle profiles, fares and tolls used for trip costs, and whether they come from the pricing file or an admin override
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - AdminKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: The pricing document with its source
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Pricing'
+ *   put:
+ *     summary: Override prices
+ *     description: Replaces the prices for every instance without a redeploy. The override wins over the pricing file until it is deleted.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - AdminKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Pricing'
+ *     responses:
+ *       200:
+ *         description: The prices now in effect
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Pricing'
+ *       400:
+ *         description: The document is not usable (INVALID_PRICING), with the first problem found
+ *   delete:
+ *     summary: Drop the price override
+ *     description: Goes back to the prices in the pricing file
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - AdminKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: The prices now in effect
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Pricing'
+ */
+router.get('/pricing', getCurrentPricing);
+router.put('/pricing', putPricing);
+router.delete('/pricing', deletePricing);
+
+/**
+ * @swagger
+ * /api/admin/watches/run:
+ *   post:
+ *     summary: Run the commute scheduler once
+ *     description: >
+ *       Checks every commute watch that is due and retries pending webhook deliveries. The
+ *       server does this every WATCH_POLL_SECONDS on its own; serverless deployments call
+ *       this from a cron job instead.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - AdminKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: What the pass did
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 checked:
+ *                   type: integer
+ *                 alerts:
+ *                   type: integer
+ *                   description: Alerts sent
+ *                 errors:
+ *                   type: integer
+ *                   description: Checks that failed
+ *                 retried:
+ *                   type: integer
+ *                   description: Deliveries retried
+ */
+router.post('/watches/run', runWatches);
+
+/**
+ * @swagger
+ * /api/admin/incidents/{incidentId}:
+ *   delete:
+ *     summary: Remove an incident report
+ *     description: For false or abusive reports; the incident stops showing up in answers straight away
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - AdminKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: incidentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Incident removed
+ *       404:
+ *         description: Incident not found
+ */
+router.delete('/incidents/:incidentId', removeIncident);
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const express = require('express');
+const router = express.Router();
+const { receiveSms, handleUssd, simulateChannel } = require('../controllers/channelsController');
+
+// Aggregators post form-encoded webhooks
+router.use(express.urlencoded({ extended: false }));
+
+/**
+ * @swagger
+ * /api/channels/sms:
+ *   post:
+ *     summary: Incoming SMS webhook
+ *     description: >
+ *       Africa's Talking style callback for messages sent to our shortcode. The text runs
+ *       through the same pipeline as POST /api/directions and the answer is sent back by SMS
+ *       (SMS_PROVIDER), compressed and split into numbered pages of at most SMS_PAGE_SEGMENTS
+ *       segments. Replying "1" sends the next page; a number answers a clarification.
+ *       Aggregators that cannot set headers may pass the API key as ?api_key=.
+ *     tags:
+ *       - Channels
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - from
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 example: "+2348012345678"
+ *               to:
+ *                 type: string
+ *               text:
+ *                 type: string
+ *                 example: "Lekki to Ikeja"
+ *               id:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Message received. The reply is sent afterwards, and a repeated id is only answered once.
+ *       400:
+ *         description: from is missing
+ *       401:
+ *         description: Missing or invalid API key
+ */
+router.post('/sms', receiveSms);
+
+/**
+ * @swagger
+ * /api/channels/ussd:
+ *   post:
+ *     summary: USSD session webhook
+ *     description: >
+ *       Africa's Talking style USSD callback. text holds every input of the session joined
+ *       with "*", and only the last one is new. The reply is plain text: "CON" followed by a
+ *       screen that waits for input (1 Next, 2 Back, 0 Exit, or a place number), or "END"
+ *       followed by the last screen. Screens are at most USSD_SCREEN_CHARS long.
+ *     tags:
+ *       - Channels
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sessionId
+ *             properties:
+ *               sessionId:
+ *                 type: string
+ *               serviceCode:
+ *                 type: string
+ *                 example: "*384*123#"
+ *               phoneNumber:
+ *                 type: string
+ *                 example: "+2348012345678"
+ *               text:
+ *                 type: string
+ *                 example: "Lekki to Ikeja*1"
+ *     responses:
+ *       200:
+ *         description: The next screen
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: "CON Take Lekki-Epe Expy west, 25 min...\n1 Next\n0 Exit"
+ *       400:
+ *         description: sessionId is missing
+ *       401:
+ *         description: Missing or invalid API key
+ */
+router.post('/ussd', handleUssd);
+
+/**
+ * @swagger
+ * /api/channels/simulator:
+ *   post:
+ *     summary: Try the SMS and USSD channels
+ *     description: >
+ *       Sends one input as if from a phone and returns exactly what the phone would show,
+ *       without sending any SMS. For USSD send only the new input; an empty text starts a new
+ *       dial. Disabled in production unless CHANNEL_SIMULATOR=true.
+ *     tags:
+ *       - Channels
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - channel
+ *               - phone_number
+ *             properties:
+ *               channel:
+ *                 type: string
+ *                 enum: [sms, ussd]
+ *               phone_number:
+ *                 type: string
+ *                 example: "+2348012345678"
+ *               text:
+ *                 type: string
+ *                 example: "Lekki to Ikeja"
+ *     responses:
+ *       200:
+ *         description: The reply as shown on the phone
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 channel:
+ *                   type: string
+ *                 reply:
+ *                   type: string
+ *                 end:
+ *                   type: boolean
+ *                   description: Whether the USSD session closes after this screen
+ *                 characters:
+ *                   type: integer
+ *                 encoding:
+ *                   type: string
+ *                   enum: [gsm, ucs2]
+ *                 segments:
+ *                   type: integer
+ *                   description: SMS segments the reply takes (SMS only)
+ *       400:
+ *         description: Invalid channel, phone_number or text
+ *       404:
+ *         description: Simulator disabled
+ */
+router.post('/simulator', simulateChannel);
+
+module.exports = router;
@@ -0,0 +1,186 @@
+const express = require('express');
+const router = express.Router();
+const { requireAdmin, requireChannelKey, verifyWhatsAppSignature, verifyTelegramSecret } = require('../middleware/auth');
+const { enforceLimits } = require('../middleware/rateLimit');
+const {
+    verifyWhatsAppWebhook,
+    receiveWhatsApp,
+    receiveTelegram,
+    getChatOutbox,
+    deleteChatOutbox
+} = require('../controllers/chatController');
+
+/**
+ * @swagger
+ * /api/chat/whatsapp:
+ *   get:
+ *     summary: WhatsApp webhook verification
+ *     description: Echoes hub.challenge when hub.verify_token matches WHATSAPP_VERIFY_TOKEN
+ *     tags:
+ *       - Chat
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: hub.mode
+ *         schema:
+ *           type: string
+ *           example: subscribe
+ *       - in: query
+ *         name: hub.verify_token
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: hub.challenge
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The challenge, as plain text
+ *       403:
+ *         description: Wrong verify token
+ *   post:
+ *     summary: WhatsApp Cloud API webhook
+ *     description: >
+ *       Receives message notifications, signed with WHATSAPP_APP_SECRET in
+ *       X-Hub-Signature-256. Each chat is one conversation: text runs through the same
+ *       pipeline as POST /api/directions, a shared location becomes the starting point, and
+ *       places that need clarifying are offered as a list. Replies are sent through the Cloud
+ *       API, or kept in the outbox with MESSAGING_SENDER=mock. The callback URL carries the
+ *       API key the answers are charged to as ?api_key=.
+ *     tags:
+ *       - Chat
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: api_key
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-Hub-Signature-256
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "sha256=3f1c..."
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: A whatsapp_business_account notification
+ *     responses:
+ *       200:
+ *         description: Received; replies are sent separately
+ *       401:
+ *         description: Missing or invalid signature or API key
+ *       404:
+ *         description: WHATSAPP_APP_SECRET is not set
+ *       429:
+ *         description: The API key's rate limit or daily quota is used up
+ */
+router.get('/whatsapp', verifyWhatsAppWebhook);
+router.post('/whatsapp', verifyWhatsAppSignature, requireChannelKey, enforceLimits, receiveWhatsApp);
+
+/**
+ * @swagger
+ * /api/chat/telegram:
+ *   post:
+ *     summary: Telegram Bot API webhook
+ *     description: >
+ *       Receives updates for the bot, carrying TELEGRAM_WEBHOOK_SECRET (the secret_token given
+ *       to setWebhook). Works like the WhatsApp webhook; live locations keep the starting point
+ *       up to date, and places that need clarifying are offered as keyboard buttons. Like the
+ *       WhatsApp webhook, its URL carries the API key as ?api_key=.
+ *     tags:
+ *       - Chat
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: api_key
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-Telegram-Bot-Api-Secret-Token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: A Telegram Update
+ *     responses:
+ *       200:
+ *         description: Received; replies are sent separately
+ *       401:
+ *         description: Missing or wrong secret token, or invalid API key
+ *       404:
+ *         description: TELEGRAM_WEBHOOK_SECRET is not set
+ *       429:
+ *         description: The API key's rate limit or daily quota is used up
+ */
+router.post('/telegram', verifyTelegramSecret, requireChannelKey, enforceLimits, receiveTelegram);
+
+/**
+ * @swagger
+ * /api/chat/outbox:
+ *   get:
+ *     summary: Messages the mock sender would have sent
+ *     description: Platform message bodies kept with MESSAGING_SENDER=mock, oldest first
+ *     tags:
+ *       - Chat
+ *     security:
+ *       - AdminKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: platform
+ *         schema:
+ *           type: string
+ *           enum: [whatsapp, telegram]
+ *       - in: query
+ *         name: chat_id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sent messages
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       platform:
+ *                         type: string
+ *                       chat_id:
+ *                         type: string
+ *                       message:
+ *                         type: object
+ *                         description: The body that would have been posted to the platform
+ *                       sent_at:
+ *                         type: string
+ *                         format: date-time
+ *       404:
+ *         description: Not using the mock sender, or the admin API is disabled
+ *   delete:
+ *     summary: Empty the mock outbox
+ *     tags:
+ *       - Chat
+ *     security:
+ *       - AdminKeyAuth: []
+ *     responses:
+ *       204:
+ *         description: Outbox emptied
+ */
+router.get('/outbox', requireAdmin, getChatOutbox);
+router.delete('/outbox', requireAdmin, deleteChatOutbox);
+
+module.exports = router;
@@ -1,6 +1,524 @@
 const express = require('express');
 const router = express.Router();
-const { getDirections } = require('../controllers/directionsController');
+const { getDirections, streamDirections } = require('../controllers/directionsController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TextValue:
+ *       type: object
+ *       properties:
+ *         value:
+ *           type: number
+ *           description: Meters for distances, seconds for durations
+ *         text:
+ *           type: string
+ *           example: "12.4 km"
+ *     LatLng:
+ *       type: object
+ *       properties:
+ *         lat:
+ *           type: number
+ *           example: 6.4474
+ *         lng:
+ *           type: number
+ *           example: 3.4723
+ *     RouteStep:
+ *       type: object
+ *       properties:
+ *         instruction:
+ *           type: string
+ *           example: "Merge onto Lekki-Epe Expressway"
+ *         maneuver:
+ *           type: string
+ *           nullable: true
+ *           example: "turn-left"
+ *         distance:
+ *           $ref: '#/components/schemas/TextValue'
+ *         duration:
+ *           $ref: '#/components/schemas/TextValue'
+ *         start_location:
+ *           $ref: '#/components/schemas/LatLng'
+ *         end_location:
+ *           $ref: '#/components/schemas/LatLng'
+ *         polyline:
+ *           type: string
+ *           description: Encoded polyline for this step
+ *         transit:
+ *           type: object
+ *           description: Line and stop details for transit steps
+ *     RouteLeg:
+ *       type: object
+ *       properties:
+ *         start_address:
+ *           type: string
+ *         end_address:
+ *           type: string
+ *         start_location:
+ *           $ref: '#/components/schemas/LatLng'
+ *         end_location:
+ *           $ref: '#/components/schemas/LatLng'
+ *         distance:
+ *           $ref: '#/components/schemas/TextValue'
+ *         duration:
+ *           $ref: '#/components/schemas/TextValue'
+ *         duration_in_traffic:
+ *           $ref: '#/components/schemas/TextValue'
+ *         steps:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/RouteStep'
+ *     Route:
+ *       type: object
+ *       properties:
+ *         summary:
+ *           type: string
+ *           example: "Third Mainland Bridge"
+ *         polyline:
+ *           type: string
+ *           description: Encoded overview polyline (Google polyline algorithm, precision 5)
+ *         distance:
+ *           $ref: '#/components/schemas/TextValue'
+ *         duration:
+ *           $ref: '#/components/schemas/TextValue'
+ *         duration_in_traffic:
+ *           $ref: '#/components/schemas/TextValue'
+ *         traffic_severity:
+ *           type: string
+ *           enum: [Light traffic, Moderate traffic, Heavy traffic, Severe traffic, Unknown]
+ *         warnings:
+ *           type: array
+ *           items:
+ *             type: string
+ *         restrictions:
+ *           type: array
+ *           description: Rules of the travel mode this route breaks, e.g. an okada ban zone or a bridge closed to kekes
+ *           items:
+ *             $ref: '#/components/schemas/ModeRestriction'
+ *         cost:
+ *           $ref: '#/components/schemas/TripCost'
+ *         waypoint_order:
+ *           type: array
+ *           description: Indices into the requested waypoints, in the order this route visits them
+ *           items:
+ *             type: integer
+ *         legs:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/RouteLeg'
+ *     ResolvedLocation:
+ *       type: object
+ *       properties:
+ *         query:
+ *           type: string
+ *           description: Location as extracted from the query
+ *           example: "Lekki, Lagos, Nigeria"
+ *         address:
+ *           type: string
+ *           description: Address the routing backend resolved it to
+ *         location:
+ *           $ref: '#/components/schemas/LatLng'
+ *     EstimateFor:
+ *       type: object
+ *       description: The time the durations are estimated for, in Africa/Lagos time
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [now, departure, arrival]
+ *         time:
+ *           type: string
+ *           format: date-time
+ *           example: "2026-10-26T07:00:00+01:00"
+ *         departure_time:
+ *           type: string
+ *           format: date-time
+ *           description: For arrival estimates, when to leave to arrive on time
+ *         passed_time:
+ *           type: string
+ *           format: date-time
+ *           description: The time asked for, when it had already passed and the estimate is for leaving now instead
+ *         description:
+ *           type: string
+ *           example: "leaving at Monday, October 26 at 7:00 AM WAT"
+ *     DeparturePlan:
+ *       type: object
+ *       description: Returned for departure_planning queries
+ *       properties:
+ *         target_arrival:
+ *           type: string
+ *           format: date-time
+ *         samples:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               departure_time:
+ *                 type: string
+ *                 format: date-time
+ *               departure_text:
+ *                 type: string
+ *                 example: "7:30 AM"
+ *               duration:
+ *                 $ref: '#/components/schemas/TextValue'
+ *               arrival_time:
+ *                 type: string
+ *                 format: date-time
+ *               arrival_text:
+ *                 type: string
+ *               route:
+ *                 type: string
+ *         recommendation:
+ *           type: object
+ *           properties:
+ *             departure_time:
+ *               type: string
+ *               format: date-time
+ *             window_start:
+ *               type: string
+ *               format: date-time
+ *             window_end:
+ *               type: string
+ *               format: date-time
+ *             window_text:
+ *               type: string
+ *               example: "7:10 AM - 7:30 AM"
+ *             expected_duration:
+ *               $ref: '#/components/schemas/TextValue'
+ *             reason:
+ *               type: string
+ *         table:
+ *           type: string
+ *           description: Markdown table of departure time against expected duration, also appended to the response text
+ *         warnings:
+ *           type: array
+ *           items:
+ *             type: string
+ *     ModeRestriction:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Lagos okada ban"
+ *         reason:
+ *           type: string
+ *         areas:
+ *           type: array
+ *           description: Restricted areas the route passes through
+ *           items:
+ *             type: string
+ *             example: "Ikeja"
+ *         roads:
+ *           type: array
+ *           description: Restricted roads and bridges the route uses
+ *           items:
+ *             type: string
+ *             example: "Third Mainland Bridge"
+ *     CostItem:
+ *       type: object
+ *       properties:
+ *         item:
+ *           type: string
+ *           enum: [fuel, fare, toll]
+ *         description:
+ *           type: string
+ *           example: "2.1 L of petrol for a saloon car at ₦1,050/L"
+ *         value:
+ *           type: integer
+ *           example: 2200
+ *         currency:
+ *           type: string
+ *           example: "NGN"
+ *         text:
+ *           type: string
+ *           example: "₦2,200"
+ *     TripCost:
+ *       type: object
+ *       description: Estimated cost of the route. Driving costs fuel for the vehicle plus tolls; other modes cost the fares a passenger pays.
+ *       properties:
+ *         value:
+ *           type: integer
+ *           example: 2500
+ *         currency:
+ *           type: string
+ *           example: "NGN"
+ *         text:
+ *           type: string
+ *           example: "₦2,500"
+ *         basis:
+ *           type: string
+ *           enum: [fuel, fare]
+ *         vehicle:
+ *           type: string
+ *           description: Vehicle profile used for fuel costs
+ *           example: "saloon"
+ *         breakdown:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CostItem'
+ *         alternatives:
+ *           type: array
+ *           description: Other ways to pay for the same trip, e.g. a ride-hailing fare instead of driving
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "ride_hail"
+ *               label:
+ *                 type: string
+ *               value:
+ *                 type: integer
+ *               text:
+ *                 type: string
+ *               breakdown:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/CostItem'
+ *         priced_at:
+ *           type: string
+ *           nullable: true
+ *           description: When the prices were last updated
+ *           example: "2026-10-01"
+ *         source:
+ *           type: string
+ *           enum: [file, admin]
+ *     TrafficAnalysis:
+ *       type: object
+ *       description: Traffic facts computed from the routing data for every alternative route. Severity is the delay as a share of free-flow time (light up to 10%, moderate up to 30%, heavy up to 50%, severe above).
+ *       properties:
+ *         has_live_traffic:
+ *           type: boolean
+ *           description: False when no route has a traffic-aware duration, e.g. transit or a backend without live traffic
+ *         fastest_route:
+ *           type: integer
+ *           nullable: true
+ *           description: Index of the fastest route in routes
+ *         least_congested_route:
+ *           type: integer
+ *           nullable: true
+ *           description: Index of the route with the smallest delay relative to its free-flow time; null without live traffic
+ *         routes:
+ *           type: array
+ *           description: One entry per alternative, in the same order as the routes
+ *           items:
+ *             type: object
+ *             properties:
+ *               index:
+ *                 type: integer
+ *               summary:
+ *                 type: string
+ *                 example: "Third Mainland Bridge"
+ *               rank:
+ *                 type: integer
+ *                 description: 1 is the fastest; less delay breaks ties
+ *               fastest:
+ *                 type: boolean
+ *               least_congested:
+ *                 type: boolean
+ *               distance:
+ *                 $ref: '#/components/schemas/TextValue'
+ *               free_flow_duration:
+ *                 $ref: '#/components/schemas/TextValue'
+ *               expected_duration:
+ *                 $ref: '#/components/schemas/TextValue'
+ *               delay:
+ *                 nullable: true
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/TextValue'
+ *               severity:
+ *                 type: string
+ *                 enum: [light, moderate, heavy, severe, unknown]
+ *               severity_label:
+ *                 type: string
+ *                 enum: [Light traffic, Moderate traffic, Heavy traffic, Severe traffic, Unknown]
+ *               delay_minutes:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 12
+ *               delay_percent:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 22
+ *               legs:
+ *                 type: array
+ *                 description: Only for multi-stop trips
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     leg:
+ *                       type: integer
+ *                     from:
+ *                       type: string
+ *                     to:
+ *                       type: string
+ *                     severity:
+ *                       type: string
+ *                       enum: [light, moderate, heavy, severe, unknown]
+ *                     delay_minutes:
+ *                       type: integer
+ *                       nullable: true
+ *     ModeComparison:
+ *       type: object
+ *       description: Returned for mode_comparison queries. Options are ranked by travel time, estimated cost and changes, best first, with cost and changes counted as minutes at the rates in ranking.
+ *       properties:
+ *         options:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               rank:
+ *                 type: integer
+ *                 example: 1
+ *               mode:
+ *                 type: string
+ *                 enum: [car, okada, keke, danfo, brt, train, ferry]
+ *                 example: "danfo"
+ *               label:
+ *                 type: string
+ *                 example: "danfo"
+ *               route:
+ *                 type: string
+ *                 description: Summary of the best route for this mode
+ *               distance:
+ *                 $ref: '#/components/schemas/TextValue'
+ *               duration:
+ *                 $ref: '#/components/schemas/TextValue'
+ *                 description: Expected door-to-door time, including traffic when known
+ *               transfers:
+ *                 type: integer
+ *                 description: Changes between transit vehicles
+ *               restrictions:
+ *                 type: array
+ *                 description: Options that break a mode restriction are ranked last
+ *                 items:
+ *                   $ref: '#/components/schemas/ModeRestriction'
+ *               cost:
+ *                 $ref: '#/components/schemas/TripCost'
+ *               warnings:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *         recommendation:
+ *           type: object
+ *           properties:
+ *             mode:
+ *               type: string
+ *             reason:
+ *               type: string
+ *               example: "Cheapest option; car is quicker at 46 mins but costs about ₦2,550"
+ *         table:
+ *           type: string
+ *           description: Markdown comparison table, also appended to the response text
+ *         ranking:
+ *           type: object
+ *           description: How cost and changes were weighed against travel time, from comparison_ranking in config/modes.json
+ *           properties:
+ *             naira_per_minute:
+ *               type: number
+ *               description: Naira of fare or fuel worth one minute of travel time
+ *               example: 100
+ *             minutes_per_change:
+ *               type: number
+ *               description: Minutes each change between vehicles counts as
+ *               example: 5
+ *         warnings:
+ *           type: array
+ *           description: Modes that could not be routed and were left out
+ *           items:
+ *             type: string
+ *     RoutePayload:
+ *       type: object
+ *       properties:
+ *         origin:
+ *           $ref: '#/components/schemas/ResolvedLocation'
+ *         destination:
+ *           $ref: '#/components/schemas/ResolvedLocation'
+ *         waypoints:
+ *           type: array
+ *           description: Intermediate stops in visiting order. Leg N of each route ends at stop N.
+ *           items:
+ *             $ref: '#/components/schemas/ResolvedLocation'
+ *         mode:
+ *           type: string
+ *           description: Travel mode as configured in config/modes.json; for mode comparisons, the recommended mode
+ *           enum: [car, okada, keke, danfo, brt, train, ferry]
+ *           example: "car"
+ *         routes:
+ *           type: array
+ *           description: Every alternative route, recommended route first
+ *           items:
+ *             $ref: '#/components/schemas/Route'
+ *     Clarification:
+ *       type: object
+ *       description: A place that was ambiguous or could not be found. Answer with clarification_id and one of the candidate ids, or a reworded location.
+ *       properties:
+ *         clarification_id:
+ *           type: string
+ *           description: Send back with the answer; expires after 10 minutes
+ *         field:
+ *           type: string
+ *           description: Which location needs clarifying
+ *           example: "origin"
+ *         location:
+ *           type: string
+ *           example: "GRA, Port Harcourt, Nigeria"
+ *         reason:
+ *           type: string
+ *           enum: [ambiguous, not_found]
+ *         candidates:
+ *           type: array
+ *           description: Possible matches; may be empty when nothing was found
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               label:
+ *                 type: string
+ *                 example: "Ikeja GRA, Lagos, Nigeria"
+ *               location:
+ *                 $ref: '#/components/schemas/LatLng'
+ *               distance:
+ *                 $ref: '#/components/schemas/TextValue'
+ *                 description: Straight-line distance from user_location, when it was sent
+ *     DegradedStage:
+ *       type: object
+ *       description: A pipeline stage whose upstream failed, and what the answer did instead
+ *       properties:
+ *         stage:
+ *           type: string
+ *           enum: [classify, geocode, incidents, format]
+ *         code:
+ *           type: string
+ *           description: The server error code the stage failed with (see Error)
+ *           example: "UPSTREAM_UNAVAILABLE"
+ *         fallback:
+ *           type: string
+ *           example: "Answer built from the route data without the language model"
+ *     Error:
+ *       type: object
+ *       description: Body of every error response. Server errors only carry one of the codes below with a fixed message; the full error is logged under request_id.
+ *       properties:
+ *         error:
+ *           type: string
+ *           description: What went wrong, in the request's language (the language option, or detected from the query). Outside English the original message of a client error is in details.
+ *         code:
+ *           type: string
+ *           description: |
+ *             Machine-readable code. Client error codes are listed with each response status. Server errors:
+ *             - `UPSTREAM_TIMEOUT` (504): the LLM or routing backend did not answer in time, retries included
+ *             - `UPSTREAM_UNAVAILABLE` (503): the backend failed repeatedly and its circuit breaker is open; try again after a short wait
+ *             - `UPSTREAM_ERROR` (502): the backend failed, retries included
+ *             - `ROUTING_UPSTREAM_ERROR` (502): the routing backend rejected the request
+ *             - `INTERNAL_ERROR` (500): anything else
+ *           example: "UPSTREAM_TIMEOUT"
+ *         details:
+ *           type: string
+ *         request_id:
+ *           type: string
+ *           description: Server errors only; the X-Request-Id to quote when reporting the problem
+ */
 
 /**
  * @swagger
@@ -16,13 +534,61 @@ const { getDirections } = require('../controllers/directionsController');
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - query
  *             properties:
  *               query:
  *                 type: string
- *                 description: Natural language query for directions
+ *                 description: Natural language query for directions. Required unless answering a clarification.
  *                 example: "How do I get to 6, Ibafo road ondo state from Ikate, Lekki lagos?"
+ *               session_id:
+ *                 type: string
+ *                 description: Conversation id returned by a previous call. Follow-up questions reuse the origin, destination and mode from earlier turns. A new session is started when omitted.
+ *                 example: "3f0c9a4e-6a43-4c1e-9d57-2f8a6a1a2b10"
+ *               include_route:
+ *                 type: boolean
+ *                 description: Also return the structured route data (alternatives, polylines, steps, traffic severity)
+ *                 default: false
+ *               language:
+ *                 type: string
+ *                 description: Answer language, as a code or a name ("Yoruba", "pidgin"). Detected from the query when omitted. Distances, times, amounts and street names are never translated.
+ *                 enum: [en, pcm, yo, ha, ig]
+ *                 example: "pcm"
+ *               vehicle:
+ *                 type: string
+ *                 description: Vehicle profile for driving costs (see GET /api/admin/pricing). Defaults to the profile's vehicle, then a saloon car.
+ *                 example: "suv"
+ *               profile_id:
+ *                 type: string
+ *                 description: User profile (see /api/profiles) whose saved places ("home", "work") the query may name, and whose default mode and route preferences apply
+ *                 example: "user-1234"
+ *               optimize_waypoints:
+ *                 type: boolean
+ *                 description: Let the routing backend choose the best order for the stops in a multi-stop query. Defaults to what the query implies ("in any order").
+ *               user_location:
+ *                 description: The caller's position. "here", "my location" and a missing origin resolve to it, and ambiguous place names prefer matches near it.
+ *                 oneOf:
+ *                   - $ref: '#/components/schemas/LatLng'
+ *                   - type: string
+ *                     example: "6.4281,3.4219"
+ *               origin_coords:
+ *                 description: Exact start point; used when the query's origin is "here" or missing. Same format as user_location.
+ *                 oneOf:
+ *                   - $ref: '#/components/schemas/LatLng'
+ *                   - type: string
+ *               destination_coords:
+ *                 description: Exact end point; used when the query's destination is "here" or missing. Same format as user_location.
+ *                 oneOf:
+ *                   - $ref: '#/components/schemas/LatLng'
+ *                   - type: string
+ *               clarification_id:
+ *                 type: string
+ *                 description: Answers an earlier clarification_needed response and continues that request
+ *               candidate_id:
+ *                 type: string
+ *                 description: The chosen candidate from the clarification
+ *                 example: "ikeja-gra"
+ *               location:
+ *                 type: string
+ *                 description: A reworded place to use instead, when none of the candidates fit
  *     responses:
  *       200:
  *         description: Successful response with directions
@@ -31,20 +597,141 @@ const { getDirections } = require('../controllers/directionsController');
  *             schema:
  *               type: object
  *               properties:
+ *                 status:
+ *                   type: string
+ *                   description: Only present when a place needs clarifying before routing
+ *                   enum: [clarification_needed]
  *                 response:
  *                   type: string
- *                   description: Formatted directions in natural language
+ *                   description: Formatted directions in natural language, or the clarification question
+ *                 query_type:
+ *                   type: string
+ *                   description: Detected query category
+ *                   enum: [directions, traffic_check, duration_check, route_status, departure_planning, mode_comparison, cost_check]
+ *                 session_id:
+ *                   type: string
+ *                   description: Conversation id to send with follow-up questions
+ *                 language:
+ *                   type: string
+ *                   description: Language of the response and clarification question
+ *                   enum: [en, pcm, yo, ha, ig]
+ *                 estimate_for:
+ *                   $ref: '#/components/schemas/EstimateFor'
+ *                 traffic:
+ *                   $ref: '#/components/schemas/TrafficAnalysis'
+ *                 incidents:
+ *                   type: array
+ *                   description: For traffic_check and route_status, reported incidents on the routes, newest first
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Incident'
+ *                       - type: object
+ *                         properties:
+ *                           route_indexes:
+ *                             type: array
+ *                             description: Routes the incident is on, as indexes into traffic.routes
+ *                             items:
+ *                               type: integer
+ *                 departure_plan:
+ *                   $ref: '#/components/schemas/DeparturePlan'
+ *                 comparison:
+ *                   $ref: '#/components/schemas/ModeComparison'
+ *                 route:
+ *                   $ref: '#/components/schemas/RoutePayload'
+ *                 clarification:
+ *                   $ref: '#/components/schemas/Clarification'
+ *                 degraded:
+ *                   type: array
+ *                   description: Stages that fell back because an upstream failed, e.g. an answer written without the language model; empty when the answer is complete
+ *                   items:
+ *                     $ref: '#/components/schemas/DegradedStage'
+ *       400:
+ *         description: Missing query, invalid request option, unknown candidate_id (INVALID_CANDIDATE), a query about the current location without coordinates (LOCATION_REQUIRED), or a ferry trip with stops (UNSUPPORTED_MODE)
+ *       401:
+ *         description: Missing, invalid or revoked API key (API_KEY_REQUIRED, INVALID_API_KEY)
+ *       404:
+ *         description: The clarification_id is unknown or has expired (CLARIFICATION_NOT_FOUND), or no route exists for the travel mode (ROUTE_NOT_FOUND)
+ *       403:
+ *         description: The routing backend refused this server's key (ROUTING_ACCESS_DENIED)
+ *       422:
+ *         description: The query does not name where the trip starts and ends (LOCATIONS_NOT_FOUND)
+ *       429:
+ *         description: Per-minute rate limit (RATE_LIMITED) or daily quota (QUOTA_EXCEEDED) reached, see the Retry-After header; or the routing backend's own quota is used up (ROUTING_QUOTA_EXCEEDED)
  *       500:
- *         description: Internal server error
+ *         description: Internal server error (INTERNAL_ERROR). Every error response has the Error shape.
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   description: Error message
+ *               $ref: '#/components/schemas/Error'
+ *       502:
+ *         description: The LLM or routing backend failed after retries (UPSTREAM_ERROR, ROUTING_UPSTREAM_ERROR)
+ *       503:
+ *         description: The LLM or routing backend is failing and its circuit breaker is open (UPSTREAM_UNAVAILABLE)
+ *       504:
+ *         description: The LLM or routing backend did not answer in time (UPSTREAM_TIMEOUT)
  */
 router.post('/directions', getDirections);
 
+/**
+ * @swagger
+ * /api/directions/stream:
+ *   post:
+ *     summary: Stream directions as Server-Sent Events
+ *     description: |
+ *       Runs the same pipeline as POST /api/directions but streams progress as it happens.
+ *       Events are emitted in this order:
+ *       - `meta`: session_id, origin, destination, mode, query_type and language
+ *       - `clarification`: sent instead of `route` when a place is ambiguous or unknown (see Clarification)
+ *       - `route`: per-route summary, distance and duration, plus `estimate_for`
+ *       - `token`: a chunk of the formatted answer (repeated until complete)
+ *       - `done`: the final payload, identical to the POST /api/directions response
+ *
+ *       If a stage fails after streaming has started, an `error` event with an Error body is sent
+ *       instead of `done`. Error messages are in the request's language.
+ *       Cached answers are replayed through the same events. Clarification answers
+ *       (clarification_id with candidate_id or location) are accepted as on POST /api/directions.
+ *     tags:
+ *       - Directions
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - query
+ *             properties:
+ *               query:
+ *                 type: string
+ *                 example: "How do I get from Lekki to Ikeja?"
+ *               session_id:
+ *                 type: string
+ *               include_route:
+ *                 type: boolean
+ *                 description: Include the structured route in the `done` event
+ *               language:
+ *                 type: string
+ *                 enum: [en, pcm, yo, ha, ig]
+ *               profile_id:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 event: meta
+ *                 data: {"session_id":"...","origin":"Lekki, Lagos, Nigeria","destination":"Ikeja, Lagos, Nigeria","mode":"car","query_type":"directions","language":"en"}
+ *
+ *                 event: token
+ *                 data: {"text":"1. Head "}
+ *       400:
+ *         description: Missing query or invalid session_id
+ *       422:
+ *         description: The query does not name where the trip starts and ends (LOCATIONS_NOT_FOUND)
+ */
+router.post('/directions/stream', streamDirections);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,265 @@
+const express = require('express');
+const router = express.Router();
+const {
+    postIncident,
+    getIncidents,
+    getIncidentById,
+    postConfirmation,
+    postClearance
+} = require('../controllers/incidentsController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Incident:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "inc_Wq8sK1nP3xYt"
+ *         type:
+ *           type: string
+ *           enum: [flooding, accident, checkpoint, closure]
+ *         label:
+ *           type: string
+ *           example: "Flooding"
+ *         description:
+ *           type: string
+ *           nullable: true
+ *           example: "Water up to the knees by the Lekki toll gate"
+ *         location:
+ *           type: string
+ *           example: "6.4369,3.4523"
+ *         place:
+ *           type: string
+ *           nullable: true
+ *           description: The place name the location was geocoded from
+ *         source:
+ *           type: string
+ *           description: Who reported it, as the reporting app said
+ *           example: "user report"
+ *         status:
+ *           type: string
+ *           enum: [active, expired, cleared]
+ *         confirmations:
+ *           type: integer
+ *           description: Reports of this incident, the first one included
+ *         reported_at:
+ *           type: string
+ *           format: date-time
+ *         last_confirmed_at:
+ *           type: string
+ *           format: date-time
+ *         age_minutes:
+ *           type: integer
+ *           description: Minutes since the first report
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/incidents:
+ *   post:
+ *     summary: Report an incident
+ *     description: >
+ *       Reports flooding, an accident, a checkpoint or a closure. Incidents are shared by every
+ *       caller and show up in route_status and traffic_check answers for routes passing within
+ *       INCIDENT_MATCH_METERS (200 by default). A report of the same type within 300 m of an
+ *       active incident confirms that incident instead of adding another, and keeps it active
+ *       for longer. Without an expiry, reports last 6 hours for flooding, 2 for accidents, 3
+ *       for checkpoints and 24 for closures.
+ *     tags:
+ *       - Incidents
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - location
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [flooding, accident, checkpoint, closure]
+ *               location:
+ *                 description: Coordinates, or a place name that points at one place
+ *                 oneOf:
+ *                   - $ref: '#/components/schemas/LatLng'
+ *                   - type: string
+ *                 example: "6.4369,3.4523"
+ *               description:
+ *                 type: string
+ *                 maxLength: 280
+ *               source:
+ *                 type: string
+ *                 maxLength: 50
+ *                 description: Defaults to "user report"
+ *                 example: "LASTMA"
+ *               reporter_id:
+ *                 type: string
+ *                 description: Your id for the person reporting, so their repeated reports count once. Without it, all reports made with the same API key count as one person
+ *               expires_in_minutes:
+ *                 type: integer
+ *                 maximum: 10080
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: A new incident
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Incident'
+ *                 - type: object
+ *                   properties:
+ *                     merged:
+ *                       type: boolean
+ *                       example: false
+ *       200:
+ *         description: The report confirmed an incident already reported nearby (merged is true)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Incident'
+ *       400:
+ *         description: >
+ *           Invalid report (INVALID_INCIDENT), or a place name that is ambiguous
+ *           (LOCATION_AMBIGUOUS) or unknown (LOCATION_NOT_FOUND), with candidates in details
+ *   get:
+ *     summary: List active incidents
+ *     description: Newest first
+ *     tags:
+ *       - Incidents
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [flooding, accident, checkpoint, closure]
+ *       - in: query
+ *         name: near
+ *         description: Only incidents around these coordinates
+ *         schema:
+ *           type: string
+ *           example: "6.4281,3.4219"
+ *       - in: query
+ *         name: radius
+ *         description: Search radius around near, in meters
+ *         schema:
+ *           type: number
+ *           default: 5000
+ *           maximum: 50000
+ *     responses:
+ *       200:
+ *         description: Incidents
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 incidents:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Incident'
+ *       400:
+ *         description: Invalid filter
+ */
+router.post('/incidents', postIncident);
+router.get('/incidents', getIncidents);
+
+/**
+ * @swagger
+ * /api/incidents/{incidentId}:
+ *   get:
+ *     summary: Get an incident
+ *     description: Ended incidents stay visible for a day
+ *     tags:
+ *       - Incidents
+ *     parameters:
+ *       - in: path
+ *         name: incidentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The incident
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Incident'
+ *       404:
+ *         description: Incident not found
+ * /api/incidents/{incidentId}/confirm:
+ *   post:
+ *     summary: Confirm an incident
+ *     description: Someone else has seen it; each reporter_id counts once, and the incident stays active for longer. Confirmations without a reporter_id count once per API key
+ *     tags:
+ *       - Incidents
+ *     parameters:
+ *       - in: path
+ *         name: incidentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reporter_id:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The confirmed incident
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Incident'
+ *       404:
+ *         description: Incident not found
+ *       409:
+ *         description: The incident has ended (INCIDENT_ENDED)
+ * /api/incidents/{incidentId}/clear:
+ *   post:
+ *     summary: Report an incident as gone
+ *     description: The incident ends once as many people have cleared it as reported it. Each reporter_id counts once, and clears without one count once per API key
+ *     tags:
+ *       - Incidents
+ *     parameters:
+ *       - in: path
+ *         name: incidentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reporter_id:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The incident, with status cleared once it has ended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Incident'
+ *       404:
+ *         description: Incident not found
+ */
+router.get('/incidents/:incidentId', getIncidentById);
+router.post('/incidents/:incidentId/confirm', postConfirmation);
+router.post('/incidents/:incidentId/clear', postClearance);
+
+module.exports = router;
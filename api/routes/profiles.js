@@ -0,0 +1,291 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getProfiles,
+    getProfileById,
+    putProfile,
+    patchProfile,
+    removeProfile,
+    getPlaces,
+    putPlace,
+    removePlace
+} = require('../controllers/profilesController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SavedPlace:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Mum's house"
+ *         aliases:
+ *           type: array
+ *           description: Other names the user calls this place by
+ *           items:
+ *             type: string
+ *           example: ["mum's place"]
+ *         address:
+ *           type: string
+ *           nullable: true
+ *           example: "14 Adeola Odeku Street, Victoria Island"
+ *         location:
+ *           description: Exact pin; used for routing instead of the address when set. Returned as "lat,lng".
+ *           nullable: true
+ *           oneOf:
+ *             - $ref: '#/components/schemas/LatLng'
+ *             - type: string
+ *               example: "6.4281,3.4219"
+ *     Profile:
+ *       type: object
+ *       properties:
+ *         profile_id:
+ *           type: string
+ *         default_mode:
+ *           type: string
+ *           nullable: true
+ *           description: Travel mode used when a query names none
+ *           example: "brt"
+ *         preferences:
+ *           type: object
+ *           properties:
+ *             avoid:
+ *               type: array
+ *               description: What routes should stay off, where the routing backend supports it
+ *               items:
+ *                 type: string
+ *                 enum: [tolls, highways, ferries]
+ *             vehicle:
+ *               type: string
+ *               nullable: true
+ *               description: Vehicle profile for driving costs
+ *             language:
+ *               type: string
+ *               nullable: true
+ *               description: Answer language when the query does not show one
+ *         places:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SavedPlace'
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/profiles:
+ *   get:
+ *     summary: List profiles
+ *     description: Profiles created with the calling API key, oldest first
+ *     tags:
+ *       - Profiles
+ *     responses:
+ *       200:
+ *         description: Profiles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 profiles:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Profile'
+ */
+router.get('/profiles', getProfiles);
+
+/**
+ * @swagger
+ * /api/profiles/{profileId}:
+ *   parameters:
+ *     - in: path
+ *       name: profileId
+ *       required: true
+ *       description: "Your own id for the user (letters, digits and _ . : @ + -)"
+ *       schema:
+ *         type: string
+ *   get:
+ *     summary: Get a profile
+ *     tags:
+ *       - Profiles
+ *     responses:
+ *       200:
+ *         description: The profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Profile'
+ *       404:
+ *         description: Profile not found
+ *   put:
+ *     summary: Create or replace a profile
+ *     description: >
+ *       Send profile_id with POST /api/directions to resolve "home to work" or "from the
+ *       office" against the saved places, and to apply the default mode and preferences.
+ *       Fields left out are cleared.
+ *     tags:
+ *       - Profiles
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               default_mode:
+ *                 type: string
+ *                 example: "car"
+ *               preferences:
+ *                 type: object
+ *                 example: { "avoid": ["tolls"], "vehicle": "suv" }
+ *               places:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/SavedPlace'
+ *                 example:
+ *                   - { "name": "home", "address": "Admiralty Way, Lekki Phase 1" }
+ *                   - { "name": "work", "location": "6.6018,3.3515", "aliases": ["the shop"] }
+ *     responses:
+ *       200:
+ *         description: The saved profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Profile'
+ *       400:
+ *         description: Invalid profile (code INVALID_PROFILE)
+ *   patch:
+ *     summary: Update part of a profile
+ *     description: Changes only the fields sent; preferences are merged one by one. Use the places routes to change single places.
+ *     tags:
+ *       - Profiles
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             example: { "default_mode": "danfo", "preferences": { "avoid": [] } }
+ *     responses:
+ *       200:
+ *         description: The updated profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Profile'
+ *       400:
+ *         description: Invalid change
+ *       404:
+ *         description: Profile not found
+ *   delete:
+ *     summary: Delete a profile and its saved places
+ *     tags:
+ *       - Profiles
+ *     responses:
+ *       204:
+ *         description: Profile deleted
+ *       404:
+ *         description: Profile not found
+ */
+router.get('/profiles/:profileId', getProfileById);
+router.put('/profiles/:profileId', putProfile);
+router.patch('/profiles/:profileId', patchProfile);
+router.delete('/profiles/:profileId', removeProfile);
+
+/**
+ * @swagger
+ * /api/profiles/{profileId}/places:
+ *   get:
+ *     summary: List a profile's saved places
+ *     tags:
+ *       - Profiles
+ *     parameters:
+ *       - in: path
+ *         name: profileId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Saved places
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 places:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SavedPlace'
+ *       404:
+ *         description: Profile not found
+ * /api/profiles/{profileId}/places/{placeName}:
+ *   parameters:
+ *     - in: path
+ *       name: profileId
+ *       required: true
+ *       schema:
+ *         type: string
+ *     - in: path
+ *       name: placeName
+ *       required: true
+ *       description: Matched without case or a leading "my"/"the"
+ *       schema:
+ *         type: string
+ *         example: "home"
+ *   put:
+ *     summary: Save a place
+ *     description: Adds the place, or replaces the one with the same name
+ *     tags:
+ *       - Profiles
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               address:
+ *                 type: string
+ *               location:
+ *                 oneOf:
+ *                   - $ref: '#/components/schemas/LatLng'
+ *                   - type: string
+ *               aliases:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: The saved place
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SavedPlace'
+ *       400:
+ *         description: Invalid place, or a name already used by another place
+ *       404:
+ *         description: Profile not found
+ *   delete:
+ *     summary: Remove a saved place
+ *     tags:
+ *       - Profiles
+ *     responses:
+ *       204:
+ *         description: Place removed
+ *       404:
+ *         description: Profile or place not found
+ */
+router.get('/profiles/:profileId/places', getPlaces);
+router.put('/profiles/:profileId/places/:placeName', putPlace);
+router.delete('/profiles/:profileId/places/:placeName', removePlace);
+
+module.exports = router;
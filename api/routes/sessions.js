@@ -0,0 +1,83 @@
+const express = require('express');
+const router = express.Router();
+const { getSessionHistory, deleteSession } = require('../controllers/sessionsController');
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}:
+ *   get:
+ *     summary: Get a conversation's history
+ *     description: Returns the turns recorded for a session created by POST /api/directions with the same API key; other keys' sessions are not found
+ *     tags:
+ *       - Sessions
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session with its turns, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 session_id:
+ *                   type: string
+ *                 created_at:
+ *                   type: string
+ *                   format: date-time
+ *                 updated_at:
+ *                   type: string
+ *                   format: date-time
+ *                 turns:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       query:
+ *                         type: string
+ *                       origin:
+ *                         type: string
+ *                       destination:
+ *                         type: string
+ *                       mode:
+ *                         type: string
+ *                       query_type:
+ *                         type: string
+ *                       language:
+ *                         type: string
+ *                       response:
+ *                         type: string
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *       400:
+ *         description: The session id is not valid (INVALID_SESSION_ID)
+ *       404:
+ *         description: Session not found or expired (SESSION_NOT_FOUND)
+ *   delete:
+ *     summary: Clear a conversation
+ *     description: Deletes the session and its history so the next query starts fresh
+ *     tags:
+ *       - Sessions
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Session cleared
+ *       400:
+ *         description: The session id is not valid (INVALID_SESSION_ID)
+ *       404:
+ *         description: Session not found or expired (SESSION_NOT_FOUND)
+ */
+router.get('/sessions/:sessionId', getSessionHistory);
+router.delete('/sessions/:sessionId', deleteSession);
+
+module.exports = router;
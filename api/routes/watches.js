@@ -0,0 +1,415 @@
+const express = require('express');
+const router = express.Router();
+const {
+    postWatch,
+    getWatches,
+    getWatchById,
+    pauseWatch,
+    resumeWatch,
+    removeWatch,
+    getDeliveries,
+    checkWatch
+} = require('../controllers/watchesController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WatchCheck:
+ *       type: object
+ *       properties:
+ *         checked_at:
+ *           type: string
+ *           example: "2026-10-19T07:15:00+01:00"
+ *         route:
+ *           type: object
+ *           description: The usual route, as the routing backend ranks it first
+ *           properties:
+ *             summary:
+ *               type: string
+ *             distance:
+ *               type: string
+ *             expected_duration:
+ *               type: string
+ *             delay_minutes:
+ *               type: integer
+ *               nullable: true
+ *             severity:
+ *               type: string
+ *         traffic_status:
+ *           type: string
+ *           example: "Heavy traffic"
+ *         delay_minutes:
+ *           type: integer
+ *           nullable: true
+ *           description: Minutes slower than the usual route takes without traffic
+ *         faster_route:
+ *           type: object
+ *           nullable: true
+ *           description: An alternative at least faster_route_minutes quicker than the usual route
+ *     Watch:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "wat_Zk3m9QbX1aPo"
+ *         name:
+ *           type: string
+ *           nullable: true
+ *         origin:
+ *           type: string
+ *         destination:
+ *           type: string
+ *         mode:
+ *           type: string
+ *         avoid:
+ *           type: array
+ *           items:
+ *             type: string
+ *         days:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["monday", "tuesday", "wednesday", "thursday", "friday"]
+ *         window:
+ *           type: object
+ *           description: When the commute usually starts, in Lagos time
+ *           properties:
+ *             start:
+ *               type: string
+ *               example: "07:00"
+ *             end:
+ *               type: string
+ *               example: "08:30"
+ *         lead_minutes:
+ *           type: integer
+ *           description: How long before the window checks begin
+ *         delay_threshold_minutes:
+ *           type: integer
+ *         faster_route_minutes:
+ *           type: integer
+ *         webhook_url:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [active, paused]
+ *         last_checked_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         last_check:
+ *           nullable: true
+ *           allOf:
+ *             - $ref: '#/components/schemas/WatchCheck'
+ *         last_error:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     WatchDelivery:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "dlv_p0Qw2nXr8sLk"
+ *         watch_id:
+ *           type: string
+ *         event:
+ *           type: string
+ *           enum: [commute.delay, commute.faster_route]
+ *         url:
+ *           type: string
+ *         payload:
+ *           type: object
+ *         status:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *         attempts:
+ *           type: integer
+ *         last_status_code:
+ *           type: integer
+ *           nullable: true
+ *         last_error:
+ *           type: string
+ *           nullable: true
+ *         next_attempt_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/watches:
+ *   post:
+ *     summary: Watch a commute
+ *     description: >
+ *       From lead_minutes before the window opens until it closes, the route is checked every
+ *       WATCH_CHECK_INTERVAL_MINUTES. A webhook is sent when the delay reaches
+ *       delay_threshold_minutes (commute.delay) or an alternative is at least
+ *       faster_route_minutes quicker (commute.faster_route), each at most once a day.
+ *       Webhooks are signed with the returned secret in the X-RouteGPT-Signature header
+ *       ("sha256=" and the HMAC-SHA256 of the body) and retried with growing delays when the
+ *       receiver fails. Redirects are not followed; a 3xx answer counts as a failure.
+ *     tags:
+ *       - Watches
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - origin
+ *               - destination
+ *               - window
+ *               - webhook_url
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Morning commute"
+ *               origin:
+ *                 description: A place, a saved place of the profile, or coordinates
+ *                 oneOf:
+ *                   - type: string
+ *                   - $ref: '#/components/schemas/LatLng'
+ *                 example: "Ikeja"
+ *               destination:
+ *                 oneOf:
+ *                   - type: string
+ *                   - $ref: '#/components/schemas/LatLng'
+ *                 example: "Victoria Island"
+ *               mode:
+ *                 type: string
+ *                 description: Defaults to the profile's default mode, then car
+ *               profile_id:
+ *                 type: string
+ *                 description: Resolves saved places and applies the profile's mode and avoid preferences
+ *               days:
+ *                 description: Day names, or "weekdays", "weekends" or "daily"
+ *                 default: weekdays
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ *               window:
+ *                 type: object
+ *                 example: { "start": "07:00", "end": "08:30" }
+ *               lead_minutes:
+ *                 type: integer
+ *                 default: 30
+ *               delay_threshold_minutes:
+ *                 type: integer
+ *                 default: 15
+ *               faster_route_minutes:
+ *                 type: integer
+ *                 default: 10
+ *               webhook_url:
+ *                 type: string
+ *                 description: Where alerts are posted. Must be a public http or https address; local, link-local and private network hosts are refused.
+ *                 example: "https://example.com/hooks/commute"
+ *     responses:
+ *       201:
+ *         description: The watch, with its signing secret (shown only here)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Watch'
+ *                 - type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       example: "whsec_..."
+ *       400:
+ *         description: >
+ *           Invalid watch (INVALID_WATCH), or a place that is ambiguous (LOCATION_AMBIGUOUS) or
+ *           unknown (LOCATION_NOT_FOUND), with candidates in details
+ *       404:
+ *         description: Profile not found
+ *   get:
+ *     summary: List watches
+ *     description: Watches created with the calling API key, oldest first
+ *     tags:
+ *       - Watches
+ *     responses:
+ *       200:
+ *         description: Watches
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 watches:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Watch'
+ */
+router.post('/watches', postWatch);
+router.get('/watches', getWatches);
+
+/**
+ * @swagger
+ * /api/watches/{watchId}:
+ *   parameters:
+ *     - in: path
+ *       name: watchId
+ *       required: true
+ *       schema:
+ *         type: string
+ *   get:
+ *     summary: Get a watch
+ *     description: Includes the result of the last check
+ *     tags:
+ *       - Watches
+ *     responses:
+ *       200:
+ *         description: The watch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Watch'
+ *       404:
+ *         description: Watch not found
+ *   delete:
+ *     summary: Delete a watch and its delivery log
+ *     description: Pending retries are dropped
+ *     tags:
+ *       - Watches
+ *     responses:
+ *       204:
+ *         description: Watch deleted
+ *       404:
+ *         description: Watch not found
+ */
+router.get('/watches/:watchId', getWatchById);
+router.delete('/watches/:watchId', removeWatch);
+
+/**
+ * @swagger
+ * /api/watches/{watchId}/pause:
+ *   post:
+ *     summary: Pause a watch
+ *     description: No checks run while paused; pending retries still go out
+ *     tags:
+ *       - Watches
+ *     parameters:
+ *       - in: path
+ *         name: watchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The paused watch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Watch'
+ *       404:
+ *         description: Watch not found
+ * /api/watches/{watchId}/resume:
+ *   post:
+ *     summary: Resume a paused watch
+ *     tags:
+ *       - Watches
+ *     parameters:
+ *       - in: path
+ *         name: watchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The active watch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Watch'
+ *       404:
+ *         description: Watch not found
+ */
+router.post('/watches/:watchId/pause', pauseWatch);
+router.post('/watches/:watchId/resume', resumeWatch);
+
+/**
+ * @swagger
+ * /api/watches/{watchId}/deliveries:
+ *   get:
+ *     summary: Webhook delivery log
+ *     description: The latest 50 deliveries for the watch, newest first
+ *     tags:
+ *       - Watches
+ *     parameters:
+ *       - in: path
+ *         name: watchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WatchDelivery'
+ *       404:
+ *         description: Watch not found
+ * /api/watches/{watchId}/check:
+ *   post:
+ *     summary: Check a watch now
+ *     description: >
+ *       Runs the check straight away, whatever the schedule, and sends any alert that has not
+ *       gone out today. Useful to test a webhook receiver. A paused watch is checked but sends
+ *       no alerts.
+ *     tags:
+ *       - Watches
+ *     parameters:
+ *       - in: path
+ *         name: watchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The check and the alerts it sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 watch_id:
+ *                   type: string
+ *                 check:
+ *                   $ref: '#/components/schemas/WatchCheck'
+ *                 alerts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       event:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *       404:
+ *         description: Watch not found
+ */
+router.get('/watches/:watchId/deliveries', getDeliveries);
+router.post('/watches/:watchId/check', checkWatch);
+
+module.exports = router;
@@ -1,14 +1,29 @@
 const express = require('express');
 const path = require('path');
 const router = require('./routes/directions');
+const sessionsRouter = require('./routes/sessions');
+const profilesRouter = require('./routes/profiles');
+const watchesRouter = require('./routes/watches');
+const incidentsRouter = require('./routes/incidents');
+const adminRouter = require('./routes/admin');
+const channelsRouter = require('./routes/channels');
+const chatRouter = require('./routes/chat');
+const { cors } = require('./middleware/cors');
+const { requestLogging } = require('./middleware/requestLogging');
+const { requireApiKey, requireChannelKey, requireMetricsToken } = require('./middleware/auth');
+const { enforceLimits } = require('./middleware/rateLimit');
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
 const { loadEnvironment } = require('./utils/environment');
+const { startWatchScheduler } = require('./services/watchScheduler');
+const { logger } = require('./utils/logger');
+const { renderMetrics } = require('./utils/metrics');
+const { getCircuitStates } = require('./utils/resilience');
 
 // Load environment variables only in development
 if (process.env.NODE_ENV !== 'production') {
     if (!loadEnvironment()) {
-        console.error('Failed to load environment variables');
+        logger.error('Failed to load environment variables');
         process.exit(1);
     }
 }
@@ -27,6 +42,7 @@ const swaggerOptions = {
                 description: 'API Server',
             },
         ],
+        security: [{ ApiKeyAuth: [] }],
     },
     apis: ['./api/routes/*.js'],
 };
@@ -34,34 +50,58 @@ const swaggerOptions = {
 const swaggerSpec = swaggerJsdoc(swaggerOptions);
 
 const app = express();
-app.use(express.json());
-
-// CORS middleware
-app.use((req, res, next) => {
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
-    next();
-});
+// Request ids and per-request logs come first so every later failure is tagged with one
+app.use(requestLogging);
+app.use(cors);
+// Webhook signatures are checked against the exact bytes received
+app.use(express.json({ verify: (req, res, buffer) => { req.rawBody = buffer; } }));
 
 // Swagger documentation route
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
+// Key management, guarded by ADMIN_API_KEY
+app.use('/api/admin', adminRouter);
+
+// SMS and USSD webhooks, which may carry the API key in the query string
+app.use('/api/channels', requireChannelKey, enforceLimits, channelsRouter);
+
+// WhatsApp and Telegram webhooks, authenticated by their signatures; the replies count
+// against the API key in the callback URL
+app.use('/api/chat', chatRouter);
+
+// Everything else under /api needs an API key and counts against its limits
+app.use('/api', requireApiKey, enforceLimits);
+
 // Routes
 app.use('/api', router);
+app.use('/api', sessionsRouter);
+app.use('/api', profilesRouter);
+app.use('/api', watchesRouter);
+app.use('/api', incidentsRouter);
 
-// Health check endpoint
+// Health check endpoint; "degraded" while an upstream's circuit breaker is not closed
 app.get('/health', (req, res) => {
-    res.json({ status: 'ok' });
+    const circuits = getCircuitStates();
+    const degraded = Object.values(circuits).some(state => state !== 'closed');
+    res.json({ status: degraded ? 'degraded' : 'ok', circuits });
+});
+
+// Prometheus metrics for this instance
+app.get('/metrics', requireMetricsToken, (req, res) => {
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
 });
 
 // Only start the server if not running on Vercel
 if (process.env.NODE_ENV !== 'production') {
     const PORT = process.env.PORT || 3000;
     app.listen(PORT, () => {
-        console.log(`Server running on port ${PORT}`);
-        console.log(`Swagger documentation available at http://localhost:${PORT}/api-docs`);
+        logger.info('Server running', { port: Number(PORT), docs: `http://localhost:${PORT}/api-docs` });
     });
+
+    // Commute watches; set WATCH_SCHEDULER=false where another instance or a cron job runs them
+    if (process.env.WATCH_SCHEDULER !== 'false') {
+        startWatchScheduler();
+    }
 }
 
 // Export the app for Vercel
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { getStore } = require('../stores');
+const { ApiError } = require('../utils/errors');
+const { getDefaultLimits } = require('../config/quotas');
+const { getLagosParts } = require('../utils/time');
+
+const KEY_PREFIX = 'rgpt_';
+
+// Only a hash of each key is stored; the key itself is shown once, when it is issued
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Public, non-secret id used by the admin routes
+function keyIdFromHash(hash) {
+    return `key_${hash.slice(0, 12)}`;
+}
+
+function toPublicKey(record) {
+    const { hash, ...rest } = record;
+    return rest;
+}
+
+// Quotas reset at midnight in Lagos
+function getUsageDay(date = new Date()) {
+    const { year, month, day } = getLagosParts(date);
+    return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function readPositiveInteger(value, name) {
+    if (value === undefined || value === null) return undefined;
+    if (!Number.isInteger(value) || value <= 0) {
+        throw new ApiError(400, 'INVALID_REQUEST', `${name} must be a positive integer`);
+    }
+    return value;
+}
+
+async function issueKey({ name, rate_limit_per_minute: rateLimit, daily_quota: dailyQuota } = {}) {
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const hash = hashKey(key);
+    const record = {
+        id: keyIdFromHash(hash),
+        hash,
+        name: name || null,
+        key_preview: `${key.slice(0, KEY_PREFIX.length + 4)}...`,
+        rate_limit_per_minute: readPositiveInteger(rateLimit, 'rate_limit_per_minute') || null,
+        daily_quota: readPositiveInteger(dailyQuota, 'daily_quota') || null,
+        created_at: new Date().toISOString(),
+        revoked_at: null
+    };
+
+    await getStore('api_keys').put(hash, record);
+    return { key, ...toPublicKey(record) };
+}
+
+// The active key record for a presented key, or null when unknown or revoked
+async function findActiveKey(key) {
+    if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+
+    const record = await getStore('api_keys').get(hashKey(key));
+    return record && !record.revoked_at ? record : null;
+}
+
+async function findKeyById(keyId) {
+    const records = await getStore('api_keys').list();
+    return records.find(record => record.id === keyId) || null;
+}
+
+async function getUsage(keyId, day = getUsageDay()) {
+    const usage = await getStore('api_usage').get(`${keyId}:${day}`);
+    return usage || { key_id: keyId, day, units: 0, requests: 0 };
+}
+
+// Usage only counts toward today's quota, so earlier days are dropped once a new day starts
+let prunedBefore = null;
+
+async function pruneUsage(day) {
+    if (prunedBefore === day) return;
+    prunedBefore = day;
+
+    const store = getStore('api_usage');
+    const stale = (await store.list()).filter(usage => usage.day < day);
+    await Promise.all(stale.map(usage => store.delete(`${usage.key_id}:${usage.day}`)));
+}
+
+/**
+ * Holds a request's estimated units against the key's quota while it runs. Refused once the
+ * units used and held already reach the quota, so requests made at the same time cannot all
+ * pass the check before any of them is charged. Returns { allowed, usage, day }.
+ */
+async function reserveUsage(keyId, units, quota) {
+    const day = getUsageDay();
+    let allowed = false;
+    const usage = await getStore('api_usage').update(`${keyId}:${day}`, current => {
+        const record = current || { key_id: keyId, day, units: 0, requests: 0 };
+        if (record.units >= quota) return record;
+
+        allowed = true;
+        return { ...record, units: record.units + units, requests: record.requests + 1 };
+    });
+    await pruneUsage(day);
+    return { allowed, usage, day };
+}
+
+// Replaces a reservation with what the request actually cost, on the day it was reserved
+async function settleUsage(keyId, day, reservedUnits, units) {
+    return getStore('api_usage').update(`${keyId}:${day}`, current => {
+        const record = current || { key_id: keyId, day, units: 0, requests: 0 };
+        return { ...record, units: Math.max(0, record.units - reservedUnits + units) };
+    });
+}
+
+function getLimits(record) {
+    const defaults = getDefaultLimits();
+    return {
+        rate_limit_per_minute: record.rate_limit_per_minute || defaults.rate_limit_per_minute,
+        daily_quota: record.daily_quota || defaults.daily_quota
+    };
+}
+
+async function listKeys() {
+    const records = await getStore('api_keys').list();
+    return Promise.all(records
+        .sort((a, b) => a.created_at.localeCompare(b.created_at))
+        .map(async record => ({
+            ...toPublicKey(record),
+            limits: getLimits(record),
+            usage_today: await getUsage(record.id)
+        })));
+}
+
+async function revokeKey(keyId) {
+    const record = await findKeyById(keyId);
+    if (!record) return null;
+
+    if (!record.revoked_at) {
+        record.revoked_at = new Date().toISOString();
+        await getStore('api_keys').put(record.hash, record);
+    }
+    return toPublicKey(record);
+}
+
+module.exports = {
+    issueKey,
+    findActiveKey,
+    listKeys,
+    revokeKey,
+    getLimits,
+    getUsage,
+    getUsageDay,
+    reserveUsage,
+    settleUsage
+};
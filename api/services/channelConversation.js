@@ -0,0 +1,188 @@
+const NodeCache = require('node-cache');
+const { runDirectionsPipeline } = require('./directionsPipeline');
+const { compressText, paginate, isGsm, segmentCapacity } = require('./channelText');
+const { getDefaultLanguageCode, detectLanguage, translate } = require('../utils/languages');
+const { describeFailure } = require('../utils/errors');
+
+// Where each SMS sender or USSD session is up to: the pages of the last answer, and the
+// clarification waiting on a numbered reply. Kept as long as directions sessions.
+const conversations = new NodeCache({ stdTTL: 1800 });
+
+// "CON " or "END " takes the first four characters of the screen
+const USSD_PREFIX_CHARS = 4;
+
+function readPositiveInteger(name, fallback) {
+    const value = Number(process.env[name]);
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+// USSD_SCREEN_CHARS is what the operator shows on one screen; SMS_PAGE_SEGMENTS is how many
+// SMS segments one reply may use
+function getPageChars(channel, text) {
+    if (channel === 'ussd') {
+        return readPositiveInteger('USSD_SCREEN_CHARS', 182) - USSD_PREFIX_CHARS;
+    }
+    return segmentCapacity(isGsm(text) ? 'gsm' : 'ucs2', readPositiveInteger('SMS_PAGE_SEGMENTS', 2));
+}
+
+// SMS pages end with "(1/3) Reply 1 for more"; USSD pages with a menu
+function pageFooter(channel, language) {
+    const t = key => translate(language, key);
+
+    if (channel === 'sms') {
+        return (index, count) => (count > 1
+            ? `\n(${index + 1}/${count})${index < count - 1 ? ` ${t('channel_more')}` : ''}`
+            : '');
+    }
+
+    return (index, count) => {
+        if (count < 2) return '';
+        const menu = [
+            index < count - 1 && t('channel_next'),
+            index > 0 && t('channel_back'),
+            t('channel_exit')
+        ].filter(Boolean);
+        return `\n${menu.join('\n')}`;
+    };
+}
+
+function paginateAnswer(channel, text, language) {
+    const compressed = compressText(text, { language });
+    const footer = pageFooter(channel, language);
+    const maxChars = getPageChars(channel, compressed + footer(1, 3));
+    return paginate(compressed, { maxChars, footer });
+}
+
+/**
+ * A clarification on one screen: the question, the numbered places shortened to fit, and how
+ * to answer. Unlike an answer it cannot be paged, because digits pick a place.
+ */
+function fitClarification(channel, response, language, hasCandidates) {
+    const [question, ...options] = compressText(response, { language }).split('\n');
+    const hint = hasCandidates ? `\n${translate(language, 'channel_pick')}` : '';
+    const maxChars = getPageChars(channel, response + hint);
+    const room = maxChars - question.length - hint.length - options.length;
+    const optionChars = options.length ? Math.floor(room / options.length) : 0;
+
+    const lines = options.map(option => (option.length > optionChars
+        ? `${option.slice(0, Math.max(optionChars - 3, 4)).trim()}...`
+        : option));
+    return [question, ...lines].join('\n') + hint;
+}
+
+function showPage(conversation, channel) {
+    const { pages, page, language } = conversation;
+    const footer = pageFooter(channel, language);
+    return {
+        text: pages[page] + footer(page, pages.length),
+        // A one-screen USSD answer closes the session; longer ones wait for the menu
+        end: channel === 'ussd' && pages.length === 1
+    };
+}
+
+async function answer(conversation, channel, body) {
+    let result;
+    try {
+        result = await runDirectionsPipeline(body, { channel });
+    } catch (error) {
+        return { conversation, reply: { text: describeFailure(error, conversation.language), end: channel === 'ussd' } };
+    }
+
+    const next = {
+        ...conversation,
+        sessionId: result.session_id,
+        language: result.language || conversation.language
+    };
+
+    if (result.status === 'clarification_needed') {
+        const { clarification_id: clarificationId, candidates } = result.clarification;
+        return {
+            conversation: { ...next, pages: [], page: 0, clarificationId, candidates: candidates.map(candidate => candidate.id) },
+            reply: { text: fitClarification(channel, result.response, next.language, candidates.length > 0), end: false }
+        };
+    }
+
+    const withPages = {
+        ...next,
+        pages: paginateAnswer(channel, result.response, next.language),
+        page: 0,
+        clarificationId: null,
+        candidates: []
+    };
+    return { conversation: withPages, reply: showPage(withPages, channel) };
+}
+
+async function respond(conversation, channel, input) {
+    const t = key => translate(conversation.language, key);
+
+    if (!input) {
+        return { conversation, reply: { text: t('channel_welcome'), end: false } };
+    }
+
+    if (input === '0') {
+        return { conversation: { ...conversation, pages: [], clarificationId: null, candidates: [] }, reply: { text: t('channel_goodbye'), end: true } };
+    }
+
+    // While a place is being clarified, a number picks it and anything else rewords it
+    if (conversation.clarificationId) {
+        const body = { clarification_id: conversation.clarificationId };
+        if (/^\d+$/.test(input)) {
+            const candidateId = conversation.candidates[Number(input) - 1];
+            if (candidateId === undefined) {
+                return { conversation, reply: { text: `${t('errors.INVALID_CANDIDATE')}`, end: false } };
+            }
+            body.candidate_id = candidateId;
+        } else {
+            body.location = input;
+        }
+        return answer(conversation, channel, body);
+    }
+
+    const { pages, page } = conversation;
+    if (pages.length > 0 && (input === '1' || (channel === 'ussd' && input === '2'))) {
+        const target = input === '1' ? page + 1 : page - 1;
+        if (target >= pages.length) {
+            return { conversation, reply: { text: t('channel_last_page'), end: channel === 'ussd' } };
+        }
+        const moved = { ...conversation, page: Math.max(0, target) };
+        return { conversation: moved, reply: showPage(moved, channel) };
+    }
+
+    // Menu numbers with nothing to page through are not trips
+    if (/^\d+$/.test(input)) {
+        return { conversation, reply: { text: t('channel_welcome'), end: false } };
+    }
+
+    return answer(conversation, channel, { query: input, session_id: conversation.sessionId });
+}
+
+/**
+ * Answers one message from a basic phone. subscriber identifies the conversation (the
+ * sender's number for SMS, the session id for USSD) and text is only the latest input.
+ * Resolves to { text, end }, where end means the USSD session should close.
+ */
+async function handleChannelMessage({ channel, subscriber, text }) {
+    const key = `${channel}:${subscriber}`;
+    const input = String(text || '').trim();
+
+    // An empty USSD input is a fresh dial, so nothing carries over
+    const stored = channel === 'ussd' && !input ? undefined : conversations.get(key);
+    const conversation = stored || {
+        sessionId: undefined,
+        language: detectLanguage(input) || getDefaultLanguageCode(),
+        pages: [],
+        page: 0,
+        clarificationId: null,
+        candidates: []
+    };
+
+    const { conversation: updated, reply } = await respond(conversation, channel, input);
+    if (reply.end && channel === 'ussd') {
+        conversations.del(key);
+    } else {
+        conversations.set(key, updated);
+    }
+    return reply;
+}
+
+module.exports = { handleChannelMessage };
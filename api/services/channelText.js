@@ -0,0 +1,156 @@
+// Squeezes formatted answers into SMS segments and USSD screens. Feature phones show plain
+// text only, and every extra SMS segment is paid for, so answers are flattened, shortened
+// and split into numbered pages here rather than sent as they come from the formatter.
+
+// GSM 03.38: characters outside it switch the whole message to UCS-2, which holds far less
+const GSM_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM_EXTENDED = '^{}\\[~]|€\f';
+
+const SEGMENT_CHARS = {
+    gsm: { single: 160, multipart: 153 },
+    ucs2: { single: 70, multipart: 67 }
+};
+
+// Look-alike punctuation the formatters produce, mapped into the GSM alphabet
+const PUNCTUATION = [
+    [/[‘’‚′]/g, '\''],
+    [/[“”„″]/g, '"'],
+    [/[–—−]/g, '-'],
+    [/…/g, '...'],
+    [/[→⇒➜]/g, '>'],
+    [/•/g, '-'],
+    [/[\u00a0\u202f]/g, ' '],
+    [/₦/g, 'N']
+];
+
+// Units and road names are shortened in every language; the numbers themselves never change
+const ABBREVIATIONS = [
+    [/(\d)\s*hours?\b/gi, '$1h'],
+    [/(\d)\s*hrs?\b/gi, '$1h'],
+    [/(\d)\s*(?:minutes?|mins?)\b/gi, '$1min'],
+    [/(\d)\s*(?:kilomet(?:er|re)s?)\b/gi, '$1km'],
+    [/(\d)\s*(?:met(?:er|re)s)\b/gi, '$1m'],
+    [/\bStreet\b/g, 'St'],
+    [/\bRoad\b/g, 'Rd'],
+    [/\bAvenue\b/g, 'Ave'],
+    [/\bExpressway\b/g, 'Expy'],
+    [/\bBoulevard\b/g, 'Blvd'],
+    [/\bCrescent\b/g, 'Cres']
+];
+
+// Wording that only makes sense to shorten in English answers
+const ENGLISH_ABBREVIATIONS = [
+    [/\b(?:approximately|about|around)\s+(?=\d)/gi, '~'],
+    [/\bTurn (left|right)\b/g, (match, side) => side[0].toUpperCase() + side.slice(1)],
+    [/\bContinue (?:straight )?onto\b/g, 'Onto'],
+    [/\band\b/g, '&']
+];
+
+function isGsm(text) {
+    return [...text].every(character => GSM_BASIC.includes(character) || GSM_EXTENDED.includes(character));
+}
+
+// Extended GSM characters take two septets
+function messageLength(text) {
+    if (!isGsm(text)) return text.length;
+    return [...text].reduce((total, character) => total + (GSM_EXTENDED.includes(character) ? 2 : 1), 0);
+}
+
+function countSegments(text) {
+    const limits = SEGMENT_CHARS[isGsm(text) ? 'gsm' : 'ucs2'];
+    const length = messageLength(text);
+    return length <= limits.single ? 1 : Math.ceil(length / limits.multipart);
+}
+
+// Most characters that fit in `segments` SMS segments for text in this encoding
+function segmentCapacity(encoding, segments) {
+    const limits = SEGMENT_CHARS[encoding];
+    return segments === 1 ? limits.single : limits.multipart * segments;
+}
+
+// Markdown tables become one line per row: "7:00 AM, 45min, Light traffic"
+function flattenTables(text) {
+    return text.split('\n')
+        .filter(line => !/^\s*\|?\s*:?-{2,}/.test(line))
+        .map(line => (/^\s*\|.*\|\s*$/.test(line)
+            ? line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim()).filter(Boolean).join(', ')
+            : line))
+        .join('\n');
+}
+
+/**
+ * Plain, short text for a phone screen: no markdown, GSM punctuation, abbreviated units and
+ * road names, and no blank lines. Street names and figures are kept as they are apart from
+ * the abbreviations.
+ */
+function compressText(text, { language = 'en' } = {}) {
+    let compressed = flattenTables(String(text || ''))
+        .replace(/\*\*|__|`/g, '')
+        .replace(/^\s*#+\s*/gm, '')
+        .replace(/^\s*[-*]\s+/gm, '- ');
+
+    for (const [pattern, replacement] of [...PUNCTUATION, ...ABBREVIATIONS, ...(language === 'en' ? ENGLISH_ABBREVIATIONS : [])]) {
+        compressed = compressed.replace(pattern, replacement);
+    }
+
+    return compressed
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ *\n[\s]*/g, '\n')
+        .trim();
+}
+
+// Longest start of the text that measures at most `limit`
+function fittingLength(text, limit) {
+    let end = Math.min(text.length, limit);
+    while (end > 0 && messageLength(text.slice(0, end)) > limit) end--;
+    return end;
+}
+
+// Cuts text into pieces of at most `limit` characters as messageLength counts them, at line
+// or sentence ends when possible
+function splitText(text, limit) {
+    const pieces = [];
+    let rest = text;
+
+    while (messageLength(rest) > limit) {
+        const fits = fittingLength(rest, limit);
+        const window = rest.slice(0, fits + 1);
+        const breaks = [window.lastIndexOf('\n'), ...[...window.matchAll(/[.!?;](?=\s)/g)].map(match => match.index + 1)];
+        const sentenceEnd = Math.max(...breaks.filter(index => index > fits / 2 && index <= fits));
+        const space = window.lastIndexOf(' ');
+        const cut = sentenceEnd > 0 ? sentenceEnd : space > fits / 2 ? space : fits;
+
+        pieces.push(rest.slice(0, cut).trim());
+        rest = rest.slice(cut).trim();
+    }
+
+    if (rest) pieces.push(rest);
+    return pieces;
+}
+
+/**
+ * Splits text into pages that each fit `maxChars` once footer(pageIndex, pageCount) is
+ * added, counting characters the way an SMS does (messageLength). Room for the longest
+ * footer is reserved up front so every page fits whatever the final page count turns out
+ * to be.
+ */
+function paginate(text, { maxChars, footer = () => '' }) {
+    if (!text) return [''];
+    if (messageLength(text + footer(0, 1)) <= maxChars) return [text];
+
+    // First, middle and last pages can carry different menus
+    const reserve = Math.max(...[0, 1, 98].map(index => messageLength(footer(index, 99))));
+    if (reserve >= maxChars) {
+        throw new Error(`A page of ${maxChars} characters cannot hold its ${reserve}-character footer`);
+    }
+    return splitText(text, maxChars - reserve);
+}
+
+module.exports = {
+    isGsm,
+    messageLength,
+    countSegments,
+    segmentCapacity,
+    compressText,
+    paginate
+};
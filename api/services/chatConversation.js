@@ -0,0 +1,128 @@
+const NodeCache = require('node-cache');
+const { runDirectionsPipeline } = require('./directionsPipeline');
+const { getDefaultLanguageCode, detectLanguage, translate } = require('../utils/languages');
+const { describeFailure } = require('../utils/errors');
+
+// One conversation per chat: its directions session, the last location it shared, the
+// clarification waiting on an answer and a query that was waiting for a location
+const conversations = new NodeCache({ stdTTL: 1800 });
+
+// Platforms retry webhooks they think failed, so each message is only answered once
+const seenMessages = new NodeCache({ stdTTL: 3600 });
+
+async function answer(conversation, platform, body) {
+    const { language } = conversation;
+    let result;
+    try {
+        result = await runDirectionsPipeline({
+            ...body,
+            ...(conversation.userLocation && !body.clarification_id && { user_location: conversation.userLocation })
+        }, { channel: platform });
+    } catch (error) {
+        // Asked for directions "from here" without a location: keep the question for when it arrives
+        if (error.code === 'LOCATION_REQUIRED' && body.query) {
+            return {
+                conversation: { ...conversation, pendingQuery: body.query },
+                reply: {
+                    text: describeFailure(error, language),
+                    requestLocation: true,
+                    locationLabel: translate(language, 'chat_share_location')
+                }
+            };
+        }
+        return { conversation, reply: { text: describeFailure(error, language) } };
+    }
+
+    const next = {
+        ...conversation,
+        sessionId: result.session_id,
+        language: result.language || language,
+        pendingQuery: null
+    };
+
+    if (result.status === 'clarification_needed') {
+        const { clarification_id: clarificationId, candidates } = result.clarification;
+        return {
+            conversation: { ...next, clarificationId, candidates: candidates.map(candidate => candidate.id) },
+            reply: {
+                text: result.response,
+                options: candidates.map(candidate => candidate.label),
+                optionsLabel: translate(next.language, 'chat_choose')
+            }
+        };
+    }
+
+    return {
+        conversation: { ...next, clarificationId: null, candidates: [] },
+        reply: { text: result.response }
+    };
+}
+
+async function respond(conversation, platform, message) {
+    const t = key => translate(conversation.language, key);
+
+    if (message.location) {
+        const located = { ...conversation, userLocation: message.location };
+        if (located.pendingQuery) {
+            return answer(located, platform, { query: located.pendingQuery, session_id: located.sessionId });
+        }
+        // A live location moving along needs no answer
+        return { conversation: located, reply: message.moved ? null : { text: t('chat_location_saved') } };
+    }
+
+    const text = (message.text || '').trim();
+    if (!text) {
+        return { conversation, reply: { text: t('chat_unsupported') } };
+    }
+
+    // Telegram bots are opened with /start; either way it begins a new conversation
+    if (/^\/start\b/i.test(text)) {
+        const fresh = { ...conversation, sessionId: undefined, clarificationId: null, candidates: [], pendingQuery: null };
+        return { conversation: fresh, reply: { text: t('channel_welcome') } };
+    }
+
+    // A number ("2", or "2. Ikeja GRA" from a keyboard button) picks a place; other text rewords it
+    if (conversation.clarificationId) {
+        const body = { clarification_id: conversation.clarificationId };
+        const picked = text.match(/^(\d+)(?:\.|$)/);
+        if (picked) {
+            const candidateId = conversation.candidates[Number(picked[1]) - 1];
+            if (candidateId === undefined) {
+                return { conversation, reply: { text: t('errors.INVALID_CANDIDATE') } };
+            }
+            body.candidate_id = candidateId;
+        } else {
+            body.location = text;
+        }
+        return answer(conversation, platform, body);
+    }
+
+    return answer(conversation, platform, { query: text, session_id: conversation.sessionId });
+}
+
+/**
+ * Answers one message from a WhatsApp or Telegram chat, as parsed by chatUpdates. Resolves to
+ * the reply to send ({ text, options?, optionsLabel?, requestLocation?, locationLabel? }), or
+ * null when there is nothing to say, such as for a repeated delivery.
+ */
+async function handleChatMessage(platform, message) {
+    const messageKey = `${platform}:${message.id}`;
+    if (message.id && seenMessages.get(messageKey)) return null;
+    if (message.id) seenMessages.set(messageKey, true);
+
+    const key = `${platform}:${message.chatId}`;
+    const conversation = conversations.get(key) || {
+        sessionId: undefined,
+        language: detectLanguage(message.text) || getDefaultLanguageCode(),
+        userLocation: null,
+        clarificationId: null,
+        candidates: [],
+        pendingQuery: null
+    };
+
+    const { conversation: updated, reply } = await respond(conversation, platform, message);
+    conversations.set(key, updated);
+    return reply;
+}
+
+module.exports = { handleChatMessage };
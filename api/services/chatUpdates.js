@@ -0,0 +1,61 @@
+// Webhook payloads from each chat platform, reduced to the messages we answer:
+// { id, chatId, text } or { id, chatId, location: "lat,lng", moved }, where moved marks a
+// live location that has moved since it was shared. Anything else (read receipts, stickers,
+// voice notes) comes back with neither text nor location.
+
+function formatLocation({ latitude, longitude }) {
+    return `${latitude},${longitude}`;
+}
+
+// A WhatsApp webhook can batch several messages across entries and changes
+function parseWhatsAppWebhook(body = {}) {
+    const messages = [];
+
+    for (const entry of body.entry || []) {
+        for (const change of entry.changes || []) {
+            if (change.field !== 'messages') continue;
+
+            for (const message of change.value?.messages || []) {
+                const parsed = { id: message.id, chatId: message.from };
+
+                if (message.type === 'text') {
+                    parsed.text = message.text?.body;
+                } else if (message.type === 'location' && message.location) {
+                    parsed.location = formatLocation(message.location);
+                    parsed.moved = false;
+                } else if (message.type === 'interactive') {
+                    // The row id of a list is the number of the option picked
+                    const picked = message.interactive?.list_reply || message.interactive?.button_reply;
+                    parsed.text = picked?.id;
+                }
+
+                messages.push(parsed);
+            }
+        }
+    }
+
+    return messages;
+}
+
+// Telegram sends one update per webhook. Live locations arrive as a message and then as
+// edits of it each time the position moves.
+function parseTelegramUpdate(update = {}) {
+    const message = update.message || update.edited_message;
+    if (!message?.chat) return [];
+
+    const parsed = { id: String(update.update_id), chatId: String(message.chat.id) };
+
+    if (message.location) {
+        parsed.location = formatLocation(message.location);
+        parsed.moved = Boolean(update.edited_message);
+    } else if (update.message && typeof message.text === 'string') {
+        parsed.text = message.text;
+    }
+
+    return [parsed];
+}
+
+module.exports = {
+    parseWhatsAppWebhook,
+    parseTelegramUpdate
+};
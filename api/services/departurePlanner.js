@@ -0,0 +1,186 @@
+const { getRouteTotals } = require('./routeSummary');
+const { durationValue } = require('../utils/units');
+const {
+    getLagosParts,
+    fromLagosParts,
+    formatLagosTime,
+    formatLagosDateTime,
+    toLagosISOString
+} = require('../utils/time');
+
+const MAX_SAMPLES = 8;
+const MAX_CONCURRENT_REQUESTS = 4;
+
+// Arrive-by planning: sample departures across this window before the deadline
+const ARRIVAL_WINDOW_MS = 150 * 60 * 1000;
+const ARRIVAL_STEP_MS = 20 * 60 * 1000;
+const ARRIVAL_BUFFER_MS = 5 * 60 * 1000;
+
+// Open-ended planning ("best time today"): sample this part of the day
+const DAY_START_HOUR = 6;
+const DAY_END_HOUR = 21;
+
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index]);
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+function roundUpToQuarterHour(date) {
+    const quarter = 15 * 60 * 1000;
+    return new Date(Math.ceil(date.getTime() / quarter) * quarter);
+}
+
+function arrivalCandidates(arrivalTime, now) {
+    const earliest = roundUpToQuarterHour(new Date(Math.max(now.getTime(), arrivalTime.getTime() - ARRIVAL_WINDOW_MS)));
+    const candidates = [];
+
+    for (let time = earliest.getTime(); time < arrivalTime.getTime() && candidates.length < MAX_SAMPLES; time += ARRIVAL_STEP_MS) {
+        candidates.push(new Date(time));
+    }
+    return candidates.length > 0 ? candidates : [now];
+}
+
+// Spread samples over the rest of the chosen day (today unless the query named another day)
+function dayCandidates(day, now) {
+    const parts = getLagosParts(day || now);
+    const dayStart = fromLagosParts({ ...parts, hour: DAY_START_HOUR, minute: 0 });
+    const dayEnd = fromLagosParts({ ...parts, hour: DAY_END_HOUR, minute: 0 });
+    const start = roundUpToQuarterHour(new Date(Math.max(now.getTime(), dayStart.getTime())));
+
+    if (start >= dayEnd) return [start];
+
+    const step = Math.max(30 * 60 * 1000, Math.ceil((dayEnd - start) / MAX_SAMPLES / (15 * 60 * 1000)) * 15 * 60 * 1000);
+    const candidates = [];
+    for (let time = start.getTime(); time <= dayEnd.getTime() && candidates.length < MAX_SAMPLES; time += step) {
+        candidates.push(new Date(time));
+    }
+    return candidates;
+}
+
+function toSample(departure, routes) {
+    const totals = getRouteTotals(routes[0]);
+    const seconds = (totals.duration_in_traffic || totals.duration).value;
+    const arrival = new Date(departure.getTime() + seconds * 1000);
+
+    return {
+        departure,
+        arrival,
+        seconds,
+        routes,
+        summary: {
+            departure_time: toLagosISOString(departure),
+            departure_text: formatLagosTime(departure),
+            duration: durationValue(seconds),
+            arrival_time: toLagosISOString(arrival),
+            arrival_text: formatLagosTime(arrival),
+            route: routes[0].summary
+        }
+    };
+}
+
+function recommendForArrival(samples, arrivalTime) {
+    const deadline = arrivalTime.getTime() - ARRIVAL_BUFFER_MS;
+    const onTime = samples.filter(sample => sample.arrival.getTime() <= deadline);
+
+    if (onTime.length === 0) {
+        const fastest = samples.reduce((best, sample) => (sample.arrival < best.arrival ? sample : best));
+        return {
+            sample: fastest,
+            window_start: fastest.departure,
+            window_end: fastest.departure,
+            reason: `No sampled departure arrives by ${formatLagosTime(arrivalTime)}; leaving as soon as possible gets you there earliest`
+        };
+    }
+
+    const latest = onTime[onTime.length - 1];
+    return {
+        sample: latest,
+        window_start: onTime.length > 1 ? onTime[onTime.length - 2].departure : latest.departure,
+        window_end: latest.departure,
+        reason: `Latest sampled departure that arrives by ${formatLagosTime(arrivalTime)} with a 5 minute buffer`
+    };
+}
+
+function recommendForDay(samples) {
+    const fastest = samples.reduce((best, sample) => (sample.seconds < best.seconds ? sample : best));
+    const slowest = samples.reduce((worst, sample) => (sample.seconds > worst.seconds ? sample : worst));
+    const index = samples.indexOf(fastest);
+
+    // Neighbouring samples within 10% of the best time widen the window
+    const close = sample => sample && sample.seconds <= fastest.seconds * 1.1;
+    const windowStart = close(samples[index - 1]) ? samples[index - 1] : fastest;
+    const windowEnd = close(samples[index + 1]) ? samples[index + 1] : fastest;
+
+    const saving = slowest.seconds - fastest.seconds;
+    return {
+        sample: fastest,
+        window_start: windowStart.departure,
+        window_end: windowEnd.departure,
+        reason: saving < 60
+            ? 'Expected trip time barely changes across the sampled times, so the earliest is suggested'
+            : `Shortest expected trip of the sampled times, ${durationValue(saving).text} quicker than the slowest`
+    };
+}
+
+function buildTable(samples, recommended) {
+    const rows = samples.map(sample => {
+        const marker = sample === recommended ? ' (recommended)' : '';
+        return `| ${sample.summary.departure_text}${marker} | ${sample.summary.duration.text} | ${sample.summary.arrival_text} |`;
+    });
+
+    return ['| Leave at | Expected duration | Arrive at |', '| --- | --- | --- |', ...rows].join('\n');
+}
+
+/**
+ * Samples several departure times and recommends when to leave. With an arrival time the
+ * recommendation is the latest departure that still arrives on time; otherwise it is the
+ * departure with the shortest traffic-aware trip on the requested day.
+ */
+async function planDeparture(provider, request, { departureTime, arrivalTime } = {}) {
+    const now = new Date();
+    const target = arrivalTime && arrivalTime > now ? arrivalTime : null;
+    const candidates = target ? arrivalCandidates(target, now) : dayCandidates(departureTime, now);
+
+    const samples = await mapWithConcurrency(candidates, MAX_CONCURRENT_REQUESTS, async departure => {
+        const { routes } = await provider.getRoutes({ ...request, departureTime: departure });
+        return toSample(departure, routes);
+    });
+
+    const recommendation = target ? recommendForArrival(samples, target) : recommendForDay(samples);
+    const warnings = provider.timeDependent
+        ? []
+        : [`The ${provider.name} backend does not model traffic by time of day, so every departure time takes the same time`];
+
+    return {
+        routes: recommendation.sample.routes,
+        departureTime: recommendation.sample.departure,
+        plan: {
+            ...(target && { target_arrival: toLagosISOString(target), target_arrival_text: formatLagosDateTime(target) }),
+            samples: samples.map(sample => sample.summary),
+            recommendation: {
+                departure_time: toLagosISOString(recommendation.sample.departure),
+                window_start: toLagosISOString(recommendation.window_start),
+                window_end: toLagosISOString(recommendation.window_end),
+                window_text: recommendation.window_start.getTime() === recommendation.window_end.getTime()
+                    ? formatLagosTime(recommendation.window_start)
+                    : `${formatLagosTime(recommendation.window_start)} - ${formatLagosTime(recommendation.window_end)}`,
+                expected_duration: recommendation.sample.summary.duration,
+                reason: recommendation.reason
+            },
+            table: buildTable(samples, recommendation.sample),
+            warnings
+        }
+    };
+}
+
+module.exports = { planDeparture };
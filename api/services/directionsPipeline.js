@@ -0,0 +1,490 @@
+const { ApiError, SERVER_ERRORS } = require('../utils/errors');
+const { getRoutingProvider } = require('../providers/routing');
+const { parseLatLng } = require('../providers/routing/common');
+const {
+    createClarification,
+    getClarification,
+    updateClarification,
+    deleteClarification
+} = require('../utils/clarifications');
+const { qualifyLocation } = require('../utils/gazetteer');
+const { getComparisonModeNames } = require('../utils/travelModes');
+const {
+    isValidSessionId,
+    getOrCreateSession,
+    appendTurn,
+    getConversationContext
+} = require('../utils/sessions');
+const { extractLocationsAndMode, classifyQuery } = require('./extraction');
+const { buildRoutePayload } = require('./routePayload');
+const { summariseRoutes } = require('./routeSummary');
+const { getRoutesForTime, buildEstimateFor } = require('./travelTime');
+const { planDeparture } = require('./departurePlanner');
+const { compareModes } = require('./modeComparison');
+const { estimateTripCost } = require('./tripCost');
+const { getPricing } = require('./pricing');
+const { requireProfile } = require('./profiles');
+const { analyseTraffic } = require('./trafficAnalysis');
+const { findIncidentsOnRoutes } = require('./incidents');
+const { resolveTripLocations, setTripLocation, describeClarification } = require('./locationResolver');
+const { formatLagosTime } = require('../utils/time');
+const { logger } = require('../utils/logger');
+const { metrics, timeStage, recordQuery } = require('../utils/metrics');
+const { getRequestSignal } = require('../utils/requestContext');
+const {
+    getLanguageCodes,
+    getDefaultLanguageCode,
+    resolveLanguageCode,
+    detectLanguage
+} = require('../utils/languages');
+const { getCacheLayer } = require('../cache');
+const { tripKey, timeKey, digest } = require('../cache/keys');
+const {
+    formatDirections,
+    formatTrafficCheck,
+    formatDurationCheck,
+    formatRouteStatus,
+    formatDeparturePlanning,
+    formatModeComparison,
+    formatCostCheck,
+    formatFallback
+} = require('./formatters');
+
+// Question types whose answers report incidents on the route
+const INCIDENT_QUERY_TYPES = ['route_status', 'traffic_check'];
+
+// What the answer did instead when a stage's upstream failed, listed in the response's degraded
+const STAGE_FALLBACKS = {
+    classify: 'Answered as a directions question',
+    geocode: 'Places were routed as named, without checking they exist',
+    incidents: 'Reported incidents were left out',
+    format: 'Answer built from the route data without the language model'
+};
+
+// Notes that a stage failed and the answer went on with its fallback. A stage stopped because
+// the client went away has nobody to fall back for, so the request ends there.
+function degradeStage(degraded, stage, error) {
+    if (getRequestSignal()?.aborted) throw error;
+
+    const code = SERVER_ERRORS[error.code] ? error.code : 'INTERNAL_ERROR';
+    logger.warn('Stage degraded', { stage, code, error });
+    metrics.degradations.inc({ stage, code });
+    degraded.push({ stage, code, fallback: STAGE_FALLBACKS[stage] });
+}
+
+// Replays cached text in the same word-sized chunks a live completion would arrive in
+function replayTokens(text, onEvent) {
+    for (const token of text.match(/\S+\s*|\s+/g) || []) {
+        onEvent('token', { text: token });
+    }
+}
+
+// Accepts { lat, lng } or "lat,lng" and returns the "lat,lng" string routing backends take
+function readCoordinates(value, name) {
+    if (value === undefined || value === null) return undefined;
+
+    const coords = parseLatLng(value);
+    if (!coords || Math.abs(coords.lat) > 90 || Math.abs(coords.lng) > 180) {
+        throw new ApiError(400, 'INVALID_REQUEST', `${name} must be { "lat": number, "lng": number } or "lat,lng"`);
+    }
+    return `${coords.lat},${coords.lng}`;
+}
+
+// Parks the request until the user picks one of the candidate locations
+function askForClarification(state, pending, emit) {
+    const stored = {
+        query: state.query,
+        session_id: state.session.session_id,
+        context: state.context,
+        include_route: state.includeRoute,
+        user_location: state.userLocation,
+        query_type: state.queryType,
+        language: state.language,
+        trip: state.trip,
+        confirmed: state.confirmed,
+        degraded: state.degraded,
+        pending
+    };
+
+    let clarificationId = state.clarificationId;
+    if (clarificationId) {
+        updateClarification(clarificationId, stored);
+    } else {
+        clarificationId = createClarification(stored);
+    }
+
+    const clarification = { clarification_id: clarificationId, ...pending };
+    emit('clarification', clarification);
+
+    return {
+        status: 'clarification_needed',
+        response: describeClarification(pending, state.language),
+        query_type: state.queryType,
+        session_id: state.session.session_id,
+        language: state.language,
+        degraded: state.degraded,
+        clarification
+    };
+}
+
+// Applies the user's answer to a stored clarification and picks the request up where it stopped
+async function resumeClarification({
+    clarification_id: clarificationId,
+    candidate_id: candidateId,
+    location,
+    include_route: includeRoute,
+    language: requestedLanguage
+}, { emit, onEvent, channel }) {
+    const stored = getClarification(clarificationId);
+    if (!stored) {
+        throw new ApiError(404, 'CLARIFICATION_NOT_FOUND', 'Clarification not found or expired');
+    }
+
+    const { field, candidates } = stored.pending;
+    let { trip, confirmed } = stored;
+
+    if (candidateId !== undefined && candidateId !== null) {
+        const candidate = candidates.find(entry => entry.id === String(candidateId));
+        if (!candidate) {
+            throw new ApiError(400, 'INVALID_CANDIDATE', `Unknown candidate_id: ${candidateId}`);
+        }
+        confirmed = { ...confirmed, [field]: candidate.label };
+    } else if (typeof location === 'string' && location.trim()) {
+        // A reworded place still has to be checked like the original
+        trip = setTripLocation(trip, field, qualifyLocation(location.trim()));
+    } else {
+        throw new ApiError(400, 'INVALID_REQUEST', 'candidate_id or location is required to answer a clarification');
+    }
+
+    const session = getOrCreateSession(stored.session_id);
+    const language = resolveLanguageCode(requestedLanguage) || stored.language;
+    emit('meta', {
+        session_id: session.session_id,
+        origin: trip.origin,
+        destination: trip.destination,
+        waypoints: trip.waypoints,
+        mode: trip.mode,
+        query_type: stored.query_type,
+        language
+    });
+
+    const result = await routeAndFormat({
+        query: stored.query,
+        session,
+        context: stored.context,
+        includeRoute: includeRoute ?? stored.include_route,
+        userLocation: stored.user_location,
+        queryType: stored.query_type,
+        language,
+        trip,
+        confirmed,
+        degraded: stored.degraded || [],
+        clarificationId
+    }, { emit, onEvent, channel });
+
+    if (result.status !== 'clarification_needed') {
+        deleteClarification(clarificationId);
+    }
+    return result;
+}
+
+/**
+ * Runs a natural language query through extraction, classification, routing and formatting.
+ * onEvent(name, data), when given, receives "meta", "route" and "token" events as each stage
+ * completes and switches the formatter to streaming mode. channel ("sms", "ussd", "whatsapp" or
+ * "telegram") asks the formatters for an answer that suits the phone or chat app.
+ *
+ * When a place is ambiguous or cannot be found, the result is a clarification_needed
+ * response instead; sending clarification_id with a candidate_id (or a reworded location)
+ * continues the same request.
+ */
+async function runDirectionsPipeline(body, { onEvent, channel } = {}) {
+    const {
+        query,
+        session_id: sessionId,
+        include_route: includeRoute,
+        optimize_waypoints: optimizeWaypointsOption,
+        clarification_id: clarificationId
+    } = body;
+    const positions = {
+        originCoords: readCoordinates(body.origin_coords, 'origin_coords'),
+        destinationCoords: readCoordinates(body.destination_coords, 'destination_coords'),
+        userLocation: readCoordinates(body.user_location, 'user_location')
+    };
+    const emit = onEvent || (() => {});
+
+    if (sessionId !== undefined && !isValidSessionId(sessionId)) {
+        throw new ApiError(400, 'INVALID_REQUEST', 'Invalid session_id');
+    }
+
+    if (optimizeWaypointsOption !== undefined && typeof optimizeWaypointsOption !== 'boolean') {
+        throw new ApiError(400, 'INVALID_REQUEST', 'optimize_waypoints must be a boolean');
+    }
+
+    if (body.language !== undefined && !resolveLanguageCode(body.language)) {
+        throw new ApiError(400, 'INVALID_REQUEST', `language must be one of: ${getLanguageCodes().join(', ')}`);
+    }
+
+    if (body.vehicle !== undefined) {
+        const { vehicles } = await getPricing();
+        if (!vehicles.profiles[body.vehicle]) {
+            throw new ApiError(400, 'INVALID_REQUEST', `vehicle must be one of: ${Object.keys(vehicles.profiles).join(', ')}`);
+        }
+    }
+
+    if (clarificationId !== undefined) {
+        return resumeClarification(body, { emit, onEvent, channel });
+    }
+
+    if (typeof query !== 'string' || !query.trim()) {
+        throw new ApiError(400, 'INVALID_REQUEST', 'Query is required');
+    }
+
+    // The caller's saved places, preferred mode and route preferences
+    const profile = body.profile_id !== undefined ? await requireProfile(body.profile_id) : null;
+
+    const session = getOrCreateSession(sessionId);
+    const context = getConversationContext(session);
+    const degraded = [];
+
+    // Run location extraction and query classification in parallel; without a classification
+    // the query is answered as directions, but nothing can be answered without extraction
+    const [
+        {
+            origin,
+            destination,
+            waypoints,
+            optimize_waypoints: extractedOptimize,
+            mode,
+            modes: extractedModes,
+            departure_time: departureTime,
+            arrival_time: arrivalTime,
+            language: extractedLanguage
+        },
+        classifiedType
+    ] = await Promise.all([
+        timeStage('extract', () => extractLocationsAndMode(query, context, positions, profile)),
+        timeStage('classify', () => classifyQuery(query, context)).catch(error => {
+            degradeStage(degraded, 'classify', error);
+            return 'directions';
+        })
+    ]);
+
+    // Naming two modes is a comparison whatever the wording; "what's the best way" names none
+    const queryType = extractedModes.length > 1 ? 'mode_comparison' : classifiedType;
+    const modes = queryType === 'mode_comparison' && extractedModes.length < 2 ? getComparisonModeNames() : extractedModes;
+
+    // An explicit option wins, then what the model heard, then give-away words, then the
+    // conversation, then the profile
+    const language = resolveLanguageCode(body.language) ||
+        extractedLanguage ||
+        detectLanguage(query) ||
+        context?.language ||
+        profile?.preferences.language ||
+        getDefaultLanguageCode();
+
+    logger.info('Query understood', { query_type: queryType, origin, destination, waypoints, mode, language });
+    emit('meta', { session_id: session.session_id, origin, destination, waypoints, mode, query_type: queryType, language });
+
+    return routeAndFormat({
+        query,
+        session,
+        context,
+        includeRoute,
+        userLocation: positions.userLocation,
+        queryType,
+        language,
+        trip: {
+            origin,
+            destination,
+            waypoints,
+            // An explicit request option wins over what the query implied
+            optimizeWaypoints: optimizeWaypointsOption ?? extractedOptimize,
+            mode,
+            modes,
+            vehicle: body.vehicle ?? profile?.preferences.vehicle ?? undefined,
+            avoid: profile?.preferences.avoid || [],
+            departureTime,
+            arrivalTime
+        },
+        confirmed: {},
+        degraded
+    }, { emit, onEvent, channel });
+}
+
+async function routeAndFormat(state, { emit, onEvent, channel }) {
+    const { query, session, includeRoute, queryType, language, degraded } = state;
+    const routingProvider = getRoutingProvider();
+
+    // Make sure every place exists and is unambiguous before routing between them
+    const near = state.userLocation && parseLatLng(state.userLocation);
+    const { trip, pending, confirmed, geocodeError } = await timeStage('geocode', () => resolveTripLocations(routingProvider, state.trip, state.confirmed, { near }));
+    if (pending) {
+        return askForClarification({ ...state, confirmed }, pending, emit);
+    }
+    if (geocodeError) {
+        degradeStage(degraded, 'geocode', geocodeError);
+    }
+
+    const {
+        origin,
+        destination,
+        waypoints,
+        optimizeWaypoints,
+        modes = [],
+        vehicle,
+        avoid = [],
+        departureTime,
+        arrivalTime
+    } = trip;
+    let { mode } = trip;
+    const pricing = await getPricing();
+
+    const routeRequest = {
+        origin,
+        destination,
+        waypoints,
+        optimizeWaypoints,
+        mode,
+        avoid,
+        alternatives: true
+    };
+
+    // Departure planning samples several departure times and comparisons route every mode;
+    // everything else routes once
+    let routes;
+    let estimateFor;
+    let departurePlan = null;
+    let comparison = null;
+    await timeStage('route', async () => {
+        if (queryType === 'departure_planning') {
+            const planned = await planDeparture(routingProvider, routeRequest, { departureTime, arrivalTime });
+            routes = planned.routes;
+            departurePlan = planned.plan;
+            estimateFor = buildEstimateFor('departure', planned.departureTime);
+        } else if (queryType === 'mode_comparison') {
+            ({ routes, mode, estimateFor, comparison } = await compareModes(routingProvider, routeRequest, modes, { departureTime, arrivalTime, pricing, vehicle }));
+        } else {
+            ({ routes, estimateFor } = await getRoutesForTime(routingProvider, routeRequest, { departureTime, arrivalTime }));
+        }
+    });
+
+    // Every route carries what it costs, whatever was asked
+    routes = routes.map(route => ({ ...route, cost: estimateTripCost(mode, route, { pricing, vehicle }) }));
+    const traffic = analyseTraffic(routes);
+
+    // Reported flooding, accidents, checkpoints and closures along the way, for the questions
+    // about conditions on the road; routing data carries none of these
+    const incidents = INCIDENT_QUERY_TYPES.includes(queryType)
+        ? await findIncidentsOnRoutes(routes).catch(error => {
+            degradeStage(degraded, 'incidents', error);
+            return null;
+        })
+        : null;
+
+    // Simplify the response data to include only what we need
+    const responseData = {
+        routes: routes.map(route => ({
+            summary: route.summary,
+            warnings: route.warnings,
+            restrictions: route.restrictions,
+            cost: route.cost,
+            waypoint_order: route.waypoint_order,
+            legs: route.legs.map(leg => ({
+                start_address: leg.start_address,
+                end_address: leg.end_address,
+                distance: leg.distance,
+                duration: leg.duration,
+                duration_in_traffic: leg.duration_in_traffic,
+                steps: leg.steps.map(step => ({
+                    instructions: step.instructions,
+                    distance: step.distance,
+                    duration: step.duration,
+                    maneuver: step.maneuver
+                }))
+            }))
+        })),
+        mode,
+        current_time: formatLagosTime(new Date()),
+        estimate_for: estimateFor,
+        language,
+        traffic,
+        ...(incidents && { incidents }),
+        ...(avoid.length > 0 && { avoid }),
+        ...(channel && { channel }),
+        ...(departurePlan && { departure_plan: departurePlan }),
+        ...(comparison && { comparison })
+    };
+
+    const routePayload = buildRoutePayload({ origin, destination, waypoints, mode }, routes);
+    const routeSummaries = summariseRoutes(responseData);
+    emit('route', { routes: routeSummaries, estimate_for: estimateFor });
+
+    // Format response based on query type
+    const formattingFunction = {
+        'traffic_check': formatTrafficCheck,
+        'duration_check': formatDurationCheck,
+        'route_status': formatRouteStatus,
+        'departure_planning': formatDeparturePlanning,
+        'mode_comparison': formatModeComparison,
+        'cost_check': formatCostCheck
+    }[queryType] || formatDirections;
+
+    // Answers for the same trip, question type and time slot are shared between wordings, until
+    // prices change or incidents on the way are reported, confirmed or cleared
+    const incidentsKey = incidents ? digest(incidents.map(incident => [incident.id, incident.confirmations])) : '';
+    const formattedKey = `${queryType}|${tripKey(trip)}|${modes.join(',')}|${vehicle || ''}|${language}|${channel || ''}|${timeKey(trip)}|${digest(pricing)}|${incidentsKey}`;
+    const formattedCache = getCacheLayer('formatted');
+    let formattedResponse = await formattedCache.get(formattedKey);
+    if (formattedResponse !== undefined) {
+        replayTokens(formattedResponse, emit);
+    } else {
+        let streamed = false;
+        try {
+            formattedResponse = await timeStage('format', () => formattingFunction(responseData, origin, destination, {
+                onToken: onEvent && (token => {
+                    streamed = true;
+                    emit('token', { text: token });
+                })
+            }));
+            await formattedCache.set(formattedKey, formattedResponse);
+        } catch (error) {
+            // Half an answer has already reached the client, so it gets the error instead
+            if (streamed) throw error;
+
+            // Not cached, so the next ask gets a written answer again
+            degradeStage(degraded, 'format', error);
+            formattedResponse = formatFallback(responseData, origin, destination);
+            replayTokens(formattedResponse, emit);
+        }
+    }
+
+    recordQuery({ queryType, mode, channel });
+
+    appendTurn(session.session_id, {
+        query,
+        origin,
+        destination,
+        waypoints,
+        mode,
+        query_type: queryType,
+        language,
+        response: formattedResponse
+    });
+
+    return {
+        response: formattedResponse,
+        query_type: queryType,
+        session_id: session.session_id,
+        language,
+        estimate_for: estimateFor,
+        traffic,
+        ...(incidents && { incidents }),
+        ...(departurePlan && { departure_plan: departurePlan }),
+        ...(comparison && { comparison }),
+        ...(includeRoute && { route: routePayload }),
+        degraded
+    };
+}
+
+module.exports = { runDirectionsPipeline };
@@ -0,0 +1,251 @@
+const { generateText } = require('../providers/llm');
+const { formatLagosDateTime, resolveTimeExpression } = require('../utils/time');
+const { qualifyLocation, describeQualificationRules } = require('../utils/gazetteer');
+const { ApiError } = require('../utils/errors');
+const { parseLatLng } = require('../providers/routing/common');
+const { getCacheLayer } = require('../cache');
+const { normaliseText, digest } = require('../cache/keys');
+const { resolveModeName, getDefaultModeName, describeModeRules } = require('../utils/travelModes');
+const { getLanguage, resolveLanguageCode, describeLanguageRules } = require('../utils/languages');
+const { findSavedPlace, getPlaceLocation, describeSavedPlaces } = require('./profiles');
+const { logger } = require('../utils/logger');
+
+const QUERY_TYPES = ['directions', 'traffic_check', 'duration_check', 'route_status', 'departure_planning', 'mode_comparison', 'cost_check'];
+
+// Ways of saying "where I am now"; the prompt asks for CURRENT_LOCATION but models paraphrase
+const CURRENT_LOCATION_PATTERN = /^(current[_ ]location|(right )?here|my (current )?(location|position)|where i am|where i'm at|me)$/i;
+
+function isCurrentLocation(location) {
+    return typeof location === 'string' && CURRENT_LOCATION_PATTERN.test(location.trim());
+}
+
+// Coordinates pass through untouched; place names get their city and country
+function qualify(location) {
+    return parseLatLng(location) ? location : qualifyLocation(location);
+}
+
+/**
+ * Replaces "here" and friends with the caller's coordinates. origin_coords/destination_coords
+ * take precedence over user_location for their own end of the trip.
+ */
+function bindCurrentLocation(location, coords, expectedFields) {
+    if (!isCurrentLocation(location)) return location;
+    if (!coords) {
+        throw new ApiError(400, 'LOCATION_REQUIRED', `The query refers to your current location; send ${expectedFields}`);
+    }
+    return coords;
+}
+
+function describeConversationContext(context) {
+    if (!context) return '';
+
+    return `
+        This is a follow-up in an ongoing conversation. Previous questions: ${JSON.stringify(context.previous_queries)}
+        The previous trip was from "${context.origin}" to "${context.destination}" by "${context.mode}"${context.waypoints?.length ? `, stopping at ${JSON.stringify(context.waypoints)}` : ''}.
+        If the query does not mention an origin, destination, stops or mode, reuse the value from the previous trip.
+        ${context.language ? `The conversation so far is in ${getLanguage(context.language).name}; keep "${context.language}" as the language if this query alone does not show one.` : ''}
+        `;
+}
+
+// Asks the model for the raw slots; everything after this is deterministic post-processing
+async function requestExtraction(query, context, profile) {
+    const prompt = `
+        Extract the origin, destination, intermediate stops and transportation mode from this query.
+        ${describeQualificationRules()}
+        
+        Return ONLY a valid JSON object with "origin", "destination", "waypoints", "optimize_waypoints", "mode",
+        "modes", "time_type", "time_expression" and "language" keys.
+        
+        "waypoints" is the list of stops between origin and destination, in the order the user gave them
+        (empty list if there are none). Set "optimize_waypoints" to true only if the user says the stops
+        can be visited in any order or asks for the best order; otherwise false.
+        
+        If the query mentions when the trip happens, set "time_type" to "departure" when it says when the
+        user leaves ("leave at 7am tomorrow", "at 6 on Monday") or "arrival" when it says when they must
+        arrive ("arrive by 9", "reach Ikeja before 8am"). Copy the time words exactly into "time_expression"
+        (e.g. "7am tomorrow", "9", "Monday 6:30pm", "in 30 minutes"). Otherwise set both to null.
+        The current date and time in Lagos is ${formatLagosDateTime(new Date())}.
+        
+        ${describeModeRules(profile?.default_mode)}
+        If the user weighs several modes against each other ("bus or drive?", "is the train faster than
+        a car?"), list every one in "modes" in the order mentioned and set "mode" to the first.
+        Otherwise "modes" is a list holding just "mode".
+        
+        ${describeLanguageRules()}
+        
+        ${describeSavedPlaces(profile?.places)}
+        
+        If the user refers to their own position ("here", "my location", "where I am"), set that location
+        to "CURRENT_LOCATION". For "near me" or "nearby", keep only the place itself ("pharmacy near me" →
+        "pharmacy"). If the query gives no origin, set "origin" to null.
+        
+        DO NOT include any markdown formatting, backticks, or additional text.
+        Example format: {"origin": "Victoria Island, Lagos, Nigeria", "destination": "Ikeja, Lagos, Nigeria", "waypoints": [], "optimize_waypoints": false, "mode": "car", "modes": ["car"], "time_type": null, "time_expression": null, "language": "en"}
+        Timed example: "how long from Lekki to VI at 7am Monday?" →
+        {"origin": "Lekki, Lagos, Nigeria", "destination": "Victoria Island, Lagos, Nigeria", "waypoints": [], "optimize_waypoints": false, "mode": "car", "time_type": "departure", "time_expression": "7am Monday"}
+        Multi-stop example: "from Yaba to Ikeja, stopping at Maryland Mall and then Ojota" →
+        {"origin": "Yaba, Lagos, Nigeria", "destination": "Ikeja, Lagos, Nigeria", "waypoints": ["Maryland Mall, Lagos, Nigeria", "Ojota, Lagos, Nigeria"], "optimize_waypoints": false, "mode": "car"}
+        Comparison example: "should I take a danfo or drive from Ikeja to Obalende?" →
+        {"origin": "Ikeja, Lagos, Nigeria", "destination": "Obalende, Lagos, Nigeria", "waypoints": [], "optimize_waypoints": false, "mode": "danfo", "modes": ["danfo", "car"], "time_type": null, "time_expression": null, "language": "en"}
+        Pidgin example: "abeg how I go take reach Yaba from Ojota tomorrow morning?" →
+        {"origin": "Ojota, Lagos, Nigeria", "destination": "Yaba, Lagos, Nigeria", "waypoints": [], "optimize_waypoints": false, "mode": "car", "modes": ["car"], "time_type": "departure", "time_expression": "tomorrow morning", "language": "pcm"}
+        ${describeConversationContext(context)}
+        Query: "${query}"
+        `;
+
+    const text = await generateText('extract', prompt);
+    
+    let jsonStr = text;
+    if (text.includes('```')) {
+        jsonStr = text.replace(/```json\n?|\n?```/g, '').trim();
+    }
+    
+    try {
+        return JSON.parse(jsonStr);
+    } catch (error) {
+        logger.warn('Extraction response is not JSON', { response: text.slice(0, 2000) });
+        throw new ApiError(502, 'UPSTREAM_ERROR', `Extraction response is not JSON: ${error.message}`);
+    }
+}
+
+/**
+ * positions holds the caller's coordinates as "lat,lng" strings: originCoords,
+ * destinationCoords and userLocation, all optional. profile, when given, supplies saved
+ * places ("home", "work") and the mode to assume when none is named.
+ */
+async function extractLocationsAndMode(query, context = null, positions = {}, profile = null) { 
+    try {
+        // The model's answer depends only on the wording, the conversation so far and the
+        // caller's saved places, so it is cached; times, coordinates and qualifiers are
+        // applied afresh below
+        const profileKey = profile ? digest({ places: profile.places.map(place => [place.name, place.aliases]), mode: profile.default_mode }) : '';
+        const cacheKey = `extract|${normaliseText(query)}|${context ? digest(context) : ''}|${profileKey}`;
+        const parsedResponse = { ...await getCacheLayer('extraction').wrap(cacheKey, () => requestExtraction(query, context, profile)) };
+
+        parsedResponse.waypoints = Array.isArray(parsedResponse.waypoints)
+            ? parsedResponse.waypoints.filter(Boolean)
+            : [];
+
+        const { originCoords, destinationCoords, userLocation } = positions;
+        parsedResponse.origin = bindCurrentLocation(parsedResponse.origin, originCoords || userLocation, 'user_location or origin_coords');
+        parsedResponse.destination = bindCurrentLocation(parsedResponse.destination, destinationCoords || userLocation, 'user_location or destination_coords');
+        parsedResponse.waypoints = parsedResponse.waypoints.map(stop => bindCurrentLocation(stop, userLocation, 'user_location'));
+
+        // Fill slots the follow-up left out from the previous turn
+        if (context) {
+            if (!parsedResponse.origin && !parsedResponse.destination && parsedResponse.waypoints.length === 0) {
+                parsedResponse.waypoints = context.waypoints || [];
+            }
+            parsedResponse.origin = parsedResponse.origin || context.origin;
+            parsedResponse.destination = parsedResponse.destination || context.destination;
+            parsedResponse.mode = parsedResponse.mode || context.mode;
+        }
+
+        // "How do I get to Yaba?" starts wherever the caller is
+        parsedResponse.origin = parsedResponse.origin || originCoords || userLocation;
+        parsedResponse.destination = parsedResponse.destination || destinationCoords;
+
+        if (!parsedResponse.origin && parsedResponse.destination) {
+            throw new ApiError(400, 'LOCATION_REQUIRED', 'The query has no starting point; name one or send user_location');
+        }
+        
+        if (!parsedResponse.origin || !parsedResponse.destination) {
+            throw new ApiError(422, 'LOCATIONS_NOT_FOUND', 'The query does not name where the trip starts and ends, e.g. "Lekki to Ikeja"');
+        }
+
+        // Saved places are looked up before anything is qualified or geocoded
+        const resolve = location => {
+            const place = findSavedPlace(profile?.places, location);
+            return qualify(place ? getPlaceLocation(place) : location);
+        };
+        parsedResponse.origin = resolve(parsedResponse.origin);
+        parsedResponse.destination = resolve(parsedResponse.destination);
+        parsedResponse.waypoints = parsedResponse.waypoints.map(resolve);
+        parsedResponse.optimize_waypoints = Boolean(parsedResponse.optimize_waypoints);
+
+        // Times are resolved here rather than by the model so they are always correct for Lagos
+        const time = resolveTimeExpression(parsedResponse.time_expression);
+        parsedResponse.departure_time = time && parsedResponse.time_type !== 'arrival' ? time : null;
+        parsedResponse.arrival_time = time && parsedResponse.time_type === 'arrival' ? time : null;
+
+        parsedResponse.mode = resolveModeName(parsedResponse.mode) || profile?.default_mode || getDefaultModeName();
+
+        // Two or more modes means the user wants them compared ("bus or drive?")
+        const modes = Array.isArray(parsedResponse.modes) ? parsedResponse.modes : [];
+        parsedResponse.modes = [...new Set(modes.map(resolveModeName).filter(Boolean))];
+        if (parsedResponse.modes.length < 2) parsedResponse.modes = [parsedResponse.mode];
+
+        // Unknown or missing codes are left for the pipeline to detect
+        parsedResponse.language = resolveLanguageCode(parsedResponse.language);
+        
+        logger.debug('Extracted trip', { extraction: parsedResponse });
+        return parsedResponse;
+    } catch (error) {
+        if (error instanceof ApiError) throw error;
+        throw new Error(`Failed to extract locations and mode: ${error.message}`);
+    }
+}
+
+// Models wrap the category in quotes, add a full stop or write "Traffic check"; anything
+// that is still not a known type gives null
+function normaliseQueryType(answer) {
+    const queryType = answer
+        .toLowerCase()
+        .replace(/[^a-z_\s-]/g, '')
+        .trim()
+        .replace(/[\s-]+/g, '_');
+    return QUERY_TYPES.includes(queryType) ? queryType : null;
+}
+
+// Fails when the model cannot be reached; the pipeline then answers as directions
+async function classifyQuery(query, context = null) {
+    const prompt = `
+    Classify this query into ONE of these categories:
+    1. "directions" - asking for route directions
+    2. "traffic_check" - asking about current traffic conditions
+    3. "duration_check" - asking about travel time
+    4. "route_status" - asking about road conditions or closures
+    5. "departure_planning" - asking when to leave, or the best time to travel
+    6. "mode_comparison" - weighing ways to travel against each other, or asking for the best way to go
+    7. "cost_check" - asking how much a trip costs: fuel, fares or tolls
+    
+    Return ONLY the category as a single word, no additional text.
+    
+    Example queries and their classifications:
+    - "How do I get to Lagos from Ibadan?" → "directions"
+    - "Is there traffic on Third Mainland Bridge?" → "traffic_check"
+    - "How long will it take to reach Ikeja from VI?" → "duration_check"
+    - "Which roads should I avoid in Lekki right now?" → "route_status"
+    - "When should I leave Ajah to reach Ikeja by 9am?" → "departure_planning"
+    - "What's the best time today to drive to Ikorodu?" → "departure_planning"
+    - "Should I take the bus or drive from Ikeja to Obalende?" → "mode_comparison"
+    - "How much will it cost to drive from Lekki to Ikeja?" → "cost_check"
+    - "What's the keke fare from Ojota to Ketu?" → "cost_check"
+    ${context ? `
+    Previous questions in this conversation, for context: ${JSON.stringify(context.previous_queries)}
+    Classify the latest query only, e.g. "and how long will that take?" → "duration_check".
+    ` : ''}
+    Query: "${query}"
+    `;
+
+    const cache = getCacheLayer('extraction');
+    const cacheKey = `classify|${normaliseText(query)}|${context ? digest(context.previous_queries) : ''}`;
+    const cached = await cache.get(cacheKey);
+    if (cached) return cached;
+
+    const answer = await generateText('classify', prompt);
+    const queryType = normaliseQueryType(answer);
+    if (!queryType) {
+        logger.warn('Unrecognised query classification; answering as directions', { answer });
+        return 'directions';
+    }
+
+    logger.debug('Query classified', { query_type: queryType });
+    await cache.set(cacheKey, queryType);
+    return queryType;
+}
+
+module.exports = {
+    extractLocationsAndMode,
+    classifyQuery
+};
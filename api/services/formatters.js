@@ -0,0 +1,351 @@
+const { generateText } = require('../providers/llm');
+const { getRouteTotals, describeLegs } = require('./routeSummary');
+const { getTravelMode } = require('../utils/travelModes');
+const { getLanguage, translate } = require('../utils/languages');
+
+// About three SMS segments, or three USSD screens
+const CHANNEL_ANSWER_CHARS = 450;
+
+function getDistanceContext(distance) {
+    const meters = distance?.value || 0;
+    const kilometers = meters / 1000;
+    
+    if (kilometers < 3) return 'nearby';
+    if (kilometers < 10) return 'short';
+    if (kilometers < 30) return 'medium';
+    return 'long';
+}
+
+// The computed traffic analysis as prompt lines, so the model reports our numbers instead of
+// working congestion out of raw route data
+function describeTrafficFacts(directionsData) {
+    const { traffic } = directionsData;
+    if (!traffic || traffic.routes.length === 0) return '';
+
+    const lines = traffic.routes.map(route => {
+        const flags = [route.fastest && 'fastest', route.least_congested && 'least congested'].filter(Boolean);
+        const delay = route.severity === 'unknown'
+            ? 'no live traffic data'
+            : `${route.severity} traffic, ${route.delay_minutes} min delay (+${route.delay_percent}% on ${route.free_flow_duration.text} free flow)`;
+        const legs = (route.legs || [])
+            .filter(leg => leg.delay_minutes > 0)
+            .map(leg => `leg ${leg.leg} (${leg.from} → ${leg.to}) ${leg.severity}, +${leg.delay_minutes} min`);
+
+        return `${route.rank}. Route ${route.index + 1} via ${route.summary || 'unnamed roads'}: ${route.distance?.text}, ${route.expected_duration?.text} expected; ${delay}` +
+            `${flags.length ? ` [${flags.join(', ')}]` : ''}${legs.length ? `; ${legs.join('; ')}` : ''}`;
+    });
+
+    return `
+    Traffic analysis of the alternative routes, ranked by expected time. Use these figures as given:
+    ${lines.join('\n    ')}
+    ${traffic.has_live_traffic ? '' : 'There is no live traffic data for this trip; times are typical, so do not describe congestion.'}
+    `;
+}
+
+// Incidents reported on the routes, with who reported them and how long ago, so answers
+// about closures and hold-ups rest on reports rather than on what the model imagines
+function describeIncidents(directionsData) {
+    const { incidents } = directionsData;
+    if (!incidents) return '';
+    if (incidents.length === 0) {
+        return `
+    No flooding, accidents, checkpoints or closures have been reported on these routes. Do not mention any.
+    `;
+    }
+
+    const lines = incidents.map(incident => {
+        const where = incident.place || incident.location;
+        const routes = incident.route_indexes.map(index => index + 1).join(', ');
+        const confirmed = incident.confirmations > 1 ? `, confirmed by ${incident.confirmations} reports` : '';
+        return `${incident.label} near ${where} on route ${routes}${incident.description ? `: "${incident.description}"` : ''} ` +
+            `(${incident.source}, reported ${incident.age_minutes} min ago${confirmed})`;
+    });
+
+    return `
+    Incidents reported by road users on these routes. Mention each one on the route you recommend, with its source and age, and treat single recent reports as unconfirmed:
+    ${lines.join('\n    ')}
+    Do not mention any other closures or incidents.
+    `;
+}
+
+// Warnings and road names of each alternative, for answers about conditions along the way
+function describeRouteDetails(directionsData) {
+    return directionsData.routes.map((route, index) => {
+        const roads = route.legs.flatMap(leg => leg.steps.map(step => step.instructions)).filter(Boolean);
+        const warnings = route.warnings?.length ? ` Warnings: ${route.warnings.join('; ')}.` : '';
+        return `Route ${index + 1} via ${route.summary || 'unnamed roads'}: ${roads.join('; ')}.${warnings}`;
+    }).join('\n    ');
+}
+
+// Extra prompt lines for multi-stop trips so every formatter reports per-leg distance and time
+function describeStops(route) {
+    if (!route || route.legs.length < 2) return '';
+
+    return `
+    This trip has ${route.legs.length} legs, listed in visiting order:
+    ${describeLegs(route)}
+    Mention every stop and give the distance and time for each leg.
+    `;
+}
+
+// What the traveller is riding and what they need to know about it, so answers say "take a
+// keke" rather than "drive", and warn about okada bans instead of routing through them
+function describeTravelMode(directionsData) {
+    const travelMode = getTravelMode(directionsData.mode);
+    const restrictions = directionsData.routes[0]?.restrictions || [];
+    const lines = [`The traveller is going by ${travelMode.label} (${travelMode.description}); describe the trip for that mode.`, ...travelMode.notes];
+
+    if (restrictions.length > 0) {
+        lines.push(`Warn clearly that this route breaks these rules and suggest another mode for those parts: ${JSON.stringify(restrictions)}`);
+    }
+
+    return `
+    ${lines.join('\n    ')}
+    `;
+}
+
+// Answers come in the traveller's language, but the figures and names come from the routing
+// data and have to reach them exactly as computed
+function describeLanguage(directionsData) {
+    const language = getLanguage(directionsData.language);
+    if (!language.prompt) return '';
+
+    return `
+    ${language.prompt}
+    Keep every number, distance, duration, time, naira amount, street, road and place name exactly as given; do not translate, convert or round them. Mode names such as okada, keke, danfo and BRT stay as they are.
+    `;
+}
+
+// SMS and USSD answers are read on basic phones and paid for per message; chat apps show
+// only their own light markup
+function describeChannel(directionsData) {
+    const { channel } = directionsData;
+    if (!channel) return '';
+
+    if (channel === 'whatsapp' || channel === 'telegram') {
+        const markup = channel === 'whatsapp'
+            ? 'Use *single asterisks* for bold and no headings, tables or links.'
+            : 'Use plain text only: no markdown, headings, tables or links.';
+        return `
+    This answer is sent as a ${channel === 'whatsapp' ? 'WhatsApp' : 'Telegram'} message read on a phone. ${markup}
+    Keep it short, with one step per line.
+    `;
+    }
+
+    return `
+    This answer goes out by ${channel === 'ussd' ? 'USSD' : 'SMS'} to a basic phone: plain text only, no markdown, tables or emoji.
+    Keep it under ${CHANNEL_ANSWER_CHARS} characters, with only the key turns, the total time and anything the traveller must not miss.
+    `;
+}
+
+function describeEstimateTime(directionsData) {
+    const estimate = directionsData.estimate_for;
+    if (estimate?.passed_time) {
+        return `
+    These times are estimated for ${estimate.description}. Tell the user that time has passed before anything else.
+    `;
+    }
+    if (!estimate || estimate.type === 'now') return '';
+
+    return `
+    These times are estimated for ${estimate.description}. State clearly which time the estimate is for.
+    `;
+}
+
+async function formatDirections(directionsData, origin, destination, { onToken } = {}) {
+    const route = directionsData.routes[0];
+    const totals = getRouteTotals(route);
+    const traffic = directionsData.traffic?.routes[0];
+    const steps = route.legs.length === 1
+        ? route.legs[0].steps.map(s => s.instructions)
+        : route.legs.map((leg, index) => ({ leg: index + 1, steps: leg.steps.map(s => s.instructions) }));
+    
+    const prompt = `
+    Create step-by-step directions:
+    Origin: ${route.legs[0].steps[0].instructions}
+    Steps: ${JSON.stringify(steps)}
+    Distance: ${totals.distance.text}
+    Duration: ${totals.duration_in_traffic?.text || totals.duration.text}
+    ${traffic && traffic.severity !== 'unknown' ? `Traffic: ${traffic.severity}, ${traffic.delay_minutes} min delay` : ''}
+    ${describeTravelMode(directionsData)}${describeStops(route)}${describeEstimateTime(directionsData)}${describeLanguage(directionsData)}${describeChannel(directionsData)}
+    Format: numbered steps, include distance and time at end.
+    Keep it brief and clear.
+    `;
+
+    return generateText('formatDirections', prompt, { onToken });
+}
+
+async function formatTrafficCheck(directionsData, origin, destination, { onToken } = {}) {
+    const route = directionsData.routes[0];
+    const distance = route && getRouteTotals(route).distance;
+    const distanceContext = getDistanceContext(distance);
+    
+    const prompt = `
+    Create a friendly traffic report for the route from ${origin} to ${destination}.
+    The distance is ${distance?.text} (${distanceContext} distance).
+    ${describeTravelMode(directionsData)}${describeStops(route)}${describeEstimateTime(directionsData)}${describeLanguage(directionsData)}${describeChannel(directionsData)}
+    Adjust your response based on the distance:
+    - Nearby: Focus on immediate street conditions
+    - Short: Focus on current traffic flow
+    - Medium: Include alternative routes and traffic patterns
+    - Long: Include major highways, rest stops, and broad traffic patterns
+    ${describeTrafficFacts(directionsData)}${describeIncidents(directionsData)}
+    Say which route is fastest and which is least congested, and how much delay to expect.
+    Keep it casual and helpful, matching the advice to the journey length.
+    `;
+
+    return generateText('formatTrafficCheck', prompt, { onToken });
+}
+
+async function formatDurationCheck(directionsData, origin, destination, { onToken } = {}) {
+    const route = directionsData.routes[0];
+    const distance = route && getRouteTotals(route).distance;
+    const distanceContext = getDistanceContext(distance);
+    
+    const prompt = `
+    Create a friendly, conversational time estimate from ${origin} to ${destination}.
+    The distance is ${distance?.text} (${distanceContext} distance).
+    ${describeTravelMode(directionsData)}${describeStops(route)}${describeEstimateTime(directionsData)}${describeLanguage(directionsData)}${describeChannel(directionsData)}
+    Make it sound like a human conversation, adjusting language based on distance:
+    - For nearby (< 3km): Focus on minutes, mention walking if relevant
+    - For short trips (< 10km): Keep it simple, focus on current conditions
+    - For medium trips (< 30km): Include traffic patterns and alternative routes
+    - For long trips: Include breaks, rest stops, and broader traffic patterns
+    ${describeTrafficFacts(directionsData)}
+    Lead with the expected time on the fastest route.
+    Keep it natural and friendly, matching the tone to the distance context.
+    `;
+
+    return generateText('formatDurationCheck', prompt, { onToken });
+}
+
+async function formatRouteStatus(directionsData, origin, destination, { onToken } = {}) {
+    const prompt = `
+    Create a friendly, conversational route status update between ${origin} and ${destination}.
+    ${describeTravelMode(directionsData)}${describeStops(directionsData.routes[0])}${describeEstimateTime(directionsData)}${describeLanguage(directionsData)}${describeChannel(directionsData)}
+    Make it sound like local advice from someone who just drove that route.
+    Include:
+    1. Road conditions
+    2. Reported incidents and closures, only as listed below
+    3. Traffic hotspots
+    4. Suggested alternatives
+    ${describeTrafficFacts(directionsData)}${describeIncidents(directionsData)}
+    Roads on each route:
+    ${describeRouteDetails(directionsData)}
+    Keep it natural and helpful, like you're sharing local knowledge with a friend.
+    `;
+
+    return generateText('formatRouteStatus', prompt, { onToken });
+}
+
+async function formatDeparturePlanning(directionsData, origin, destination, { onToken } = {}) {
+    const plan = directionsData.departure_plan;
+    
+    const prompt = `
+    Recommend when to leave for a trip from ${origin} to ${destination}.
+    ${plan.target_arrival_text ? `The traveller must arrive by ${plan.target_arrival_text}.` : 'The traveller wants the quickest time to travel.'}
+    ${describeTravelMode(directionsData)}${describeStops(directionsData.routes[0])}${describeLanguage(directionsData)}${describeChannel(directionsData)}
+    We sampled these departure times (expected traffic-aware durations):
+    ${JSON.stringify(plan.samples)}
+    
+    Recommended departure window: ${plan.recommendation.window_text} (${plan.recommendation.reason}).
+    Expected duration when leaving at the recommended time: ${plan.recommendation.expected_duration.text}.
+    ${plan.warnings.join('\n')}
+    
+    In 2-4 friendly sentences, give the recommended window and explain it using the numbers above.
+    Do not draw a table; one is appended to your answer automatically.
+    `;
+
+    const text = await generateText('formatDeparturePlanning', prompt, { onToken });
+
+    // The table is built from the sampled data so its numbers never depend on the model
+    const table = `\n\n${plan.table}`;
+    if (onToken) onToken(table);
+    return text + table;
+}
+
+async function formatModeComparison(directionsData, origin, destination, { onToken } = {}) {
+    const { comparison } = directionsData;
+
+    const prompt = `
+    Compare ways to travel from ${origin} to ${destination}.
+    ${describeStops(directionsData.routes[0])}${describeEstimateTime(directionsData)}${describeLanguage(directionsData)}${describeChannel(directionsData)}
+    Options, best first (duration is traffic-aware, cost is an estimate in naira; car cost is fuel and tolls):
+    ${JSON.stringify(comparison.options.map(({ warnings, ...option }) => option))}
+    What each mode is: ${comparison.options.map(option => `${option.label}: ${getTravelMode(option.mode).description}`).join('; ')}.
+    Options with restrictions may not legally take this route; say so if you mention them.
+    
+    Recommended: ${comparison.recommendation.mode} (${comparison.recommendation.reason}).
+    ${comparison.warnings.join('\n')}
+    
+    In 2-4 friendly sentences, recommend a mode and explain the trade-off in time, cost and changes
+    using the numbers above. Do not draw a table; one is appended to your answer automatically.
+    `;
+
+    const text = await generateText('formatModeComparison', prompt, { onToken });
+
+    // Like the departure table, the numbers come from the routes rather than the model
+    const table = `\n\n${comparison.table}`;
+    if (onToken) onToken(table);
+    return text + table;
+}
+
+async function formatCostCheck(directionsData, origin, destination, { onToken } = {}) {
+    const route = directionsData.routes[0];
+    const { cost } = route;
+    const totals = getRouteTotals(route);
+
+    const prompt = `
+    Tell the traveller what the trip from ${origin} to ${destination} will cost.
+    ${describeTravelMode(directionsData)}${describeStops(route)}${describeEstimateTime(directionsData)}${describeLanguage(directionsData)}${describeChannel(directionsData)}
+    Distance: ${totals.distance?.text}, expected time: ${(totals.duration_in_traffic || totals.duration)?.text}.
+    Estimated cost: ${cost.text} (${cost.basis === 'fuel' ? `fuel and tolls; vehicle: ${cost.vehicle}` : 'what a passenger pays'}).
+    Breakdown: ${JSON.stringify(cost.breakdown.map(({ description, text }) => ({ description, text })))}
+    ${cost.alternatives?.length ? `Alternatives for the same trip: ${JSON.stringify(cost.alternatives.map(({ label, text }) => ({ label, text })))}` : ''}
+    Prices as of ${cost.priced_at || 'the latest update'}.
+    
+    In 2-3 friendly sentences, give the total, say what it is made of and mention any toll.
+    Make clear these are estimates and real fares vary with traffic, time of day and bargaining.
+    `;
+
+    return generateText('formatCostCheck', prompt, { onToken });
+}
+
+// The answer when the language model cannot be reached: the figures of the recommended route,
+// its turns (or the departure or comparison table) and reported incidents, written without the
+// model. Only the opening notice is in the traveller's language.
+function formatFallback(directionsData, origin, destination) {
+    const route = directionsData.routes[0];
+    const totals = getRouteTotals(route);
+    const traffic = directionsData.traffic?.routes[0];
+    const delay = traffic && traffic.severity !== 'unknown' ? ` (${traffic.severity} traffic, ${traffic.delay_minutes} min delay)` : '';
+    const lines = [
+        translate(directionsData.language, 'fallback_notice'),
+        ...(directionsData.estimate_for?.passed_time ? [`Times are for ${directionsData.estimate_for.description}.`] : []),
+        `${origin} → ${destination}${route.summary ? ` via ${route.summary}` : ''}: ${totals.distance?.text}, ${(totals.duration_in_traffic || totals.duration)?.text}${delay}`,
+        ...(route.cost ? [`Estimated cost: ${route.cost.text}`] : []),
+        ...(directionsData.incidents || []).map(incident => `${incident.label} reported near ${incident.place || incident.location}, ${incident.age_minutes} min ago`)
+    ];
+
+    const table = directionsData.departure_plan?.table || directionsData.comparison?.table;
+    if (table) {
+        lines.push('', table);
+    } else {
+        const steps = route.legs.flatMap(leg => leg.steps.map(step => step.instructions)).filter(Boolean);
+        lines.push('', ...steps.map((instructions, index) => `${index + 1}. ${instructions}`));
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    getDistanceContext,
+    formatDirections,
+    formatTrafficCheck,
+    formatDurationCheck,
+    formatRouteStatus,
+    formatDeparturePlanning,
+    formatModeComparison,
+    formatCostCheck,
+    formatFallback
+};
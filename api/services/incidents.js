@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const { getStore } = require('../stores');
+const { ApiError } = require('../utils/errors');
+const { getRequestOwner } = require('../utils/requestContext');
+const { haversineDistance, boundsAround, routePoints } = require('../utils/geo');
+const { qualifyLocation } = require('../utils/gazetteer');
+const { getRoutingProvider } = require('../providers/routing');
+const { parseLatLng } = require('../providers/routing/common');
+const { checkLocation } = require('./locationResolver');
+
+// How long each kind of report stays active unless the reporter says otherwise
+const INCIDENT_TYPES = {
+    flooding: { label: 'Flooding', hours: 6 },
+    accident: { label: 'Accident', hours: 2 },
+    checkpoint: { label: 'Checkpoint', hours: 3 },
+    closure: { label: 'Road closure', hours: 24 }
+};
+const MAX_EXPIRY_MINUTES = 7 * 24 * 60;
+
+// A report of the same type this close to an active one confirms it instead of adding another
+const DUPLICATE_METERS = 300;
+
+// Expired reports are kept this long before they are pruned, for anyone still looking them up
+const RETENTION_MS = 24 * 3600000;
+
+// How far from a route an incident can be and still be on it. Route points are sampled
+// every 250 m, so this has to be at least half of that.
+function getMatchMeters() {
+    const value = Number(process.env.INCIDENT_MATCH_METERS);
+    return Number.isFinite(value) && value > 0 ? value : 200;
+}
+
+function invalid(message) {
+    return new ApiError(400, 'INVALID_INCIDENT', message);
+}
+
+function readText(value, name, max) {
+    if (value === undefined || value === null) return null;
+    if (typeof value !== 'string' || value.trim().length > max) {
+        throw invalid(`${name} must be a string of at most ${max} characters`);
+    }
+    return value.trim() || null;
+}
+
+function readExpiry(input, type, now) {
+    if (input.expires_at !== undefined && input.expires_in_minutes !== undefined) {
+        throw invalid('Send expires_at or expires_in_minutes, not both');
+    }
+
+    let expiresAt = new Date(now.getTime() + INCIDENT_TYPES[type].hours * 3600000);
+    if (input.expires_in_minutes !== undefined) {
+        const minutes = input.expires_in_minutes;
+        if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_EXPIRY_MINUTES) {
+            throw invalid(`expires_in_minutes must be a whole number from 1 to ${MAX_EXPIRY_MINUTES}`);
+        }
+        expiresAt = new Date(now.getTime() + minutes * 60000);
+    } else if (input.expires_at !== undefined) {
+        expiresAt = new Date(input.expires_at);
+        if (Number.isNaN(expiresAt.getTime()) || expiresAt <= now || expiresAt - now > MAX_EXPIRY_MINUTES * 60000) {
+            throw invalid('expires_at must be a date-time in the next 7 days');
+        }
+    }
+    return expiresAt;
+}
+
+function isOnEarth(coords) {
+    return Math.abs(coords.lat) <= 90 && Math.abs(coords.lng) <= 180;
+}
+
+// Coordinates as given; a place name is geocoded and has to point at one place
+async function readLocation(location) {
+    const coords = parseLatLng(location);
+    if (coords && !isOnEarth(coords)) {
+        throw invalid('location must have lat between -90 and 90 and lng between -180 and 180');
+    }
+    if (coords) return { location: coords, place: null };
+
+    if (typeof location !== 'string' || !location.trim()) {
+        throw invalid('location is required, as coordinates or a place name');
+    }
+
+    const provider = getRoutingProvider();
+    if (typeof provider.geocode !== 'function') {
+        throw invalid('location must be coordinates with this routing backend');
+    }
+
+    const address = qualifyLocation(location.trim());
+    const check = await checkLocation(provider, address);
+    if (check.status !== 'resolved') {
+        const problem = check.status === 'ambiguous' ? 'matches more than one place' : 'could not be found';
+        throw new ApiError(400, check.status === 'ambiguous' ? 'LOCATION_AMBIGUOUS' : 'LOCATION_NOT_FOUND',
+            `location "${location.trim()}" ${problem}; send one of the candidates or coordinates`,
+            { field: 'location', candidates: check.candidates });
+    }
+
+    // Served from the geocode cache filled by the check
+    const [match] = await provider.geocode(check.location || address);
+    return { location: match.location, place: match.label };
+}
+
+// Reporters are counted once per app user; callers without a reporter_id count as one
+// person per API key, so repeating an anonymous request cannot confirm or clear on its own
+function reporterKey(reporterId) {
+    return reporterId ? `${getRequestOwner()}:${reporterId}` : getRequestOwner();
+}
+
+function isActive(record, now) {
+    return record.status === 'active' && new Date(record.expires_at) > now;
+}
+
+function toPublicIncident(record, now = new Date()) {
+    const { reporters, clearers, ...incident } = record;
+    return {
+        ...incident,
+        location: `${record.location.lat},${record.location.lng}`,
+        status: record.status === 'active' && !isActive(record, now) ? 'expired' : record.status,
+        age_minutes: Math.max(0, Math.round((now - new Date(record.reported_at)) / 60000))
+    };
+}
+
+async function requireIncident(incidentId) {
+    const record = typeof incidentId === 'string' ? await getStore('incidents').get(incidentId) : null;
+    if (!record) {
+        throw new ApiError(404, 'INCIDENT_NOT_FOUND', `Incident not found: ${incidentId}`);
+    }
+    return record;
+}
+
+async function pruneIncidents(records, now) {
+    for (const record of records) {
+        if (!isActive(record, now) && now - new Date(record.expires_at) > RETENTION_MS) {
+            await getStore('incidents').delete(record.id);
+        }
+    }
+}
+
+// Another report of the same thing: counts the reporter once and keeps it alive as long as
+// a fresh report would be
+function confirm(record, reporter, expiresAt, now) {
+    const known = record.reporters.includes(reporter);
+    return {
+        ...record,
+        confirmations: known ? record.confirmations : record.confirmations + 1,
+        reporters: known ? record.reporters : [...record.reporters, reporter],
+        expires_at: new Date(Math.max(new Date(record.expires_at).getTime(), expiresAt.getTime())).toISOString(),
+        last_confirmed_at: now.toISOString()
+    };
+}
+
+/**
+ * Records a report: { type, location, description, source, reporter_id, expires_at or
+ * expires_in_minutes }. A report matching an active incident of the same type nearby
+ * confirms that one instead, and comes back with merged: true.
+ */
+async function reportIncident(input = {}, now = new Date()) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw invalid('Incident must be an object');
+    }
+    if (!INCIDENT_TYPES[input.type]) {
+        throw invalid(`type must be one of: ${Object.keys(INCIDENT_TYPES).join(', ')}`);
+    }
+
+    const description = readText(input.description, 'description', 280);
+    const source = readText(input.source, 'source', 50);
+    const reporterId = readText(input.reporter_id, 'reporter_id', 100);
+    const expiresAt = readExpiry(input, input.type, now);
+    const { location, place } = await readLocation(input.location);
+    const reporter = reporterKey(reporterId);
+
+    const records = await getStore('incidents').list();
+    await pruneIncidents(records, now);
+
+    const duplicate = records
+        .filter(record => record.type === input.type && isActive(record, now))
+        .map(record => ({ record, distance: haversineDistance(location, record.location) }))
+        .filter(({ distance }) => distance <= DUPLICATE_METERS)
+        .sort((a, b) => a.distance - b.distance)[0];
+
+    if (duplicate) {
+        const updated = confirm(duplicate.record, reporter, expiresAt, now);
+        await getStore('incidents').put(updated.id, updated);
+        return { incident: toPublicIncident(updated, now), merged: true };
+    }
+
+    const record = {
+        id: `inc_${crypto.randomBytes(9).toString('base64url')}`,
+        type: input.type,
+        label: INCIDENT_TYPES[input.type].label,
+        description,
+        location,
+        place,
+        source: source || 'user report',
+        status: 'active',
+        confirmations: 1,
+        reporters: [reporter],
+        clearers: [],
+        reported_at: now.toISOString(),
+        last_confirmed_at: now.toISOString(),
+        expires_at: expiresAt.toISOString()
+    };
+
+    await getStore('incidents').put(record.id, record);
+    return { incident: toPublicIncident(record, now), merged: false };
+}
+
+async function confirmIncident(incidentId, input = {}, now = new Date()) {
+    const record = await requireIncident(incidentId);
+    if (!isActive(record, now)) {
+        throw new ApiError(409, 'INCIDENT_ENDED', 'This incident has already ended; report it again instead');
+    }
+
+    const reporter = reporterKey(readText(input?.reporter_id, 'reporter_id', 100));
+    const fresh = new Date(now.getTime() + INCIDENT_TYPES[record.type].hours * 3600000);
+    const updated = confirm(record, reporter, fresh, now);
+    await getStore('incidents').put(updated.id, updated);
+    return toPublicIncident(updated, now);
+}
+
+/**
+ * Someone on the spot says the incident is gone. It ends once as many people have cleared
+ * it as reported it, so the original reporter alone can take back their own report.
+ */
+async function clearIncident(incidentId, input = {}, now = new Date()) {
+    const record = await requireIncident(incidentId);
+    if (!isActive(record, now)) return toPublicIncident(record, now);
+
+    const clearer = reporterKey(readText(input?.reporter_id, 'reporter_id', 100));
+    if (record.clearers.includes(clearer)) return toPublicIncident(record, now);
+
+    const clearers = [...record.clearers, clearer];
+    const ended = clearers.length >= record.confirmations;
+    const updated = {
+        ...record,
+        clearers,
+        ...(ended && { status: 'cleared', cleared_at: now.toISOString() })
+    };
+    await getStore('incidents').put(updated.id, updated);
+    return toPublicIncident(updated, now);
+}
+
+async function getIncident(incidentId, now = new Date()) {
+    return toPublicIncident(await requireIncident(incidentId), now);
+}
+
+// Active incidents, newest first, optionally of one type and within radiusMeters of a point
+async function listIncidents({ type, near, radiusMeters = 5000 } = {}, now = new Date()) {
+    if (type !== undefined && !INCIDENT_TYPES[type]) {
+        throw invalid(`type must be one of: ${Object.keys(INCIDENT_TYPES).join(', ')}`);
+    }
+    const center = near === undefined ? null : parseLatLng(near);
+    if (near !== undefined && (!center || !isOnEarth(center))) {
+        throw invalid('near must be coordinates as "lat,lng"');
+    }
+
+    const records = await getStore('incidents').list();
+    return records
+        .filter(record => isActive(record, now) && (!type || record.type === type))
+        .filter(record => !center || haversineDistance(center, record.location) <= radiusMeters)
+        .sort((a, b) => b.reported_at.localeCompare(a.reported_at))
+        .map(record => toPublicIncident(record, now));
+}
+
+async function deleteIncident(incidentId) {
+    return getStore('incidents').delete(incidentId);
+}
+
+function isInside(point, { southwest, northeast }) {
+    return point.lat >= southwest.lat && point.lat <= northeast.lat &&
+        point.lng >= southwest.lng && point.lng <= northeast.lng;
+}
+
+/**
+ * Active incidents lying on any of the routes, each with the indexes of the routes it is on,
+ * newest first. Routes need their polyline or step locations, as the backends return them.
+ */
+async function findIncidentsOnRoutes(routes, now = new Date()) {
+    const active = (await getStore('incidents').list()).filter(record => isActive(record, now));
+    if (active.length === 0) return [];
+
+    const matchMeters = getMatchMeters();
+    const pointsByRoute = routes.map(routePoints);
+
+    return active
+        .map(record => {
+            const area = boundsAround(record.location, matchMeters);
+            const routeIndexes = pointsByRoute
+                .map((points, index) => points.some(point => isInside(point, area) &&
+                    haversineDistance(point, record.location) <= matchMeters) ? index : null)
+                .filter(index => index !== null);
+            return { record, routeIndexes };
+        })
+        .filter(({ routeIndexes }) => routeIndexes.length > 0)
+        .sort((a, b) => b.record.reported_at.localeCompare(a.record.reported_at))
+        .map(({ record, routeIndexes }) => ({ ...toPublicIncident(record, now), route_indexes: routeIndexes }));
+}
+
+module.exports = {
+    INCIDENT_TYPES,
+    reportIncident,
+    confirmIncident,
+    clearIncident,
+    getIncident,
+    listIncidents,
+    deleteIncident,
+    findIncidentsOnRoutes
+};
@@ -0,0 +1,175 @@
+const { haversineDistance } = require('../utils/geo');
+const { distanceValue } = require('../utils/units');
+const { parseLatLng } = require('../providers/routing/common');
+const { translate } = require('../utils/languages');
+const { logger } = require('../utils/logger');
+
+const MAX_CANDIDATES = 5;
+
+// Results closer together than this are treated as the same place
+const SAME_PLACE_METERS = 1000;
+
+// With the user's position known, a match this close wins outright if the
+// alternatives are at least twice as far away
+const NEARBY_METERS = 25000;
+
+function toCandidate(result) {
+    return {
+        id: String(result.id),
+        label: result.label,
+        location: result.location,
+        ...(result.distance !== undefined && { distance: distanceValue(result.distance) })
+    };
+}
+
+// Nearest first, each result annotated with its distance from the user
+function rankByDistance(results, near) {
+    if (!near) return results;
+
+    return results
+        .map(result => ({ ...result, distance: haversineDistance(near, result.location) }))
+        .sort((a, b) => a.distance - b.distance);
+}
+
+function dedupe(results) {
+    const seen = new Set();
+    return results.filter(result => {
+        const key = String(result.id);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Geocodes one location and decides whether it can be routed as is. Returns
+ * { status: 'resolved' } (with `location` when the user's position picked one match),
+ * { status: 'ambiguous', candidates } when results point at different places, or
+ * { status: 'not_found', candidates } with looser suggestions.
+ */
+async function checkLocation(provider, location, near) {
+    if (parseLatLng(location)) return { status: 'resolved' };
+
+    const geocode = async address => rankByDistance(
+        dedupe(await provider.geocode(address, { near })).slice(0, MAX_CANDIDATES),
+        near
+    );
+
+    const results = await geocode(location);
+    if (results.length === 0) {
+        // "Foo Street, Lagos, Nigeria" found nothing; the bare name may still suggest something
+        const [name] = location.split(',');
+        const suggestions = name.trim() && name.trim() !== location.trim() ? await geocode(name.trim()) : [];
+        return { status: 'not_found', candidates: suggestions.map(toCandidate) };
+    }
+
+    const [best, ...rest] = results;
+    const elsewhere = rest.filter(result => haversineDistance(best.location, result.location) > SAME_PLACE_METERS);
+    if (elsewhere.length === 0) return { status: 'resolved' };
+
+    if (near && best.distance <= NEARBY_METERS && elsewhere.every(result => result.distance >= best.distance * 2)) {
+        return { status: 'resolved', location: best.label };
+    }
+
+    return { status: 'ambiguous', candidates: [best, ...elsewhere].map(toCandidate) };
+}
+
+// origin, waypoints.0, waypoints.1, ..., destination
+function listLocations({ origin, destination, waypoints = [] }) {
+    return [
+        { field: 'origin', location: origin },
+        ...waypoints.map((location, index) => ({ field: `waypoints.${index}`, location })),
+        { field: 'destination', location: destination }
+    ];
+}
+
+/**
+ * Validates every location of a trip before routing. `confirmed` maps fields to the
+ * location text already settled (checked earlier or picked by the user), which is used
+ * as is; `near` is the user's position, used to prefer nearby matches. Returns { trip }
+ * when everything resolved, otherwise { pending } describing the first location that
+ * needs the user's help plus the fields confirmed so far. When the geocoder fails, places are
+ * routed unchecked and geocodeError carries the failure.
+ */
+async function resolveTripLocations(provider, trip, confirmed = {}, { near } = {}) {
+    const locations = listLocations(trip);
+    const settled = { ...confirmed };
+    let failed = null;
+
+    // Backends without a geocoder route the text as before
+    if (typeof provider.geocode === 'function') {
+        const checks = await Promise.all(locations.map(async ({ field, location }) => {
+            if (settled[field]) return { field, status: 'resolved' };
+            try {
+                return { field, location, ...(await checkLocation(provider, location, near)) };
+            } catch (error) {
+                // Validation is best effort: a geocoder outage should not block routing
+                logger.warn('Error checking location', { location, error: error.message });
+                return { field, status: 'resolved', error };
+            }
+        }));
+
+        for (const check of checks) {
+            if (check.status === 'resolved' && !settled[check.field]) {
+                settled[check.field] = check.location;
+            }
+        }
+
+        failed = checks.find(check => check.error);
+        const pending = checks.find(check => check.status !== 'resolved');
+        if (pending) {
+            return {
+                pending: {
+                    field: pending.field,
+                    location: pending.location,
+                    reason: pending.status,
+                    candidates: pending.candidates
+                },
+                confirmed: settled
+            };
+        }
+    }
+
+    const original = Object.fromEntries(locations.map(({ field, location }) => [field, location]));
+    const resolved = field => settled[field] || original[field];
+    return {
+        trip: {
+            ...trip,
+            origin: resolved('origin'),
+            destination: resolved('destination'),
+            waypoints: (trip.waypoints || []).map((_, index) => resolved(`waypoints.${index}`))
+        },
+        ...(failed && { geocodeError: failed.error })
+    };
+}
+
+// Replaces one location of a trip, addressed by its field name
+function setTripLocation(trip, field, location) {
+    const [key, index] = field.split('.');
+    if (key !== 'waypoints') return { ...trip, [key]: location };
+
+    const waypoints = [...(trip.waypoints || [])];
+    waypoints[Number(index)] = location;
+    return { ...trip, waypoints };
+}
+
+// The question put to the user, in their language; candidate labels stay as the geocoder gave them
+function describeClarification({ location, reason, candidates }, language) {
+    const params = { name: location.split(',')[0].trim() };
+    const options = candidates.map((candidate, index) => `${index + 1}. ${candidate.label}`).join('\n');
+
+    if (reason === 'ambiguous') {
+        return `${translate(language, 'clarification_ambiguous', params)}\n${options}`;
+    }
+    if (candidates.length > 0) {
+        return `${translate(language, 'clarification_suggestions', params)}\n${options}`;
+    }
+    return translate(language, 'clarification_not_found', params);
+}
+
+module.exports = {
+    checkLocation,
+    resolveTripLocations,
+    setTripLocation,
+    describeClarification
+};
@@ -0,0 +1,110 @@
+const { getRouteTotals } = require('./routeSummary');
+const { getRoutesForTime } = require('./travelTime');
+const { countBoardings, estimateTripCost } = require('./tripCost');
+const { durationValue } = require('../utils/units');
+const { getTravelMode, getComparisonRanking } = require('../utils/travelModes');
+const { describeError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+// Ranking turns cost and changes into minutes, at the rates in comparison_ranking of
+// config/modes.json: by default ₦100 is worth a minute and a change costs 5
+function toOption(mode, routes, estimateFor, costOptions, ranking) {
+    const [route] = routes;
+    const totals = getRouteTotals(route);
+    const seconds = (totals.duration_in_traffic || totals.duration).value;
+    const transfers = Math.max(0, countBoardings(route) - 1);
+    const cost = estimateTripCost(mode, route, costOptions);
+    const restrictions = route.restrictions || [];
+
+    return {
+        mode,
+        label: getTravelMode(mode).label,
+        routes,
+        estimateFor,
+        restricted: restrictions.length > 0,
+        score: seconds + (transfers * ranking.minutes_per_change + cost.value / ranking.naira_per_minute) * 60,
+        summary: {
+            mode,
+            label: getTravelMode(mode).label,
+            route: route.summary,
+            distance: totals.distance,
+            duration: durationValue(seconds),
+            transfers,
+            cost,
+            restrictions,
+            warnings: route.warnings || []
+        }
+    };
+}
+
+function describeRecommendation(best, options) {
+    const fastest = options.reduce((a, b) => (a.summary.duration.value <= b.summary.duration.value ? a : b));
+    const cheapest = options.reduce((a, b) => (a.summary.cost.value <= b.summary.cost.value ? a : b));
+
+    if (best.restricted) return `Every option runs into a restriction; ${best.label} is the best of them, but check the warnings`;
+    if (best === fastest && best === cheapest) return 'Fastest and cheapest of the options';
+    if (best === fastest) return `Fastest option; ${cheapest.label} is cheaper at ${cheapest.summary.cost.text} but takes ${cheapest.summary.duration.text}`;
+    if (best === cheapest) return `Cheapest option; ${fastest.label} is quicker at ${fastest.summary.duration.text} but costs about ${fastest.summary.cost.text}`;
+    return 'Best balance of travel time, cost and changes';
+}
+
+// Server failures read as their documented message, so upstream responses stay in the logs
+function describeFailedMode({ mode, result }) {
+    logger.warn('Mode could not be routed', { mode, error: result.reason });
+    const { body } = describeError(result.reason);
+    return `No ${mode} route could be found: ${body.error}${body.code ? ` (${body.code})` : ''}`;
+}
+
+function buildTable(options) {
+    const rows = options.map(({ summary }, index) => {
+        const marker = index === 0 ? ' (recommended)' : summary.restrictions.length > 0 ? ' (restricted)' : '';
+        return `| ${index + 1} | ${summary.label}${marker} | ${summary.duration.text} | ${summary.distance?.text || '-'} | ${summary.transfers} | ~${summary.cost.text} |`;
+    });
+
+    return ['| Rank | Mode | Time | Distance | Changes | Cost |', '| --- | --- | --- | --- | --- | --- |', ...rows].join('\n');
+}
+
+/**
+ * Routes the same trip once per mode, in parallel, and ranks the results by travel time,
+ * cost and number of changes, after any that break a mode restriction. Modes the backend
+ * cannot route are reported and left out; the first error is rethrown only when no mode
+ * could be routed at all.
+ */
+async function compareModes(provider, request, modes, { departureTime, arrivalTime, pricing, vehicle } = {}) {
+    const ranking = getComparisonRanking();
+    const results = await Promise.allSettled(modes.map(async mode => {
+        const { routes, estimateFor } = await getRoutesForTime(provider, { ...request, mode }, { departureTime, arrivalTime });
+        return toOption(mode, routes, estimateFor, { pricing, vehicle }, ranking);
+    }));
+
+    const options = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+    const failures = results
+        .map((result, index) => ({ result, mode: modes[index] }))
+        .filter(({ result }) => result.status === 'rejected');
+
+    if (options.length === 0) {
+        throw failures[0].result.reason;
+    }
+
+    // Options the mode may not legally take (an okada through a ban zone) go last
+    options.sort((a, b) => a.restricted - b.restricted || a.score - b.score);
+    const [best] = options;
+
+    return {
+        routes: best.routes,
+        mode: best.mode,
+        estimateFor: best.estimateFor,
+        comparison: {
+            options: options.map((option, index) => ({ rank: index + 1, ...option.summary })),
+            recommendation: {
+                mode: best.mode,
+                reason: describeRecommendation(best, options)
+            },
+            table: buildTable(options),
+            ranking,
+            warnings: failures.map(describeFailedMode)
+        }
+    };
+}
+
+module.exports = { compareModes };
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const { getStore } = require('../stores');
+const { ApiError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+// Fuel prices, vehicle consumption, fares and tolls used for trip costs. Prices move often, so
+// they can change without a redeploy in two ways: edit the file (PRICING_PATH, default
+// config/pricing.json), which is re-read when it changes, or PUT /api/admin/pricing, which
+// stores an override shared by every instance and wins over the file until it is deleted.
+const DEFAULT_PRICING_PATH = path.join(__dirname, '../config/pricing.json');
+const OVERRIDE_ID = 'pricing';
+
+let fromFile = { mtimeMs: null, pricing: null };
+let override = { checkedAt: 0, document: null };
+
+function getRefreshMs() {
+    const value = Number(process.env.PRICING_REFRESH_MS);
+    return Number.isFinite(value) && value >= 0 ? value : 30000;
+}
+
+function isAmount(value) {
+    return Number.isFinite(value) && value >= 0;
+}
+
+function checkFare(name, fare) {
+    if (!fare || typeof fare !== 'object') return `fares.${name} must be an object`;
+    if (fare.flat !== undefined) {
+        return isAmount(fare.flat) ? null : `fares.${name}.flat must be a non-negative number`;
+    }
+    const field = ['base', 'per_km', 'per_minute', 'minimum'].find(key => fare[key] !== undefined && !isAmount(fare[key]));
+    return field ? `fares.${name}.${field} must be a non-negative number` : null;
+}
+
+// Returns the first problem with a pricing document, or null when it is usable
+function findPricingProblem(pricing) {
+    if (!pricing || typeof pricing !== 'object') return 'Pricing must be a JSON object';
+
+    const fuelPrices = pricing.fuel_prices || {};
+    const badFuel = Object.keys(fuelPrices).find(fuel => !isAmount(fuelPrices[fuel]));
+    if (badFuel) return `fuel_prices.${badFuel} must be a non-negative number`;
+
+    const profiles = pricing.vehicles?.profiles || {};
+    if (!profiles[pricing.vehicles?.default]) return 'vehicles.default must name one of vehicles.profiles';
+    for (const [name, profile] of Object.entries(profiles)) {
+        if (!isAmount(fuelPrices[profile.fuel])) return `vehicles.profiles.${name}.fuel has no price in fuel_prices`;
+        if (!isAmount(profile.litres_per_100km)) return `vehicles.profiles.${name}.litres_per_100km must be a non-negative number`;
+    }
+
+    const fares = pricing.fares || {};
+    for (const [name, fare] of Object.entries(fares)) {
+        const problem = checkFare(name, fare);
+        if (problem) return problem;
+    }
+
+    for (const [name, mode] of Object.entries(pricing.modes || {})) {
+        if (mode.pricing === 'fare' && !fares[mode.fare]) return `modes.${name}.fare must name one of fares`;
+        if (mode.alternative_fare && !fares[mode.alternative_fare]) return `modes.${name}.alternative_fare must name one of fares`;
+    }
+
+    for (const [index, toll] of (pricing.tolls || []).entries()) {
+        if (!toll.name || !toll.fares) return `tolls[${index}] needs a name and fares`;
+        if (!toll.location && !toll.match?.length) return `tolls[${index}] needs a location or match names`;
+    }
+
+    return null;
+}
+
+// Re-reads the file only when it changes; a broken edit keeps the last good prices
+function readPricingFile() {
+    const filePath = process.env.PRICING_PATH || DEFAULT_PRICING_PATH;
+    const { mtimeMs } = fs.statSync(filePath);
+    if (fromFile.pricing && fromFile.mtimeMs === mtimeMs) {
+        return fromFile.pricing;
+    }
+
+    try {
+        const pricing = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const problem = findPricingProblem(pricing);
+        if (problem) throw new Error(problem);
+
+        fromFile = { mtimeMs, pricing };
+        logger.info('Loaded pricing', { file: filePath, updated_at: pricing.updated_at || null });
+    } catch (error) {
+        if (!fromFile.pricing) throw error;
+        logger.error('Ignoring invalid pricing file', { file: filePath, error: error.message });
+        fromFile = { ...fromFile, mtimeMs };
+    }
+    return fromFile.pricing;
+}
+
+async function readOverride() {
+    if (Date.now() - override.checkedAt < getRefreshMs()) {
+        return override.document;
+    }
+
+    try {
+        override = { checkedAt: Date.now(), document: await getStore('settings').get(OVERRIDE_ID) };
+    } catch (error) {
+        logger.error('Failed to read pricing override', { error: error.message });
+        override = { ...override, checkedAt: Date.now() };
+    }
+    return override.document;
+}
+
+/**
+ * The prices in effect now, with `source` ("admin" or "file") so answers can say where
+ * they came from.
+ */
+async function getPricing() {
+    const stored = await readOverride();
+    if (stored) {
+        return { ...stored.pricing, source: 'admin' };
+    }
+    return { ...readPricingFile(), source: 'file' };
+}
+
+async function updatePricing(pricing) {
+    const problem = findPricingProblem(pricing);
+    if (problem) {
+        throw new ApiError(400, 'INVALID_PRICING', problem);
+    }
+
+    const { source, ...clean } = pricing;
+    const document = { pricing: clean, saved_at: new Date().toISOString() };
+    await getStore('settings').put(OVERRIDE_ID, document);
+    override = { checkedAt: Date.now(), document };
+    return { ...clean, source: 'admin' };
+}
+
+// Drops the admin override so the file applies again
+async function resetPricing() {
+    await getStore('settings').delete(OVERRIDE_ID);
+    override = { checkedAt: Date.now(), document: null };
+    return getPricing();
+}
+
+module.exports = {
+    getPricing,
+    updatePricing,
+    resetPricing
+};
@@ -0,0 +1,264 @@
+const { getStore } = require('../stores');
+const { ApiError } = require('../utils/errors');
+const { getRequestOwner } = require('../utils/requestContext');
+const { resolveModeName } = require('../utils/travelModes');
+const { resolveLanguageCode } = require('../utils/languages');
+const { ROUTE_AVOIDANCES, parseLatLng } = require('../providers/routing/common');
+const { getPricing } = require('./pricing');
+
+// Profile ids are chosen by the caller (their own user id), so they only have to be safe
+const PROFILE_ID_PATTERN = /^[A-Za-z0-9_.:@+-]{1,100}$/;
+const MAX_PLACES = 50;
+const MAX_NAME_LENGTH = 60;
+
+// Words people use for the two places almost everyone saves
+const BUILT_IN_ALIASES = {
+    home: ['house', 'my place'],
+    work: ['office', 'workplace', 'the office']
+};
+
+// Profiles belong to the API key that created them, so two apps can use the same user ids
+function storeId(profileId) {
+    return `${getRequestOwner()}:${profileId}`;
+}
+
+// "my office", "The Office", "home, Lagos, Nigeria" all name the same saved place
+function normalisePlaceName(name) {
+    return String(name || '')
+        .split(',')[0]
+        .toLowerCase()
+        .replace(/[’`]/g, "'")
+        .replace(/^\s*(my|our|the)\s+/, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function invalid(message) {
+    return new ApiError(400, 'INVALID_PROFILE', message);
+}
+
+function assertProfileId(profileId) {
+    if (typeof profileId !== 'string' || !PROFILE_ID_PATTERN.test(profileId)) {
+        throw new ApiError(400, 'INVALID_REQUEST', 'profile_id must be 1-100 letters, digits or _ . : @ + -');
+    }
+}
+
+function readPlace(name, input = {}) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+        throw invalid(`Place names must be 1-${MAX_NAME_LENGTH} characters`);
+    }
+
+    const { address, location, aliases = [] } = input;
+    if (address !== undefined && address !== null && (typeof address !== 'string' || !address.trim())) {
+        throw invalid(`address of "${name}" must be a non-empty string`);
+    }
+    const coords = location === undefined || location === null ? null : parseLatLng(location);
+    if (location !== undefined && location !== null && !coords) {
+        throw invalid(`location of "${name}" must be { lat, lng } or "lat,lng"`);
+    }
+    if (!address && !coords) {
+        throw invalid(`"${name}" needs an address or a location`);
+    }
+    if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string' || !alias.trim())) {
+        throw invalid(`aliases of "${name}" must be a list of names`);
+    }
+
+    return {
+        name: name.trim(),
+        aliases: aliases.map(alias => alias.trim()),
+        address: address ? address.trim() : null,
+        location: coords ? `${coords.lat},${coords.lng}` : null
+    };
+}
+
+async function readPreferences(input = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw invalid('preferences must be an object');
+    }
+
+    const { avoid = [], vehicle = null, language = null } = input;
+    if (!Array.isArray(avoid) || avoid.some(feature => !ROUTE_AVOIDANCES.includes(feature))) {
+        throw invalid(`preferences.avoid must be a list of: ${ROUTE_AVOIDANCES.join(', ')}`);
+    }
+    if (vehicle !== null) {
+        const { vehicles } = await getPricing();
+        if (!vehicles.profiles[vehicle]) {
+            throw invalid(`preferences.vehicle must be one of: ${Object.keys(vehicles.profiles).join(', ')}`);
+        }
+    }
+    if (language !== null && !resolveLanguageCode(language)) {
+        throw invalid(`preferences.language is not a supported language: ${language}`);
+    }
+
+    return { avoid: [...new Set(avoid)], vehicle, language: language && resolveLanguageCode(language) };
+}
+
+function assertDistinctPlaces(places) {
+    const seen = new Set();
+    for (const place of places) {
+        for (const name of [place.name, ...place.aliases].map(normalisePlaceName)) {
+            if (seen.has(name)) {
+                throw invalid(`More than one saved place is called "${name}"`);
+            }
+            seen.add(name);
+        }
+    }
+}
+
+async function getProfile(profileId) {
+    assertProfileId(profileId);
+    const record = await getStore('profiles').get(storeId(profileId));
+    if (!record) return null;
+
+    const { owner, ...profile } = record;
+    return profile;
+}
+
+async function requireProfile(profileId) {
+    const profile = await getProfile(profileId);
+    if (!profile) {
+        throw new ApiError(404, 'PROFILE_NOT_FOUND', `Profile not found: ${profileId}`);
+    }
+    return profile;
+}
+
+async function writeProfile(profile) {
+    const now = new Date().toISOString();
+    const record = { ...profile, owner: getRequestOwner(), updated_at: now, created_at: profile.created_at || now };
+    await getStore('profiles').put(storeId(profile.profile_id), record);
+
+    const { owner, ...saved } = record;
+    return saved;
+}
+
+/**
+ * Creates or replaces a profile: { default_mode, preferences: { avoid, vehicle, language },
+ * places: [{ name, address, location, aliases }] }. Anything left out is cleared.
+ */
+async function saveProfile(profileId, input = {}) {
+    assertProfileId(profileId);
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw invalid('Profile must be an object');
+    }
+
+    const { default_mode: defaultMode = null, preferences = {}, places = [] } = input;
+    if (defaultMode !== null && !resolveModeName(defaultMode)) {
+        throw invalid(`default_mode is not a travel mode: ${defaultMode}`);
+    }
+    if (!Array.isArray(places) || places.length > MAX_PLACES) {
+        throw invalid(`places must be a list of at most ${MAX_PLACES} places`);
+    }
+
+    const savedPlaces = places.map(place => readPlace(place?.name, place));
+    assertDistinctPlaces(savedPlaces);
+
+    const existing = await getProfile(profileId);
+    return writeProfile({
+        profile_id: profileId,
+        default_mode: defaultMode && resolveModeName(defaultMode),
+        preferences: await readPreferences(preferences),
+        places: savedPlaces,
+        created_at: existing?.created_at
+    });
+}
+
+// Changes only the fields given; preferences are merged one by one
+async function updateProfile(profileId, changes = {}) {
+    const profile = await requireProfile(profileId);
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        throw invalid('Profile changes must be an object');
+    }
+    if (changes.preferences !== undefined && (typeof changes.preferences !== 'object' || Array.isArray(changes.preferences))) {
+        throw invalid('preferences must be an object');
+    }
+
+    return saveProfile(profileId, {
+        ...profile,
+        ...changes,
+        preferences: { ...profile.preferences, ...changes.preferences }
+    });
+}
+
+async function listProfiles() {
+    const owner = getRequestOwner();
+    const records = await getStore('profiles').list();
+    return records
+        .filter(record => record.owner === owner)
+        .map(({ owner: _, ...profile }) => profile)
+        .sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+async function deleteProfile(profileId) {
+    assertProfileId(profileId);
+    return getStore('profiles').delete(storeId(profileId));
+}
+
+// Adds or replaces one saved place, matched by name
+async function savePlace(profileId, name, input) {
+    const profile = await requireProfile(profileId);
+    const place = readPlace(name, input);
+    const others = profile.places.filter(existing => normalisePlaceName(existing.name) !== normalisePlaceName(place.name));
+    if (others.length >= MAX_PLACES) {
+        throw invalid(`A profile can have at most ${MAX_PLACES} places`);
+    }
+
+    const places = [...others, place];
+    assertDistinctPlaces(places);
+    await writeProfile({ ...profile, places });
+    return place;
+}
+
+async function deletePlace(profileId, name) {
+    const profile = await requireProfile(profileId);
+    const places = profile.places.filter(place => normalisePlaceName(place.name) !== normalisePlaceName(name));
+    if (places.length === profile.places.length) return false;
+
+    await writeProfile({ ...profile, places });
+    return true;
+}
+
+/**
+ * The saved place a location refers to ("home", "my office", "Mum's house"), or null.
+ * Names and aliases match first; "office" and "house" then fall back to work and home.
+ */
+function findSavedPlace(places = [], location) {
+    if (typeof location !== 'string') return null;
+    const wanted = normalisePlaceName(location);
+    if (!wanted) return null;
+
+    const named = places.find(place => [place.name, ...place.aliases].some(name => normalisePlaceName(name) === wanted));
+    if (named) return named;
+
+    const builtIn = Object.keys(BUILT_IN_ALIASES).find(name => BUILT_IN_ALIASES[name].map(normalisePlaceName).includes(wanted));
+    return builtIn ? places.find(place => normalisePlaceName(place.name) === builtIn) || null : null;
+}
+
+// Where routing should go for a saved place: its pin when it has one, else its address
+function getPlaceLocation(place) {
+    return place.location || place.address;
+}
+
+// Tells the extraction model which names to keep as they are
+function describeSavedPlaces(places = []) {
+    if (places.length === 0) return '';
+
+    const names = places.map(place => [place.name, ...place.aliases].map(name => `"${name}"`).join(' or ')).join(', ');
+    return `
+        The user has saved places called ${names}. When the query refers to one of them ("home to work",
+        "from the office", "to my mum's house"), set that location to the saved name exactly as written
+        here, without adding a city or country.`;
+}
+
+module.exports = {
+    getProfile,
+    requireProfile,
+    saveProfile,
+    updateProfile,
+    listProfiles,
+    deleteProfile,
+    savePlace,
+    deletePlace,
+    findSavedPlace,
+    getPlaceLocation,
+    describeSavedPlaces
+};
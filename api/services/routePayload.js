@@ -0,0 +1,73 @@
+const { getTrafficStatus } = require('./trafficAnalysis');
+const { getRouteTotals } = require('./routeSummary');
+
+function buildStep(step) {
+    return {
+        instruction: step.instructions,
+        maneuver: step.maneuver || null,
+        distance: step.distance,
+        duration: step.duration,
+        start_location: step.start_location,
+        end_location: step.end_location,
+        polyline: step.polyline,
+        ...(step.transit && { transit: step.transit })
+    };
+}
+
+function buildRoute(route) {
+    const totals = getRouteTotals(route);
+
+    return {
+        summary: route.summary,
+        polyline: route.polyline,
+        ...totals,
+        traffic_severity: getTrafficStatus(totals.duration?.value, totals.duration_in_traffic?.value),
+        warnings: route.warnings || [],
+        restrictions: route.restrictions || [],
+        ...(route.cost && { cost: route.cost }),
+        waypoint_order: route.waypoint_order || [],
+        legs: route.legs.map(leg => ({
+            start_address: leg.start_address,
+            end_address: leg.end_address,
+            start_location: leg.start_location,
+            end_location: leg.end_location,
+            distance: leg.distance,
+            duration: leg.duration,
+            duration_in_traffic: leg.duration_in_traffic,
+            steps: leg.steps.map(buildStep)
+        }))
+    };
+}
+
+// Machine-readable counterpart of the prose answer, returned when the client sets include_route
+function buildRoutePayload({ origin, destination, waypoints = [], mode }, routes) {
+    const [bestRoute] = routes;
+    const firstLeg = bestRoute?.legs[0];
+    const lastLeg = bestRoute?.legs[bestRoute.legs.length - 1];
+
+    // Stops in visiting order; leg i ends at stop i
+    const order = bestRoute?.waypoint_order?.length ? bestRoute.waypoint_order : waypoints.map((_, index) => index);
+    const stops = order.map((waypointIndex, position) => ({
+        query: waypoints[waypointIndex],
+        address: bestRoute?.legs[position]?.end_address,
+        location: bestRoute?.legs[position]?.end_location
+    }));
+
+    return {
+        origin: {
+            query: origin,
+            address: firstLeg?.start_address,
+            location: firstLeg?.start_location
+        },
+        destination: {
+            query: destination,
+            address: lastLeg?.end_address,
+            location: lastLeg?.end_location
+        },
+        waypoints: stops,
+        mode,
+        routes: routes.map(buildRoute)
+    };
+}
+
+module.exports = { buildRoutePayload };
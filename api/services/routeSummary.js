@@ -0,0 +1,50 @@
+const { distanceValue, durationValue } = require('../utils/units');
+
+function sumValues(legs, field) {
+    if (legs.length === 0 || legs.some(leg => !leg[field])) return undefined;
+    return legs.reduce((total, leg) => total + leg[field].value, 0);
+}
+
+// Whole-route distance and durations; single-leg routes keep the backend's own text
+function getRouteTotals(route) {
+    if (route.legs.length === 1) {
+        const [leg] = route.legs;
+        return {
+            distance: leg.distance,
+            duration: leg.duration,
+            duration_in_traffic: leg.duration_in_traffic
+        };
+    }
+
+    const distance = sumValues(route.legs, 'distance');
+    const duration = sumValues(route.legs, 'duration');
+    const durationInTraffic = sumValues(route.legs, 'duration_in_traffic');
+
+    return {
+        distance: distance === undefined ? undefined : distanceValue(distance),
+        duration: duration === undefined ? undefined : durationValue(duration),
+        duration_in_traffic: durationInTraffic === undefined ? undefined : durationValue(durationInTraffic)
+    };
+}
+
+// Short per-route overview sent to streaming clients before the prose arrives
+function summariseRoutes(directionsData) {
+    return directionsData.routes.map(route => ({
+        summary: route.summary,
+        ...getRouteTotals(route)
+    }));
+}
+
+// "Leg 1: Yaba → Maryland Mall, 6.1 km, 18 mins (25 mins in traffic)" lines for prompts
+function describeLegs(route) {
+    return route.legs.map((leg, index) => {
+        const traffic = leg.duration_in_traffic ? ` (${leg.duration_in_traffic.text} in traffic)` : '';
+        return `Leg ${index + 1}: ${leg.start_address} → ${leg.end_address}, ${leg.distance.text}, ${leg.duration.text}${traffic}`;
+    }).join('\n');
+}
+
+module.exports = {
+    getRouteTotals,
+    summariseRoutes,
+    describeLegs
+};
@@ -0,0 +1,104 @@
+const { getRouteTotals } = require('./routeSummary');
+const { durationValue } = require('../utils/units');
+
+// Delay as a share of the free-flow time; each level covers up to maxPercent
+const SEVERITY_LEVELS = [
+    { level: 'light', label: 'Light traffic', maxPercent: 10 },
+    { level: 'moderate', label: 'Moderate traffic', maxPercent: 30 },
+    { level: 'heavy', label: 'Heavy traffic', maxPercent: 50 },
+    { level: 'severe', label: 'Severe traffic', maxPercent: Infinity }
+];
+
+const UNKNOWN = { level: 'unknown', label: 'Unknown', delay_seconds: null, delay_minutes: null, delay_percent: null };
+
+/**
+ * Severity of the traffic on a route or leg from its free-flow and traffic-aware durations in
+ * seconds. Without a traffic-aware duration (transit, ferry, backends without live traffic)
+ * the severity is unknown rather than light.
+ */
+function getTrafficSeverity(normalSeconds, trafficSeconds) {
+    if (!normalSeconds || !trafficSeconds) return UNKNOWN;
+
+    const delaySeconds = Math.max(0, trafficSeconds - normalSeconds);
+    const percent = delaySeconds / normalSeconds * 100;
+    const { level, label } = SEVERITY_LEVELS.find(severity => percent <= severity.maxPercent);
+
+    return {
+        level,
+        label,
+        delay_seconds: Math.round(delaySeconds),
+        delay_minutes: Math.round(delaySeconds / 60),
+        delay_percent: Math.round(percent)
+    };
+}
+
+function getTrafficStatus(normalSeconds, trafficSeconds) {
+    return getTrafficSeverity(normalSeconds, trafficSeconds).label;
+}
+
+function analyseRoute(route, index) {
+    const totals = getRouteTotals(route);
+    const { delay_seconds: delaySeconds, ...severity } = getTrafficSeverity(totals.duration?.value, totals.duration_in_traffic?.value);
+    const expected = totals.duration_in_traffic || totals.duration;
+
+    return {
+        index,
+        summary: route.summary,
+        distance: totals.distance,
+        free_flow_duration: totals.duration,
+        expected_duration: expected,
+        delay: delaySeconds === null ? null : durationValue(delaySeconds),
+        severity: severity.level,
+        severity_label: severity.label,
+        delay_minutes: severity.delay_minutes,
+        delay_percent: severity.delay_percent,
+        // Multi-stop trips also say which legs the delay is on
+        ...(route.legs.length > 1 && {
+            legs: route.legs.map((leg, legIndex) => {
+                const legSeverity = getTrafficSeverity(leg.duration?.value, leg.duration_in_traffic?.value);
+                return {
+                    leg: legIndex + 1,
+                    from: leg.start_address,
+                    to: leg.end_address,
+                    severity: legSeverity.level,
+                    delay_minutes: legSeverity.delay_minutes
+                };
+            })
+        })
+    };
+}
+
+/**
+ * Deterministic traffic facts for every alternative route: severity, delay against free flow,
+ * and a ranking by expected time (less delay breaks ties). The fastest route and the least
+ * congested one (smallest delay relative to its free-flow time) are flagged; the latter is
+ * null when no route has live traffic data.
+ */
+function analyseTraffic(routes) {
+    const analysed = routes.map(analyseRoute);
+    const ranked = [...analysed].sort((a, b) =>
+        (a.expected_duration?.value ?? Infinity) - (b.expected_duration?.value ?? Infinity) ||
+        (a.delay_percent ?? Infinity) - (b.delay_percent ?? Infinity));
+    const withTraffic = analysed.filter(route => route.severity !== 'unknown');
+    const leastCongested = [...withTraffic].sort((a, b) =>
+        a.delay_percent - b.delay_percent || a.expected_duration.value - b.expected_duration.value)[0];
+    const fastest = ranked[0];
+
+    return {
+        has_live_traffic: withTraffic.length > 0,
+        fastest_route: fastest ? fastest.index : null,
+        least_congested_route: leastCongested ? leastCongested.index : null,
+        routes: analysed.map(route => ({
+            ...route,
+            rank: ranked.indexOf(route) + 1,
+            fastest: route === fastest,
+            least_congested: route === leastCongested
+        }))
+    };
+}
+
+module.exports = {
+    getTrafficSeverity,
+    getTrafficStatus,
+    analyseTraffic
+};
@@ -0,0 +1,81 @@
+const { getRouteTotals } = require('./routeSummary');
+const { formatLagosDateTime, toLagosISOString } = require('../utils/time');
+
+// How far before the requested arrival to probe traffic when working backwards
+const ARRIVAL_PROBE_LEAD_MS = 60 * 60 * 1000;
+
+function describeEstimate(type, time, departureTime, passedTime) {
+    if (type === 'now' && passedTime) {
+        return `leaving now (${formatLagosDateTime(time)}), because the time asked for, ${formatLagosDateTime(passedTime)}, has already passed`;
+    }
+    if (type === 'now') return `leaving now (${formatLagosDateTime(time)})`;
+    if (type === 'departure') return `leaving at ${formatLagosDateTime(time)}`;
+    return `arriving by ${formatLagosDateTime(time)}, leaving at ${formatLagosDateTime(departureTime)}`;
+}
+
+function buildEstimateFor(type, time, departureTime, passedTime) {
+    return {
+        type,
+        time: toLagosISOString(time),
+        ...(departureTime && { departure_time: toLagosISOString(departureTime) }),
+        ...(passedTime && { passed_time: toLagosISOString(passedTime) }),
+        description: describeEstimate(type, time, departureTime, passedTime)
+    };
+}
+
+function expectedSeconds(route) {
+    const totals = getRouteTotals(route);
+    return (totals.duration_in_traffic || totals.duration).value;
+}
+
+/**
+ * Fetches routes for a departure or arrival time and reports which time the estimate is for.
+ * Backends that cannot route "arrive by" natively get a departure time worked back from the
+ * expected duration, then re-queried so traffic reflects that departure.
+ */
+async function getRoutesForTime(provider, request, { departureTime, arrivalTime } = {}) {
+    const now = new Date();
+
+    // Past times cannot be routed with traffic, so they fall back to leaving now and the
+    // estimate says which time was dropped
+    const departure = departureTime && departureTime > now ? departureTime : null;
+    const arrival = arrivalTime && arrivalTime > now ? arrivalTime : null;
+    const passedTime = departure || arrival ? null : departureTime || arrivalTime;
+
+    let result;
+    let estimateFor;
+
+    if (arrival && !provider.supportsArrivalTime?.(request)) {
+        const probeDeparture = new Date(Math.max(now.getTime(), arrival.getTime() - ARRIVAL_PROBE_LEAD_MS));
+        const probe = await provider.getRoutes({ ...request, departureTime: probeDeparture });
+
+        let plannedDeparture = new Date(arrival.getTime() - expectedSeconds(probe.routes[0]) * 1000);
+        if (plannedDeparture < now) plannedDeparture = now;
+
+        result = provider.timeDependent && plannedDeparture.getTime() !== probeDeparture.getTime()
+            ? await provider.getRoutes({ ...request, departureTime: plannedDeparture })
+            : probe;
+        estimateFor = buildEstimateFor('arrival', arrival, plannedDeparture);
+    } else if (arrival) {
+        result = await provider.getRoutes({ ...request, arrivalTime: arrival });
+        estimateFor = buildEstimateFor('arrival', arrival, null);
+    } else {
+        result = await provider.getRoutes({ ...request, departureTime: departure });
+        estimateFor = departure
+            ? buildEstimateFor('departure', departure)
+            : buildEstimateFor('now', now, null, passedTime);
+    }
+
+    if ((departureTime || arrivalTime) && !provider.timeDependent) {
+        result.routes.forEach(route => route.warnings.push(
+            `The ${provider.name} backend does not model traffic at a specific time; durations use typical speeds`
+        ));
+    }
+
+    return { ...result, estimateFor };
+}
+
+module.exports = {
+    getRoutesForTime,
+    buildEstimateFor
+};
@@ -0,0 +1,124 @@
+const { getRouteTotals } = require('./routeSummary');
+const { nairaValue } = require('../utils/units');
+const { haversineDistance, routePoints } = require('../utils/geo');
+
+const DEFAULT_TOLL_RADIUS_METERS = 200;
+
+// Unit prices are shown exactly; totals are rounded the way fares are paid
+function formatUnitPrice(amount) {
+    return `₦${amount.toLocaleString('en-NG')}`;
+}
+
+function costItem(item, description, amount) {
+    return { item, description, ...nairaValue(amount) };
+}
+
+// Each transit vehicle boarded is paid for separately
+function countBoardings(route) {
+    return route.legs.reduce((total, leg) => total + leg.steps.filter(step => step.transit).length, 0);
+}
+
+// Toll points the route passes, by position or by name in the instructions
+function findTolls(route, tolls) {
+    if (tolls.length === 0) return [];
+
+    const points = routePoints(route);
+    const text = [route.summary, ...route.legs.flatMap(leg => leg.steps.map(step => step.instructions))]
+        .filter(Boolean)
+        .join('\n')
+        .toLowerCase();
+
+    return tolls.filter(toll =>
+        (toll.match || []).some(name => text.includes(name.toLowerCase())) ||
+        (toll.location && points.some(point => haversineDistance(point, toll.location) <= (toll.radius_m || DEFAULT_TOLL_RADIUS_METERS))));
+}
+
+function tollItems(tolls, tollClass) {
+    return tolls
+        .map(toll => ({ toll, fee: toll.fares[tollClass] ?? toll.fares.car ?? 0 }))
+        .filter(({ fee }) => fee > 0)
+        .map(({ toll, fee }) => costItem('toll', toll.name, fee));
+}
+
+function expectedSeconds(totals) {
+    return (totals.duration_in_traffic || totals.duration)?.value || 0;
+}
+
+// More fuel is burnt per kilometre in go-slow, so time stuck in traffic adds idling fuel
+function fuelItem(totals, profile, pricing) {
+    const kilometers = (totals.distance?.value || 0) / 1000;
+    const idleHours = totals.duration_in_traffic
+        ? Math.max(0, totals.duration_in_traffic.value - totals.duration.value) / 3600
+        : 0;
+    const litres = kilometers * profile.litres_per_100km / 100 + idleHours * (profile.idle_litres_per_hour || 0);
+    const price = pricing.fuel_prices[profile.fuel];
+
+    return costItem('fuel', `${litres.toFixed(1)} L of ${profile.fuel} for a ${profile.label} at ${formatUnitPrice(price)}/L`, litres * price);
+}
+
+// Flat fares are per vehicle boarded; metered fares are base + distance + time, with a minimum
+function fareItem(fare, totals, boardings) {
+    if (fare.flat !== undefined) {
+        const rides = Math.max(1, boardings);
+        return costItem('fare', `${fare.label}, ${formatUnitPrice(fare.flat)} per ride${rides > 1 ? ` × ${rides}` : ''}`, fare.flat * rides);
+    }
+
+    const kilometers = (totals.distance?.value || 0) / 1000;
+    const minutes = expectedSeconds(totals) / 60;
+    const amount = (fare.base || 0) * Math.max(1, boardings) + (fare.per_km || 0) * kilometers + (fare.per_minute || 0) * minutes;
+    const rates = [
+        fare.base && formatUnitPrice(fare.base),
+        fare.per_km && `${formatUnitPrice(fare.per_km)}/km`,
+        fare.per_minute && `${formatUnitPrice(fare.per_minute)}/min`
+    ].filter(Boolean).join(' + ');
+
+    return costItem('fare', `${fare.label}: ${rates}${fare.minimum ? `, minimum ${formatUnitPrice(fare.minimum)}` : ''}`, Math.max(amount, fare.minimum || 0));
+}
+
+function total(items) {
+    return nairaValue(items.reduce((sum, item) => sum + item.value, 0));
+}
+
+/**
+ * Cost of a route for a travel mode with its breakdown. Fare modes cost what a passenger
+ * pays; driving costs fuel for the vehicle profile plus tolls, with a ride-hailing fare for
+ * the same trip as an alternative. `pricing` comes from getPricing().
+ */
+function estimateTripCost(mode, route, { pricing, vehicle } = {}) {
+    const modePricing = pricing.modes?.[mode] || { pricing: 'fuel' };
+    const totals = getRouteTotals(route);
+    const tolls = findTolls(route, pricing.tolls || []);
+    const boardings = countBoardings(route);
+    const meta = { priced_at: pricing.updated_at || null, source: pricing.source };
+
+    if (modePricing.pricing === 'fare') {
+        const fare = pricing.fares[modePricing.fare];
+        const items = [fareItem(fare, totals, boardings), ...(fare.pays_tolls ? tollItems(tolls, 'car') : [])];
+        return { ...total(items), basis: 'fare', breakdown: items, ...meta };
+    }
+
+    const vehicleName = pricing.vehicles.profiles[vehicle] ? vehicle : pricing.vehicles.default;
+    const profile = pricing.vehicles.profiles[vehicleName];
+    const items = [fuelItem(totals, profile, pricing), ...tollItems(tolls, profile.toll_class)];
+
+    const alternative = modePricing.alternative_fare && pricing.fares[modePricing.alternative_fare];
+    const alternativeItems = alternative
+        ? [fareItem(alternative, totals, 0), ...(alternative.pays_tolls ? tollItems(tolls, 'car') : [])]
+        : [];
+
+    return {
+        ...total(items),
+        basis: 'fuel',
+        vehicle: vehicleName,
+        breakdown: items,
+        ...(alternative && {
+            alternatives: [{ name: modePricing.alternative_fare, label: alternative.label, ...total(alternativeItems), breakdown: alternativeItems }]
+        }),
+        ...meta
+    };
+}
+
+module.exports = {
+    countBoardings,
+    estimateTripCost
+};
@@ -0,0 +1,59 @@
+const { listDueWatches, runWatchCheck, getWatchSecret } = require('./watches');
+const { retryDueDeliveries } = require('./webhookDeliveries');
+const { logger } = require('../utils/logger');
+
+let timer = null;
+let running = null;
+
+/**
+ * One pass of the commute scheduler: checks every watch that is due and retries webhook
+ * deliveries whose next attempt has come. Overlapping calls share the pass in progress.
+ * Checks run outside any request, so they are not charged to an API key's quota.
+ */
+function runWatchTick(now = new Date()) {
+    if (running) return running;
+
+    running = (async () => {
+        const summary = { checked: 0, alerts: 0, errors: 0, retried: 0 };
+
+        for (const watch of await listDueWatches(now)) {
+            try {
+                const { alerts } = await runWatchCheck(watch, now);
+                summary.checked += 1;
+                summary.alerts += alerts.length;
+            } catch (error) {
+                logger.error('Error checking watch', { watch_id: watch.id, error: error.message });
+                summary.errors += 1;
+            }
+        }
+
+        summary.retried = (await retryDueDeliveries(getWatchSecret, now)).length;
+        return summary;
+    })().finally(() => { running = null; });
+
+    return running;
+}
+
+// WATCH_POLL_SECONDS between passes (60 by default). Serverless deployments, where nothing
+// runs between requests, call POST /api/admin/watches/run from a cron job instead.
+function startWatchScheduler() {
+    if (timer) return;
+
+    const seconds = Number(process.env.WATCH_POLL_SECONDS);
+    const interval = (Number.isFinite(seconds) && seconds > 0 ? seconds : 60) * 1000;
+    timer = setInterval(() => {
+        runWatchTick().catch(error => logger.error('Error running commute watches', { error }));
+    }, interval);
+    timer.unref();
+}
+
+function stopWatchScheduler() {
+    clearInterval(timer);
+    timer = null;
+}
+
+module.exports = {
+    runWatchTick,
+    startWatchScheduler,
+    stopWatchScheduler
+};
@@ -0,0 +1,407 @@
+const crypto = require('crypto');
+const { getStore } = require('../stores');
+const { ApiError } = require('../utils/errors');
+const { getRequestOwner } = require('../utils/requestContext');
+const { checkPublicHost } = require('../utils/network');
+const { getLagosParts, toLagosISOString } = require('../utils/time');
+const { qualifyLocation } = require('../utils/gazetteer');
+const { resolveModeName, getDefaultModeName } = require('../utils/travelModes');
+const { getRoutingProvider } = require('../providers/routing');
+const { parseLatLng } = require('../providers/routing/common');
+const { resolveTripLocations } = require('./locationResolver');
+const { getRoutesForTime } = require('./travelTime');
+const { analyseTraffic, getTrafficStatus } = require('./trafficAnalysis');
+const { requireProfile, findSavedPlace, getPlaceLocation } = require('./profiles');
+const { deliverWebhook, listDeliveries, deleteDeliveries, allowsPrivateWebhooks } = require('./webhookDeliveries');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_GROUPS = {
+    weekdays: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
+    weekends: ['saturday', 'sunday'],
+    daily: WEEKDAYS
+};
+const CLOCK_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+const DEFAULT_LEAD_MINUTES = 30;
+const DEFAULT_DELAY_THRESHOLD_MINUTES = 15;
+const DEFAULT_FASTER_ROUTE_MINUTES = 10;
+
+// How often a watch is re-checked while its window is open
+function getCheckIntervalMs() {
+    const value = Number(process.env.WATCH_CHECK_INTERVAL_MINUTES);
+    return (Number.isFinite(value) && value > 0 ? value : 15) * 60000;
+}
+
+function invalid(message) {
+    return new ApiError(400, 'INVALID_WATCH', message);
+}
+
+function toMinutes(clock) {
+    const [, hour, minute] = clock.match(CLOCK_PATTERN);
+    return Number(hour) * 60 + Number(minute);
+}
+
+function readMinutes(value, name, fallback, max) {
+    if (value === undefined || value === null) return fallback;
+    if (!Number.isInteger(value) || value < 0 || value > max) {
+        throw invalid(`${name} must be a whole number of minutes from 0 to ${max}`);
+    }
+    return value;
+}
+
+// "weekdays", ["mon", "wed"] or ["monday", "wednesday"]; kept as full names, Sunday first
+function readDays(days) {
+    const list = typeof days === 'string' ? [days] : days;
+    if (!Array.isArray(list) || list.length === 0) {
+        throw invalid('days must be a list of weekdays, or "weekdays", "weekends" or "daily"');
+    }
+
+    const names = list.flatMap(day => {
+        const text = String(day).toLowerCase().trim();
+        if (DAY_GROUPS[text]) return DAY_GROUPS[text];
+        const name = WEEKDAYS.find(weekday => text.length >= 3 && weekday.startsWith(text));
+        if (!name) throw invalid(`Unknown day: ${day}`);
+        return [name];
+    });
+    return WEEKDAYS.filter(weekday => names.includes(weekday));
+}
+
+function readWindow(window) {
+    const { start, end } = window || {};
+    if (!CLOCK_PATTERN.test(start || '') || !CLOCK_PATTERN.test(end || '')) {
+        throw invalid('window must have start and end times as "HH:MM" (Lagos time)');
+    }
+    if (toMinutes(end) <= toMinutes(start)) {
+        throw invalid('window must end after it starts, on the same day');
+    }
+    return { start, end };
+}
+
+// Webhooks are posted from inside our network, so they may only go to public addresses
+async function readWebhookUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw invalid('webhook_url must be an absolute http or https URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw invalid('webhook_url must be an absolute http or https URL');
+    }
+
+    const problem = allowsPrivateWebhooks() ? null : await checkPublicHost(parsed.hostname);
+    if (problem) {
+        throw invalid(`webhook_url host ${problem}`);
+    }
+    return parsed.toString();
+}
+
+// Coordinates as given, saved places from the profile, anything else qualified like a query
+function toRoutableLocation(location, field, profile) {
+    if (typeof location !== 'string' && !parseLatLng(location)) {
+        throw invalid(`${field} is required`);
+    }
+
+    const coords = parseLatLng(location);
+    if (coords) return `${coords.lat},${coords.lng}`;
+    if (!location.trim()) throw invalid(`${field} is required`);
+
+    const place = findSavedPlace(profile?.places, location);
+    const text = place ? getPlaceLocation(place) : location.trim();
+    return parseLatLng(text) ? text : qualifyLocation(text);
+}
+
+// Places are settled once, when the watch is created, since nobody is there to answer a
+// clarification at 6am
+async function resolveCommute(origin, destination) {
+    const { trip, pending } = await resolveTripLocations(getRoutingProvider(), { origin, destination, waypoints: [] });
+    if (pending) {
+        const problem = pending.reason === 'ambiguous' ? 'matches more than one place' : 'could not be found';
+        throw new ApiError(400, pending.reason === 'ambiguous' ? 'LOCATION_AMBIGUOUS' : 'LOCATION_NOT_FOUND',
+            `${pending.field} "${pending.location}" ${problem}; send one of the candidates or coordinates`,
+            { field: pending.field, candidates: pending.candidates });
+    }
+    return trip;
+}
+
+function toPublicWatch(record) {
+    const { owner, secret, ...watch } = record;
+    return watch;
+}
+
+async function findOwnWatch(watchId) {
+    const record = typeof watchId === 'string' ? await getStore('watches').get(watchId) : null;
+    return record && record.owner === getRequestOwner() ? record : null;
+}
+
+async function requireOwnWatch(watchId) {
+    const record = await findOwnWatch(watchId);
+    if (!record) {
+        throw new ApiError(404, 'WATCH_NOT_FOUND', `Watch not found: ${watchId}`);
+    }
+    return record;
+}
+
+/**
+ * Registers a commute: { name, origin, destination, mode, profile_id, days, window: { start,
+ * end }, lead_minutes, delay_threshold_minutes, faster_route_minutes, webhook_url }.
+ * The result includes the secret that signs its webhooks; it is only shown here.
+ */
+async function createWatch(input = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw invalid('Watch must be an object');
+    }
+
+    const profile = input.profile_id !== undefined ? await requireProfile(input.profile_id) : null;
+    if (input.mode !== undefined && !resolveModeName(input.mode)) {
+        throw invalid(`mode is not a travel mode: ${input.mode}`);
+    }
+    if (input.name !== undefined && (typeof input.name !== 'string' || input.name.length > 100)) {
+        throw invalid('name must be a string of at most 100 characters');
+    }
+
+    const days = readDays(input.days ?? 'weekdays');
+    const window = readWindow(input.window);
+    const leadMinutes = readMinutes(input.lead_minutes, 'lead_minutes', DEFAULT_LEAD_MINUTES, 180);
+    const delayThreshold = readMinutes(input.delay_threshold_minutes, 'delay_threshold_minutes', DEFAULT_DELAY_THRESHOLD_MINUTES, 240);
+    const fasterRouteMinutes = readMinutes(input.faster_route_minutes, 'faster_route_minutes', DEFAULT_FASTER_ROUTE_MINUTES, 240);
+    const webhookUrl = await readWebhookUrl(input.webhook_url);
+
+    const { origin, destination } = await resolveCommute(
+        toRoutableLocation(input.origin, 'origin', profile),
+        toRoutableLocation(input.destination, 'destination', profile)
+    );
+
+    const now = new Date().toISOString();
+    const record = {
+        id: `wat_${crypto.randomBytes(9).toString('base64url')}`,
+        owner: getRequestOwner(),
+        secret: `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+        name: input.name || null,
+        origin,
+        destination,
+        mode: resolveModeName(input.mode) || profile?.default_mode || getDefaultModeName(),
+        avoid: profile?.preferences.avoid || [],
+        days,
+        window,
+        lead_minutes: leadMinutes,
+        delay_threshold_minutes: delayThreshold,
+        faster_route_minutes: fasterRouteMinutes,
+        webhook_url: webhookUrl,
+        status: 'active',
+        last_checked_at: null,
+        last_check: null,
+        last_error: null,
+        alerts: null,
+        created_at: now,
+        updated_at: now
+    };
+
+    await getStore('watches').put(record.id, record);
+    return { ...toPublicWatch(record), secret: record.secret };
+}
+
+async function listWatches() {
+    const owner = getRequestOwner();
+    const records = await getStore('watches').list();
+    return records
+        .filter(record => record.owner === owner)
+        .sort((a, b) => a.created_at.localeCompare(b.created_at))
+        .map(toPublicWatch);
+}
+
+async function getWatch(watchId) {
+    const record = await findOwnWatch(watchId);
+    return record ? toPublicWatch(record) : null;
+}
+
+async function setWatchStatus(watchId, status) {
+    const record = await requireOwnWatch(watchId);
+    const updated = { ...record, status, updated_at: new Date().toISOString() };
+    await getStore('watches').put(updated.id, updated);
+    return toPublicWatch(updated);
+}
+
+async function deleteWatch(watchId) {
+    const record = await findOwnWatch(watchId);
+    if (!record) return false;
+
+    await getStore('watches').delete(record.id);
+    await deleteDeliveries(record.id);
+    return true;
+}
+
+async function getWatchDeliveries(watchId) {
+    const record = await requireOwnWatch(watchId);
+    return listDeliveries(record.id);
+}
+
+// Signing secret for retries; null once the watch is deleted
+async function getWatchSecret(watchId) {
+    const record = await getStore('watches').get(watchId);
+    return record ? record.secret : null;
+}
+
+/**
+ * Whether an active watch should be checked now: on one of its days, from lead_minutes
+ * before its window opens until it closes, and not checked in the last
+ * WATCH_CHECK_INTERVAL_MINUTES.
+ */
+function isWatchDue(watch, now = new Date()) {
+    if (watch.status !== 'active') return false;
+
+    const parts = getLagosParts(now);
+    if (!watch.days.includes(WEEKDAYS[parts.weekday])) return false;
+
+    const minute = parts.hour * 60 + parts.minute;
+    if (minute < toMinutes(watch.window.start) - watch.lead_minutes || minute > toMinutes(watch.window.end)) {
+        return false;
+    }
+
+    // A little slack so a scheduler tick that lands just early does not skip a whole interval
+    return !watch.last_checked_at || now - new Date(watch.last_checked_at) >= getCheckIntervalMs() - 30000;
+}
+
+async function listDueWatches(now = new Date()) {
+    const records = await getStore('watches').list();
+    return records.filter(record => isWatchDue(record, now));
+}
+
+function describeRoute(route) {
+    return {
+        summary: route.summary,
+        distance: route.distance?.text ?? null,
+        expected_duration: route.expected_duration?.text ?? null,
+        delay_minutes: route.delay_minutes,
+        severity: route.severity
+    };
+}
+
+// Routes the commute as if leaving now and compares the usual route with the fastest one
+async function checkCommute(watch, now) {
+    const { routes } = await getRoutesForTime(getRoutingProvider(), {
+        origin: watch.origin,
+        destination: watch.destination,
+        waypoints: [],
+        mode: watch.mode,
+        avoid: watch.avoid,
+        alternatives: true
+    });
+
+    const traffic = analyseTraffic(routes);
+    const [usual] = traffic.routes;
+    const fastest = traffic.routes.find(route => route.fastest) || usual;
+    const minutesSaved = fastest !== usual && usual.expected_duration && fastest.expected_duration
+        ? Math.round((usual.expected_duration.value - fastest.expected_duration.value) / 60)
+        : 0;
+
+    return {
+        checked_at: toLagosISOString(now),
+        route: describeRoute(usual),
+        traffic_status: getTrafficStatus(usual.free_flow_duration?.value, usual.expected_duration?.value),
+        delay_minutes: usual.delay_minutes,
+        faster_route: minutesSaved >= watch.faster_route_minutes && minutesSaved > 0
+            ? { ...describeRoute(fastest), minutes_saved: minutesSaved }
+            : null
+    };
+}
+
+function describeAlert(event, check) {
+    const { route, faster_route: faster } = check;
+    if (event === 'commute.faster_route') {
+        return `${faster.summary} is ${faster.minutes_saved} min faster than ${route.summary} right now (${faster.expected_duration}).`;
+    }
+    return `${check.traffic_status} on ${route.summary}: ${check.delay_minutes} min slower than usual, ${route.expected_duration} in total.`;
+}
+
+// Saves the outcome of a check onto the stored watch as it is now, so a watch paused or
+// deleted while the check ran stays that way. Returns the updated record, or null when gone.
+async function saveCheckResult(watchId, fields) {
+    const current = await getStore('watches').get(watchId);
+    if (!current) return null;
+
+    const updated = { ...current, ...fields };
+    await getStore('watches').put(watchId, updated);
+    return updated;
+}
+
+/**
+ * Checks one watch and sends an alert for each condition that has newly crossed its
+ * threshold. Each kind of alert goes out at most once per day's window, so a jam that
+ * lasts all morning is reported once.
+ */
+async function runWatchCheck(snapshot, now = new Date()) {
+    let check;
+    try {
+        check = await checkCommute(snapshot, now);
+    } catch (error) {
+        await saveCheckResult(snapshot.id, { last_checked_at: now.toISOString(), last_error: error.message });
+        throw error;
+    }
+
+    // Routing takes a while; alert on the watch as it is now, not as it was when the check began
+    const watch = await getStore('watches').get(snapshot.id);
+    if (!watch) {
+        return { watch_id: snapshot.id, check, alerts: [] };
+    }
+
+    const { year, month, day } = getLagosParts(now);
+    const occurrence = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    const alreadySent = watch.alerts?.occurrence === occurrence ? watch.alerts.sent : [];
+
+    const events = [];
+    if (check.delay_minutes !== null && check.delay_minutes >= watch.delay_threshold_minutes) {
+        events.push('commute.delay');
+    }
+    if (check.faster_route) {
+        events.push('commute.faster_route');
+    }
+    // A watch that is not active, including one paused during the check, keeps the result
+    // but sends nothing
+    const newEvents = watch.status === 'active' ? events.filter(event => !alreadySent.includes(event)) : [];
+
+    const deliveries = [];
+    for (const event of newEvents) {
+        deliveries.push(await deliverWebhook(watch, event, {
+            event,
+            watch: {
+                id: watch.id,
+                name: watch.name,
+                origin: watch.origin,
+                destination: watch.destination,
+                mode: watch.mode,
+                window: watch.window
+            },
+            message: describeAlert(event, check),
+            threshold_minutes: event === 'commute.delay' ? watch.delay_threshold_minutes : watch.faster_route_minutes,
+            ...check
+        }, now));
+    }
+
+    await saveCheckResult(watch.id, {
+        last_checked_at: now.toISOString(),
+        last_check: check,
+        last_error: null,
+        alerts: { occurrence, sent: [...alreadySent, ...newEvents] }
+    });
+
+    return { watch_id: watch.id, check, alerts: deliveries.map(delivery => ({ id: delivery.id, event: delivery.event, status: delivery.status })) };
+}
+
+// Checks one of the caller's watches straight away, whatever its schedule
+async function checkWatchNow(watchId) {
+    return runWatchCheck(await requireOwnWatch(watchId));
+}
+
+module.exports = {
+    createWatch,
+    listWatches,
+    getWatch,
+    setWatchStatus,
+    deleteWatch,
+    getWatchDeliveries,
+    getWatchSecret,
+    listDueWatches,
+    runWatchCheck,
+    checkWatchNow
+};
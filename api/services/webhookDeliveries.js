@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { getStore } = require('../stores');
+const { resolvePublicHost } = require('../utils/network');
+
+// Minutes to wait before each retry; the last value repeats
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60];
+const MAX_LOGGED_DELIVERIES = 50;
+const REQUEST_TIMEOUT_MS = 10000;
+
+function getMaxAttempts() {
+    const value = Number(process.env.WATCH_WEBHOOK_MAX_ATTEMPTS);
+    return Number.isInteger(value) && value > 0 ? value : 5;
+}
+
+function retryDelayMs(attempts) {
+    return RETRY_DELAYS_MINUTES[Math.min(attempts, RETRY_DELAYS_MINUTES.length) - 1] * 60000;
+}
+
+// Receivers on this machine or its private network are only allowed with
+// WATCH_ALLOW_PRIVATE_WEBHOOKS=true, for local development
+function allowsPrivateWebhooks() {
+    return (process.env.WATCH_ALLOW_PRIVATE_WEBHOOKS || '').toLowerCase() === 'true';
+}
+
+// Receivers check "X-RouteGPT-Signature: sha256=<hex>", an HMAC of the body with the watch's secret
+function sign(secret, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// Posts to the address that was checked rather than letting the name be looked up again, so
+// a DNS change between the check and the request cannot point it at a private address.
+// Resolves to the response status; redirects are not followed.
+function post(url, { address, family }, headers, body) {
+    const client = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const request = client.request(url, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: (hostname, options, callback) => (options.all
+                ? callback(null, [{ address, family }])
+                : callback(null, address, family)),
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        }, response => {
+            response.resume();
+            resolve(response.statusCode);
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+async function attempt(delivery, secret, now) {
+    const body = JSON.stringify(delivery.payload);
+    let statusCode = null;
+    let error = null;
+
+    try {
+        // The host was public when the watch was saved, but its DNS may point elsewhere now
+        const url = new URL(delivery.url);
+        const host = await resolvePublicHost(url.hostname, { allowPrivate: allowsPrivateWebhooks() });
+        if (host.problem) {
+            throw new Error(`Webhook host ${host.problem}`);
+        }
+
+        statusCode = await post(url, host, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'RouteGPT-Webhooks/1.0',
+            'X-RouteGPT-Event': delivery.event,
+            'X-RouteGPT-Delivery': delivery.id,
+            'X-RouteGPT-Signature': sign(secret, body)
+        }, body);
+
+        // A redirect could lead anywhere, including back inside our network
+        if (statusCode >= 300 && statusCode < 400) {
+            error = `Receiver redirected with ${statusCode}; webhooks do not follow redirects`;
+        } else if (statusCode < 200 || statusCode >= 300) {
+            error = `Receiver returned ${statusCode}`;
+        }
+    } catch (requestError) {
+        error = requestError.message;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const delivered = !error;
+    const exhausted = !delivered && attempts >= getMaxAttempts();
+    const updated = {
+        ...delivery,
+        attempts,
+        status: delivered ? 'delivered' : exhausted ? 'failed' : 'pending',
+        last_attempt_at: now.toISOString(),
+        last_status_code: statusCode,
+        last_error: error,
+        next_attempt_at: delivered || exhausted ? null : new Date(now.getTime() + retryDelayMs(attempts)).toISOString(),
+        ...(delivered && { delivered_at: now.toISOString() })
+    };
+
+    await getStore('watch_deliveries').put(updated.id, updated);
+    return updated;
+}
+
+// Only the latest MAX_LOGGED_DELIVERIES are kept per watch; older ones still waiting for a
+// retry stay until they are delivered or fail
+async function trimDeliveries(watchId) {
+    const stale = (await findDeliveries(watchId))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .slice(MAX_LOGGED_DELIVERIES)
+        .filter(delivery => delivery.status !== 'pending');
+
+    for (const delivery of stale) {
+        await getStore('watch_deliveries').delete(delivery.id);
+    }
+}
+
+/**
+ * Logs an alert for a watch and tries to deliver it straight away. Failed deliveries stay
+ * pending and are retried by retryDueDeliveries with growing delays, up to
+ * WATCH_WEBHOOK_MAX_ATTEMPTS attempts.
+ */
+async function deliverWebhook(watch, event, payload, now = new Date()) {
+    const delivery = {
+        id: `dlv_${crypto.randomBytes(9).toString('base64url')}`,
+        watch_id: watch.id,
+        event,
+        url: watch.webhook_url,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        created_at: now.toISOString(),
+        last_attempt_at: null,
+        last_status_code: null,
+        last_error: null,
+        next_attempt_at: now.toISOString()
+    };
+
+    await getStore('watch_deliveries').put(delivery.id, delivery);
+    await trimDeliveries(watch.id);
+    return attempt(delivery, watch.secret, now);
+}
+
+// secretFor(watchId) returns the signing secret, or null when the watch is gone
+async function retryDueDeliveries(secretFor, now = new Date()) {
+    const due = (await getStore('watch_deliveries').list())
+        .filter(delivery => delivery.status === 'pending' && new Date(delivery.next_attempt_at) <= now);
+
+    const results = [];
+    for (const delivery of due) {
+        const secret = await secretFor(delivery.watch_id);
+        if (!secret) {
+            results.push(await getStore('watch_deliveries').put(delivery.id, { ...delivery, status: 'failed', last_error: 'Watch deleted', next_attempt_at: null }));
+        } else {
+            results.push(await attempt(delivery, secret, now));
+        }
+    }
+    return results;
+}
+
+async function findDeliveries(watchId) {
+    const deliveries = await getStore('watch_deliveries').list();
+    return deliveries.filter(delivery => delivery.watch_id === watchId);
+}
+
+// The latest deliveries for a watch, newest first
+async function listDeliveries(watchId) {
+    const deliveries = await findDeliveries(watchId);
+    return deliveries
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .slice(0, MAX_LOGGED_DELIVERIES);
+}
+
+async function deleteDeliveries(watchId) {
+    for (const delivery of await findDeliveries(watchId)) {
+        await getStore('watch_deliveries').delete(delivery.id);
+    }
+}
+
+module.exports = {
+    deliverWebhook,
+    retryDueDeliveries,
+    listDeliveries,
+    deleteDeliveries,
+    allowsPrivateWebhooks
+};
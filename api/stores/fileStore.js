@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+
+// One JSON file per collection, kept in memory and rewritten on every change.
+// Fine for a single instance; use the SQLite backend when several processes share the data.
+function createFileStore(collection, { directory }) {
+    const filePath = path.join(directory, `${collection}.json`);
+    let documents = null;
+    let writing = Promise.resolve();
+
+    function load() {
+        if (documents) return documents;
+
+        try {
+            documents = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            documents = {};
+        }
+        return documents;
+    }
+
+    // Writes are queued so they land in order, and go through a temp file so a crash never
+    // leaves half a file behind. A failed write rejects only its own caller; the next one
+    // still runs and writes everything since.
+    function persist() {
+        const snapshot = JSON.stringify(documents, null, 2);
+        const write = writing.catch(() => {}).then(async () => {
+            await fs.promises.mkdir(directory, { recursive: true });
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tempPath, snapshot);
+            await fs.promises.rename(tempPath, filePath);
+        });
+        writing = write;
+        return write;
+    }
+
+    return {
+        async get(id) {
+            return load()[id] || null;
+        },
+
+        async put(id, document) {
+            load()[id] = document;
+            await persist();
+            return document;
+        },
+
+        // Nothing else runs between reading and replacing the document, so this is atomic
+        // within the one process the file store supports
+        async update(id, change) {
+            const document = change(load()[id] || null);
+            documents[id] = document;
+            await persist();
+            return document;
+        },
+
+        async delete(id) {
+            const existed = Boolean(load()[id]);
+            delete documents[id];
+            if (existed) await persist();
+            return existed;
+        },
+
+        async list() {
+            return Object.values(load());
+        }
+    };
+}
+
+module.exports = { createFileStore };
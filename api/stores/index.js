@@ -0,0 +1,39 @@
+const path = require('path');
+const { createFileStore } = require('./fileStore');
+const { createSqliteStore } = require('./sqliteStore');
+
+// Persistent document collections. Every backend implements the same async interface:
+// get(id) -> document | null, put(id, document), delete(id) -> boolean, list() -> documents,
+// and update(id, fn) -> document, which saves fn(current document or null) with no other
+// write to that document in between.
+// STORE_BACKEND picks the backend (file or sqlite) and STORE_DIR where it keeps its data.
+const factories = {
+    file: createFileStore,
+    sqlite: createSqliteStore
+};
+
+const stores = new Map();
+
+function getStoreBackendName() {
+    return (process.env.STORE_BACKEND || 'file').toLowerCase();
+}
+
+function getStore(collection) {
+    const backend = getStoreBackendName();
+    const key = `${backend}:${collection}`;
+    if (stores.has(key)) {
+        return stores.get(key);
+    }
+
+    const factory = factories[backend];
+    if (!factory) {
+        throw new Error(`Unknown STORE_BACKEND "${backend}". Expected one of: ${Object.keys(factories).join(', ')}`);
+    }
+
+    const directory = path.resolve(process.env.STORE_DIR || 'data');
+    const store = factory(collection, { directory });
+    stores.set(key, store);
+    return store;
+}
+
+module.exports = { getStore };
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+
+const databases = new Map();
+
+// better-sqlite3 is an optional dependency, so it is only loaded when this backend is chosen
+function openDatabase(filePath) {
+    if (databases.has(filePath)) return databases.get(filePath);
+
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error('STORE_BACKEND=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.exec(`CREATE TABLE IF NOT EXISTS documents (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+    )`);
+
+    databases.set(filePath, db);
+    return db;
+}
+
+// All collections share one table in a single database file
+function createSqliteStore(collection, { directory }) {
+    const db = openDatabase(path.join(directory, 'routegpt.sqlite'));
+    const statements = {
+        get: db.prepare('SELECT data FROM documents WHERE collection = ? AND id = ?'),
+        put: db.prepare(`INSERT INTO documents (collection, id, data, updated_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`),
+        delete: db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?'),
+        list: db.prepare('SELECT data FROM documents WHERE collection = ? ORDER BY id')
+    };
+
+    // IMMEDIATE takes the write lock before reading, so other processes sharing the file
+    // cannot change the document in between
+    const update = db.transaction((id, change) => {
+        const row = statements.get.get(collection, id);
+        const document = change(row ? JSON.parse(row.data) : null);
+        statements.put.run(collection, id, JSON.stringify(document), new Date().toISOString());
+        return document;
+    });
+
+    return {
+        async get(id) {
+            const row = statements.get.get(collection, id);
+            return row ? JSON.parse(row.data) : null;
+        },
+
+        async put(id, document) {
+            statements.put.run(collection, id, JSON.stringify(document), new Date().toISOString());
+            return document;
+        },
+
+        async update(id, change) {
+            return update.immediate(id, change);
+        },
+
+        async delete(id) {
+            return statements.delete.run(collection, id).changes > 0;
+        },
+
+        async list() {
+            return statements.list.all(collection).map(row => JSON.parse(row.data));
+        }
+    };
+}
+
+module.exports = { createSqliteStore };
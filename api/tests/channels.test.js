@@ -0,0 +1,93 @@
+const { listen } = require('./setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { compressText, countSegments, messageLength, paginate } = require('../services/channelText');
+const { handleChannelMessage } = require('../services/channelConversation');
+const channelsRouter = require('../routes/channels');
+
+const app = express();
+app.use(express.json());
+app.use('/api/channels', channelsRouter);
+const serving = listen(app);
+
+const footer = (index, count) => ` (${index + 1}/${count})`;
+
+test('flattens answers for a basic phone', () => {
+    const text = '## Route\n\n**Turn left** onto Herbert Macaulay Road – about 5 minutes\n\n| 7:00 AM | 45 minutes |\n| --- | --- |';
+
+    assert.equal(compressText(text), 'Route\nLeft onto Herbert Macaulay Rd - ~5min\n7:00 AM, 45min');
+    assert.equal(compressText('Turn left and continue for 2 hours', { language: 'pcm' }), 'Turn left and continue for 2h');
+});
+
+test('counts extended GSM characters as two and other alphabets as UCS-2', () => {
+    assert.equal(messageLength('Fare: 500'), 9);
+    assert.equal(messageLength('[BRT] ~ €2'), 14);
+    assert.equal(countSegments('a'.repeat(160)), 1);
+    assert.equal(countSegments('a'.repeat(161)), 2);
+    assert.equal(countSegments('ẹ'.repeat(71)), 2);
+});
+
+test('fits each page and its footer into the page size', () => {
+    const text = 'Take the {BRT} [Lane 2] from CMS ~ Ikorodu. '.repeat(12).trim();
+    const pages = paginate(text, { maxChars: 160, footer });
+
+    assert.ok(pages.length > 1);
+    pages.forEach((page, index) => assert.ok(messageLength(page + footer(index, pages.length)) <= 160, `page ${index + 1} is too long`));
+    assert.equal(pages.join(' '), text);
+});
+
+test('keeps a short answer on one page', () => {
+    assert.deepEqual(paginate('Lekki to Yaba: 40min', { maxChars: 160, footer }), ['Lekki to Yaba: 40min']);
+});
+
+test('pages a long SMS answer and sends the next page for "1"', async () => {
+    const first = await handleChannelMessage({ channel: 'sms', subscriber: '+2348000000001', text: 'How do I get from Lekki to Ikeja?' });
+    const [, count] = first.text.match(/\(1\/(\d+)\) Reply 1 for more$/);
+
+    const second = await handleChannelMessage({ channel: 'sms', subscriber: '+2348000000001', text: '1' });
+    assert.match(second.text, new RegExp(`\\(2/${count}\\)`));
+});
+
+test('runs a USSD session from the welcome screen to goodbye', async () => {
+    const dial = await handleChannelMessage({ channel: 'ussd', subscriber: 'session-1', text: '' });
+    assert.match(dial.text, /^Welcome to RouteGPT/);
+    assert.equal(dial.end, false);
+
+    const unknown = await handleChannelMessage({ channel: 'ussd', subscriber: 'session-1', text: 'Lekki to Narnia' });
+    assert.match(unknown.text, /"Narnia"/);
+
+    const exit = await handleChannelMessage({ channel: 'ussd', subscriber: 'session-1', text: '0' });
+    assert.deepEqual(exit, { text: 'Safe trip!', end: true });
+});
+
+test('shows what a phone would receive in the simulator', async () => {
+    const response = await fetch(`${await serving}/api/channels/simulator`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ channel: 'ussd', phone_number: '+2348000000002', text: '' })
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.match(body.reply, /^CON Welcome to RouteGPT/);
+    assert.equal(body.encoding, 'gsm');
+    assert.equal(body.characters, body.reply.length);
+});
+
+test('acknowledges an SMS webhook before answering it', async () => {
+    const response = await fetch(`${await serving}/api/channels/sms`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ from: '+2348000000003', text: 'Lekki to Yaba', id: 'message-1' })
+    });
+    assert.equal(response.status, 200);
+
+    const missingSender = await fetch(`${await serving}/api/channels/sms`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: 'Lekki to Yaba' })
+    });
+    assert.equal(missingSender.status, 400);
+});
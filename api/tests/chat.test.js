@@ -0,0 +1,107 @@
+const { listen } = require('./setup');
+
+const crypto = require('crypto');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.NODE_ENV = 'production';
+process.env.WHATSAPP_APP_SECRET = 'whatsapp-secret';
+process.env.TELEGRAM_WEBHOOK_SECRET = 'telegram-secret';
+const app = require('../server');
+const { issueKey, getUsage } = require('../services/apiKeys');
+const { getOutbox } = require('../providers/messaging');
+
+const serving = listen(app);
+const keyReady = issueKey({ name: 'chat test' });
+
+function whatsAppUpdate(chatId, text) {
+    return {
+        object: 'whatsapp_business_account',
+        entry: [{ changes: [{ field: 'messages', value: { messages: [{ id: `wamid.${chatId}`, from: chatId, type: 'text', text: { body: text } }] } }] }]
+    };
+}
+
+async function postWhatsApp(body, { secret = 'whatsapp-secret', key } = {}) {
+    const raw = JSON.stringify(body);
+    const signature = `sha256=${crypto.createHmac('sha256', secret).update(raw).digest('hex')}`;
+    const query = key ? `?api_key=${encodeURIComponent(key)}` : '';
+
+    return fetch(`${await serving}/api/chat/whatsapp${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': signature },
+        body: raw
+    });
+}
+
+async function postTelegram(update, { secret = 'telegram-secret', key } = {}) {
+    const query = key ? `?api_key=${encodeURIComponent(key)}` : '';
+    return fetch(`${await serving}/api/chat/telegram${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Telegram-Bot-Api-Secret-Token': secret },
+        body: JSON.stringify(update)
+    });
+}
+
+// Replies go out after the webhook has been acknowledged
+async function waitFor(check) {
+    for (let i = 0; i < 100; i++) {
+        const value = await check();
+        if (value) return value;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.fail('timed out waiting');
+}
+
+test('rejects WhatsApp webhooks that are not signed with the app secret', async () => {
+    const { key } = await keyReady;
+
+    const response = await postWhatsApp(whatsAppUpdate('2348000000010', 'Lekki to Yaba'), { secret: 'someone-else', key });
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).code, 'INVALID_SIGNATURE');
+});
+
+test('rejects Telegram updates without the webhook secret', async () => {
+    const { key } = await keyReady;
+
+    const response = await postTelegram({ update_id: 1, message: { chat: { id: 10 }, text: 'Lekki to Yaba' } }, { secret: 'guess', key });
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).code, 'INVALID_SIGNATURE');
+});
+
+test('turns the webhook off when its secret is not set', async t => {
+    t.after(() => { process.env.TELEGRAM_WEBHOOK_SECRET = 'telegram-secret'; });
+    delete process.env.TELEGRAM_WEBHOOK_SECRET;
+
+    const response = await postTelegram({ update_id: 2, message: { chat: { id: 10 }, text: 'hi' } });
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).code, 'CHAT_DISABLED');
+});
+
+test('needs an API key to charge the answers to', async () => {
+    const response = await postWhatsApp(whatsAppUpdate('2348000000011', 'Lekki to Yaba'));
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).code, 'API_KEY_REQUIRED');
+});
+
+test('acknowledges a signed message, then replies and charges the key', async () => {
+    const { key, id } = await keyReady;
+    const before = await getUsage(id);
+
+    const response = await postWhatsApp(whatsAppUpdate('2348000000012', 'How do I get from Lekki to Yaba?'), { key });
+    assert.equal(response.status, 200);
+
+    await waitFor(() => getOutbox({ platform: 'whatsapp', chatId: '2348000000012' }).length > 0);
+
+    const after = await getUsage(id);
+    assert.equal(after.requests, before.requests + 1);
+    assert.ok(after.units > before.units);
+});
+
+test('answers a Telegram update the same way', async () => {
+    const { key } = await keyReady;
+
+    const response = await postTelegram({ update_id: 3, message: { chat: { id: 4242 }, text: 'From Lekki to Ikoyi' } }, { key });
+    assert.equal(response.status, 200);
+
+    await waitFor(() => getOutbox({ platform: 'telegram', chatId: '4242' }).length > 0);
+});
@@ -0,0 +1,87 @@
+require('./setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runDirectionsPipeline } = require('../services/directionsPipeline');
+const { getLLMProvider } = require('../providers/llm');
+
+test('answers each kind of question with its own query type', async t => {
+    const questions = {
+        directions: 'How do I get from Lekki to Yaba?',
+        duration_check: 'How long from Lekki to Yaba?',
+        cost_check: 'How much will it cost from Lekki to Yaba?',
+        traffic_check: 'Is there traffic from Lekki to Yaba?',
+        departure_planning: 'When should I leave Lekki to reach Yaba by 9am?',
+        route_status: 'Any construction on the road from Lekki to Yaba?',
+        mode_comparison: 'Compare bus and car from Lekki to Yaba'
+    };
+
+    for (const [queryType, query] of Object.entries(questions)) {
+        await t.test(queryType, async () => {
+            const result = await runDirectionsPipeline({ query });
+
+            assert.equal(result.query_type, queryType);
+            assert.equal(result.status, undefined);
+            assert.equal(typeof result.response, 'string');
+            assert.ok(result.response.length > 0);
+            assert.deepEqual(result.degraded, []);
+        });
+    }
+});
+
+test('rejects a request without a query', async () => {
+    await assert.rejects(runDirectionsPipeline({ query: '  ' }), { status: 400, code: 'INVALID_REQUEST' });
+});
+
+test('reads the model\'s classification loosely and falls back to directions', async t => {
+    const llm = getLLMProvider();
+    const { generate } = llm;
+    t.after(() => { llm.generate = generate; });
+
+    const answers = { 'Lekki to Ajah please': '"Traffic check."', 'Lekki to Ikoyi please': 'weather_report' };
+    llm.generate = async function (prompt, settings, options) {
+        const query = Object.keys(answers).find(text => prompt.includes(text));
+        return settings.callSite === 'classify' && query ? answers[query] : generate.call(this, prompt, settings, options);
+    };
+
+    assert.equal((await runDirectionsPipeline({ query: 'Lekki to Ajah please' })).query_type, 'traffic_check');
+    assert.equal((await runDirectionsPipeline({ query: 'Lekki to Ikoyi please' })).query_type, 'directions');
+});
+
+test('asks about a place it cannot find and continues once it is reworded', async () => {
+    const first = await runDirectionsPipeline({ query: 'From Lekki to Narnia' });
+
+    assert.equal(first.status, 'clarification_needed');
+    assert.equal(first.clarification.field, 'destination');
+    assert.equal(first.clarification.reason, 'not_found');
+
+    const resumed = await runDirectionsPipeline({ clarification_id: first.clarification.clarification_id, location: 'Yaba' });
+
+    assert.equal(resumed.status, undefined);
+    assert.equal(resumed.session_id, first.session_id);
+    assert.equal(resumed.traffic.routes[0].summary, 'Lekki - Yaba');
+
+    // A clarification is answered once
+    await assert.rejects(
+        runDirectionsPipeline({ clarification_id: first.clarification.clarification_id, location: 'Yaba' }),
+        { status: 404, code: 'CLARIFICATION_NOT_FOUND' }
+    );
+});
+
+test('lists the places an ambiguous name could mean and routes from the one picked', async () => {
+    const first = await runDirectionsPipeline({ query: 'From GRA to Yaba' });
+
+    assert.equal(first.status, 'clarification_needed');
+    assert.equal(first.clarification.field, 'origin');
+    assert.equal(first.clarification.reason, 'ambiguous');
+    assert.deepEqual(first.clarification.candidates.map(candidate => candidate.id).sort(), ['apapa-gra', 'ikeja-gra']);
+
+    await assert.rejects(
+        runDirectionsPipeline({ clarification_id: first.clarification.clarification_id, candidate_id: 'nowhere' }),
+        { status: 400, code: 'INVALID_CANDIDATE' }
+    );
+
+    const resumed = await runDirectionsPipeline({ clarification_id: first.clarification.clarification_id, candidate_id: 'ikeja-gra' });
+    assert.equal(resumed.status, undefined);
+    assert.equal(resumed.query_type, 'directions');
+});
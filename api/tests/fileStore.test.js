@@ -0,0 +1,34 @@
+require('./setup');
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFileStore } = require('../stores/fileStore');
+
+test('keeps writing after a write fails', async t => {
+    const directory = fs.mkdtempSync(path.join(process.env.STORE_DIR, 'store-'));
+    const store = createFileStore('notes', { directory });
+
+    const { writeFile } = fs.promises;
+    t.after(() => { fs.promises.writeFile = writeFile; });
+    fs.promises.writeFile = async () => { throw new Error('disk full'); };
+
+    await assert.rejects(store.put('a', { text: 'first' }), /disk full/);
+
+    fs.promises.writeFile = writeFile;
+    await store.put('b', { text: 'second' });
+
+    const saved = JSON.parse(fs.readFileSync(path.join(directory, 'notes.json'), 'utf8'));
+    assert.deepEqual(saved, { a: { text: 'first' }, b: { text: 'second' } });
+});
+
+test('lands writes in the order they were made', async () => {
+    const directory = fs.mkdtempSync(path.join(process.env.STORE_DIR, 'store-'));
+    const store = createFileStore('counters', { directory });
+
+    await Promise.all(Array.from({ length: 10 }, (_, index) => store.put('count', { value: index })));
+
+    const saved = JSON.parse(fs.readFileSync(path.join(directory, 'counters.json'), 'utf8'));
+    assert.deepEqual(saved.count, { value: 9 });
+});
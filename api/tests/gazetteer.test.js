@@ -0,0 +1,53 @@
+require('./setup');
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGazetteer, matchLocation, qualifyLocation } = require('../utils/gazetteer');
+
+test('adds the city and country to local areas and expands nicknames', () => {
+    assert.equal(qualifyLocation('Yaba'), 'Yaba, Lagos, Nigeria');
+    assert.equal(qualifyLocation('VI'), 'Victoria Island, Lagos, Nigeria');
+    assert.equal(qualifyLocation('Wuse 2'), 'Wuse 2, Abuja, Nigeria');
+    assert.equal(qualifyLocation('Ikeja, Lagos'), 'Ikeja, Lagos, Nigeria');
+});
+
+test('leaves places abroad alone but still qualifies local streets named after them', () => {
+    assert.equal(qualifyLocation('London'), 'London');
+    assert.equal(qualifyLocation('London Street, Ikeja'), 'London Street, Ikeja, Lagos, Nigeria');
+});
+
+test('keeps an explicitly named city over an area of the same name elsewhere', () => {
+    assert.equal(qualifyLocation('Yaba Road, Ibadan'), 'Yaba Road, Ibadan, Nigeria');
+});
+
+test('ranks an exact name above a partial match', () => {
+    const [best] = matchLocation('Ikeja');
+    assert.equal(best.name, 'Ikeja');
+    assert.equal(best.score, 1);
+});
+
+test('loads a gazetteer from CSV', () => {
+    const file = path.join(process.env.STORE_DIR, 'gazetteer.csv');
+    fs.writeFileSync(file, [
+        'type,name,aliases,city,state,country',
+        'country,Ghana,,,,default',
+        'city,Accra,,,Greater Accra,',
+        'area,Osu,"Oxford Street|Osu RE",Accra,,',
+        'state,Greater Accra,,,,'
+    ].join('\n'));
+
+    const gazetteer = loadGazetteer(file);
+    assert.equal(gazetteer.defaultCountry, 'Ghana');
+    assert.equal(gazetteer.defaultCity.name, 'Accra');
+    assert.deepEqual(gazetteer.cities[0].areas, [{ name: 'Osu', aliases: ['Oxford Street', 'Osu RE'] }]);
+    assert.ok(gazetteer.entries.some(entry => entry.kind === 'state' && entry.terms.includes('Greater Accra State')));
+});
+
+test('rejects a CSV area in a city it does not list', () => {
+    const file = path.join(process.env.STORE_DIR, 'broken.csv');
+    fs.writeFileSync(file, 'type,name,aliases,city,state,country\narea,Osu,,Accra,,\n');
+
+    assert.throws(() => loadGazetteer(file), /unknown city "Accra"/);
+});
@@ -0,0 +1,74 @@
+require('./setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { reportIncident, confirmIncident, clearIncident, listIncidents } = require('../services/incidents');
+const { runWithRequestContext } = require('../utils/requestContext');
+
+const asKey = (apiKeyId, fn) => runWithRequestContext({ apiKeyId }, fn);
+
+test('merges a report of the same thing nearby into the first one', async () => {
+    const first = await reportIncident({ type: 'flooding', location: '6.5000,3.3700', reporter_id: 'ada' });
+    assert.equal(first.merged, false);
+    assert.equal(first.incident.status, 'active');
+
+    const again = await reportIncident({ type: 'flooding', location: '6.5010,3.3700', reporter_id: 'bola' });
+    assert.equal(again.merged, true);
+    assert.equal(again.incident.id, first.incident.id);
+    assert.equal(again.incident.confirmations, 2);
+
+    // Another kind of incident at the same spot is its own report
+    const other = await reportIncident({ type: 'accident', location: '6.5000,3.3700' });
+    assert.equal(other.merged, false);
+
+    const near = await listIncidents({ type: 'flooding', near: '6.5,3.37', radiusMeters: 500 });
+    assert.deepEqual(near.map(incident => incident.id), [first.incident.id]);
+});
+
+test('counts repeated confirmations from one reporter once', async () => {
+    const { incident } = await reportIncident({ type: 'checkpoint', location: '6.4500,3.4000', reporter_id: 'ada' });
+
+    await confirmIncident(incident.id, { reporter_id: 'bola' });
+    const confirmed = await confirmIncident(incident.id, { reporter_id: 'bola' });
+    assert.equal(confirmed.confirmations, 2);
+
+    // The reporter confirming their own report adds nothing either
+    assert.equal((await confirmIncident(incident.id, { reporter_id: 'ada' })).confirmations, 2);
+});
+
+test('counts confirmations without a reporter_id once per API key', async () => {
+    const { incident } = await asKey('key-a', () => reportIncident({ type: 'closure', location: '6.4000,3.4200' }));
+
+    for (let i = 0; i < 3; i++) {
+        await asKey('key-b', () => confirmIncident(incident.id));
+    }
+    assert.equal((await asKey('key-a', () => confirmIncident(incident.id))).confirmations, 2);
+    assert.equal((await asKey('key-c', () => confirmIncident(incident.id, {}))).confirmations, 3);
+});
+
+test('ends an incident once as many people have cleared it as reported it', async () => {
+    const { incident } = await reportIncident({ type: 'accident', location: '6.6000,3.3500', reporter_id: 'ada' });
+    await confirmIncident(incident.id, { reporter_id: 'bola' });
+    await asKey('key-c', () => confirmIncident(incident.id));
+
+    // Clearing again, with or without a reporter_id, does not count twice
+    await clearIncident(incident.id, { reporter_id: 'ada' });
+    assert.equal((await clearIncident(incident.id, { reporter_id: 'ada' })).status, 'active');
+    await clearIncident(incident.id);
+    assert.equal((await clearIncident(incident.id)).status, 'active');
+
+    const cleared = await asKey('key-b', () => clearIncident(incident.id));
+    assert.equal(cleared.status, 'cleared');
+    await assert.rejects(confirmIncident(incident.id), { status: 409, code: 'INCIDENT_ENDED' });
+});
+
+test('checks what a report holds', async () => {
+    await assert.rejects(reportIncident({ type: 'potholes', location: '6.5,3.37' }), { status: 400, code: 'INVALID_INCIDENT' });
+    await assert.rejects(reportIncident({ type: 'flooding' }), { code: 'INVALID_INCIDENT' });
+    await assert.rejects(reportIncident({ type: 'flooding', location: '95,3.37' }), { code: 'INVALID_INCIDENT' });
+    await assert.rejects(
+        reportIncident({ type: 'flooding', location: '6.5,3.37', expires_in_minutes: 30, expires_at: '2030-01-01T00:00:00Z' }),
+        { message: 'Send expires_at or expires_in_minutes, not both' }
+    );
+    await assert.rejects(confirmIncident('inc_missing'), { status: 404, code: 'INCIDENT_NOT_FOUND' });
+});
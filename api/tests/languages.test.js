@@ -0,0 +1,51 @@
+require('./setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveLanguageCode, detectLanguage, translate } = require('../utils/languages');
+const { describeError, ApiError } = require('../utils/errors');
+const { runDirectionsPipeline } = require('../services/directionsPipeline');
+
+test('reads language codes and names with or without tone marks', () => {
+    assert.equal(resolveLanguageCode('yo'), 'yo');
+    assert.equal(resolveLanguageCode('Yorùbá'), 'yo');
+    assert.equal(resolveLanguageCode('yoruba'), 'yo');
+    assert.equal(resolveLanguageCode('Pidgin'), 'pcm');
+    assert.equal(resolveLanguageCode('Klingon'), null);
+    assert.equal(resolveLanguageCode(''), null);
+});
+
+test('detects a language from give-away words and letters', () => {
+    assert.equal(detectLanguage('Abeg how I go reach Yaba from Lekki?'), 'pcm');
+    assert.equal(detectLanguage('Bawo ni mo se le lo si Yaba lati Lekki?'), 'yo');
+    assert.equal(detectLanguage('Kedu ebe m ga-esi aga Yaba?'), 'ig');
+
+    // Plain English and bare place names give nothing away
+    assert.equal(detectLanguage('How do I get to Yaba?'), null);
+    assert.equal(detectLanguage('Yaba'), null);
+});
+
+test('fills in fixed messages and falls back to English', () => {
+    assert.equal(translate('pcm', 'clarification_not_found', { name: 'Narnia' }), 'I no fit find "Narnia". Abeg describe am another way, like landmark or street wey dey near am.');
+    assert.equal(translate('yo', 'no_such_message'), null);
+    assert.match(translate('Klingon', 'clarification_not_found', { name: 'Narnia' }), /"Narnia"/);
+});
+
+test('translates client errors but keeps the English message for other languages', () => {
+    const error = new ApiError(404, 'ROUTE_NOT_FOUND', 'No route found between the locations');
+
+    assert.equal(describeError(error, 'en').body.error, 'No route found between the locations');
+
+    const { body } = describeError(error, 'ha');
+    assert.equal(body.code, 'ROUTE_NOT_FOUND');
+    assert.equal(body.error, translate('ha', 'errors.ROUTE_NOT_FOUND'));
+    assert.equal(body.details, 'No route found between the locations');
+});
+
+test('answers in the language of the query or the one asked for', async () => {
+    assert.equal((await runDirectionsPipeline({ query: 'Abeg how I go reach Yaba from Lekki?' })).language, 'pcm');
+
+    const clarification = await runDirectionsPipeline({ query: 'From Lekki to Narnia', language: 'Yoruba' });
+    assert.equal(clarification.language, 'yo');
+    assert.equal(clarification.response, translate('yo', 'clarification_not_found', { name: 'Narnia' }));
+});
@@ -0,0 +1,51 @@
+require('./setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getLLMProvider, generateText } = require('../providers/llm');
+const { getCallSiteSettings } = require('../config/llm');
+
+test('uses the provider named by LLM_PROVIDER', () => {
+    assert.equal(getLLMProvider().name, 'fake');
+});
+
+test('refuses an unknown provider', t => {
+    t.after(() => { process.env.LLM_PROVIDER = 'fake'; });
+    process.env.LLM_PROVIDER = 'telepathy';
+    assert.throws(() => getLLMProvider(), /Unknown LLM_PROVIDER "telepathy"/);
+});
+
+test('reads per call site settings from the environment', t => {
+    t.after(() => {
+        delete process.env.LLM_CLASSIFY_TEMPERATURE;
+        delete process.env.LLM_TIMEOUT_MS;
+    });
+    process.env.LLM_CLASSIFY_TEMPERATURE = '0.2';
+    process.env.LLM_TIMEOUT_MS = '3000';
+
+    const settings = getCallSiteSettings('classify');
+    assert.equal(settings.temperature, 0.2);
+    assert.equal(settings.timeoutMs, 3000);
+    assert.equal(settings.model, 'fake-deterministic');
+    assert.throws(() => getCallSiteSettings('poetry'), /Unknown LLM call site: poetry/);
+});
+
+test('answers the same prompt the same way every time', async () => {
+    const prompt = 'Classify this query.\nQuery: "Is there traffic on Third Mainland Bridge?"';
+
+    assert.equal(await generateText('classify', prompt), 'traffic_check');
+    assert.equal(await generateText('classify', prompt), 'traffic_check');
+
+    const extracted = JSON.parse(await generateText('extract', 'Query: "from Yaba to Ikeja by keke"'));
+    assert.equal(extracted.origin, 'Yaba');
+    assert.equal(extracted.destination, 'Ikeja');
+    assert.equal(extracted.mode, 'keke');
+});
+
+test('streams tokens that add up to the whole answer', async () => {
+    const tokens = [];
+    const text = await generateText('formatDirections', 'Give directions from Yaba to Ikeja.', { onToken: token => tokens.push(token) });
+
+    assert.ok(tokens.length > 1);
+    assert.equal(tokens.join('').trim(), text);
+});
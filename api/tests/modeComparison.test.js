@@ -0,0 +1,47 @@
+require('./setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runDirectionsPipeline } = require('../services/directionsPipeline');
+const { compareModes } = require('../services/modeComparison');
+const { getPricing } = require('../services/pricing');
+const { getRoutingProvider } = require('../providers/routing');
+const { ApiError } = require('../utils/errors');
+
+const request = { origin: 'Lekki, Lagos, Nigeria', destination: 'Yaba, Lagos, Nigeria', alternatives: true };
+
+// The fixture backend, except that it cannot route the given modes
+function providerWithout(...modes) {
+    const provider = getRoutingProvider();
+    return {
+        ...provider,
+        getRoutes: async routeRequest => {
+            if (modes.includes(routeRequest.mode)) throw new ApiError(502, 'ROUTING_UPSTREAM_ERROR', 'No route');
+            return provider.getRoutes(routeRequest);
+        }
+    };
+}
+
+test('ranks every mode named in a comparison', async () => {
+    const { comparison } = await runDirectionsPipeline({ query: 'Compare the BRT and a car from Lekki to Yaba' });
+
+    assert.deepEqual(comparison.options.map(option => option.mode).sort(), ['brt', 'car']);
+    assert.deepEqual(comparison.options.map(option => option.rank), [1, 2]);
+    assert.equal(comparison.recommendation.mode, comparison.options[0].mode);
+    assert.ok(comparison.ranking.naira_per_minute > 0);
+    assert.ok(comparison.ranking.minutes_per_change >= 0);
+    assert.match(comparison.table, /\| 1 \| .* \(recommended\) \|/);
+});
+
+test('reports a mode that cannot be routed and ranks the rest', async () => {
+    const { mode, comparison } = await compareModes(providerWithout('keke'), request, ['car', 'keke'], { pricing: await getPricing() });
+
+    assert.equal(mode, 'car');
+    assert.deepEqual(comparison.options.map(option => option.mode), ['car']);
+    assert.equal(comparison.warnings.length, 1);
+    assert.match(comparison.warnings[0], /^No keke route could be found: .*\(ROUTING_UPSTREAM_ERROR\)$/);
+});
+
+test('fails when no mode can be routed', async () => {
+    await assert.rejects(compareModes(providerWithout('car', 'keke'), request, ['car', 'keke'], { pricing: await getPricing() }), { code: 'ROUTING_UPSTREAM_ERROR' });
+});
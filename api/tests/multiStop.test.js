@@ -0,0 +1,34 @@
+require('./setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runDirectionsPipeline } = require('../services/directionsPipeline');
+
+test('routes through every stop of a multi-stop trip in order', async () => {
+    const result = await runDirectionsPipeline({ query: 'From Lekki to Yaba, stopping at Ikoyi', include_route: true });
+
+    assert.equal(result.route.origin.address, 'Lekki, Lagos, Nigeria');
+    assert.deepEqual(result.route.waypoints.map(stop => stop.address), ['Ikoyi, Lagos, Nigeria']);
+    assert.equal(result.route.destination.address, 'Yaba, Lagos, Nigeria');
+    assert.deepEqual(
+        result.traffic.routes[0].legs.map(leg => [leg.from, leg.to]),
+        [
+            ['Lekki, Lagos, Nigeria', 'Ikoyi, Lagos, Nigeria'],
+            ['Ikoyi, Lagos, Nigeria', 'Yaba, Lagos, Nigeria']
+        ]
+    );
+});
+
+test('keeps several stops in the order given', async () => {
+    const result = await runDirectionsPipeline({ query: 'From Yaba to Ikeja, stopping at Maryland Mall and then Ojota', include_route: true });
+
+    assert.deepEqual(result.route.waypoints.map(stop => stop.address), ['Maryland, Lagos, Nigeria', 'Ojota, Lagos, Nigeria']);
+    assert.equal(result.traffic.routes[0].legs.length, 3);
+});
+
+test('rejects a non-boolean optimize_waypoints', async () => {
+    await assert.rejects(
+        runDirectionsPipeline({ query: 'From Lekki to Yaba, stopping at Ikoyi', optimize_waypoints: 'yes' }),
+        { status: 400, code: 'INVALID_REQUEST' }
+    );
+});
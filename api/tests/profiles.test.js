@@ -0,0 +1,81 @@
+require('./setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    saveProfile,
+    updateProfile,
+    getProfile,
+    savePlace,
+    deletePlace,
+    findSavedPlace
+} = require('../services/profiles');
+const { runDirectionsPipeline } = require('../services/directionsPipeline');
+const { runWithRequestContext } = require('../utils/requestContext');
+
+const places = [
+    { name: 'Home', address: 'Ajah' },
+    { name: 'Work', location: { lat: 6.5, lng: 3.37 }, aliases: ['the shop'] }
+];
+
+test('finds saved places by name, alias and everyday words', () => {
+    const saved = [
+        { name: 'Home', aliases: [], address: 'Ajah' },
+        { name: 'Work', aliases: ['The Shop'], location: '6.5,3.37' },
+        { name: "Mum's house", aliases: [], address: 'Surulere' }
+    ];
+
+    assert.equal(findSavedPlace(saved, 'my home').name, 'Home');
+    assert.equal(findSavedPlace(saved, 'the shop, Lagos, Nigeria').name, 'Work');
+    assert.equal(findSavedPlace(saved, 'the office').name, 'Work');
+    assert.equal(findSavedPlace(saved, 'my mum’s house').name, "Mum's house");
+    assert.equal(findSavedPlace(saved, 'Yaba'), null);
+});
+
+test('routes from saved places with the profile\'s mode and language', async () => {
+    await saveProfile('ada', { default_mode: 'keke', preferences: { language: 'pcm' }, places });
+
+    const result = await runDirectionsPipeline({ query: 'From home to Yaba', profile_id: 'ada', include_route: true });
+    assert.equal(result.language, 'pcm');
+    assert.equal(result.route.mode, 'keke');
+    assert.equal(result.route.origin.query, 'Ajah, Lagos, Nigeria');
+
+    // A pin is routed to as it is
+    const toWork = await runDirectionsPipeline({ query: 'How do I get from home to the office?', profile_id: 'ada' });
+    assert.equal(toWork.traffic.routes[0].summary, 'Ajah - 6.5');
+});
+
+test('rejects a request for a profile that does not exist', async () => {
+    await assert.rejects(runDirectionsPipeline({ query: 'From home to Yaba', profile_id: 'nobody' }), { status: 404, code: 'PROFILE_NOT_FOUND' });
+});
+
+test('checks what a profile holds', async () => {
+    await assert.rejects(saveProfile('bad id!', {}), { code: 'INVALID_REQUEST' });
+    await assert.rejects(saveProfile('tunde', { default_mode: 'hoverboard' }), { code: 'INVALID_PROFILE' });
+    await assert.rejects(saveProfile('tunde', { places: [{ name: 'Home' }] }), { message: '"Home" needs an address or a location' });
+    await assert.rejects(saveProfile('tunde', { preferences: { avoid: ['potholes'] } }), { code: 'INVALID_PROFILE' });
+    await assert.rejects(
+        saveProfile('tunde', { places: [{ name: 'Home', address: 'Ajah' }, { name: 'Base', address: 'Yaba', aliases: ['my home'] }] }),
+        { message: 'More than one saved place is called "home"' }
+    );
+});
+
+test('merges preferences on update and replaces places by name', async () => {
+    await saveProfile('chika', { preferences: { avoid: ['tolls'], vehicle: 'suv' }, places });
+
+    const updated = await updateProfile('chika', { preferences: { language: 'ig' } });
+    assert.deepEqual(updated.preferences, { avoid: ['tolls'], vehicle: 'suv', language: 'ig' });
+
+    await savePlace('chika', 'home', { address: 'Lekki Phase 1' });
+    assert.deepEqual((await getProfile('chika')).places.map(place => place.address), [null, 'Lekki Phase 1']);
+
+    assert.equal(await deletePlace('chika', 'Work'), true);
+    assert.equal(await deletePlace('chika', 'Work'), false);
+});
+
+test('keeps each API key\'s profiles apart', async () => {
+    await runWithRequestContext({ apiKeyId: 'key-a' }, () => saveProfile('shared-id', { default_mode: 'danfo' }));
+
+    assert.equal(await runWithRequestContext({ apiKeyId: 'key-b' }, () => getProfile('shared-id')), null);
+    assert.equal((await runWithRequestContext({ apiKeyId: 'key-a' }, () => getProfile('shared-id'))).default_mode, 'danfo');
+});
@@ -0,0 +1,97 @@
+const { listen } = require('./setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { requestLogging } = require('../middleware/requestLogging');
+const { requireApiKey } = require('../middleware/auth');
+const { enforceLimits } = require('../middleware/rateLimit');
+const { issueKey, getUsage } = require('../services/apiKeys');
+const { recordUpstreamCall } = require('../utils/requestContext');
+const { ESTIMATED_REQUEST_COST } = require('../config/quotas');
+
+// The middleware the API routes use, in front of a handler that makes one LLM call,
+// so each request costs 2 units
+const app = express();
+app.use(requestLogging);
+app.get('/answer', requireApiKey, enforceLimits, (req, res) => {
+    recordUpstreamCall('llm');
+    res.json({ answer: 'ok' });
+});
+
+const serving = listen(app);
+
+async function ask(key) {
+    return fetch(`${await serving}/answer`, { headers: key ? { 'X-API-Key': key } : {} });
+}
+
+// Usage is settled once the response has gone out
+async function waitForUsage(keyId, units) {
+    for (let i = 0; i < 50; i++) {
+        if ((await getUsage(keyId)).units === units) return;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.fail(`usage never reached ${units} units`);
+}
+
+test('requires a valid API key', async () => {
+    assert.equal((await ask()).status, 401);
+    assert.equal((await ask('rgpt_not-a-key')).status, 401);
+});
+
+test('allows rate_limit_per_minute requests and then asks the caller to wait', async () => {
+    const { key } = await issueKey({ name: 'rate test', rate_limit_per_minute: 2 });
+
+    const first = await ask(key);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('X-RateLimit-Limit'), '2');
+    assert.equal(first.headers.get('X-RateLimit-Remaining'), '1');
+    assert.equal((await ask(key)).status, 200);
+
+    const limited = await ask(key);
+    assert.equal(limited.status, 429);
+    assert.equal((await limited.json()).code, 'RATE_LIMITED');
+    assert.ok(Number(limited.headers.get('Retry-After')) > 0);
+});
+
+test('charges each request by its upstream calls and stops at the daily quota', async () => {
+    const { key, id } = await issueKey({ name: 'quota test', daily_quota: 3 });
+
+    const first = await ask(key);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('X-Quota-Remaining'), '3');
+    await waitForUsage(id, 2);
+
+    // Still under the quota, so this one is answered and takes the key over it
+    const second = await ask(key);
+    assert.equal(second.status, 200);
+    assert.equal(second.headers.get('X-Quota-Remaining'), '1');
+    await waitForUsage(id, 4);
+
+    const refused = await ask(key);
+    assert.equal(refused.status, 429);
+    assert.equal((await refused.json()).code, 'QUOTA_EXCEEDED');
+    assert.equal(refused.headers.get('X-Quota-Remaining'), '0');
+    assert.ok(Number(refused.headers.get('Retry-After')) > 0);
+});
+
+test('keeps count of requests made at the same time', async () => {
+    const { key, id } = await issueKey({ name: 'concurrency test', rate_limit_per_minute: 100 });
+
+    const responses = await Promise.all(Array.from({ length: 20 }, () => ask(key)));
+    assert.ok(responses.every(response => response.status === 200));
+
+    await waitForUsage(id, 40);
+    assert.equal((await getUsage(id)).units, 40);
+});
+
+test('holds back quota for requests still running so they cannot all pass together', async () => {
+    // Room for two estimated requests
+    const { key, id } = await issueKey({ name: 'reservation test', daily_quota: 2 * ESTIMATED_REQUEST_COST });
+
+    const responses = await Promise.all(Array.from({ length: 5 }, () => ask(key)));
+    assert.deepEqual(responses.map(response => response.status).sort(), [200, 200, 429, 429, 429]);
+
+    // Then only what the two answered requests cost is kept
+    await waitForUsage(id, 4);
+});
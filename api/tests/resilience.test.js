@@ -0,0 +1,144 @@
+require('./setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { callUpstream, getCircuitStates } = require('../utils/resilience');
+const { ApiError, UpstreamError } = require('../utils/errors');
+const { Client } = require('@googlemaps/google-maps-services-js');
+const { createGoogleRoutingProvider } = require('../providers/routing/google');
+
+// Routing calls are retried three times; geocoding is not retried, and its breaker trips
+// after two failures and lets a trial call through 50ms later
+Object.assign(process.env, {
+    UPSTREAM_ROUTING_RETRIES: '3',
+    UPSTREAM_GEOCODE_RETRIES: '0',
+    UPSTREAM_GEOCODE_FAILURE_THRESHOLD: '2',
+    UPSTREAM_GEOCODE_RESET_SECONDS: '0.05'
+});
+
+function sleep(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+// Fails with each error in turn, then answers "ok"
+function failingThen(...errors) {
+    const call = async () => {
+        call.attempts++;
+        if (errors.length > 0) throw errors.shift();
+        return 'ok';
+    };
+    call.attempts = 0;
+    return call;
+}
+
+test('times out a slow call and aborts it', async () => {
+    let signal;
+    const call = callUpstream({ upstream: 'sms', provider: 'slow', operation: 'send', timeoutMs: 20 }, attemptSignal => {
+        signal = attemptSignal;
+        return new Promise(() => {});
+    });
+
+    await assert.rejects(call, { status: 504, code: 'UPSTREAM_TIMEOUT' });
+    assert.equal(signal.aborted, true);
+    assert.equal(signal.reason.code, 'UPSTREAM_TIMEOUT');
+});
+
+test('retries network errors, timeouts, 429 and 5xx responses', async () => {
+    const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    const timedOut = new ApiError(504, 'UPSTREAM_TIMEOUT', 'routing:flaky directions timed out after 10000ms');
+    const call = failingThen(refused, timedOut, new UpstreamError('Too many requests', 429));
+
+    assert.equal(await callUpstream({ upstream: 'routing', provider: 'flaky', operation: 'directions' }, call), 'ok');
+    assert.equal(call.attempts, 4);
+});
+
+test('gives up after the policy\'s retries', async () => {
+    const call = failingThen(...[1, 2, 3, 4].map(() => new UpstreamError('Bad gateway', 502)));
+
+    await assert.rejects(
+        callUpstream({ upstream: 'routing', provider: 'down', operation: 'directions' }, call),
+        { status: 502, code: 'UPSTREAM_ERROR' }
+    );
+    assert.equal(call.attempts, 4);
+});
+
+test('does not retry a request the backend refused', async () => {
+    const call = failingThen(new UpstreamError('Invalid API key', 403));
+
+    await assert.rejects(
+        callUpstream({ upstream: 'routing', provider: 'refused', operation: 'directions' }, call),
+        { status: 502, code: 'UPSTREAM_ERROR' }
+    );
+    assert.equal(call.attempts, 1);
+});
+
+test('passes "no such route" answers through without retrying or tripping the breaker', async () => {
+    const notFound = new ApiError(404, 'ROUTE_NOT_FOUND', 'No route found between these locations');
+    const call = failingThen(notFound, notFound, notFound);
+    const options = { upstream: 'geocode', provider: 'answering', operation: 'geocode' };
+
+    for (let i = 0; i < 3; i++) {
+        await assert.rejects(callUpstream(options, call), notFound);
+    }
+    assert.equal(call.attempts, 3);
+    assert.equal(getCircuitStates()['geocode:answering'], 'closed');
+});
+
+test('opens the circuit after repeated failures and closes it after a trial call succeeds', async () => {
+    const options = { upstream: 'geocode', provider: 'breaker', operation: 'geocode' };
+    const call = failingThen(new UpstreamError('Unavailable', 503), new UpstreamError('Unavailable', 503));
+
+    await assert.rejects(callUpstream(options, call), { code: 'UPSTREAM_ERROR' });
+    await assert.rejects(callUpstream(options, call), { code: 'UPSTREAM_ERROR' });
+    assert.equal(getCircuitStates()['geocode:breaker'], 'open');
+
+    // Fails fast without calling the backend
+    await assert.rejects(callUpstream(options, call), { status: 503, code: 'UPSTREAM_UNAVAILABLE' });
+    assert.equal(call.attempts, 2);
+
+    await sleep(60);
+    assert.equal(await callUpstream(options, call), 'ok');
+    assert.equal(call.attempts, 3);
+    assert.equal(getCircuitStates()['geocode:breaker'], 'closed');
+});
+
+test('reopens the circuit when the trial call fails', async () => {
+    const options = { upstream: 'geocode', provider: 'relapsing', operation: 'geocode' };
+    const call = failingThen(...[1, 2, 3].map(() => new UpstreamError('Unavailable', 503)));
+
+    await assert.rejects(callUpstream(options, call));
+    await assert.rejects(callUpstream(options, call));
+    await sleep(60);
+
+    // One trial call is let through while the circuit is half open
+    const trial = callUpstream(options, call);
+    await assert.rejects(callUpstream(options, call), { code: 'UPSTREAM_UNAVAILABLE' });
+    await assert.rejects(trial, { code: 'UPSTREAM_ERROR' });
+
+    assert.equal(call.attempts, 3);
+    assert.equal(getCircuitStates()['geocode:relapsing'], 'open');
+    await assert.rejects(callUpstream(options, call), { code: 'UPSTREAM_UNAVAILABLE' });
+});
+
+test('does not retry Google refusing the key or running out of quota', async t => {
+    const statuses = ['OVER_QUERY_LIMIT', 'REQUEST_DENIED', 'OVER_QUERY_LIMIT'];
+    let calls = 0;
+    t.mock.method(Client.prototype, 'directions', async () => {
+        calls++;
+        return { data: { status: statuses.shift(), routes: [] } };
+    });
+    t.mock.method(Client.prototype, 'geocode', async () => ({ data: { status: 'REQUEST_DENIED', results: [] } }));
+
+    const google = createGoogleRoutingProvider();
+    const routes = signal => google.getRoutes({ origin: 'Lekki', destination: 'Yaba' }, { signal });
+    const options = { upstream: 'routing', provider: 'google', operation: 'routes' };
+
+    await assert.rejects(callUpstream(options, routes), { status: 429, code: 'ROUTING_QUOTA_EXCEEDED' });
+    await assert.rejects(callUpstream(options, routes), { status: 403, code: 'ROUTING_ACCESS_DENIED' });
+    await assert.rejects(callUpstream(options, routes), { status: 429, code: 'ROUTING_QUOTA_EXCEEDED' });
+    assert.equal(calls, 3);
+    assert.equal(getCircuitStates()['routing:google'], 'closed');
+
+    // Not "no such place" either
+    await assert.rejects(google.geocode('Yaba'), { status: 403, code: 'ROUTING_ACCESS_DENIED' });
+});
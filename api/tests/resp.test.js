@@ -0,0 +1,108 @@
+require('./setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { createRespClient, encodeCommand, parseReply } = require('../cache/resp');
+
+const parse = text => parseReply(Buffer.from(text));
+
+test('encodes commands as arrays of bulk strings', () => {
+    assert.equal(encodeCommand(['SET', 'kéy', 42]), '*3\r\n$3\r\nSET\r\n$4\r\nkéy\r\n$2\r\n42\r\n');
+});
+
+test('parses each kind of reply', () => {
+    assert.deepEqual(parse('+OK\r\n'), { value: 'OK', offset: 5 });
+    assert.deepEqual(parse(':1000\r\n'), { value: 1000, offset: 7 });
+    assert.deepEqual(parse('$5\r\nhello\r\n'), { value: 'hello', offset: 11 });
+    assert.deepEqual(parse('$-1\r\n'), { value: null, offset: 5 });
+    assert.deepEqual(parse('*2\r\n$1\r\na\r\n*1\r\n:2\r\n'), { value: ['a', [2]], offset: 19 });
+
+    const error = parse('-WRONGTYPE Operation against a key\r\n').value;
+    assert.ok(error instanceof Error);
+    assert.equal(error.message, 'WRONGTYPE Operation against a key');
+});
+
+test('waits for a reply split across reads', () => {
+    assert.equal(parse('+OK'), null);
+    assert.equal(parse('$5\r\nhel'), null);
+    assert.equal(parse('*2\r\n$1\r\na\r\n'), null);
+    assert.deepEqual(parseReply(Buffer.from('+OK\r\n:1\r\n'), 5), { value: 1, offset: 9 });
+});
+
+test('rejects an unknown reply type', () => {
+    assert.throws(() => parse('!oops\r\n'), /Unexpected Redis reply type "!"/);
+});
+
+// A tiny server that keeps strings in memory and answers the very first command it gets
+// with `firstReply` when one is given
+function startServer({ firstReply } = {}) {
+    const values = new Map();
+    let connections = 0;
+    let first = true;
+
+    const server = net.createServer(socket => {
+        connections++;
+        let buffer = Buffer.alloc(0);
+
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let command;
+            while ((command = parseReply(buffer))) {
+                buffer = buffer.subarray(command.offset);
+                const [name, key, value] = command.value;
+
+                if (first && firstReply) {
+                    socket.write(firstReply);
+                } else if (name === 'SET') {
+                    values.set(key, value);
+                    socket.write('+OK\r\n');
+                } else if (name === 'GET') {
+                    const stored = values.get(key);
+                    socket.write(stored === undefined ? '$-1\r\n' : `$${Buffer.byteLength(stored)}\r\n${stored}\r\n`);
+                } else {
+                    socket.write(`-ERR unknown command '${name}'\r\n`);
+                }
+                first = false;
+            }
+        });
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        url: `redis://127.0.0.1:${server.address().port}`,
+        connections: () => connections,
+        close: () => new Promise(done => server.close(done))
+    })));
+}
+
+test('answers pipelined commands in order', async () => {
+    const server = await startServer();
+    const client = createRespClient(server.url);
+
+    try {
+        const replies = await Promise.all([
+            client.command(['SET', 'route', 'Third Mainland Bridge']),
+            client.command(['GET', 'route']),
+            client.command(['GET', 'missing'])
+        ]);
+        assert.deepEqual(replies, ['OK', 'Third Mainland Bridge', null]);
+        await assert.rejects(client.command(['FLUSHALL']), /unknown command 'FLUSHALL'/);
+    } finally {
+        client.close();
+        await server.close();
+    }
+});
+
+test('starts a new connection after an unreadable reply', async () => {
+    const server = await startServer({ firstReply: '!garbage\r\n' });
+    const client = createRespClient(server.url);
+
+    try {
+        await assert.rejects(client.command(['GET', 'route']), /Unexpected Redis reply type/);
+        assert.equal(await client.command(['SET', 'route', 'Ikorodu Road']), 'OK');
+        assert.equal(server.connections(), 2);
+    } finally {
+        client.close();
+        await server.close();
+    }
+});
@@ -0,0 +1,53 @@
+require('./setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runDirectionsPipeline } = require('../services/directionsPipeline');
+const { getSession, getOrCreateSession, appendTurn, clearSession, getConversationContext, isValidSessionId } = require('../utils/sessions');
+const { runWithRequestContext } = require('../utils/requestContext');
+
+test('answers a follow-up with the places from the previous turn', async () => {
+    const first = await runDirectionsPipeline({ query: 'How do I get from Lekki to Yaba?' });
+    const followUp = await runDirectionsPipeline({ query: 'How long will that take?', session_id: first.session_id });
+
+    assert.equal(followUp.session_id, first.session_id);
+    assert.equal(followUp.query_type, 'duration_check');
+    assert.equal(followUp.traffic.routes[0].summary, 'Lekki - Yaba');
+
+    const { turns } = getSession(first.session_id);
+    assert.deepEqual(turns.map(turn => turn.query), ['How do I get from Lekki to Yaba?', 'How long will that take?']);
+});
+
+test('keeps the latest turns as context for the next question', () => {
+    const { session_id: sessionId } = getOrCreateSession();
+    for (let i = 1; i <= 25; i++) {
+        appendTurn(sessionId, { query: `question ${i}`, origin: 'Yaba', destination: `Stop ${i}`, mode: 'car' });
+    }
+
+    const session = getSession(sessionId);
+    assert.equal(session.turns.length, 20);
+
+    const context = getConversationContext(session);
+    assert.equal(context.destination, 'Stop 25');
+    assert.deepEqual(context.previous_queries, ['question 23', 'question 24', 'question 25']);
+    assert.equal(getConversationContext(getOrCreateSession()), null);
+});
+
+test('keeps sessions with the same id apart for different API keys', () => {
+    const asKey = (apiKeyId, fn) => runWithRequestContext({ apiKeyId }, fn);
+
+    asKey('key_a', () => appendTurn('shared-id', { query: 'from key a' }));
+    asKey('key_b', () => assert.equal(getSession('shared-id'), undefined));
+    asKey('key_a', () => {
+        assert.equal(getSession('shared-id').turns.length, 1);
+        assert.equal(clearSession('shared-id'), true);
+        assert.equal(clearSession('shared-id'), false);
+    });
+});
+
+test('rejects malformed session ids', async () => {
+    assert.equal(isValidSessionId('abc-123_4.5:6'), true);
+    assert.equal(isValidSessionId('has spaces'), false);
+    assert.equal(isValidSessionId('x'.repeat(129)), false);
+    await assert.rejects(runDirectionsPipeline({ query: 'Lekki to Yaba', session_id: '../etc' }), { status: 400, code: 'INVALID_REQUEST' });
+});
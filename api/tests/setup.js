@@ -0,0 +1,37 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after } = require('node:test');
+
+// Required first by every test file. node --test runs each file in its own process, so each
+// one gets a fresh store, the offline LLM and the recorded routes in api/fixtures. The
+// controllers read .env from the working directory, so they get an empty one here instead
+// of the developer's own settings.
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'routegpt-test-'));
+fs.writeFileSync(path.join(storeDir, '.env'), '');
+process.chdir(storeDir);
+process.on('exit', () => fs.rmSync(storeDir, { recursive: true, force: true }));
+
+Object.assign(process.env, {
+    STORE_DIR: storeDir,
+    STORE_BACKEND: 'file',
+    CACHE_BACKEND: 'memory',
+    LLM_PROVIDER: 'fake',
+    ROUTING_PROVIDER: 'fixture',
+    SMS_PROVIDER: 'log',
+    MESSAGING_SENDER: 'mock',
+    LOG_LEVEL: process.env.LOG_LEVEL || 'error'
+});
+
+// Serves an Express app on a free local port until the test file ends; resolves to its base
+// URL. Call it at the top of the file, so the server is closed after the last test.
+function listen(app) {
+    const server = app.listen(0, '127.0.0.1');
+    after(() => new Promise(done => {
+        server.closeAllConnections();
+        server.close(done);
+    }));
+    return new Promise(resolve => server.once('listening', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+module.exports = { listen };
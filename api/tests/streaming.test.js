@@ -0,0 +1,93 @@
+const { listen } = require('./setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.NODE_ENV = 'production';
+process.env.REQUIRE_API_KEY = 'false';
+const app = require('../server');
+const { getLLMProvider } = require('../providers/llm');
+
+const serving = listen(app);
+
+async function openStream(body, signal) {
+    return fetch(`${await serving}/api/directions/stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal
+    });
+}
+
+// Reads "event: <name>\ndata: <json>" blocks, calling onEvent as each arrives
+async function readEvents(response, onEvent = () => {}) {
+    const events = [];
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const [, name, data] = buffer.slice(0, end).match(/^event: (\w+)\ndata: (.*)$/s);
+            buffer = buffer.slice(end + 2);
+            events.push({ name, data: JSON.parse(data) });
+            onEvent(events[events.length - 1]);
+        }
+    }
+    return events;
+}
+
+test('streams meta, route and tokens before the finished answer', async () => {
+    const response = await openStream({ query: 'How do I get from Lekki to Yaba?' });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('Content-Type'), /^text\/event-stream/);
+
+    const events = await readEvents(response);
+    const names = events.map(event => event.name);
+    assert.deepEqual(names.slice(0, 2), ['meta', 'route']);
+    assert.equal(names[names.length - 1], 'done');
+    assert.ok(names.filter(name => name === 'token').length > 1);
+
+    const done = events[events.length - 1].data;
+    assert.equal(events[0].data.session_id, done.session_id);
+    assert.equal(events.filter(event => event.name === 'token').map(event => event.data.text).join(''), done.response);
+});
+
+test('sends a clarification instead of a route for a place it cannot find', async () => {
+    const events = await readEvents(await openStream({ query: 'From Lekki to Narnia' }));
+
+    assert.deepEqual(events.map(event => event.name), ['meta', 'clarification', 'done']);
+    assert.equal(events[1].data.field, 'destination');
+});
+
+test('answers a bad request with a regular error status', async () => {
+    const response = await openStream({});
+
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).code, 'INVALID_REQUEST');
+});
+
+test('stops the model when the client disconnects', async t => {
+    const llm = getLLMProvider();
+    const { stream } = llm;
+    t.after(() => { llm.stream = stream; });
+
+    // Writes one word, then keeps going until it is stopped
+    let stopped;
+    const modelStopped = new Promise(resolve => { stopped = resolve; });
+    llm.stream = async function* (prompt, settings, { signal }) {
+        yield 'Head ';
+        await new Promise(resolve => signal.addEventListener('abort', resolve, { once: true }));
+        stopped(signal.reason);
+    };
+
+    const client = new AbortController();
+    const response = await openStream({ query: 'How do I get from Yaba to Ikeja?' }, client.signal);
+    await readEvents(response, event => {
+        if (event.name === 'token') client.abort();
+    }).catch(error => assert.equal(error.name, 'AbortError'));
+
+    const reason = await modelStopped;
+    assert.equal(reason.code, 'CLIENT_CLOSED_REQUEST');
+});
@@ -0,0 +1,66 @@
+require('./setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveTimeExpression, toLagosISOString } = require('../utils/time');
+const { getRoutesForTime } = require('../services/travelTime');
+const { getRoutingProvider } = require('../providers/routing');
+
+// Monday 19 October 2026, 09:00 in Lagos
+const now = new Date('2026-10-19T08:00:00Z');
+
+function resolve(expression) {
+    const date = resolveTimeExpression(expression, now);
+    return date && toLagosISOString(date);
+}
+
+test('reads clock times and days from everyday phrases', () => {
+    const phrases = {
+        '7pm tomorrow': '2026-10-20T19:00:00+01:00',
+        'Monday 6:30pm': '2026-10-19T18:30:00+01:00',
+        'in 45 minutes': '2026-10-19T09:45:00+01:00',
+        'in 2 days at 7pm': '2026-10-21T19:00:00+01:00',
+        'at 2 tomorrow': '2026-10-20T14:00:00+01:00',
+        'by 9 on Wednesday': '2026-10-21T09:00:00+01:00',
+        'half past 7': '2026-10-19T19:30:00+01:00',
+        'half past 7am tomorrow': '2026-10-20T07:30:00+01:00',
+        'quarter to 8 tomorrow': '2026-10-20T07:45:00+01:00',
+        'quarter past 5 this evening': '2026-10-19T17:15:00+01:00',
+        'noon': '2026-10-19T12:00:00+01:00',
+        'next monday': '2026-10-26T08:00:00+01:00',
+        '2026-10-21T07:30': '2026-10-21T07:30:00+01:00'
+    };
+
+    for (const [phrase, expected] of Object.entries(phrases)) {
+        assert.equal(resolve(phrase), expected, phrase);
+    }
+});
+
+test('takes a bare hour today as the next one still ahead', () => {
+    assert.equal(resolve('by 9'), '2026-10-19T21:00:00+01:00');
+    assert.equal(resolve('at 2'), '2026-10-19T14:00:00+01:00');
+    assert.equal(resolve('at 8'), '2026-10-19T20:00:00+01:00');
+});
+
+test('ignores numbers that are not times', () => {
+    assert.equal(resolve('on bus 12'), null);
+    assert.equal(resolve('in 2 days'), '2026-10-21T08:00:00+01:00');
+    assert.equal(resolve('now'), null);
+    assert.equal(resolve('whenever'), null);
+});
+
+test('keeps an explicit time that has already passed', () => {
+    assert.equal(resolve('7am today'), '2026-10-19T07:00:00+01:00');
+
+    // Without a day it means the next one
+    assert.equal(resolve('7am'), '2026-10-20T07:00:00+01:00');
+});
+
+test('routes a time that has passed as leaving now and says so', async () => {
+    const request = { origin: 'Lekki', destination: 'Yaba', mode: 'car' };
+    const { estimateFor } = await getRoutesForTime(getRoutingProvider(), request, { departureTime: new Date(Date.now() - 3600000) });
+
+    assert.equal(estimateFor.type, 'now');
+    assert.ok(estimateFor.passed_time);
+    assert.match(estimateFor.description, /has already passed/);
+});
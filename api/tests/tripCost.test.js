@@ -0,0 +1,78 @@
+require('./setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { estimateTripCost } = require('../services/tripCost');
+const { getPricing, updatePricing, resetPricing } = require('../services/pricing');
+
+// 20 km that takes 30 minutes, or 50 in traffic
+function makeRoute({ summary = 'Ikorodu Road', kilometers = 20, transitSteps = 0 } = {}) {
+    return {
+        summary,
+        legs: [{
+            distance: { value: kilometers * 1000, text: `${kilometers} km` },
+            duration: { value: 1800, text: '30 mins' },
+            duration_in_traffic: { value: 3000, text: '50 mins' },
+            steps: [
+                { instructions: 'Head north' },
+                ...Array.from({ length: transitSteps }, () => ({ instructions: 'Board the bus', transit: { line: 'BRT' } }))
+            ]
+        }]
+    };
+}
+
+const items = cost => Object.fromEntries(cost.breakdown.map(item => [item.item, item.value]));
+
+test('costs driving as fuel, with time stuck in traffic burning more', async () => {
+    const cost = estimateTripCost('car', makeRoute(), { pricing: await getPricing() });
+
+    // 20 km at 9 L/100km plus 20 idle minutes at 0.8 L/h, at ₦1,050/L
+    assert.equal(cost.basis, 'fuel');
+    assert.equal(cost.vehicle, 'saloon');
+    assert.equal(cost.value, 2150);
+    assert.equal(cost.alternatives[0].name, 'ride_hail');
+    assert.equal(cost.alternatives[0].value, 5750);
+});
+
+test('uses the vehicle asked for and its toll class', async () => {
+    const cost = estimateTripCost('car', makeRoute({ summary: 'Lekki toll gate' }), { pricing: await getPricing(), vehicle: 'suv' });
+
+    assert.equal(cost.vehicle, 'suv');
+    assert.equal(items(cost).toll, 400);
+    assert.equal(cost.alternatives[0].breakdown.find(item => item.item === 'toll').value, 300);
+});
+
+test('charges fares per ride and never below the minimum', async () => {
+    const pricing = await getPricing();
+
+    assert.equal(estimateTripCost('keke', makeRoute(), { pricing }).value, 1800);
+    assert.equal(estimateTripCost('keke', makeRoute({ kilometers: 1 }), { pricing }).value, 300);
+    assert.equal(estimateTripCost('brt', makeRoute({ transitSteps: 2 }), { pricing }).value, 1000);
+});
+
+test('lets an admin override prices until it is reset', async () => {
+    const pricing = await getPricing();
+    assert.equal(pricing.source, 'file');
+
+    const updated = await updatePricing({ ...pricing, fuel_prices: { ...pricing.fuel_prices, petrol: 2100 } });
+    assert.equal(updated.source, 'admin');
+    assert.equal((await getPricing()).fuel_prices.petrol, 2100);
+    assert.equal(estimateTripCost('car', makeRoute(), { pricing: await getPricing() }).value, 4350);
+
+    const reset = await resetPricing();
+    assert.equal(reset.source, 'file');
+    assert.equal(reset.fuel_prices.petrol, 1050);
+});
+
+test('rejects pricing it could not use', async () => {
+    const pricing = await getPricing();
+
+    await assert.rejects(
+        updatePricing({ ...pricing, fuel_prices: { petrol: -1, diesel: 1350 } }),
+        { status: 400, code: 'INVALID_PRICING', message: 'fuel_prices.petrol must be a non-negative number' }
+    );
+    await assert.rejects(
+        updatePricing({ ...pricing, modes: { ...pricing.modes, keke: { pricing: 'fare', fare: 'tricycle' } } }),
+        { code: 'INVALID_PRICING', message: 'modes.keke.fare must name one of fares' }
+    );
+});
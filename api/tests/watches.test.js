@@ -0,0 +1,163 @@
+require('./setup');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const { createWatch, getWatch, getWatchDeliveries, setWatchStatus, checkWatchNow } = require('../services/watches');
+const { isPrivateAddress } = require('../utils/network');
+const { runWatchTick } = require('../services/watchScheduler');
+
+// 8:00 on Monday 19 October 2026 in Lagos
+const MONDAY_MORNING = new Date('2026-10-19T07:00:00Z');
+const minutesLater = minutes => new Date(MONDAY_MORNING.getTime() + minutes * 60000);
+
+// Answers each webhook with the next status in `statuses` (200 once they run out)
+const received = [];
+const statuses = [];
+const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        const status = statuses.shift() || 200;
+        res.writeHead(status, status === 302 ? { Location: 'http://169.254.169.254/' } : {}).end();
+    });
+});
+
+let webhookUrl;
+
+test.before(() => new Promise(resolve => {
+    receiver.listen(0, '127.0.0.1', () => {
+        webhookUrl = `http://127.0.0.1:${receiver.address().port}/alerts`;
+        resolve();
+    });
+}));
+
+test.after(() => new Promise(resolve => receiver.close(resolve)));
+
+test.beforeEach(() => {
+    received.length = 0;
+    statuses.length = 0;
+    process.env.WATCH_ALLOW_PRIVATE_WEBHOOKS = 'true';
+});
+
+// Lekki to Ikeja has a recorded morning jam over Third Mainland Bridge
+function watchCommute(fields = {}) {
+    return createWatch({
+        origin: 'Lekki',
+        destination: 'Ikeja',
+        window: { start: '08:00', end: '09:00' },
+        delay_threshold_minutes: 10,
+        faster_route_minutes: 240,
+        webhook_url: webhookUrl,
+        ...fields
+    });
+}
+
+test('refuses webhooks on private networks unless they are allowed', async () => {
+    delete process.env.WATCH_ALLOW_PRIVATE_WEBHOOKS;
+    await assert.rejects(watchCommute(), { status: 400, code: 'INVALID_WATCH' });
+});
+
+test('alerts once per window and signs each webhook with the watch secret', async () => {
+    const watch = await watchCommute();
+
+    const summary = await runWatchTick(MONDAY_MORNING);
+    assert.deepEqual(summary, { checked: 1, alerts: 1, errors: 0, retried: 0 });
+
+    assert.equal(received.length, 1);
+    const [{ headers, body }] = received;
+    const expected = `sha256=${crypto.createHmac('sha256', watch.secret).update(body).digest('hex')}`;
+    assert.equal(headers['x-routegpt-signature'], expected);
+    assert.equal(headers['x-routegpt-event'], 'commute.delay');
+    assert.equal(JSON.parse(body).watch.id, watch.id);
+
+    // Checked again after the interval, but the jam has already been reported today
+    const later = await runWatchTick(minutesLater(20));
+    assert.deepEqual(later, { checked: 1, alerts: 0, errors: 0, retried: 0 });
+    assert.equal(received.length, 1);
+
+    await setWatchStatus(watch.id, 'paused');
+});
+
+test('only checks active watches inside their window', async () => {
+    const watch = await watchCommute({ window: { start: '17:00', end: '19:00' } });
+
+    assert.equal((await runWatchTick(MONDAY_MORNING)).checked, 0);
+    assert.equal((await getWatch(watch.id)).last_checked_at, null);
+
+    await setWatchStatus(watch.id, 'paused');
+    assert.equal((await runWatchTick(new Date('2026-10-19T16:30:00Z'))).checked, 0);
+});
+
+test('retries a failed delivery after a delay', async () => {
+    const watch = await watchCommute();
+    statuses.push(500);
+
+    await runWatchTick(MONDAY_MORNING);
+    let [delivery] = await getWatchDeliveries(watch.id);
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.last_status_code, 500);
+
+    // Not due again until a minute has passed
+    assert.equal((await runWatchTick(minutesLater(0.5))).retried, 0);
+    assert.equal((await runWatchTick(minutesLater(1))).retried, 1);
+
+    [delivery] = await getWatchDeliveries(watch.id);
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts, 2);
+    assert.equal(received.length, 2);
+    assert.equal(received[0].headers['x-routegpt-delivery'], received[1].headers['x-routegpt-delivery']);
+});
+
+test('counts a redirect as a failed delivery', async () => {
+    const watch = await watchCommute();
+    statuses.push(302);
+
+    await runWatchTick(MONDAY_MORNING);
+    const [delivery] = await getWatchDeliveries(watch.id);
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.last_status_code, 302);
+    assert.match(delivery.last_error, /do not follow redirects/);
+    assert.equal(received.length, 1);
+
+    await setWatchStatus(watch.id, 'paused');
+});
+
+test('sends nothing when a paused watch is checked by hand', async () => {
+    const watch = await watchCommute();
+    await setWatchStatus(watch.id, 'paused');
+
+    const result = await checkWatchNow(watch.id);
+    assert.ok(result.check.delay_minutes >= 10);
+    assert.deepEqual(result.alerts, []);
+    assert.equal(received.length, 0);
+});
+
+test('connects to the address that was checked, not a fresh lookup', async t => {
+    const { lookup } = dns.promises;
+    t.after(() => { dns.promises.lookup = lookup; });
+
+    // Only this lookup knows the name, so the request can only reach the receiver through it
+    dns.promises.lookup = async () => [{ address: '127.0.0.1', family: 4 }];
+    const watch = await watchCommute({ webhook_url: webhookUrl.replace('127.0.0.1', 'alerts.example.test') });
+    await checkWatchNow(watch.id);
+
+    assert.equal(received.length, 1);
+    assert.equal((await getWatchDeliveries(watch.id))[0].status, 'delivered');
+    await setWatchStatus(watch.id, 'paused');
+
+    // Without WATCH_ALLOW_PRIVATE_WEBHOOKS the same answer is refused
+    delete process.env.WATCH_ALLOW_PRIVATE_WEBHOOKS;
+    await assert.rejects(watchCommute({ webhook_url: 'http://alerts.example.test/hook' }), { code: 'INVALID_WATCH' });
+});
+
+test('treats IPv4-compatible and mapped IPv6 forms of local addresses as private', () => {
+    for (const address of ['::127.0.0.1', '::ffff:127.0.0.1', '::ffff:10.0.0.1', '::1', '::', 'fe80::1', '169.254.169.254']) {
+        assert.equal(isPrivateAddress(address), true, address);
+    }
+    assert.equal(isPrivateAddress('8.8.8.8'), false);
+    assert.equal(isPrivateAddress('2001:4860:4860::8888'), false);
+});
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const { getRequestOwner } = require('./requestContext');
+
+// Requests waiting on the user to pick a location expire after 10 minutes
+const clarificationStore = new NodeCache({ stdTTL: 600 });
+
+// Kept per API key, like sessions, so a clarification can only be answered with the key that asked
+function storeKey(clarificationId) {
+    return `${getRequestOwner()}|${clarificationId}`;
+}
+
+function createClarification(state) {
+    const id = crypto.randomUUID();
+    clarificationStore.set(storeKey(id), { ...state, clarification_id: id });
+    return id;
+}
+
+function getClarification(clarificationId) {
+    return typeof clarificationId === 'string' ? clarificationStore.get(storeKey(clarificationId)) : undefined;
+}
+
+function updateClarification(clarificationId, state) {
+    clarificationStore.set(storeKey(clarificationId), { ...state, clarification_id: clarificationId });
+}
+
+function deleteClarification(clarificationId) {
+    clarificationStore.del(storeKey(clarificationId));
+}
+
+module.exports = {
+    createClarification,
+    getClarification,
+    updateClarification,
+    deleteClarification
+};
@@ -1,22 +1,29 @@
 const dotenv = require('dotenv');
 const path = require('path');
+const { logger } = require('./logger');
 
 function loadEnvironment() {
     const envPath = path.resolve(process.cwd(), '.env');
     const result = dotenv.config({ path: envPath });
     
-    console.log('Loading .env file from:', envPath);
+    logger.info('Loading .env file', { path: envPath });
     
     if (result.error) {
-        console.error('Error loading .env file:', result.error);
+        logger.error('Error loading .env file', { error: result.error });
         return false;
     }
     
-    const requiredVars = ['GEMINI_API_KEY', 'GOOGLE_MAPS_API_KEY'];
+    const requiredVars = [];
+    if ((process.env.ROUTING_PROVIDER || 'google').toLowerCase() === 'google') {
+        requiredVars.push('GOOGLE_MAPS_API_KEY');
+    }
+    if ((process.env.LLM_PROVIDER || 'gemini').toLowerCase() === 'gemini') {
+        requiredVars.push('GEMINI_API_KEY');
+    }
     const missingVars = requiredVars.filter(varName => !process.env[varName]);
     
     if (missingVars.length > 0) {
-        console.error('Missing required environment variables:', missingVars);
+        logger.error('Missing required environment variables', { variables: missingVars });
         return false;
     }
     
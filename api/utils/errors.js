@@ -0,0 +1,102 @@
+const { getRequestContext } = require('./requestContext');
+const { logRequestError } = require('./logger');
+const { getDefaultLanguageCode, translate } = require('./languages');
+
+// Errors carrying the HTTP status and a stable machine-readable code for the API response
+class ApiError extends Error {
+    constructor(status, code, message, details) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// A failed call to an upstream service, with the HTTP status it answered with, or none when it
+// could not be reached. Only ever seen by callUpstream, which decides from the status whether
+// to retry and reports it to callers as UPSTREAM_ERROR.
+class UpstreamError extends Error {
+    constructor(message, statusCode = null) {
+        super(message);
+        this.name = 'UpstreamError';
+        this.statusCode = statusCode;
+    }
+}
+
+// The server errors callers can see, by code. Their own messages can carry upstream responses
+// or internals, so callers get these fixed ones and the request id to find the error in the logs.
+const SERVER_ERRORS = {
+    UPSTREAM_ERROR: { status: 502, message: 'A service this request depends on failed' },
+    ROUTING_UPSTREAM_ERROR: { status: 502, message: 'The routing service rejected the request' },
+    UPSTREAM_UNAVAILABLE: { status: 503, message: 'A service this request depends on is unavailable; try again shortly' },
+    UPSTREAM_TIMEOUT: { status: 504, message: 'A service this request depends on took too long to answer' },
+    INTERNAL_ERROR: { status: 500, message: 'Error processing request' }
+};
+
+/**
+ * The status and body to send for a server-side failure: one of the SERVER_ERRORS codes, with
+ * anything else reported as INTERNAL_ERROR.
+ */
+function describeServerError(error) {
+    const code = SERVER_ERRORS[error.code] ? error.code : 'INTERNAL_ERROR';
+    const requestId = getRequestContext()?.requestId;
+
+    return {
+        status: SERVER_ERRORS[code].status,
+        body: {
+            error: SERVER_ERRORS[code].message,
+            code,
+            ...(requestId && { request_id: requestId })
+        }
+    };
+}
+
+// English keeps the original messages of client errors; other languages get the translated
+// message for the code, with the original kept in details. Server errors only show their
+// documented code and message, translated where there is a translation.
+function describeError(error, language = getDefaultLanguageCode()) {
+    const localise = language !== getDefaultLanguageCode();
+
+    if (error.status && error.status < 500) {
+        const translated = localise && error.code && translate(language, `errors.${error.code}`);
+        const details = translated ? error.message : error.details;
+        return {
+            status: error.status,
+            body: {
+                error: translated || error.message,
+                ...(error.code && { code: error.code }),
+                ...(details && { details })
+            }
+        };
+    }
+
+    const { status, body } = describeServerError(error);
+    const translated = localise && (translate(language, `errors.${body.code}`) || translate(language, 'errors.SERVER_ERROR'));
+    return { status, body: { ...body, ...(translated && { error: translated }) } };
+}
+
+// Logs the error and sends it as the JSON error body every endpoint uses
+function sendError(res, error, language) {
+    logRequestError(error);
+    const { status, body } = describeError(error, language);
+    res.status(status).json(body);
+}
+
+// The one-line reply for chat, SMS and USSD users. Only our own codes have messages, so
+// internal errors always read as SERVER_ERROR.
+function describeFailure(error, language) {
+    logRequestError(error);
+    const translated = error.code && translate(language, `errors.${error.code}`);
+    return translated || translate(language, 'errors.SERVER_ERROR');
+}
+
+module.exports = {
+    ApiError,
+    UpstreamError,
+    SERVER_ERRORS,
+    describeServerError,
+    describeError,
+    sendError,
+    describeFailure
+};
@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Areas, cities, states and countries used to qualify extracted place names.
+// GAZETTEER_PATH can point at a replacement .json file or a .csv file with the columns
+// type,name,aliases,city,state,country (type is city, area, state or country; aliases are "|" separated).
+const DEFAULT_GAZETTEER_PATH = path.join(__dirname, '../config/gazetteer.json');
+const DEFAULT_COUNTRY = 'Nigeria';
+
+// Kinds in order of preference when two entries match equally well
+const KIND_RANK = { area: 3, city: 2, state: 1, country: 0 };
+
+let gazetteer = null;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Short all-caps nicknames ("VI", "PH", "US") only match in capitals unless they are the
+// whole location, so they do not fire on ordinary words
+function isStrictAlias(term) {
+    return term.length <= 3 && term === term.toUpperCase() && /[A-Z]/.test(term);
+}
+
+function termPattern(term, flags) {
+    return new RegExp(`(^|[^A-Za-z0-9])${escapeRegExp(term)}(?=$|[^A-Za-z0-9])`, flags);
+}
+
+function containsTerm(text, term) {
+    if (text.trim().toLowerCase() === term.toLowerCase()) return true;
+    return termPattern(term, isStrictAlias(term) ? '' : 'i').test(text);
+}
+
+function replaceTerm(text, term, replacement) {
+    if (text.trim().toLowerCase() === term.toLowerCase()) return replacement;
+    return text.replace(termPattern(term, isStrictAlias(term) ? '' : 'i'), `$1${replacement}`);
+}
+
+function parseCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+// Turns CSV rows into the same shape as gazetteer.json
+function parseCsv(content) {
+    const [header, ...lines] = content.split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+    const columns = parseCsvLine(header).map(column => column.toLowerCase());
+    const rows = lines.map(line => {
+        const values = parseCsvLine(line);
+        return Object.fromEntries(columns.map((column, index) => [column, values[index] || '']));
+    });
+    const aliasesOf = row => row.aliases ? row.aliases.split('|').map(alias => alias.trim()).filter(Boolean) : [];
+
+    const cities = rows
+        .filter(row => row.type === 'city')
+        .map(row => ({
+            id: row.name.toLowerCase().replace(/\s+/g, '-'),
+            name: row.name,
+            state: row.state,
+            country: row.country || undefined,
+            aliases: aliasesOf(row),
+            areas: []
+        }));
+
+    for (const row of rows.filter(row => row.type === 'area')) {
+        const city = cities.find(candidate => candidate.name.toLowerCase() === row.city.toLowerCase());
+        if (!city) {
+            throw new Error(`Gazetteer area "${row.name}" refers to unknown city "${row.city}"`);
+        }
+        city.areas.push({ name: row.name, aliases: aliasesOf(row) });
+    }
+
+    const defaultCountry = rows.find(row => row.type === 'country' && row.country === 'default');
+    return {
+        default_country: defaultCountry ? defaultCountry.name : DEFAULT_COUNTRY,
+        default_city: cities[0] && cities[0].id,
+        cities,
+        states: rows.filter(row => row.type === 'state').map(row => row.name),
+        countries: rows
+            .filter(row => row.type === 'country')
+            .map(row => ({ name: row.name, aliases: aliasesOf(row) }))
+    };
+}
+
+// Flattens the config into one list of matchable entries
+function buildEntries(config) {
+    const defaultCountry = config.default_country || DEFAULT_COUNTRY;
+    const entries = [];
+
+    for (const city of config.cities || []) {
+        const country = city.country || defaultCountry;
+        entries.push({ kind: 'city', name: city.name, city, country, terms: [city.name, ...(city.aliases || [])] });
+
+        for (const area of city.areas || []) {
+            const { name, aliases = [] } = typeof area === 'string' ? { name: area } : area;
+            entries.push({ kind: 'area', name, city, country, terms: [name, ...aliases] });
+        }
+    }
+
+    for (const state of config.states || []) {
+        entries.push({ kind: 'state', name: state, country: defaultCountry, terms: [state, `${state} State`] });
+    }
+
+    for (const country of config.countries || []) {
+        entries.push({ kind: 'country', name: country.name, country: country.name, terms: [country.name, ...(country.aliases || [])] });
+    }
+
+    return entries;
+}
+
+function loadGazetteer(filePath = process.env.GAZETTEER_PATH || DEFAULT_GAZETTEER_PATH) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const config = path.extname(filePath).toLowerCase() === '.csv' ? parseCsv(content) : JSON.parse(content);
+    const defaultCountry = config.default_country || DEFAULT_COUNTRY;
+    const cities = config.cities || [];
+
+    return {
+        defaultCountry,
+        defaultCity: cities.find(city => city.id === config.default_city) || cities[0] || null,
+        cities,
+        entries: buildEntries(config)
+    };
+}
+
+function getGazetteer() {
+    if (!gazetteer) {
+        gazetteer = loadGazetteer();
+        logger.info('Loaded gazetteer', { entries: gazetteer.entries.length });
+    }
+    return gazetteer;
+}
+
+/**
+ * Scores every gazetteer entry mentioned in a location string. An entry scores 1 when the
+ * location is exactly one of its names or aliases, otherwise the share of the location its
+ * longest matching term covers. Best matches come first.
+ */
+function matchLocation(location) {
+    const text = String(location || '').trim();
+    if (!text) return [];
+
+    return getGazetteer().entries
+        .map(entry => {
+            const term = entry.terms
+                .filter(candidate => containsTerm(text, candidate))
+                .sort((a, b) => b.length - a.length)[0];
+            if (!term) return null;
+
+            const exact = text.toLowerCase() === term.toLowerCase();
+            return { ...entry, term, score: exact ? 1 : term.length / text.length };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score || KIND_RANK[b.kind] - KIND_RANK[a.kind]);
+}
+
+function pickArea(matches, gazetteer) {
+    const areas = matches.filter(match => match.kind === 'area');
+    const namedCities = matches.filter(match => match.kind === 'city').map(match => match.city);
+
+    // An explicit city ("Yaba Road, Ibadan") rules out areas elsewhere
+    const candidates = namedCities.length > 0
+        ? areas.filter(match => namedCities.includes(match.city))
+        : areas;
+    if (candidates.length === 0) return null;
+
+    const best = candidates[0];
+    const tied = candidates.filter(match => match.score === best.score);
+    return tied.find(match => match.city === gazetteer.defaultCity) || best;
+}
+
+/**
+ * Expands nicknames and adds the missing city and country to a place name, e.g.
+ * "VI" -> "Victoria Island, Lagos, Nigeria", "Wuse 2" -> "Wuse 2, Abuja, Nigeria".
+ * Places recognised as being in another country are returned unchanged.
+ */
+function qualifyLocation(location) {
+    const gazetteer = getGazetteer();
+    let text = String(location).trim();
+    const matches = matchLocation(text);
+
+    // "London" stays as it is, but "London Street, Ikeja" is still a local address
+    const isLocalPlace = match => match.country === gazetteer.defaultCountry && (match.kind === 'area' || match.kind === 'city');
+    const local = matches.filter(match => match.country === gazetteer.defaultCountry);
+    if (!matches.some(isLocalPlace) && matches.some(match => match.country !== gazetteer.defaultCountry)) {
+        return text;
+    }
+
+    const area = pickArea(local, gazetteer);
+    const city = area ? area.city : (local.find(match => match.kind === 'city') || {}).city;
+
+    if (area && area.term !== area.name && !containsTerm(text, area.name)) {
+        text = replaceTerm(text, area.term, area.name);
+    }
+
+    const parts = [text];
+    if (area && ![city.name, ...(city.aliases || [])].some(term => containsTerm(text, term))) {
+        parts.push(city.name);
+    }
+    if (!containsTerm(text, gazetteer.defaultCountry)) {
+        parts.push(gazetteer.defaultCountry);
+    }
+    return parts.join(', ');
+}
+
+/**
+ * The location rule for the extraction prompt, generated from the same data so the model and
+ * qualifyLocation agree on which places get which qualifiers.
+ */
+function describeQualificationRules() {
+    const gazetteer = getGazetteer();
+    const cityLines = gazetteer.cities.map(city => {
+        const names = (city.areas || []).slice(0, 12).map(area => (typeof area === 'string' ? area : area.name));
+        return `- ${city.name}: ${names.join(', ')}`;
+    });
+
+    const examples = gazetteer.cities.map(city => {
+        const area = (city.areas || []).find(candidate => typeof candidate !== 'string' && candidate.aliases?.length) ||
+            (city.areas || [])[0];
+        if (!area) return null;
+        const { name, aliases = [] } = typeof area === 'string' ? { name: area } : area;
+        return `- "${aliases[0] || name}" → "${name}, ${city.name}, ${gazetteer.defaultCountry}"`;
+    }).filter(Boolean);
+
+    return `
+        For locations in ${gazetteer.defaultCountry} without full specification, add the city and "${gazetteer.defaultCountry}".
+        Known areas by city:
+        ${cityLines.join('\n        ')}
+        Expand local nicknames to the full place name. Leave places outside ${gazetteer.defaultCountry} unchanged.
+
+        Examples:
+        ${examples.join('\n        ')}
+        - "London" → "London"`;
+}
+
+module.exports = {
+    loadGazetteer,
+    matchLocation,
+    qualifyLocation,
+    describeQualificationRules
+};
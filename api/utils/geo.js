@@ -0,0 +1,64 @@
+const { decodePolyline } = require('./polyline');
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// routePoints samples the route at most this far apart, so checks against small areas
+// (ban zones, toll plazas) cannot skip over them on long straight segments
+const SAMPLE_SPACING_METERS = 250;
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+// Great-circle distance in meters between two { lat, lng } points
+function haversineDistance(a, b) {
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+}
+
+// Box of roughly `radiusMeters` around a point, as { southwest, northeast }
+function boundsAround(point, radiusMeters) {
+    const dLat = radiusMeters / EARTH_RADIUS_METERS * 180 / Math.PI;
+    const dLng = dLat / Math.max(Math.cos(toRadians(point.lat)), 0.01);
+
+    return {
+        southwest: { lat: point.lat - dLat, lng: point.lng - dLng },
+        northeast: { lat: point.lat + dLat, lng: point.lng + dLng }
+    };
+}
+
+function densify(points) {
+    const dense = [];
+    points.forEach((point, index) => {
+        const next = points[index + 1];
+        dense.push(point);
+        if (!next) return;
+
+        const segments = Math.floor(haversineDistance(point, next) / SAMPLE_SPACING_METERS);
+        for (let i = 1; i < segments; i++) {
+            const share = i / segments;
+            dense.push({ lat: point.lat + (next.lat - point.lat) * share, lng: point.lng + (next.lng - point.lng) * share });
+        }
+    });
+    return dense;
+}
+
+// Every point worth checking on a normalised route: the overview line plus leg and step ends
+function routePoints(route) {
+    const points = route.polyline ? densify(decodePolyline(route.polyline)) : [];
+    for (const leg of route.legs) {
+        points.push(leg.start_location, leg.end_location);
+        leg.steps.forEach(step => points.push(step.start_location, step.end_location));
+    }
+    return points.filter(Boolean);
+}
+
+module.exports = {
+    haversineDistance,
+    boundsAround,
+    routePoints
+};
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Languages answers can be given in, the words that give each one away in a query, and the
+// fixed messages (clarifications, errors) in each. LANGUAGES_PATH can point at a replacement
+// file with the same shape as config/languages.json.
+const DEFAULT_LANGUAGES_PATH = path.join(__dirname, '../config/languages.json');
+
+let config = null;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Lowercase without tone marks or dots, so "Ẹ jọ̀wọ́" and "e jowo" read the same
+function foldText(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function loadLanguages(filePath = process.env.LANGUAGES_PATH || DEFAULT_LANGUAGES_PATH) {
+    const loaded = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    if (!loaded.languages?.[loaded.default_language]) {
+        throw new Error(`Languages config ${filePath} has no default_language entry "${loaded.default_language}"`);
+    }
+
+    const languages = Object.fromEntries(Object.entries(loaded.languages).map(([code, language]) => [code, {
+        code,
+        name: language.name || code,
+        nativeName: language.native_name || language.name || code,
+        prompt: language.prompt || '',
+        keywords: (language.keywords || []).map(keyword => new RegExp(`\\b${escapeRegExp(foldText(keyword))}\\b`)),
+        characters: language.characters || [],
+        messages: language.messages || {}
+    }]));
+
+    return { defaultLanguage: loaded.default_language, languages };
+}
+
+function getConfig() {
+    if (!config) {
+        config = loadLanguages();
+        logger.info('Loaded languages', { count: Object.keys(config.languages).length });
+    }
+    return config;
+}
+
+function getLanguageCodes() {
+    return Object.keys(getConfig().languages);
+}
+
+function getDefaultLanguageCode() {
+    return getConfig().defaultLanguage;
+}
+
+// Codes and names ("yo", "Yoruba", "Yorùbá", "pidgin") resolve to a configured code
+function resolveLanguageCode(value) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+
+    const { languages } = getConfig();
+    const folded = foldText(value.trim());
+    const match = Object.values(languages).find(language =>
+        language.code === folded ||
+        foldText(language.name) === folded ||
+        foldText(language.nativeName) === folded ||
+        foldText(language.name).split(' ').includes(folded));
+    return match ? match.code : null;
+}
+
+function getLanguage(code) {
+    const { languages, defaultLanguage } = getConfig();
+    return languages[resolveLanguageCode(code) || defaultLanguage];
+}
+
+/**
+ * Best guess at the language of a query from give-away words and letters, or null when
+ * nothing stands out (plain English, or only place names). Used when the model gives no
+ * answer, and for error messages raised before the query reaches the model.
+ */
+function detectLanguage(text) {
+    const folded = foldText(text);
+    const lower = String(text || '').normalize('NFC').toLowerCase();
+    if (!folded) return null;
+
+    const scores = Object.values(getConfig().languages)
+        .map(language => ({
+            code: language.code,
+            score: language.keywords.filter(pattern => pattern.test(folded)).length +
+                language.characters.filter(character => lower.includes(character)).length
+        }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score);
+
+    if (scores.length === 0 || scores[1]?.score === scores[0].score) return null;
+    return scores[0].code;
+}
+
+/**
+ * A fixed message in the given language, falling back to the default language. Keys are
+ * dotted paths into "messages" ("errors.ROUTE_NOT_FOUND"); {name} placeholders are filled
+ * from params.
+ */
+function translate(code, key, params = {}) {
+    const lookup = language => key.split('.').reduce((node, part) => node?.[part], language.messages);
+    const message = lookup(getLanguage(code)) ?? lookup(getLanguage(getDefaultLanguageCode()));
+    if (typeof message !== 'string') return null;
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] ?? placeholder));
+}
+
+/**
+ * The language rule for the extraction prompt, generated from the config so the model and
+ * resolveLanguageCode agree on the codes.
+ */
+function describeLanguageRules() {
+    const { languages, defaultLanguage } = getConfig();
+    const list = Object.values(languages).map(language => `"${language.code}" (${language.name})`).join(', ');
+
+    return `
+        The query may be written in any of these languages: ${list}. Set "language" to the code of the
+        language it is written in; use "${defaultLanguage}" when it is unclear. Always return place
+        names as the user wrote them and every other value in English.`;
+}
+
+module.exports = {
+    loadLanguages,
+    getLanguageCodes,
+    getDefaultLanguageCode,
+    resolveLanguageCode,
+    getLanguage,
+    detectLanguage,
+    translate,
+    describeLanguageRules
+};
@@ -0,0 +1,71 @@
+const { getRequestContext } = require('./requestContext');
+const { recordError } = require('./metrics');
+
+// One JSON object per line on stdout (errors on stderr), tagged with the request id when
+// there is one. LOG_LEVEL (debug, info, warn, error; info by default) sets the threshold and
+// LOG_FORMAT=text gives readable lines for local development.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function getThreshold() {
+    return LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+}
+
+// Errors keep their message, code and stack instead of serialising to {}
+function toLoggable(value) {
+    if (value instanceof Error) {
+        return {
+            message: value.message,
+            ...(value.code && { code: value.code }),
+            ...(value.status && { status: value.status }),
+            ...(!value.status || value.status >= 500 ? { stack: value.stack } : {})
+        };
+    }
+    return value;
+}
+
+function write(level, message, fields = {}) {
+    if (LEVELS[level] < getThreshold()) return;
+
+    const requestId = getRequestContext()?.requestId;
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: message,
+        ...(requestId && { request_id: requestId }),
+        ...Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, toLoggable(value)]))
+    };
+
+    const stream = level === 'error' ? process.stderr : process.stdout;
+    if ((process.env.LOG_FORMAT || '').toLowerCase() === 'text') {
+        const { time, level: levelName, msg, ...rest } = entry;
+        stream.write(`${time} ${levelName.toUpperCase()} ${msg}${Object.keys(rest).length ? ` ${JSON.stringify(rest)}` : ''}\n`);
+    } else {
+        stream.write(`${JSON.stringify(entry)}\n`);
+    }
+}
+
+const logger = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+};
+
+/**
+ * Logs an error a controller is about to turn into a response and counts it by class and
+ * code. Client errors are warnings; only server errors carry a stack.
+ */
+function logRequestError(error) {
+    recordError(error);
+
+    const context = getRequestContext();
+    if (context) context.errorCode = error.code || null;
+
+    const status = error.status || 500;
+    logger[status < 500 ? 'warn' : 'error']('Request failed', { status, error });
+}
+
+module.exports = {
+    logger,
+    logRequestError
+};
@@ -0,0 +1,168 @@
+const { recordStageTime } = require('./requestContext');
+
+// A small Prometheus registry: counters, gauges and histograms kept in memory and rendered in the
+// text exposition format by GET /metrics. Each instance counts its own requests, so on
+// serverless deployments every instance is a separate scrape target.
+const PREFIX = 'routegpt_';
+const DURATION_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registry = [];
+
+function labelKey(labels) {
+    return JSON.stringify(labels);
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels)
+        .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function pickLabels(labelNames, labels) {
+    return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+function createCounter(name, help, labelNames = []) {
+    const values = new Map();
+
+    const counter = {
+        inc(labels = {}, amount = 1) {
+            const picked = pickLabels(labelNames, labels);
+            const key = labelKey(picked);
+            const entry = values.get(key) || { labels: picked, value: 0 };
+            entry.value += amount;
+            values.set(key, entry);
+        },
+        render() {
+            return [
+                `# HELP ${PREFIX}${name} ${help}`,
+                `# TYPE ${PREFIX}${name} counter`,
+                ...[...values.values()].map(({ labels, value }) => `${PREFIX}${name}${formatLabels(labels)} ${value}`)
+            ];
+        }
+    };
+    registry.push(counter);
+    return counter;
+}
+
+// A gauge whose current values are read from collect() ([{ labels, value }]) at scrape time
+function createGauge(name, help, collect) {
+    const gauge = {
+        render() {
+            return [
+                `# HELP ${PREFIX}${name} ${help}`,
+                `# TYPE ${PREFIX}${name} gauge`,
+                ...collect().map(({ labels, value }) => `${PREFIX}${name}${formatLabels(labels)} ${value}`)
+            ];
+        }
+    };
+    registry.push(gauge);
+    return gauge;
+}
+
+function createHistogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+    const values = new Map();
+
+    const histogram = {
+        observe(labels, value) {
+            const picked = pickLabels(labelNames, labels);
+            const key = labelKey(picked);
+            const entry = values.get(key) || { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 };
+            buckets.forEach((bound, index) => {
+                if (value <= bound) entry.counts[index]++;
+            });
+            entry.sum += value;
+            entry.count++;
+            values.set(key, entry);
+        },
+        render() {
+            const lines = [`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} histogram`];
+            for (const { labels, counts, sum, count } of values.values()) {
+                buckets.forEach((bound, index) => {
+                    lines.push(`${PREFIX}${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+                });
+                lines.push(`${PREFIX}${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                lines.push(`${PREFIX}${name}_sum${formatLabels(labels)} ${Number(sum.toFixed(6))}`);
+                lines.push(`${PREFIX}${name}_count${formatLabels(labels)} ${count}`);
+            }
+            return lines;
+        }
+    };
+    registry.push(histogram);
+    return histogram;
+}
+
+const metrics = {
+    httpRequests: createCounter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']),
+    httpDuration: createHistogram('http_request_duration_seconds', 'HTTP request latency', ['method', 'route']),
+    queries: createCounter('queries_total', 'Directions queries answered, by query type and travel mode', ['query_type', 'mode', 'channel']),
+    errors: createCounter('errors_total', 'Failed requests by error class (client or server) and code', ['class', 'code']),
+    stageDuration: createHistogram('pipeline_stage_duration_seconds', 'Time spent in each pipeline stage', ['stage']),
+    upstreamRequests: createCounter('upstream_requests_total', 'Calls to LLM, routing and SMS backends, by outcome', ['upstream', 'provider', 'operation', 'outcome']),
+    upstreamDuration: createHistogram('upstream_request_duration_seconds', 'Latency of LLM, routing and SMS backend calls', ['upstream', 'provider', 'operation']),
+    cacheLookups: createCounter('cache_lookups_total', 'Cache lookups by layer and result', ['layer', 'result']),
+    degradations: createCounter('degraded_stages_total', 'Answers given with a pipeline stage on its fallback, by stage and error code', ['stage', 'code'])
+};
+
+function elapsedSeconds(start) {
+    return Number(process.hrtime.bigint() - start) / 1e9;
+}
+
+/**
+ * Runs fn as one pipeline stage (classify, extract, geocode, route, format, cache): its latency
+ * goes into the stage histogram and the current request's log line. Stages can nest, so route
+ * includes the cache lookups made while routing.
+ */
+async function timeStage(stage, fn) {
+    const start = process.hrtime.bigint();
+    try {
+        return await fn();
+    } finally {
+        const seconds = elapsedSeconds(start);
+        metrics.stageDuration.observe({ stage }, seconds);
+        recordStageTime(stage, seconds * 1000);
+    }
+}
+
+// Times a call to an LLM or routing backend and counts it as ok, timeout or error
+async function observeUpstream({ upstream, provider, operation }, fn) {
+    const start = process.hrtime.bigint();
+    let outcome = 'ok';
+    try {
+        return await fn();
+    } catch (error) {
+        outcome = error.code === 'UPSTREAM_TIMEOUT' ? 'timeout' : 'error';
+        throw error;
+    } finally {
+        metrics.upstreamDuration.observe({ upstream, provider, operation }, elapsedSeconds(start));
+        metrics.upstreamRequests.inc({ upstream, provider, operation, outcome });
+    }
+}
+
+function recordQuery({ queryType, mode, channel }) {
+    metrics.queries.inc({ query_type: queryType, mode, channel: channel || 'api' });
+}
+
+// Client errors are counted by their code; server errors without one by the error's name
+function recordError(error) {
+    const status = error.status || 500;
+    metrics.errors.inc({
+        class: status < 500 ? 'client' : 'server',
+        code: error.code || (status < 500 ? 'CLIENT_ERROR' : error.name || 'Error')
+    });
+}
+
+function renderMetrics() {
+    return `${registry.flatMap(metric => metric.render()).join('\n')}\n`;
+}
+
+module.exports = {
+    metrics,
+    createGauge,
+    elapsedSeconds,
+    timeStage,
+    observeUpstream,
+    recordQuery,
+    recordError,
+    renderMetrics
+};
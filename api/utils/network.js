@@ -0,0 +1,70 @@
+const dns = require('dns').promises;
+const net = require('net');
+
+// Addresses a server-side request must never reach on a caller's behalf: this host, the
+// cloud metadata service and other link-local addresses, and the private networks around it
+const blocked = new net.BlockList();
+[
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.168.0.0', 16]
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv4'));
+[
+    // IPv4-compatible addresses (::127.0.0.1), including :: and ::1
+    ['::', 96],
+    ['fc00::', 7],
+    ['fe80::', 10]
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv6'));
+
+// Also matches IPv4-mapped IPv6 addresses such as ::ffff:127.0.0.1
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return false;
+    return blocked.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Looks a host up for a server-side request and checks every address it resolves to.
+ * Resolves to { address, family } for the request to connect to, so the name is not looked
+ * up again after the check, or to { problem } with a short reason when the host must not be
+ * reached. allowPrivate skips the check but still resolves the name once.
+ */
+async function resolvePublicHost(hostname, { allowPrivate = false } = {}) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host)) {
+        return !allowPrivate && isPrivateAddress(host)
+            ? { problem: 'is a private or local address' }
+            : { address: host, family: net.isIP(host) };
+    }
+
+    let addresses;
+    try {
+        addresses = await dns.lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+        return { problem: 'could not be resolved' };
+    }
+    if (!allowPrivate && addresses.some(({ address }) => isPrivateAddress(address))) {
+        return { problem: 'resolves to a private or local address' };
+    }
+    return addresses[0];
+}
+
+/**
+ * Why requests to this host must not be made: null when every address it resolves to is
+ * public, otherwise a short reason. Checked when a URL is saved; requests themselves use
+ * resolvePublicHost, since what a name points to can change in between.
+ */
+async function checkPublicHost(hostname) {
+    const { problem } = await resolvePublicHost(hostname);
+    return problem || null;
+}
+
+module.exports = {
+    isPrivateAddress,
+    resolvePublicHost,
+    checkPublicHost
+};
@@ -0,0 +1,59 @@
+// Google encoded polyline algorithm (precision 5), also used by OSRM and OpenRouteService
+
+function decodePolyline(encoded, precision = 5) {
+    const factor = Math.pow(10, precision);
+    const points = [];
+    let index = 0;
+    let lat = 0;
+    let lng = 0;
+
+    while (index < encoded.length) {
+        for (const axis of ['lat', 'lng']) {
+            let result = 0;
+            let shift = 0;
+            let byte;
+            do {
+                byte = encoded.charCodeAt(index++) - 63;
+                result |= (byte & 0x1f) << shift;
+                shift += 5;
+            } while (byte >= 0x20);
+
+            const delta = (result & 1) ? ~(result >> 1) : (result >> 1);
+            if (axis === 'lat') lat += delta;
+            else lng += delta;
+        }
+        points.push({ lat: lat / factor, lng: lng / factor });
+    }
+
+    return points;
+}
+
+function encodeValue(value) {
+    let current = value < 0 ? ~(value << 1) : (value << 1);
+    let output = '';
+    while (current >= 0x20) {
+        output += String.fromCharCode((0x20 | (current & 0x1f)) + 63);
+        current >>= 5;
+    }
+    return output + String.fromCharCode(current + 63);
+}
+
+function encodePolyline(points, precision = 5) {
+    const factor = Math.pow(10, precision);
+    let lastLat = 0;
+    let lastLng = 0;
+
+    return points.map(({ lat, lng }) => {
+        const roundedLat = Math.round(lat * factor);
+        const roundedLng = Math.round(lng * factor);
+        const chunk = encodeValue(roundedLat - lastLat) + encodeValue(roundedLng - lastLng);
+        lastLat = roundedLat;
+        lastLng = roundedLng;
+        return chunk;
+    }).join('');
+}
+
+module.exports = {
+    decodePolyline,
+    encodePolyline
+};
@@ -0,0 +1,74 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request state that deep code (LLM and routing providers, the logger) can reach without
+// it being threaded through every call: { requestId, apiKeyId, upstreamCalls, stages,
+// backgroundWork, signal }.
+// Created for every request by the requestLogging middleware; enforceLimits adds the key.
+const storage = new AsyncLocalStorage();
+
+function runWithRequestContext(context, fn) {
+    return storage.run(context, fn);
+}
+
+function getRequestContext() {
+    return storage.getStore();
+}
+
+// Stored records (profiles, watches) belong to the API key that created them; without keys
+// everything belongs to "local"
+function getRequestOwner() {
+    return storage.getStore()?.apiKeyId || 'local';
+}
+
+// Counts a paid upstream call (llm, routing, geocode) against the current request, if any
+function recordUpstreamCall(kind) {
+    const context = storage.getStore();
+    if (!context) return;
+
+    context.upstreamCalls = context.upstreamCalls || {};
+    context.upstreamCalls[kind] = (context.upstreamCalls[kind] || 0) + 1;
+}
+
+// Work a request carries on with after its response has gone out, such as answering an SMS
+// the webhook already acknowledged. The request is charged once it has finished.
+function runAfterResponse(task) {
+    const context = storage.getStore();
+    const work = Promise.resolve().then(task);
+    if (context) {
+        context.backgroundWork = [...(context.backgroundWork || []), work];
+    }
+    return work;
+}
+
+// Aborted when nobody is waiting for the request's answer any more, such as a streaming
+// client that disconnected; callUpstream then stops the calls still running for it
+function setRequestSignal(signal) {
+    const context = storage.getStore();
+    if (context) {
+        context.signal = signal;
+    }
+}
+
+function getRequestSignal() {
+    return storage.getStore()?.signal;
+}
+
+// Adds time spent in a pipeline stage to the current request, for its log line
+function recordStageTime(stage, milliseconds) {
+    const context = storage.getStore();
+    if (!context) return;
+
+    context.stages = context.stages || {};
+    context.stages[stage] = (context.stages[stage] || 0) + milliseconds;
+}
+
+module.exports = {
+    runWithRequestContext,
+    getRequestContext,
+    getRequestOwner,
+    recordUpstreamCall,
+    runAfterResponse,
+    setRequestSignal,
+    getRequestSignal,
+    recordStageTime
+};
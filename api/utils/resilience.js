@@ -0,0 +1,190 @@
+const { ApiError, UpstreamError, SERVER_ERRORS } = require('./errors');
+const { getUpstreamPolicy } = require('../config/upstreams');
+const { metrics, createGauge, observeUpstream } = require('./metrics');
+const { logger } = require('./logger');
+const { getRequestSignal } = require('./requestContext');
+
+// One circuit breaker per backend and kind of call ("llm:gemini", "routing:google",
+// "geocode:google"), shared by every request this instance handles
+const breakers = new Map();
+
+const BREAKER_STATES = { closed: 0, half_open: 1, open: 2 };
+
+createGauge('circuit_state', 'Circuit breaker state per upstream: 0 closed, 1 half open (trying again), 2 open (failing fast)', () =>
+    [...breakers].map(([name, breaker]) => ({ labels: { upstream: name }, value: BREAKER_STATES[breaker.state] })));
+
+function getBreaker(name) {
+    if (!breakers.has(name)) {
+        breakers.set(name, { state: 'closed', failures: 0, openedAt: 0, trialRunning: false });
+    }
+    return breakers.get(name);
+}
+
+// An open circuit lets one trial call through once resetSeconds have passed
+function allowCall(breaker, policy) {
+    if (breaker.state === 'closed') return true;
+
+    if (breaker.state === 'open' && Date.now() - breaker.openedAt >= policy.resetSeconds * 1000) {
+        breaker.state = 'half_open';
+    }
+    if (breaker.state === 'half_open' && !breaker.trialRunning) {
+        breaker.trialRunning = true;
+        return true;
+    }
+    return false;
+}
+
+function recordSuccess(name, breaker) {
+    if (breaker.state !== 'closed') {
+        logger.info('Circuit closed', { upstream: name });
+    }
+    Object.assign(breaker, { state: 'closed', failures: 0, trialRunning: false });
+}
+
+// A threshold of 0 turns the breaker off
+function recordFailure(name, breaker, policy) {
+    breaker.failures++;
+    breaker.trialRunning = false;
+
+    const tripped = breaker.state === 'half_open' || (policy.failureThreshold > 0 && breaker.failures >= policy.failureThreshold);
+    if (tripped) {
+        if (breaker.state !== 'open') {
+            logger.warn('Circuit opened', { upstream: name, failures: breaker.failures, reset_seconds: policy.resetSeconds });
+        }
+        Object.assign(breaker, { state: 'open', openedAt: Date.now() });
+    }
+}
+
+// Settles with the call, or rejects as soon as its attempt is aborted: when it runs out of time,
+// so it stops using the connection and, for a stream, stops producing tokens once a retry has
+// taken over, or when the request it serves has gone away
+function runAttempt(promise, controller, timeoutMs, label) {
+    const aborted = new Promise((_, reject) => {
+        controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+    });
+    const timer = timeoutMs && setTimeout(() => {
+        controller.abort(new ApiError(504, 'UPSTREAM_TIMEOUT', `${label} timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+
+    return Promise.race([promise, aborted]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * The signal a provider passes to fetch: its own timeout, and the caller's signal when
+ * callUpstream gave one.
+ */
+function timeoutSignal(timeoutMs, signal) {
+    const timeout = AbortSignal.timeout(timeoutMs);
+    return signal ? AbortSignal.any([signal, timeout]) : timeout;
+}
+
+// Failures to reach a backend at all, from Node's sockets and DNS, undici (fetch) and axios
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ECONNABORTED', 'ERR_NETWORK'];
+
+function getUpstreamStatus(error) {
+    if (error instanceof ApiError) return error.status;
+    if (error instanceof UpstreamError) return error.statusCode;
+    return error.response?.status ?? null;
+}
+
+// Timeouts, network errors and 5xx or 429 responses. A 4xx such as ROUTE_NOT_FOUND is an
+// answer and asking again would get the same one; so would a reply we could not parse. A
+// provider's own 429 (ROUTING_QUOTA_EXCEEDED) says a quota is used up, which retrying cannot fix.
+function isTransient(error) {
+    if (error.code === 'UPSTREAM_TIMEOUT' || error.name === 'AbortError' || error.name === 'TimeoutError') return true;
+
+    const status = getUpstreamStatus(error);
+    if (error instanceof ApiError) return status >= 500;
+    if (status) return status >= 500 || status === 429;
+    if (error instanceof UpstreamError) return true;
+
+    const code = error.cause?.code || error.code;
+    return typeof code === 'string' && (NETWORK_ERROR_CODES.includes(code) || code.startsWith('UND_ERR_'));
+}
+
+// Exponential backoff with jitter, so retrying instances do not hit a recovering backend together
+function backoffDelay(policy, attempt) {
+    const ceiling = Math.min(policy.maxBackoffMs, policy.backoffMs * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function sleep(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+// Keeps the documented codes and reports everything else as UPSTREAM_ERROR; the original
+// message only reaches the logs
+function toUpstreamError(error, name, operation) {
+    if (SERVER_ERRORS[error.code]) return error;
+    return new ApiError(502, 'UPSTREAM_ERROR', `${name} ${operation} failed: ${error.message}`);
+}
+
+/**
+ * Calls an LLM, routing or SMS backend under its policy in config/upstreams.js. Each attempt
+ * is timed out, transient failures are retried with backoff, and a backend that keeps failing
+ * has its circuit opened so calls fail fast with UPSTREAM_UNAVAILABLE until a trial call gets
+ * through. Client errors from the backend (LOCATION_NOT_FOUND, ROUTE_NOT_FOUND) pass through
+ * untouched. fn(signal) gets a signal that is aborted when its attempt times out, or when
+ * the request it serves is aborted (see setRequestSignal), which also ends the call without
+ * counting against the backend. canRetry lets the caller refuse a retry, e.g. once a
+ * streamed answer has started.
+ */
+async function callUpstream({ policy: policyName, upstream, provider, operation, timeoutMs }, fn, { canRetry = () => true } = {}) {
+    const policy = getUpstreamPolicy(policyName || upstream);
+    const name = `${policyName || upstream}:${provider}`;
+    const breaker = getBreaker(name);
+    const labels = { upstream, provider, operation };
+    const requestSignal = getRequestSignal();
+
+    for (let attempt = 0; ; attempt++) {
+        // Nobody is waiting for the answer, so it is not worth asking for
+        requestSignal?.throwIfAborted();
+
+        if (!allowCall(breaker, policy)) {
+            metrics.upstreamRequests.inc({ ...labels, outcome: 'rejected' });
+            throw new ApiError(503, 'UPSTREAM_UNAVAILABLE', `${name} circuit is open`);
+        }
+
+        const controller = new AbortController();
+        const stop = () => controller.abort(requestSignal.reason);
+        requestSignal?.addEventListener('abort', stop, { once: true });
+        try {
+            const result = await observeUpstream(labels, () => runAttempt(fn(controller.signal), controller, timeoutMs ?? policy.timeoutMs, `${name} ${operation}`));
+            recordSuccess(name, breaker);
+            return result;
+        } catch (error) {
+            // Stopped on our side, which says nothing about the backend; a trial call gets another go
+            if (requestSignal?.aborted) {
+                breaker.trialRunning = false;
+                throw requestSignal.reason;
+            }
+
+            // The backend answered, just not with a route or place
+            if (error instanceof ApiError && !isTransient(error)) {
+                recordSuccess(name, breaker);
+                throw error;
+            }
+
+            recordFailure(name, breaker, policy);
+            if (!isTransient(error) || attempt >= policy.retries || breaker.state === 'open' || !canRetry()) {
+                throw toUpstreamError(error, name, operation);
+            }
+
+            logger.warn('Retrying upstream call', { upstream: name, operation, attempt: attempt + 1, error: error.message });
+            await sleep(backoffDelay(policy, attempt));
+        } finally {
+            requestSignal?.removeEventListener('abort', stop);
+        }
+    }
+}
+
+// { "routing:google": "closed", ... } for the backends this instance has called
+function getCircuitStates() {
+    return Object.fromEntries([...breakers].map(([name, breaker]) => [name, breaker.state]));
+}
+
+module.exports = {
+    callUpstream,
+    timeoutSignal,
+    getCircuitStates
+};
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const { getRequestOwner } = require('./requestContext');
+
+// Conversations expire after 30 minutes of inactivity
+const sessionStore = new NodeCache({ stdTTL: 1800 });
+
+const MAX_TURNS = 20;
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_:.-]{1,128}$/;
+
+function isValidSessionId(sessionId) {
+    return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+}
+
+// Callers choose their own session ids, so sessions are kept per API key: the same id sent
+// with another key is a different conversation
+function storeKey(sessionId) {
+    return `${getRequestOwner()}|${sessionId}`;
+}
+
+function getSession(sessionId) {
+    return sessionStore.get(storeKey(sessionId));
+}
+
+function getOrCreateSession(sessionId) {
+    const id = sessionId || crypto.randomUUID();
+    const existing = sessionStore.get(storeKey(id));
+    if (existing) {
+        return existing;
+    }
+
+    const now = new Date().toISOString();
+    const session = { session_id: id, created_at: now, updated_at: now, turns: [] };
+    sessionStore.set(storeKey(id), session);
+    return session;
+}
+
+function appendTurn(sessionId, turn) {
+    const session = getOrCreateSession(sessionId);
+    session.turns.push({ ...turn, created_at: new Date().toISOString() });
+    if (session.turns.length > MAX_TURNS) {
+        session.turns = session.turns.slice(-MAX_TURNS);
+    }
+    session.updated_at = new Date().toISOString();
+
+    // Re-setting refreshes the inactivity TTL
+    sessionStore.set(storeKey(session.session_id), session);
+    return session;
+}
+
+function clearSession(sessionId) {
+    return sessionStore.del(storeKey(sessionId)) > 0;
+}
+
+// Slots resolved in the latest turn, used to fill gaps in follow-up questions
+function getConversationContext(session) {
+    if (!session || session.turns.length === 0) return null;
+
+    const lastTurn = session.turns[session.turns.length - 1];
+    return {
+        origin: lastTurn.origin,
+        destination: lastTurn.destination,
+        waypoints: lastTurn.waypoints || [],
+        mode: lastTurn.mode,
+        query_type: lastTurn.query_type,
+        language: lastTurn.language,
+        previous_queries: session.turns.slice(-3).map(turn => turn.query)
+    };
+}
+
+module.exports = {
+    isValidSessionId,
+    getSession,
+    getOrCreateSession,
+    appendTurn,
+    clearSession,
+    getConversationContext
+};
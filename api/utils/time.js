@@ -0,0 +1,194 @@
+// Time handling for Lagos. West Africa Time is UTC+1 all year (no daylight saving),
+// so local wall-clock times convert to instants with a fixed offset.
+const TIME_ZONE = 'Africa/Lagos';
+const UTC_OFFSET_HOURS = 1;
+const UTC_OFFSET = '+01:00';
+
+// Days without an explicit time default to the morning rush
+const DEFAULT_HOUR = 8;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+function getLagosParts(date) {
+    const shifted = new Date(date.getTime() + UTC_OFFSET_HOURS * 3600000);
+    return {
+        year: shifted.getUTCFullYear(),
+        month: shifted.getUTCMonth(),
+        day: shifted.getUTCDate(),
+        hour: shifted.getUTCHours(),
+        minute: shifted.getUTCMinutes(),
+        weekday: shifted.getUTCDay()
+    };
+}
+
+function fromLagosParts({ year, month, day, hour = 0, minute = 0 }) {
+    return new Date(Date.UTC(year, month, day, hour - UTC_OFFSET_HOURS, minute));
+}
+
+function addDays(parts, days) {
+    const date = new Date(Date.UTC(parts.year, parts.month, parts.day + days));
+    return { ...parts, year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() };
+}
+
+function formatLagosTime(date) {
+    return date.toLocaleTimeString('en-US', { timeZone: TIME_ZONE, hour: 'numeric', minute: '2-digit', hour12: true });
+}
+
+function formatLagosDateTime(date) {
+    return date.toLocaleString('en-US', {
+        timeZone: TIME_ZONE,
+        weekday: 'long',
+        day: 'numeric',
+        month: 'long',
+        hour: 'numeric',
+        minute: '2-digit',
+        hour12: true
+    }) + ' WAT';
+}
+
+// ISO 8601 with the Lagos offset, e.g. 2026-10-20T07:00:00+01:00
+function toLagosISOString(date) {
+    const shifted = new Date(date.getTime() + UTC_OFFSET_HOURS * 3600000);
+    return shifted.toISOString().replace(/\.\d{3}Z$/, UTC_OFFSET);
+}
+
+const MERIDIEM = '(am|pm|a\\.m\\.|p\\.m\\.)';
+
+function toClock(hour, minute, meridiem) {
+    if (hour > 23 || minute > 59) return null;
+    return { hour, minute, meridiem: meridiem && meridiem[0] + 'm' };
+}
+
+// Reads a clock time only where the phrase clearly gives one: "7pm", "6:30", "at 2", "by 9",
+// "half past 7" or "quarter to 8". Other numbers ("in 2 days", "bus 12") are not times.
+function parseClock(text) {
+    if (/\bnoon\b|\bmidday\b/.test(text)) return { hour: 12, minute: 0, meridiem: 'pm' };
+    if (/\bmidnight\b/.test(text)) return { hour: 0, minute: 0, meridiem: 'am' };
+
+    const past = text.match(new RegExp(`\\b(half|quarter) past (\\d{1,2})\\s*${MERIDIEM}?(?=\\W|$)`));
+    if (past) return toClock(Number(past[2]), past[1] === 'half' ? 30 : 15, past[3]);
+
+    const to = text.match(new RegExp(`\\bquarter to (\\d{1,2})\\s*${MERIDIEM}?(?=\\W|$)`));
+    if (to) {
+        // "Quarter to 12pm" is 11:45am and "quarter to 1" is 12:45
+        const hour = Number(to[1]);
+        const meridiem = hour === 12 && to[2] ? (to[2][0] === 'p' ? 'am' : 'pm') : to[2];
+        return hour > 0 ? toClock(hour === 1 ? 12 : hour - 1, 45, meridiem) : null;
+    }
+
+    const match = text.match(new RegExp(`\\b(\\d{1,2})[:.](\\d{2})\\s*${MERIDIEM}?(?=\\W|$)`)) ||
+        text.match(new RegExp(`\\b(\\d{1,2})()\\s*${MERIDIEM}(?=\\W|$)`)) ||
+        text.match(/\b(?:at|by|before|around|until|till)\s+(\d{1,2})()(?=\W|$)/);
+    if (!match) return null;
+
+    return toClock(Number(match[1]), Number(match[2] || 0), match[3]);
+}
+
+function to24Hour({ hour, meridiem }) {
+    if (meridiem === 'am') return hour === 12 ? 0 : hour;
+    if (meridiem === 'pm') return hour === 12 ? 12 : hour + 12;
+    return hour;
+}
+
+// Hours said without am/pm on another day mean daytime: "at 2 tomorrow" is 14:00, "at 7" is 07:00
+function toDaytimeHour(hour) {
+    return hour >= 1 && hour <= 6 ? hour + 12 : hour;
+}
+
+/**
+ * Resolves a phrase like "7am tomorrow", "Monday 6:30pm", "in 45 minutes", "in 2 days at 7pm",
+ * "by 9" or an ISO timestamp to a Date, interpreting wall-clock times in Lagos. Returns null for
+ * "now" or anything it cannot read. A time named for a day that has already gone by ("7am
+ * today" at 09:00) is returned as it is; the routing falls back to leaving now and says so.
+ */
+function resolveTimeExpression(expression, now = new Date()) {
+    if (!expression) return null;
+
+    const text = String(expression).toLowerCase().trim();
+    if (!text || /^(now|right now|immediately|asap)$/.test(text)) return null;
+
+    if (/^\d{4}-\d{2}-\d{2}t\d{2}:\d{2}/.test(text)) {
+        const hasOffset = /(z|[+-]\d{2}:?\d{2})$/.test(text);
+        const date = new Date(hasOffset ? expression : `${expression}${UTC_OFFSET}`);
+        return Number.isNaN(date.getTime()) ? null : date;
+    }
+
+    const relative = text.match(/\bin\s+(an?|\d+(?:\.\d+)?)\s*(minute|min|hour|hr)s?\b/);
+    if (relative) {
+        const amount = /^an?$/.test(relative[1]) ? 1 : Number(relative[1]);
+        const unitMs = /^h/.test(relative[2]) ? 3600000 : 60000;
+        return new Date(now.getTime() + amount * unitMs);
+    }
+
+    const today = getLagosParts(now);
+    let dayParts = null;
+    let explicitDay = false;
+
+    const inDays = text.match(/\bin\s+(a|\d+)\s*days?\b/);
+    if (inDays || /\bday after tomorrow\b/.test(text)) {
+        dayParts = addDays(today, inDays ? Number(inDays[1]) || 1 : 2);
+        explicitDay = true;
+    } else if (/\btomorrow\b/.test(text)) {
+        dayParts = addDays(today, 1);
+        explicitDay = true;
+    } else if (/\btoday\b|\btonight\b|\bthis (morning|afternoon|evening)\b/.test(text)) {
+        dayParts = today;
+        explicitDay = true;
+    } else {
+        const weekday = WEEKDAYS.findIndex(name => new RegExp(`\\b${name}\\b`).test(text));
+        if (weekday >= 0) {
+            let offset = (weekday - today.weekday + 7) % 7;
+            if (/\bnext\b/.test(text) && offset === 0) offset = 7;
+            dayParts = addDays(today, offset);
+            explicitDay = true;
+        }
+    }
+
+    const clock = parseClock(text);
+    if (!clock && !explicitDay) return null;
+
+    const base = dayParts || today;
+    if (!clock) {
+        const hour = /\bevening\b|\btonight\b/.test(text) ? 18 : /\bafternoon\b/.test(text) ? 14 : DEFAULT_HOUR;
+        const date = fromLagosParts({ ...base, hour, minute: 0 });
+        return date > now ? date : addWeekIfPast(date, now, text);
+    }
+
+    const meridiem = clock.meridiem ||
+        (/\bevening\b|\btonight\b|\bafternoon\b/.test(text) && clock.hour < 12 ? 'pm' : null);
+    const ambiguous = !meridiem && clock.hour > 0 && clock.hour <= 12;
+    const isToday = base.day === today.day && base.month === today.month && base.year === today.year;
+
+    // Without am/pm, "at 6" today means the next 6 o'clock still ahead of us
+    const candidates = !ambiguous
+        ? [to24Hour({ ...clock, meridiem })]
+        : isToday ? [clock.hour % 12, clock.hour % 12 + 12] : [toDaytimeHour(clock.hour)];
+
+    const dates = candidates.map(hour => fromLagosParts({ ...base, hour, minute: clock.minute }));
+    const upcoming = dates.find(date => date > now);
+    if (upcoming) return upcoming;
+    if (explicitDay) return addWeekIfPast(dates[dates.length - 1], now, text);
+
+    // The time has already passed today, so it means tomorrow
+    const hour = ambiguous ? toDaytimeHour(clock.hour) : candidates[0];
+    return fromLagosParts({ ...addDays(base, 1), hour, minute: clock.minute });
+}
+
+// A weekday that has already passed today ("Monday 7am" said on Monday at noon) means next week
+function addWeekIfPast(date, now, text) {
+    if (date > now) return date;
+    if (WEEKDAYS.some(name => text.includes(name))) {
+        return new Date(date.getTime() + 7 * 86400000);
+    }
+    return date;
+}
+
+module.exports = {
+    TIME_ZONE,
+    getLagosParts,
+    fromLagosParts,
+    formatLagosTime,
+    formatLagosDateTime,
+    toLagosISOString,
+    resolveTimeExpression
+};
@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+const { haversineDistance, routePoints } = require('./geo');
+const { logger } = require('./logger');
+
+// Travel modes, how each one is routed, how fast it moves relative to a car and where it may
+// not go. MODES_PATH can point at a replacement file with the same shape as config/modes.json.
+const DEFAULT_MODES_PATH = path.join(__dirname, '../config/modes.json');
+
+// Sessions and clients from before okada, danfo and BRT were modes of their own
+const LEGACY_MODES = { bike: 'okada', bus: 'brt' };
+
+let config = null;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function loadTravelModes(filePath = process.env.MODES_PATH || DEFAULT_MODES_PATH) {
+    const loaded = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const names = Object.keys(loaded.modes || {});
+
+    if (!loaded.modes?.[loaded.default_mode]) {
+        throw new Error(`Travel modes config ${filePath} has no default_mode entry "${loaded.default_mode}"`);
+    }
+
+    const modes = Object.fromEntries(names.map(name => {
+        const mode = loaded.modes[name];
+        return [name, {
+            name,
+            label: mode.label || name,
+            description: mode.description || '',
+            keywords: mode.keywords || [name],
+            routing: { behaviour: 'road', profile: 'car', ...mode.routing },
+            speed: { cruise_factor: 1, traffic_factor: 1, ...mode.speed },
+            notes: mode.notes || [],
+            restrictions: mode.restrictions || []
+        }];
+    }));
+
+    return {
+        defaultMode: loaded.default_mode,
+        defaultComparison: (loaded.default_comparison || names).filter(name => modes[name]),
+        comparisonRanking: { naira_per_minute: 100, minutes_per_change: 5, ...loaded.comparison_ranking },
+        modes,
+        ferry: loaded.ferry || { terminals: [] }
+    };
+}
+
+function getConfig() {
+    if (!config) {
+        config = loadTravelModes();
+        logger.info('Loaded travel modes', { count: Object.keys(config.modes).length });
+    }
+    return config;
+}
+
+// Mode names, legacy names and keywords ("motorcycle") all resolve to a configured mode name
+function resolveModeName(name) {
+    if (typeof name !== 'string' || !name.trim()) return null;
+
+    const { modes } = getConfig();
+    const lower = name.trim().toLowerCase();
+    if (modes[lower]) return lower;
+    if (LEGACY_MODES[lower] && modes[LEGACY_MODES[lower]]) return LEGACY_MODES[lower];
+
+    const match = Object.values(modes).find(mode => mode.keywords.some(keyword => keyword.toLowerCase() === lower));
+    return match ? match.name : null;
+}
+
+function getTravelMode(name) {
+    const { modes, defaultMode } = getConfig();
+    return modes[resolveModeName(name) || defaultMode];
+}
+
+function getDefaultModeName() {
+    return getConfig().defaultMode;
+}
+
+function getComparisonModeNames() {
+    return getConfig().defaultComparison;
+}
+
+// How a comparison weighs cost and changes against travel time
+function getComparisonRanking() {
+    return getConfig().comparisonRanking;
+}
+
+function getFerryConfig() {
+    return getConfig().ferry;
+}
+
+/**
+ * Modes mentioned in free text, in the order they appear. Longer keywords win, so
+ * "yellow bus" is a danfo rather than a BRT bus.
+ */
+function findModesInText(text) {
+    const lower = String(text || '').toLowerCase();
+    const keywords = Object.values(getConfig().modes)
+        .flatMap(mode => mode.keywords.map(keyword => ({ mode: mode.name, keyword: keyword.toLowerCase() })))
+        .sort((a, b) => b.keyword.length - a.keyword.length);
+
+    const claimed = [];
+    const found = [];
+    for (const { mode, keyword } of keywords) {
+        const pattern = new RegExp(`\\b${escapeRegExp(keyword)}\\b`, 'g');
+        let match;
+        while ((match = pattern.exec(lower))) {
+            const start = match.index;
+            const end = start + keyword.length;
+            if (claimed.some(range => start < range.end && end > range.start)) continue;
+
+            claimed.push({ start, end });
+            found.push({ mode, start });
+        }
+    }
+
+    return [...new Set(found.sort((a, b) => a.start - b.start).map(({ mode }) => mode))];
+}
+
+/**
+ * Restrictions of a mode that a route runs into: restricted areas any point of the route
+ * falls in, and restricted roads named in its instructions.
+ */
+function findRestrictions(modeName, route) {
+    const { restrictions } = getTravelMode(modeName);
+    if (restrictions.length === 0) return [];
+
+    const points = routePoints(route);
+    const instructions = route.legs.flatMap(leg => leg.steps.map(step => step.instructions || '')).join('\n').toLowerCase();
+    const summary = String(route.summary || '').toLowerCase();
+
+    return restrictions
+        .map(restriction => ({
+            name: restriction.name,
+            reason: restriction.reason,
+            areas: (restriction.areas || [])
+                .filter(area => points.some(point => haversineDistance(point, area.center) <= area.radius_m))
+                .map(area => area.name),
+            roads: (restriction.roads || [])
+                .filter(road => instructions.includes(road.toLowerCase()) || summary.includes(road.toLowerCase()))
+        }))
+        .filter(found => found.areas.length > 0 || found.roads.length > 0);
+}
+
+/**
+ * The mode rule for the extraction prompt, generated from the config so the model and
+ * resolveModeName agree on which words mean which mode.
+ */
+// defaultModeName overrides the configured default, e.g. with a user's preferred mode
+function describeModeRules(defaultModeName) {
+    const { modes, defaultMode } = getConfig();
+    const lines = Object.values(modes).map(mode => {
+        const keywords = mode.keywords.map(keyword => `"${keyword}"`).join(', ');
+        return `- ${keywords} → "${mode.name}" (${mode.description})`;
+    });
+
+    return `
+        For mode, detect these keywords and map them as follows:
+        ${lines.join('\n        ')}
+        If no mode is mentioned, default to "${defaultModeName || defaultMode}".`;
+}
+
+module.exports = {
+    loadTravelModes,
+    resolveModeName,
+    getTravelMode,
+    getDefaultModeName,
+    getComparisonModeNames,
+    getComparisonRanking,
+    getFerryConfig,
+    findModesInText,
+    findRestrictions,
+    describeModeRules
+};
@@ -0,0 +1,42 @@
+function formatDistance(meters) {
+    if (meters < 1000) return `${Math.round(meters)} m`;
+    return `${(meters / 1000).toFixed(1)} km`;
+}
+
+// Matches Google's "1 hour 5 mins" style so formatters see the same text from every backend
+function formatDuration(seconds) {
+    const totalMinutes = Math.max(1, Math.round(seconds / 60));
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+
+    const parts = [];
+    if (hours) parts.push(`${hours} hour${hours === 1 ? '' : 's'}`);
+    if (minutes || !hours) parts.push(`${minutes} min${minutes === 1 ? '' : 's'}`);
+    return parts.join(' ');
+}
+
+// Fares are quoted to the nearest ₦50, the way they are paid
+function formatNaira(amount) {
+    return `₦${(Math.round(amount / 50) * 50).toLocaleString('en-NG')}`;
+}
+
+function distanceValue(meters) {
+    return { value: Math.round(meters), text: formatDistance(meters) };
+}
+
+function durationValue(seconds) {
+    return { value: Math.round(seconds), text: formatDuration(seconds) };
+}
+
+function nairaValue(amount) {
+    return { value: Math.round(amount / 50) * 50, currency: 'NGN', text: formatNaira(amount) };
+}
+
+module.exports = {
+    formatDistance,
+    formatDuration,
+    formatNaira,
+    distanceValue,
+    durationValue,
+    nairaValue
+};